@@ -3,6 +3,17 @@ module.exports = {
   roots: ['<rootDir>/test'],
   testMatch: ['**/*.test.ts'],
   transform: {
-    '^.+\\.tsx?$': 'ts-jest'
+    '^.+\\.tsx?$': 'ts-jest',
+    // the Lambda sources (src/) are JavaScript with ES module imports
+    '^.+\\.js$': 'ts-jest'
+  },
+  globals: {
+    'ts-jest': {
+      tsconfig: {
+        allowJs: true,
+        // default imports of the JSON event contracts (src/shared/eventContracts.js)
+        esModuleInterop: true
+      }
+    }
   }
 };
@@ -1,11 +1,13 @@
-import { LambdaRestApi } from "aws-cdk-lib/aws-apigateway";
+import { LambdaRestApi, MethodOptions, TokenAuthorizer } from "aws-cdk-lib/aws-apigateway";
 import { IFunction } from "aws-cdk-lib/aws-lambda";
 import { Construct } from "constructs";
 
 interface SwnApiGatewayProps {
     productMicroservice: IFunction,
     basketMicroservice: IFunction,
-    orderingMicroservices: IFunction
+    orderingMicroservices: IFunction,
+    // verifies the caller's JWT on the basket and order APIs and on product writes
+    authorizerFunction: IFunction
 }
 
 export class SwnApiGateway extends Construct {    
@@ -14,14 +16,14 @@ export class SwnApiGateway extends Construct {
         super(scope, id);
 
         // Product api gateway
-        this.createProductApi(props.productMicroservice);
+        this.createProductApi(props.productMicroservice, props.authorizerFunction);
         // Basket api gateway
-        this.createBasketApi(props.basketMicroservice);
+        this.createBasketApi(props.basketMicroservice, props.authorizerFunction);
         // Ordering api gateway
-        this.createOrderApi(props.orderingMicroservices);
+        this.createOrderApi(props.orderingMicroservices, props.authorizerFunction);
     }
 
-    private createProductApi(productMicroservice: IFunction) {
+    private createProductApi(productMicroservice: IFunction, authorizerFunction: IFunction) {
       // Product microservices api gateway
       // root name = product
 
@@ -33,23 +35,54 @@ export class SwnApiGateway extends Construct {
       // PUT /product/{id}
       // DELETE /product/{id}
 
+      // Price history and scheduled prices of a product
+      // GET /product/{id}/prices
+      // POST /product/{id}/prices
+
+      // Full-text search
+      // GET /product/search?q=
+
+      // Bulk import and export, CSV or NDJSON
+      // POST /product/import
+      // GET /product/export
+
+      // reads are public, writes, the export and the price history require a JWT with the catalog-admin role
+      // (checked by the handler, the price history is also open to admins)
+
       const apigw = new LambdaRestApi(this, 'productApi', {
         restApiName: 'Product Service',
         handler: productMicroservice,
         proxy: false
       });
+      const catalogAdmin: MethodOptions = {
+        authorizer: new TokenAuthorizer(this, 'productAuthorizer', { handler: authorizerFunction })
+      };
   
       const product = apigw.root.addResource('product');
       product.addMethod('GET'); // GET /product
-      product.addMethod('POST');  // POST /product
+      product.addMethod('POST', undefined, catalogAdmin);  // POST /product
       
       const singleProduct = product.addResource('{id}'); // product/{id}
       singleProduct.addMethod('GET'); // GET /product/{id}
-      singleProduct.addMethod('PUT'); // PUT /product/{id}
-      singleProduct.addMethod('DELETE'); // DELETE /product/{id}
+      singleProduct.addMethod('PUT', undefined, catalogAdmin); // PUT /product/{id}
+      singleProduct.addMethod('DELETE', undefined, catalogAdmin); // DELETE /product/{id}
+
+      const productPrices = singleProduct.addResource('prices'); // product/{id}/prices
+      productPrices.addMethod('GET', undefined, catalogAdmin); // GET /product/{id}/prices
+      productPrices.addMethod('POST', undefined, catalogAdmin); // POST /product/{id}/prices
+
+      // static "search" takes precedence over {id}, product ids are UUIDs
+      const search = product.addResource('search'); // product/search
+      search.addMethod('GET'); // GET /product/search?q=
+
+      const productImport = product.addResource('import'); // product/import
+      productImport.addMethod('POST', undefined, catalogAdmin); // POST /product/import
+
+      const productExport = product.addResource('export'); // product/export
+      productExport.addMethod('GET', undefined, catalogAdmin); // GET /product/export
     }
 
-    private createBasketApi(basketMicroservice: IFunction) {
+    private createBasketApi(basketMicroservice: IFunction, authorizerFunction: IFunction) {
         // Basket microservices api gateway
         // root name = basket
 
@@ -60,13 +93,24 @@ export class SwnApiGateway extends Construct {
         // GET /basket/{userName}
         // DELETE /basket/{userName}
 
+        // items of a basket, changed one at a time
+        // POST /basket/{userName}/items
+        // PATCH /basket/{userName}/items/{productId}
+        // DELETE /basket/{userName}/items/{productId}
+
         // checkout basket async flow
         // POST /basket/checkout
 
+        // every method requires a JWT, the userName comes from its claims
+        // GET /basket is restricted to the admin role by the handler
+
         const apigw = new LambdaRestApi(this, 'basketApi', {
             restApiName: 'Basket Service',
             handler: basketMicroservice,
-            proxy: false
+            proxy: false,
+            defaultMethodOptions: {
+                authorizer: new TokenAuthorizer(this, 'basketAuthorizer', { handler: authorizerFunction })
+            }
         });
 
         const basket = apigw.root.addResource('basket');
@@ -77,33 +121,66 @@ export class SwnApiGateway extends Construct {
         singleBasket.addMethod('GET');  // GET /basket/{userName}
         singleBasket.addMethod('DELETE'); // DELETE /basket/{userName}
 
+        const basketItems = singleBasket.addResource('items');
+        basketItems.addMethod('POST'); // POST /basket/{userName}/items
+
+        const basketItem = basketItems.addResource('{productId}');
+        basketItem.addMethod('PATCH'); // PATCH /basket/{userName}/items/{productId}
+        basketItem.addMethod('DELETE'); // DELETE /basket/{userName}/items/{productId}
+
         const basketCheckout = basket.addResource('checkout');
         basketCheckout.addMethod('POST'); // POST /basket/checkout
             // expected request payload : { userName : swn }
     }
 
-    private createOrderApi(orderingMicroservices: IFunction) {
+    private createOrderApi(orderingMicroservices: IFunction, authorizerFunction: IFunction) {
         // Ordering microservices api gateway
         // root name = order
 
         // GET /order
 	    // GET /order/{userName}
-        // expected request : xxx/order/swn?orderDate=timestamp
-        // ordering ms grap input and query parameters and filter to dynamo db
+        // expected request : xxx/order/swn?from=2024-01-01&to=2024-01-31&status=PAID
+        // the user's orders newest first, queried on the orderDate sort key
+        // GET /order/{userName}/{orderDate}
+        // GET /order/id/{orderId}
+        // lookup by order number, for support ("id" cannot be used as a userName in the routes above)
+
+        // order lifecycle
+        // PATCH /order/{userName}/{orderDate}/status
+        // POST /order/{userName}/{orderDate}/cancel
+
+        // every method requires a JWT, the userName comes from its claims
+        // GET /order is restricted to the admin role by the handler
 
         const apigw = new LambdaRestApi(this, 'orderApi', {
             restApiName: 'Order Service',
             handler: orderingMicroservices,
-            proxy: false
+            proxy: false,
+            defaultMethodOptions: {
+                authorizer: new TokenAuthorizer(this, 'orderAuthorizer', { handler: authorizerFunction })
+            }
         });
     
         const order = apigw.root.addResource('order');
         order.addMethod('GET');  // GET /order        
+
+        const orderById = order.addResource('id').addResource('{orderId}');
+        orderById.addMethod('GET'); // GET /order/id/{orderId}
     
         const singleOrder = order.addResource('{userName}');
         singleOrder.addMethod('GET');  // GET /order/{userName}
-            // expected request : xxx/order/swn?orderDate=timestamp
-            // ordering ms grap input and query parameters and filter to dynamo db
+            // expected request : xxx/order/swn?from=..&to=..&status=..&limit=..&nextToken=..
+
+        const datedOrder = singleOrder.addResource('{orderDate}');
+        datedOrder.addMethod('GET'); // GET /order/{userName}/{orderDate}
+
+        const orderStatus = datedOrder.addResource('status');
+        orderStatus.addMethod('PATCH'); // PATCH /order/{userName}/{orderDate}/status
+            // expected request payload : { status : PAID, actor : payments, reason : .. }
+
+        const orderCancel = datedOrder.addResource('cancel');
+        orderCancel.addMethod('POST'); // POST /order/{userName}/{orderDate}/cancel
+            // expected request payload : { reason : .., restoreBasket : true }
     
         return singleOrder;
     }
@@ -0,0 +1,64 @@
+import { Runtime } from "aws-cdk-lib/aws-lambda";
+import { NodejsFunction } from "aws-cdk-lib/aws-lambda-nodejs";
+import { Construct } from "constructs";
+import { existsSync, readFileSync } from "fs";
+import { join } from "path";
+
+interface SwnAuthProps {
+    // path of the JSON Web Key Set holding the public keys of the token issuer
+    jwksFile: string;
+    // expected iss and aud claims, not checked when unset
+    issuer?: string;
+    audience?: string;
+}
+
+export class SwnAuth extends Construct {
+
+    public readonly authorizerFunction: NodejsFunction;
+
+    constructor(scope: Construct, id: string, props: SwnAuthProps) {
+        super(scope, id);
+
+        this.authorizerFunction = this.createAuthorizerFunction(readJwks(props.jwksFile), props.issuer, props.audience);
+    }
+
+    private createAuthorizerFunction(jwks: string, issuer?: string, audience?: string) : NodejsFunction {
+      const environment: { [key: string]: string } = {
+        // the keys ship with the function, tokens are verified without calling the issuer
+        JWKS: jwks,
+        JWT_USERNAME_CLAIM: 'username',
+        JWT_ROLES_CLAIM: 'roles'
+      };
+      if (issuer != null) {
+        environment.JWT_ISSUER = issuer;
+      }
+      if (audience != null) {
+        environment.JWT_AUDIENCE = audience;
+      }
+
+      return new NodejsFunction(this, 'authorizerLambdaFunction', {
+        entry: join(__dirname, `/../src/authorizer/index.js`),
+        bundling: {
+          externalModules: [
+            'aws-sdk', // Use the 'aws-sdk' available in the Lambda runtime
+          ],
+        },
+        environment,
+        runtime: Runtime.NODEJS_14_X
+      });
+    }
+}
+
+// Fails the synth early on a missing or malformed key set, rather than every request at runtime.
+const readJwks = (jwksFile: string) => {
+  if (!existsSync(jwksFile)) {
+    throw new Error(`JSON Web Key Set ${jwksFile} not found : save the public keys of your token issuer there or pass -c jwksFile=<path>, see README.md`);
+  }
+  const jwks = JSON.parse(readFileSync(jwksFile, 'utf8'));
+  if (jwks == null || !Array.isArray(jwks.keys) || jwks.keys.length === 0) {
+    throw new Error(`${jwksFile} is not a JSON Web Key Set with at least one key`);
+  }
+  // private key members must never reach the function configuration
+  const publicKeys = jwks.keys.map(({ kty, kid, use, alg, n, e }: any) => ({ kty, kid, use, alg, n, e }));
+  return JSON.stringify({ keys: publicKeys });
+};
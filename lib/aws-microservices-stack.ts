@@ -1,6 +1,7 @@
 import { Stack, StackProps } from 'aws-cdk-lib';
 import { Construct } from 'constructs';
 import { SwnApiGateway } from './apigateway';
+import { SwnAuth } from './auth';
 import { SwnDatabase } from './database';
 import { SwnEventBus } from './eventbus';
 import { SwnMicroservices } from './microservice';
@@ -14,23 +15,46 @@ export class AwsMicroservicesStack extends Stack {
 
     const microservices = new SwnMicroservices(this, 'Microservices', {
       productTable: database.productTable,
+      productSearchTable: database.productSearchTable,
+      productPriceTable: database.productPriceTable,
       basketTable: database.basketTable,
-      orderTable: database.orderTable
+      orderTable: database.orderTable,
+      idempotencyTable: database.idempotencyTable,
+      outboxTable: database.outboxTable
+    });
+
+    // jwksFile defaults to ./jwks.json (cdk.json), override with cdk deploy -c jwksFile=... [-c jwtIssuer=https://... -c jwtAudience=...]
+    const jwksFile = this.node.tryGetContext('jwksFile');
+    if (jwksFile == null) {
+      throw new Error('Missing context jwksFile : the JSON Web Key Set that verifies API tokens (cdk deploy -c jwksFile=./jwks.json)');
+    }
+    const auth = new SwnAuth(this, 'Auth', {
+      jwksFile,
+      issuer: this.node.tryGetContext('jwtIssuer'),
+      audience: this.node.tryGetContext('jwtAudience')
     });
 
     const apigateway = new SwnApiGateway(this, 'ApiGateway', {
       productMicroservice: microservices.productMicroservice,
       basketMicroservice: microservices.basketMicroservice,
-      orderingMicroservices: microservices.orderingMicroservice
+      orderingMicroservices: microservices.orderingMicroservice,
+      authorizerFunction: auth.authorizerFunction
     });
     
+    // cdk deploy -c orderQueueMaxReceiveCount=5
+    const maxReceiveCount = this.node.tryGetContext('orderQueueMaxReceiveCount');
     const queue = new SwnQueue(this, 'Queue', {
-      consumer: microservices.orderingMicroservice
+      consumer: microservices.orderingMicroservice,
+      maxReceiveCount: (maxReceiveCount != null) ? Number(maxReceiveCount) : undefined,
+      quarantineWriters: [microservices.basketMicroservice, microservices.orderingMicroservice]
     });
 
     const eventbus = new SwnEventBus(this, 'EventBus', {
-      publisherFuntion: microservices.basketMicroservice,
-      targetQueue: queue.orderQueue   
+      publisherFuntion: microservices.outboxRelayMicroservice,
+      targetQueue: queue.orderQueue,
+      orderPublisherFunction: microservices.orderingMicroservice,
+      inventoryFunction: microservices.basketMicroservice,
+      redriveFunction: queue.redriveFunction
     });   
 
   }
@@ -1,26 +1,40 @@
 import { RemovalPolicy } from "aws-cdk-lib";
-import { AttributeType, BillingMode, ITable, Table } from "aws-cdk-lib/aws-dynamodb";
+import { AttributeType, BillingMode, ITable, ProjectionType, StreamViewType, Table } from "aws-cdk-lib/aws-dynamodb";
 import { Construct } from "constructs";
 
 export class SwnDatabase extends Construct {
 
     public readonly productTable: ITable;
+    public readonly productSearchTable: ITable;
+    public readonly productPriceTable: ITable;
     public readonly basketTable: ITable;
     public readonly orderTable: ITable;
+    public readonly idempotencyTable: ITable;
+    public readonly outboxTable: ITable;
 
     constructor(scope: Construct, id: string) {
         super(scope, id);
       
          //product table
          this.productTable = this.createProductTable();
+         //product search table
+         this.productSearchTable = this.createProductSearchTable();
+         //product price history table
+         this.productPriceTable = this.createProductPriceTable();
          //basket table
          this.basketTable = this.createBasketTable();
          //order table
          this.orderTable = this.createOrderTable(); 
+         //idempotency table
+         this.idempotencyTable = this.createIdempotencyTable();
+         //outbox table
+         this.outboxTable = this.createOutboxTable();
     }
 
     // Product DynamoDb Table Creation
     // product : PK: id -- name - description - imageFile - price - category
+      // categoryPriceIndex : PK: category - SK: price -> browse a category sorted by price
+      // categoryNameIndex : PK: category - SK: name -> browse a category sorted by name
     private createProductTable() : ITable {
       const productTable = new Table(this, 'product', {
         partitionKey: {
@@ -31,9 +45,100 @@ export class SwnDatabase extends Construct {
         removalPolicy: RemovalPolicy.DESTROY,
         billingMode: BillingMode.PAY_PER_REQUEST
       });
+
+      productTable.addGlobalSecondaryIndex({
+        indexName: 'categoryPriceIndex',
+        partitionKey: {
+          name: 'category',
+          type: AttributeType.STRING
+        },
+        sortKey: {
+          name: 'price',
+          type: AttributeType.NUMBER
+        }
+      });
+
+      productTable.addGlobalSecondaryIndex({
+        indexName: 'categoryNameIndex',
+        partitionKey: {
+          name: 'category',
+          type: AttributeType.STRING
+        },
+        sortKey: {
+          name: 'name',
+          type: AttributeType.STRING
+        }
+      });
       return productTable;
     }
 
+    // Product Search DynamoDb Table Creation
+    // productSearch : PK: term - SK: productId -- score (inverted index of product name, description and category)
+      // productIdIndex : PK: productId - SK: term -> terms of a product, to reindex or remove it
+      // termScoreIndex : PK: term - SK: score -> products of a term, best scored first
+    private createProductSearchTable() : ITable {
+      const productSearchTable = new Table(this, 'productSearch', {
+        partitionKey: {
+          name: 'term',
+          type: AttributeType.STRING
+        },
+        sortKey: {
+          name: 'productId',
+          type: AttributeType.STRING
+        },
+        tableName: 'productSearch',
+        removalPolicy: RemovalPolicy.DESTROY,
+        billingMode: BillingMode.PAY_PER_REQUEST
+      });
+
+      productSearchTable.addGlobalSecondaryIndex({
+        indexName: 'productIdIndex',
+        partitionKey: {
+          name: 'productId',
+          type: AttributeType.STRING
+        },
+        sortKey: {
+          name: 'term',
+          type: AttributeType.STRING
+        },
+        projectionType: ProjectionType.KEYS_ONLY
+      });
+
+      productSearchTable.addGlobalSecondaryIndex({
+        indexName: 'termScoreIndex',
+        partitionKey: {
+          name: 'term',
+          type: AttributeType.STRING
+        },
+        sortKey: {
+          name: 'score',
+          type: AttributeType.NUMBER
+        },
+        projectionType: ProjectionType.KEYS_ONLY
+      });
+      return productSearchTable;
+    }
+
+    // Product Price History DynamoDb Table Creation
+    // productPrice : PK: productId - SK: entryKey ("{effectiveFrom}#{version}") -- effectiveFrom - version - price - source - changedBy - changedAt
+      // every price given to a product, scheduled ones included; read latest first
+    private createProductPriceTable() : ITable {
+      const productPriceTable = new Table(this, 'productPrice', {
+        partitionKey: {
+          name: 'productId',
+          type: AttributeType.STRING
+        },
+        sortKey: {
+          name: 'entryKey',
+          type: AttributeType.STRING
+        },
+        tableName: 'productPrice',
+        removalPolicy: RemovalPolicy.DESTROY,
+        billingMode: BillingMode.PAY_PER_REQUEST
+      });
+      return productPriceTable;
+    }
+
     // Basket DynamoDb Table Creation
         // basket : PK: userName -- items (SET-MAP object) 
           // item1 - { quantity - color - price - productId - productName }
@@ -52,7 +157,8 @@ export class SwnDatabase extends Construct {
     }
 
     // Order DynamoDb Table Creation
-    // order : PK: userName - SK: orderDate -- totalPrice - firstName - lastName - email - address - paymentMethod - cardInfo
+    // order : PK: userName - SK: orderDate -- orderId - totalPrice - firstName - lastName - email - address - paymentMethod - cardInfo
+      // orderIdIndex : PK: orderId -> lookup by order number (GET /order/id/{orderId})
     private createOrderTable() : ITable {
       const orderTable = new Table(this, 'order', {
           partitionKey: {
@@ -67,8 +173,64 @@ export class SwnDatabase extends Construct {
           removalPolicy: RemovalPolicy.DESTROY,
           billingMode: BillingMode.PAY_PER_REQUEST
       });
+
+      orderTable.addGlobalSecondaryIndex({
+        indexName: 'orderIdIndex',
+        partitionKey: {
+          name: 'orderId',
+          type: AttributeType.STRING
+        }
+      });
       return orderTable;
     }
 
-}
+    // Idempotency DynamoDb Table Creation
+    // idempotency : PK: id -- status - requestHash - response - orderReference - expiresAt (TTL)
+      // checkout#{userName}#{key} : Idempotency-Key records of POST /basket/checkout
+      // order#{userName}#{key} : dedupe records of orders created from CheckoutBasket events
+      // orderId#{orderId} : order numbers taken, kept for good (no expiresAt)
+    private createIdempotencyTable() : ITable {
+      const idempotencyTable = new Table(this, 'idempotency', {
+        partitionKey: {
+          name: 'id',
+          type: AttributeType.STRING
+        },
+        tableName: 'idempotency',
+        timeToLiveAttribute: 'expiresAt',
+        removalPolicy: RemovalPolicy.DESTROY,
+        billingMode: BillingMode.PAY_PER_REQUEST
+      });
+      return idempotencyTable;
+    }
+
+    // Outbox DynamoDb Table Creation
+    // outbox : PK: id -- status - source - detailType - eventBusName - detail - attempts - lastError - createdAt - updatedAt - publishedAt
+      // statusIndex : PK: status - SK: createdAt -> relay sweeps for PENDING entries
+      // stream (NEW_IMAGE) : relay publishes new entries as soon as they are committed
+    private createOutboxTable() : ITable {
+      const outboxTable = new Table(this, 'outbox', {
+        partitionKey: {
+          name: 'id',
+          type: AttributeType.STRING
+        },
+        tableName: 'outbox',
+        stream: StreamViewType.NEW_IMAGE,
+        removalPolicy: RemovalPolicy.DESTROY,
+        billingMode: BillingMode.PAY_PER_REQUEST
+      });
 
+      outboxTable.addGlobalSecondaryIndex({
+        indexName: 'statusIndex',
+        partitionKey: {
+          name: 'status',
+          type: AttributeType.STRING
+        },
+        sortKey: {
+          name: 'createdAt',
+          type: AttributeType.STRING
+        }
+      });
+      return outboxTable;
+    }
+
+}
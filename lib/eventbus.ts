@@ -1,12 +1,18 @@
 import { EventBus, Rule } from "aws-cdk-lib/aws-events";
-import { SqsQueue } from "aws-cdk-lib/aws-events-targets";
+import { LambdaFunction, SqsQueue } from "aws-cdk-lib/aws-events-targets";
+import { CfnRegistry, CfnSchema } from "aws-cdk-lib/aws-eventschemas";
 import { IFunction } from "aws-cdk-lib/aws-lambda";
 import { IQueue } from "aws-cdk-lib/aws-sqs";
 import { Construct } from "constructs";
+import { readdirSync, readFileSync } from "fs";
+import { join } from "path";
 
 interface SwnEventBusProps {
     publisherFuntion: IFunction;
     targetQueue: IQueue;
+    orderPublisherFunction: IFunction;
+    inventoryFunction: IFunction;
+    redriveFunction: IFunction;
 }
 
 export class SwnEventBus extends Construct {
@@ -39,6 +45,66 @@ export class SwnEventBus extends Construct {
         bus.grantPutEventsTo(props.publisherFuntion);
             // AccessDeniedException - is not authorized to perform: events:PutEvents
 
+        // compensation : ordering ms could not persist the order -> inventory releases the reserved stock
+        const releaseStockRule = new Rule(this, 'ReleaseStockRule', {
+            eventBus: bus,
+            enabled: true,
+            description: 'When Ordering microservice fails to create an order from a checkout',
+            eventPattern: {
+                source: ['com.swn.ordering.order'],
+                detailType: ['OrderFailed']
+            },
+            ruleName: 'ReleaseStockRule'
+        });
+
+        releaseStockRule.addTarget(new LambdaFunction(props.inventoryFunction));
+
+        // compensation : the customer cancelled the order -> inventory restocks and can restore the basket
+        const orderCancelledRule = new Rule(this, 'OrderCancelledRule', {
+            eventBus: bus,
+            enabled: true,
+            description: 'When an order is cancelled in the Ordering microservice',
+            eventPattern: {
+                source: ['com.swn.ordering.order'],
+                detailType: ['OrderCancelled']
+            },
+            ruleName: 'OrderCancelledRule'
+        });
+
+        orderCancelledRule.addTarget(new LambdaFunction(props.inventoryFunction));
+
+        bus.grantPutEventsTo(props.orderPublisherFunction);
+        // discarding a dead-lettered checkout publishes OrderFailed
+        bus.grantPutEventsTo(props.redriveFunction);
+
+        // event contracts
+        this.createSchemaRegistry();
+    }
+
+    // Publishes the versioned event contracts the services validate against (src/shared/events)
+    // to an EventBridge schema registry : {DetailType}.v{version}.json -> schema "{DetailType}-v{version}"
+    private createSchemaRegistry() {
+        const registry = new CfnRegistry(this, 'SwnEventRegistry', {
+            registryName: 'SwnEventRegistry',
+            description: 'Versioned contracts of the events published on SwnEventBus'
+        });
+
+        const schemasDirectory = join(__dirname, '/../src/shared/events');
+        readdirSync(schemasDirectory)
+            .map((fileName) => fileName.match(/^(\w+)\.v(\d+)\.json$/))
+            .forEach((match) => {
+                if (match == null) {
+                    return;
+                }
+                const [fileName, detailType, version] = match;
+                const schema = new CfnSchema(this, `${detailType}V${version}Schema`, {
+                    registryName: registry.attrRegistryName,
+                    schemaName: `${detailType}-v${version}`,
+                    type: 'JSONSchemaDraft4',
+                    content: readFileSync(join(schemasDirectory, fileName), 'utf8')
+                });
+                schema.addDependsOn(registry);
+            });
     }
 
 }
\ No newline at end of file
@@ -1,13 +1,21 @@
+import { Duration } from "aws-cdk-lib";
 import { ITable } from "aws-cdk-lib/aws-dynamodb";
-import { Runtime } from "aws-cdk-lib/aws-lambda";
+import { Rule, Schedule } from "aws-cdk-lib/aws-events";
+import { LambdaFunction } from "aws-cdk-lib/aws-events-targets";
+import { Runtime, StartingPosition } from "aws-cdk-lib/aws-lambda";
+import { DynamoEventSource } from "aws-cdk-lib/aws-lambda-event-sources";
 import { NodejsFunction, NodejsFunctionProps } from "aws-cdk-lib/aws-lambda-nodejs";
 import { Construct } from "constructs";
 import { join } from "path";
 
 interface SwnMicroservicesProps {
     productTable: ITable;
+    productSearchTable: ITable;
+    productPriceTable: ITable;
     basketTable: ITable;
     orderTable: ITable;
+    idempotencyTable: ITable;
+    outboxTable: ITable;
 }
 
 export class SwnMicroservices extends Construct {
@@ -15,19 +23,22 @@ export class SwnMicroservices extends Construct {
   public readonly productMicroservice: NodejsFunction;
   public readonly basketMicroservice: NodejsFunction;
   public readonly orderingMicroservice: NodejsFunction;
+  public readonly outboxRelayMicroservice: NodejsFunction;
 
   constructor(scope: Construct, id: string, props: SwnMicroservicesProps) {
     super(scope, id);
 
     // product microservices
-    this.productMicroservice = this.createProductFunction(props.productTable);
+    this.productMicroservice = this.createProductFunction(props.productTable, props.productSearchTable, props.productPriceTable);
     // basket microservices
-    this.basketMicroservice = this.createBasketFunction(props.basketTable);
+    this.basketMicroservice = this.createBasketFunction(props.basketTable, props.productTable, props.idempotencyTable, props.outboxTable);
+    // basket outbox relay
+    this.outboxRelayMicroservice = this.createOutboxRelayFunction(props.outboxTable);
     // ordering Microservice
-    this.orderingMicroservice = this.createOrderingFunction(props.orderTable);
+    this.orderingMicroservice = this.createOrderingFunction(props.orderTable, props.idempotencyTable, props.outboxTable);
   }
 
-  private createProductFunction(productTable: ITable) : NodejsFunction {
+  private createProductFunction(productTable: ITable, productSearchTable: ITable, productPriceTable: ITable) : NodejsFunction {
     const nodeJsFunctionProps: NodejsFunctionProps = {
       bundling: {
         externalModules: [
@@ -36,9 +47,17 @@ export class SwnMicroservices extends Construct {
       },
       environment: {
         PRIMARY_KEY: 'id',
-        DYNAMODB_TABLE_NAME: productTable.tableName
+        DYNAMODB_TABLE_NAME: productTable.tableName,
+        CATEGORY_PRICE_INDEX: 'categoryPriceIndex',
+        CATEGORY_NAME_INDEX: 'categoryNameIndex',
+        SEARCH_TABLE_NAME: productSearchTable.tableName,
+        SEARCH_PRODUCT_INDEX: 'productIdIndex',
+        SEARCH_SCORE_INDEX: 'termScoreIndex',
+        PRICE_TABLE_NAME: productPriceTable.tableName
       },
-      runtime: Runtime.NODEJS_14_X
+      runtime: Runtime.NODEJS_14_X,
+      // bulk imports and exports take longer than the default 3 seconds, API Gateway waits 29 seconds at most
+      timeout: Duration.seconds(29)
     }
 
     // Product microservices lambda function
@@ -48,11 +67,15 @@ export class SwnMicroservices extends Construct {
     });
 
     productTable.grantReadWriteData(productFunction); 
+    // product writes keep the search index up to date
+    productSearchTable.grantReadWriteData(productFunction);
+    // price changes are recorded in the price history
+    productPriceTable.grantReadWriteData(productFunction);
     
     return productFunction;
   }
 
-  private createBasketFunction(basketTable: ITable) : NodejsFunction {
+  private createBasketFunction(basketTable: ITable, productTable: ITable, idempotencyTable: ITable, outboxTable: ITable) : NodejsFunction {
     const basketFunctionProps: NodejsFunctionProps = {
       bundling: {
           externalModules: [
@@ -62,9 +85,14 @@ export class SwnMicroservices extends Construct {
       environment: {
           PRIMARY_KEY: 'userName',
           DYNAMODB_TABLE_NAME: basketTable.tableName,
+          PRODUCT_TABLE_NAME: productTable.tableName,
+          IDEMPOTENCY_TABLE_NAME: idempotencyTable.tableName,
+          OUTBOX_TABLE_NAME: outboxTable.tableName,
           EVENT_SOURCE: "com.swn.basket.checkoutbasket",
           EVENT_DETAILTYPE: "CheckoutBasket",
-          EVENT_BUSNAME: "SwnEventBus"
+          EVENT_BUSNAME: "SwnEventBus",
+          ORDER_FAILED_DETAILTYPE: "OrderFailed",
+          ORDER_CANCELLED_DETAILTYPE: "OrderCancelled"
       },
       runtime: Runtime.NODEJS_14_X,
     }
@@ -75,10 +103,53 @@ export class SwnMicroservices extends Construct {
     });
 
     basketTable.grantReadWriteData(basketFunction);
+    // checkout re-prices basket items and reserves their stock on the product table
+    productTable.grantReadWriteData(basketFunction);
+    idempotencyTable.grantReadWriteData(basketFunction);
+    // checkout writes its CheckoutBasket event to the outbox, the relay publishes it
+    outboxTable.grantReadWriteData(basketFunction);
     return basketFunction;
   }
 
-  private createOrderingFunction(orderTable: ITable) : NodejsFunction {
+  private createOutboxRelayFunction(outboxTable: ITable) : NodejsFunction {
+    const outboxRelayFunctionProps: NodejsFunctionProps = {
+      bundling: {
+          externalModules: [
+              'aws-sdk', // Use the 'aws-sdk' available in the Lambda runtime
+          ],
+      },
+      environment: {
+          OUTBOX_TABLE_NAME: outboxTable.tableName,
+          OUTBOX_STATUS_INDEX: 'statusIndex'
+      },
+      runtime: Runtime.NODEJS_14_X,
+    }
+
+    const outboxRelayFunction = new NodejsFunction(this, 'outboxRelayLambdaFunction', {
+      entry: join(__dirname, `/../src/basket/outboxRelay.js`),
+      ...outboxRelayFunctionProps,
+    });
+
+    outboxTable.grantReadWriteData(outboxRelayFunction);
+
+    // publish new entries as soon as checkout commits them
+    outboxRelayFunction.addEventSource(new DynamoEventSource(outboxTable, {
+      startingPosition: StartingPosition.LATEST,
+      batchSize: 10,
+      retryAttempts: 3
+    }));
+
+    // sweep entries the stream invocation could not publish
+    const outboxSweepRule = new Rule(this, 'OutboxSweepRule', {
+      schedule: Schedule.rate(Duration.minutes(1)),
+      description: 'Republish pending basket outbox entries'
+    });
+    outboxSweepRule.addTarget(new LambdaFunction(outboxRelayFunction));
+
+    return outboxRelayFunction;
+  }
+
+  private createOrderingFunction(orderTable: ITable, idempotencyTable: ITable, outboxTable: ITable) : NodejsFunction {
     const nodeJsFunctionProps: NodejsFunctionProps = {
         bundling: {
             externalModules: [
@@ -89,6 +160,13 @@ export class SwnMicroservices extends Construct {
             PRIMARY_KEY: 'userName',
             SORT_KEY: 'orderDate',
             DYNAMODB_TABLE_NAME: orderTable.tableName,
+            IDEMPOTENCY_TABLE_NAME: idempotencyTable.tableName,
+            ORDER_ID_INDEX: 'orderIdIndex',
+            OUTBOX_TABLE_NAME: outboxTable.tableName,
+            EVENT_SOURCE: "com.swn.ordering.order",
+            EVENT_BUSNAME: "SwnEventBus",
+            ORDER_FAILED_DETAILTYPE: "OrderFailed",
+            ORDER_CANCELLED_DETAILTYPE: "OrderCancelled"
         },
         runtime: Runtime.NODEJS_14_X,
     }
@@ -99,6 +177,9 @@ export class SwnMicroservices extends Construct {
     });
 
     orderTable.grantReadWriteData(orderFunction);
+    idempotencyTable.grantReadWriteData(orderFunction);
+    // cancellations write their OrderCancelled event to the outbox, the relay publishes it
+    outboxTable.grantReadWriteData(orderFunction);
     return orderFunction;
   }
 
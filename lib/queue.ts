@@ -1,28 +1,89 @@
 import { Duration } from "aws-cdk-lib";
-import { IFunction } from "aws-cdk-lib/aws-lambda";
+import { IFunction, Runtime } from "aws-cdk-lib/aws-lambda";
 import { SqsEventSource } from "aws-cdk-lib/aws-lambda-event-sources";
+import { NodejsFunction } from "aws-cdk-lib/aws-lambda-nodejs";
 import { IQueue, Queue } from "aws-cdk-lib/aws-sqs";
 import { Construct } from "constructs";
+import { join } from "path";
 
 interface SwnQueueProps {
     consumer: IFunction;
+    // attempts per message before it moves to the dead-letter queue
+    maxReceiveCount?: number;
+    // event consumers that park events breaking their contract in the quarantine queue
+    quarantineWriters: NodejsFunction[];
 }
 
+const DEFAULT_MAX_RECEIVE_COUNT = 3;
+
 export class SwnQueue extends Construct {
 
     public readonly orderQueue: IQueue;
+    public readonly orderDeadLetterQueue: IQueue;
+    public readonly eventQuarantineQueue: IQueue;
+    public readonly redriveFunction: NodejsFunction;
 
     constructor(scope: Construct, id: string, props: SwnQueueProps) {
         super(scope, id);
 
+      //dead-letter queue
+      this.orderDeadLetterQueue = new Queue(this, 'OrderDeadLetterQueue', {
+        queueName : 'OrderDeadLetterQueue',
+        retentionPeriod: Duration.days(14) // maximum, leaves on-call time to redrive
+      });
+
       //queue
       this.orderQueue = new Queue(this, 'OrderQueue', {
         queueName : 'OrderQueue',
-        visibilityTimeout: Duration.seconds(30) // default value
+        visibilityTimeout: Duration.seconds(30), // default value
+        deadLetterQueue: {
+          queue: this.orderDeadLetterQueue,
+          maxReceiveCount: props.maxReceiveCount ?? DEFAULT_MAX_RECEIVE_COUNT
+        }
       });
       
+      // the consumer reports failed messages in batchItemFailures, only those are retried
       props.consumer.addEventSource(new SqsEventSource(this.orderQueue, {
-          batchSize: 1
+          batchSize: 10,
+          reportBatchItemFailures: true
       }));
+
+      // redrive tool for on-call
+      this.redriveFunction = this.createRedriveFunction();
+
+      //quarantine queue : events with an unknown schemaVersion or an invalid detail
+      this.eventQuarantineQueue = new Queue(this, 'EventQuarantineQueue', {
+        queueName : 'EventQuarantineQueue',
+        retentionPeriod: Duration.days(14)
+      });
+      props.quarantineWriters.forEach((writer) => {
+        writer.addEnvironment('QUARANTINE_QUEUE_URL', this.eventQuarantineQueue.queueUrl);
+        this.eventQuarantineQueue.grantSendMessages(writer);
+      });
+    }
+
+    private createRedriveFunction() : NodejsFunction {
+      const redriveFunction = new NodejsFunction(this, 'orderRedriveLambdaFunction', {
+        entry: join(__dirname, `/../src/ordering/redrive.js`),
+        bundling: {
+          externalModules: [
+            'aws-sdk', // Use the 'aws-sdk' available in the Lambda runtime
+          ],
+        },
+        environment: {
+          ORDER_QUEUE_URL: this.orderQueue.queueUrl,
+          DEAD_LETTER_QUEUE_URL: this.orderDeadLetterQueue.queueUrl,
+          EVENT_SOURCE: "com.swn.ordering.order",
+          EVENT_BUSNAME: "SwnEventBus",
+          ORDER_FAILED_DETAILTYPE: "OrderFailed"
+        },
+        runtime: Runtime.NODEJS_14_X,
+        // scanning the dead-letter queue for one message takes several receive calls
+        timeout: Duration.seconds(60)
+      });
+
+      this.orderDeadLetterQueue.grantConsumeMessages(redriveFunction);
+      this.orderQueue.grantSendMessages(redriveFunction);
+      return redriveFunction;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,280 @@
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import { URL } from 'url';
+import { arn, LocalAssembly } from './assembly';
+import { readBody } from './endpoint';
+import { LocalFunction, requestId } from './lambda';
+
+// Local API Gateway : serves the resources and methods of every RestApi in the stack on one port,
+// and invokes the integrated functions with API Gateway proxy events.
+// TOKEN authorizers run before the integration on every request, their results are not cached.
+
+const STAGE = 'prod';
+
+interface Authorizer {
+  fn: LocalFunction;
+  // header carrying the token, from the identity source method.request.header.<name>
+  header: string;
+}
+
+interface Method {
+  restApiId: string;
+  fn: LocalFunction;
+  authorizer?: Authorizer;
+}
+
+interface Route {
+  resourcePath: string;
+  segments: string[];
+  methods: Map<string, Method>;
+}
+
+export class LocalApiGateway {
+
+    public readonly routes: Route[] = [];
+    private readonly server: http.Server;
+
+    constructor(assembly: LocalAssembly, functions: Map<string, LocalFunction>) {
+      const restApiIds = new Set(assembly.resources('AWS::ApiGateway::RestApi').map((resource) => resource.logicalId));
+      const resources = new Map(assembly.resources('AWS::ApiGateway::Resource').map((resource) => [resource.logicalId, resource.properties]));
+      const authorizers = new Map<string, Authorizer>();
+      assembly.resources('AWS::ApiGateway::Authorizer').forEach(({ logicalId, properties }) => {
+        const fn = functions.get(assembly.referencedId(properties.AuthorizerUri)!);
+        const header = /^method\.request\.header\.(.+)$/.exec(properties.IdentitySource || '');
+        if (properties.Type !== 'TOKEN' || fn == null || header == null) {
+          console.warn(`[local] ${logicalId} : only TOKEN authorizers reading a header are supported locally`);
+          return;
+        }
+        authorizers.set(logicalId, { fn, header: header[1] });
+      });
+
+      // a resource's path is its parent's path plus its own part, up to the root resource of its RestApi
+      const pathOf = (resourceId: string): string => {
+        if (restApiIds.has(resourceId)) {
+          return '';
+        }
+        const resource = resources.get(resourceId);
+        return `${pathOf(assembly.referencedId(resource.ParentId)!)}/${resource.PathPart}`;
+      };
+
+      assembly.resources('AWS::ApiGateway::Method').forEach(({ logicalId, properties }) => {
+        const integration = properties.Integration || {};
+        const fn = functions.get(assembly.referencedId(integration.Uri)!);
+        if (integration.Type !== 'AWS_PROXY' || fn == null) {
+          console.warn(`[local] ${logicalId} is not a Lambda proxy integration, it is not served locally`);
+          return;
+        }
+        let authorizer: Authorizer | undefined;
+        if (properties.AuthorizationType === 'CUSTOM') {
+          authorizer = authorizers.get(assembly.referencedId(properties.AuthorizerId)!);
+          if (authorizer == null) {
+            // never serve a protected method unprotected
+            console.warn(`[local] ${logicalId} : its authorizer is not supported locally, it is not served locally`);
+            return;
+          }
+        } else if (properties.AuthorizationType != null && properties.AuthorizationType !== 'NONE') {
+          console.warn(`[local] ${logicalId} : ${properties.AuthorizationType} authorization is not enforced locally`);
+        }
+
+        const resourcePath = pathOf(assembly.referencedId(properties.ResourceId)!) || '/';
+        let route = this.routes.find((candidate) => candidate.resourcePath === resourcePath);
+        if (route == null) {
+          route = { resourcePath, segments: resourcePath.split('/').filter((segment) => segment.length > 0), methods: new Map() };
+          this.routes.push(route);
+        }
+        route.methods.set(properties.HttpMethod, { restApiId: assembly.referencedId(properties.RestApiId)!, fn, authorizer });
+      });
+
+      this.server = http.createServer((req, res) => {
+        readBody(req)
+          .then((body) => this.dispatch(req, body))
+          .then(({ statusCode, headers, body }) => {
+            res.writeHead(statusCode, headers);
+            res.end(body);
+          });
+      });
+    }
+
+    public listen(port: number): Promise<string> {
+      return new Promise((resolve) => {
+        this.server.listen(port, () => {
+          resolve(`http://localhost:${(this.server.address() as AddressInfo).port}`);
+        });
+      });
+    }
+
+    public close(): Promise<void> {
+      return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    private async dispatch(req: http.IncomingMessage, body: string) {
+      const url = new URL(req.url || '/', 'http://localhost');
+      const method = req.method || 'GET';
+      const match = this.match(url.pathname);
+      const apiMethod = (match != null) ? (match.route.methods.get(method) || match.route.methods.get('ANY')) : undefined;
+      if (match == null || apiMethod == null) {
+        // what API Gateway answers for a resource or method that does not exist
+        return jsonResponse(403, { message: 'Missing Authentication Token' });
+      }
+
+      const event = this.toEvent(req, url, method, body, match.route, match.pathParameters);
+      if (apiMethod.authorizer != null) {
+        const methodArn = arn('execute-api', `${apiMethod.restApiId}/${STAGE}/${method}${url.pathname}`);
+        const denied = await authorize(apiMethod.authorizer, event, methodArn);
+        if (denied != null) {
+          return denied;
+        }
+      }
+
+      const fn = apiMethod.fn;
+      try {
+        const result = await fn.invoke(event);
+        if (result == null || typeof result.statusCode !== 'number') {
+          console.error(`[local] ${fn.functionName} returned an invalid proxy response`, result);
+          return jsonResponse(502, { message: 'Internal server error' });
+        }
+        const headers = { ...result.headers, ...result.multiValueHeaders, 'x-amzn-RequestId': event.requestContext.requestId };
+        const resultBody = (result.body == null) ? '' : (result.isBase64Encoded ? Buffer.from(result.body, 'base64') : result.body);
+        return { statusCode: result.statusCode, headers, body: resultBody };
+
+      } catch (e) {
+        console.error(`[local] ${fn.functionName} failed`, e);
+        return jsonResponse(502, { message: 'Internal server error' });
+      }
+    }
+
+    // Static segments win over path parameters, like in API Gateway.
+    private match(pathname: string) {
+      const segments = pathname.split('/').filter((segment) => segment.length > 0);
+      const candidates = this.routes
+        .map((route) => ({ route, pathParameters: matchSegments(route.segments, segments) }))
+        .filter((candidate) => candidate.pathParameters != null)
+        .sort((a, b) => specificity(b.route) - specificity(a.route));
+      return candidates[0] as { route: Route, pathParameters: { [name: string]: string } } | undefined;
+    }
+
+    private toEvent(req: http.IncomingMessage, url: URL, method: string, body: string, route: Route, pathParameters: { [name: string]: string }) {
+      const headers: { [name: string]: string } = {};
+      const multiValueHeaders: { [name: string]: string[] } = {};
+      for (let index = 0; index < req.rawHeaders.length; index += 2) {
+        const [name, value] = [req.rawHeaders[index], req.rawHeaders[index + 1]];
+        headers[name] = value;
+        multiValueHeaders[name] = (multiValueHeaders[name] || []).concat(value);
+      }
+
+      const queryStringParameters: { [name: string]: string } = {};
+      const multiValueQueryStringParameters: { [name: string]: string[] } = {};
+      url.searchParams.forEach((value, name) => {
+        queryStringParameters[name] = value;
+        multiValueQueryStringParameters[name] = (multiValueQueryStringParameters[name] || []).concat(value);
+      });
+      const hasQuery = Object.keys(queryStringParameters).length > 0;
+
+      return {
+        resource: route.resourcePath,
+        path: url.pathname,
+        httpMethod: method,
+        headers: headers,
+        multiValueHeaders: multiValueHeaders,
+        queryStringParameters: hasQuery ? queryStringParameters : null,
+        multiValueQueryStringParameters: hasQuery ? multiValueQueryStringParameters : null,
+        pathParameters: (Object.keys(pathParameters).length > 0) ? pathParameters : null,
+        stageVariables: null,
+        requestContext: {
+          requestId: requestId(),
+          resourcePath: route.resourcePath,
+          httpMethod: method,
+          path: `/${STAGE}${url.pathname}`,
+          stage: STAGE,
+          requestTimeEpoch: Date.now(),
+          identity: { sourceIp: req.socket.remoteAddress }
+        },
+        body: (body.length > 0) ? body : null,
+        isBase64Encoded: false
+      };
+    }
+}
+
+// Runs the authorizer like API Gateway does : on success its context (and principalId) reach the integration
+// as requestContext.authorizer, otherwise the API Gateway error response is returned.
+const authorize = async (authorizer: Authorizer, event: any, methodArn: string) => {
+  const headerName = Object.keys(event.headers).find((name) => name.toLowerCase() === authorizer.header.toLowerCase());
+  const token = (headerName != null) ? event.headers[headerName] : undefined;
+  if (token == null || token === '') {
+    return jsonResponse(401, { message: 'Unauthorized' });
+  }
+
+  let result;
+  try {
+    result = await authorizer.fn.invoke({ type: 'TOKEN', authorizationToken: token, methodArn });
+  } catch (e) {
+    if (e.message === 'Unauthorized') {
+      return jsonResponse(401, { message: 'Unauthorized' });
+    }
+    console.error(`[local] ${authorizer.fn.functionName} failed`, e);
+    return jsonResponse(500, { message: null });
+  }
+
+  const statements: any[] = ((result && result.policyDocument) || {}).Statement || [];
+  const matching = statements.filter((statement) => toArray(statement.Resource).some((resource: string) => globMatch(resource, methodArn)));
+  if (matching.some((statement) => statement.Effect === 'Deny')) {
+    return jsonResponse(403, { Message: 'User is not authorized to access this resource with an explicit deny' });
+  }
+  if (!matching.some((statement) => statement.Effect === 'Allow')) {
+    return jsonResponse(403, { Message: 'User is not authorized to access this resource' });
+  }
+
+  event.requestContext.authorizer = { ...result.context, principalId: result.principalId };
+  return undefined;
+};
+
+const toArray = (value: any) => (value == null) ? [] : (Array.isArray(value) ? value : [value]);
+
+// IAM resource patterns : * matches any run of characters, ? a single one
+const globMatch = (pattern: string, value: string) => {
+  const expression = pattern.split('').map((char) => {
+    if (char === '*') {
+      return '.*';
+    }
+    return (char === '?') ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${expression}$`).test(value);
+};
+
+// Path parameters are passed on as they appear in the URL.
+const matchSegments = (routeSegments: string[], segments: string[]) => {
+  const pathParameters: { [name: string]: string } = {};
+  for (let index = 0; index < routeSegments.length; index++) {
+    const routeSegment = routeSegments[index];
+    const greedy = /^\{(.+)\+\}$/.exec(routeSegment);
+    if (greedy != null) {
+      if (index >= segments.length) {
+        return undefined;
+      }
+      pathParameters[greedy[1]] = segments.slice(index).join('/');
+      return pathParameters;
+    }
+    if (index >= segments.length) {
+      return undefined;
+    }
+    const parameter = /^\{(.+)\}$/.exec(routeSegment);
+    if (parameter != null) {
+      pathParameters[parameter[1]] = segments[index];
+    } else if (routeSegment !== segments[index]) {
+      return undefined;
+    }
+  }
+  return (routeSegments.length === segments.length) ? pathParameters : undefined;
+};
+
+// one digit per segment : 2 for a static segment, 1 for a parameter, 0 for a greedy parameter
+const specificity = (route: Route) => route.segments.reduce((score, segment) => {
+  const weight = /^\{.+\+\}$/.test(segment) ? 0 : /^\{.+\}$/.test(segment) ? 1 : 2;
+  return score * 10 + weight;
+}, 0) * Math.pow(10, Math.max(0, 10 - route.segments.length));
+
+const jsonResponse = (statusCode: number, body: any) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json' } as { [name: string]: any },
+  body: JSON.stringify(body)
+});
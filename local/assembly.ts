@@ -0,0 +1,148 @@
+import { App } from 'aws-cdk-lib';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { AwsMicroservicesStack } from '../lib/aws-microservices-stack';
+
+export const LOCAL_REGION = 'us-east-1';
+export const LOCAL_ACCOUNT = '000000000000';
+
+export interface TemplateResource {
+    logicalId: string;
+    type: string;
+    properties: any;
+    metadata: any;
+}
+
+// Physical values of a resource : what `Ref` returns and the attributes `Fn::GetAtt` can read.
+export interface ResourceAttributes {
+    ref: string;
+    [attribute: string]: string;
+}
+
+// Synthesizes the stack exactly like `cdk synth` does, Lambda code included (bundled with the local esbuild),
+// so the harness runs the same handlers, tables, rules and routes that get deployed.
+export class LocalAssembly {
+
+    public readonly directory: string;
+    private readonly template: any;
+    private readonly attributes = new Map<string, ResourceAttributes>();
+
+    // context : added to the context of cdk.json, like `cdk synth -c key=value`
+    constructor(context: { [key: string]: any } = {}) {
+      this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'swn-local-'));
+
+      const cdkJson = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'cdk.json'), 'utf8'));
+      const app = new App({
+        outdir: this.directory,
+        context: {
+          ...cdkJson.context,
+          ...context,
+          // records the bundled code directory of every function in its metadata
+          'aws:cdk:enable-asset-metadata': true
+        }
+      });
+      const stack = new AwsMicroservicesStack(app, 'AwsMicroservicesStack');
+      this.template = app.synth().getStackByName(stack.stackName).template;
+    }
+
+    public resources(type: string): TemplateResource[] {
+      return Object.keys(this.template.Resources)
+        .map((logicalId) => ({ logicalId, ...this.template.Resources[logicalId] }))
+        .filter((resource) => resource.Type === type)
+        .map((resource) => ({
+          logicalId: resource.logicalId,
+          type: resource.Type,
+          properties: resource.Properties || {},
+          metadata: resource.Metadata || {}
+        }));
+    }
+
+    // Directory holding the bundled index.js of a function.
+    public codeDirectory(fn: TemplateResource): string {
+      const assetPath = fn.metadata['aws:asset:path'];
+      if (assetPath == null) {
+        throw new Error(`Function ${fn.logicalId} has no bundled code`);
+      }
+      return path.join(this.directory, assetPath);
+    }
+
+    public register(logicalId: string, attributes: ResourceAttributes) {
+      this.attributes.set(logicalId, attributes);
+    }
+
+    // Resolves the intrinsic functions the stack uses (Ref, Fn::GetAtt, Fn::Join) against the registered resources.
+    public resolve(value: any): any {
+      if (value == null || typeof value !== 'object') {
+        return value;
+      }
+      if (Array.isArray(value)) {
+        return value.map((item) => this.resolve(item));
+      }
+      if (value.Ref != null) {
+        return this.pseudoParameter(value.Ref) || this.lookup(value.Ref, 'ref');
+      }
+      if (value['Fn::GetAtt'] != null) {
+        const [logicalId, attribute] = value['Fn::GetAtt'];
+        return this.lookup(logicalId, attribute);
+      }
+      if (value['Fn::Join'] != null) {
+        const [separator, parts] = value['Fn::Join'];
+        return this.resolve(parts).join(separator);
+      }
+      return Object.keys(value).reduce((acc, key) => ({ ...acc, [key]: this.resolve(value[key]) }), {});
+    }
+
+    // Logical id a `Ref`/`Fn::GetAtt` points to, used to follow references between resources.
+    public referencedId(value: any): string | undefined {
+      if (value == null || typeof value !== 'object') {
+        return undefined;
+      }
+      if (value.Ref != null) {
+        return (this.pseudoParameter(value.Ref) == null) ? value.Ref : undefined;
+      }
+      if (value['Fn::GetAtt'] != null) {
+        return value['Fn::GetAtt'][0];
+      }
+      if (value['Fn::Join'] != null) {
+        return value['Fn::Join'][1].map((part: any) => this.referencedId(part)).find((id: any) => id != null);
+      }
+      return undefined;
+    }
+
+    public dispose() {
+      removeDirectory(this.directory);
+    }
+
+    private pseudoParameter(name: string): string | undefined {
+      switch (name) {
+        case 'AWS::Region': return LOCAL_REGION;
+        case 'AWS::AccountId': return LOCAL_ACCOUNT;
+        case 'AWS::Partition': return 'aws';
+        case 'AWS::URLSuffix': return 'amazonaws.com';
+        default: return undefined;
+      }
+    }
+
+    private lookup(logicalId: string, attribute: string): string {
+      const attributes = this.attributes.get(logicalId);
+      if (attributes == null || attributes[attribute] == null) {
+        throw new Error(`The local harness cannot resolve ${attribute === 'ref' ? 'Ref' : attribute} of ${logicalId}`);
+      }
+      return attributes[attribute];
+    }
+}
+
+export const arn = (service: string, resource: string) => `arn:aws:${service}:${LOCAL_REGION}:${LOCAL_ACCOUNT}:${resource}`;
+
+const removeDirectory = (directory: string) => {
+  fs.readdirSync(directory).forEach((name) => {
+    const entry = path.join(directory, name);
+    if (fs.lstatSync(entry).isDirectory()) {
+      removeDirectory(entry);
+    } else {
+      fs.unlinkSync(entry);
+    }
+  });
+  fs.rmdirSync(directory);
+};
@@ -0,0 +1,53 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+// Local token issuer : an RSA key pair made at startup, its public half is the JWKS the stack is synthesized with,
+// so the deployed authorizer code verifies tokens signed here.
+
+const KEY_ID = 'swn-local';
+
+export interface TokenClaims {
+  username: string;
+  roles?: string[];
+  [claim: string]: any;
+}
+
+export class LocalIdentityProvider {
+
+    public readonly jwksFile: string;
+    private readonly privateKey: string;
+
+    constructor() {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+      });
+      this.privateKey = privateKey;
+
+      // createPublicKey and JWK export are missing from the Node.js typings this project builds with
+      const jwk = (crypto as any).createPublicKey(publicKey).export({ format: 'jwk' });
+      this.jwksFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'swn-jwks-')), 'jwks.json');
+      fs.writeFileSync(this.jwksFile, JSON.stringify({ keys: [{ ...jwk, kid: KEY_ID, use: 'sig', alg: 'RS256' }] }));
+    }
+
+    // RS256 JWT, valid for an hour by default
+    public token(claims: TokenClaims, expiresInSeconds = 3600): string {
+      const now = Math.floor(Date.now() / 1000);
+      const header = encode({ alg: 'RS256', typ: 'JWT', kid: KEY_ID });
+      const payload = encode({ iat: now, exp: now + expiresInSeconds, ...claims });
+      const signature = crypto.createSign('RSA-SHA256').update(`${header}.${payload}`).sign(this.privateKey);
+      return `${header}.${payload}.${base64url(signature)}`;
+    }
+
+    public dispose() {
+      fs.unlinkSync(this.jwksFile);
+      fs.rmdirSync(path.dirname(this.jwksFile));
+    }
+}
+
+const base64url = (buffer: Buffer) => buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+const encode = (value: any) => base64url(Buffer.from(JSON.stringify(value), 'utf8'));
@@ -0,0 +1,365 @@
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import { arn, LocalAssembly } from './assembly';
+import { AwsServiceError } from './endpoint';
+import { invokeAsync, LocalFunction } from './lambda';
+
+// dynalite ships no type definitions
+const dynalite = require('dynalite');
+
+// DynamoDB for the harness : the stack's tables on dynalite (in memory), or on any DynamoDB-Local-compatible
+// endpoint given with `dynamodbEndpoint`.
+// Requests are applied one at a time, which lets the harness add what those backends lack :
+// - TransactWriteItems : actions are applied in order and rolled back when one of them fails,
+//   failures are reported like DynamoDB does (TransactionCanceledException with index aligned CancellationReasons)
+// - DynamoDB Streams : writes to tables with a StreamSpecification are delivered to their event source mappings
+
+const DYNAMODB_TYPE_PREFIX = 'com.amazonaws.dynamodb.v20120810#';
+const MAX_TRANSACTION_ITEMS = 100;
+
+interface LocalTable {
+  logicalId: string;
+  name: string;
+  keyAttributes: string[];
+  streamViewType?: string;
+  streamArn: string;
+  consumers: StreamConsumer[];
+}
+
+interface StreamConsumer {
+  fn: LocalFunction;
+  batchSize: number;
+  retries: number;
+  records: any[];
+  draining: boolean;
+}
+
+export interface LocalDynamoDBOptions {
+  // DynamoDB-Local-compatible endpoint to use instead of an in-memory dynalite
+  endpoint?: string;
+}
+
+export class LocalDynamoDB {
+
+    private readonly tables = new Map<string, LocalTable>();
+    private backend: string | undefined;
+    private dynaliteServer: any;
+    private queue: Promise<any> = Promise.resolve();
+    private sequenceNumber = 0;
+
+    constructor(private readonly assembly: LocalAssembly, private readonly options: LocalDynamoDBOptions = {}) {
+      assembly.resources('AWS::DynamoDB::Table').forEach((resource) => {
+        const name = resource.properties.TableName || resource.logicalId;
+        const tableArn = arn('dynamodb', `table/${name}`);
+        const table: LocalTable = {
+          logicalId: resource.logicalId,
+          name: name,
+          keyAttributes: resource.properties.KeySchema.map((key: any) => key.AttributeName),
+          streamViewType: (resource.properties.StreamSpecification || {}).StreamViewType,
+          streamArn: `${tableArn}/stream/local`,
+          consumers: []
+        };
+        this.tables.set(name, table);
+        assembly.register(resource.logicalId, { ref: name, Arn: tableArn, StreamArn: table.streamArn });
+      });
+    }
+
+    public async start() {
+      this.backend = this.options.endpoint || await this.startDynalite();
+
+      for (const resource of this.assembly.resources('AWS::DynamoDB::Table')) {
+        await this.createTable(resource.properties, resource.properties.TableName || resource.logicalId);
+      }
+    }
+
+    public async stop() {
+      if (this.dynaliteServer != null) {
+        await new Promise((resolve) => this.dynaliteServer.close(resolve));
+      }
+    }
+
+    public hasTable(logicalId: string) {
+      return this.tableByLogicalId(logicalId) != null;
+    }
+
+    // DynamoDB stream event source mapping
+    public attachStreamConsumer(tableLogicalId: string, fn: LocalFunction, batchSize = 100, retries = 2) {
+      const table = this.tableByLogicalId(tableLogicalId);
+      if (table == null || table.streamViewType == null) {
+        throw new Error(`Table ${tableLogicalId} has no stream`);
+      }
+      table.consumers.push({ fn, batchSize, retries: (retries < 0) ? 2 : retries, records: [], draining: false });
+    }
+
+    // Entry point of the local endpoint, one request at a time.
+    public handle = (operation: string, request: any): Promise<any> => {
+      const result = this.queue.then(() => this.execute(operation, request));
+      this.queue = result.catch(() => undefined);
+      return result;
+    }
+
+    private async execute(operation: string, request: any) {
+      const writes = this.streamedWrites(operation, request);
+      const before = await Promise.all(writes.map(({ table, key }) => this.getItem(table.name, key)));
+
+      const response = (operation === 'TransactWriteItems')
+        ? await this.transactWriteItems(request)
+        : await this.call(operation, request);
+
+      // records are only produced by writes that went through
+      for (let index = 0; index < writes.length; index++) {
+        const { table, key } = writes[index];
+        this.record(table, key, before[index], await this.getItem(table.name, key));
+      }
+      return response;
+    }
+
+    private async transactWriteItems(request: any) {
+      const actions = (request.TransactItems || []).map((transactItem: any) => {
+        const kind = Object.keys(transactItem)[0];
+        const params = transactItem[kind];
+        return { kind, params, key: (kind === 'Put') ? this.keyOf(params.TableName, params.Item) : params.Key };
+      });
+      if (actions.length === 0 || actions.length > MAX_TRANSACTION_ITEMS) {
+        throw validationError(`TransactItems must contain between 1 and ${MAX_TRANSACTION_ITEMS} actions`);
+      }
+      const itemIds = actions.map(({ params, key }: any) => `${params.TableName}/${JSON.stringify(key)}`);
+      if (new Set(itemIds).size !== itemIds.length) {
+        throw validationError('Transaction request cannot include multiple operations on one item');
+      }
+
+      const applied: { tableName: string, key: any, snapshot: any }[] = [];
+      const reasons: any[] = [];
+      try {
+        for (const { kind, params, key } of actions) {
+          const { ReturnValuesOnConditionCheckFailure, ...itemRequest } = params;
+          const snapshot = await this.getItem(params.TableName, key);
+          try {
+            if (kind === 'ConditionCheck') {
+              // evaluated as a conditional delete that is undone right away
+              await this.call('DeleteItem', { ...itemRequest, ReturnValues: 'NONE' });
+              if (snapshot != null) {
+                await this.call('PutItem', { TableName: params.TableName, Item: snapshot });
+              }
+            } else {
+              await this.call(`${kind}Item`, itemRequest);
+              applied.push({ tableName: params.TableName, key, snapshot });
+            }
+            reasons.push({ Code: 'None' });
+
+          } catch (e) {
+            if (!(e instanceof AwsServiceError) || e.type !== `${DYNAMODB_TYPE_PREFIX}ConditionalCheckFailedException`) {
+              throw e;
+            }
+            reasons.push({ Code: 'ConditionalCheckFailed', Message: 'The conditional request failed' });
+          }
+        }
+      } catch (e) {
+        await this.rollback(applied);
+        throw e;
+      }
+
+      if (reasons.some((reason) => reason.Code !== 'None')) {
+        await this.rollback(applied);
+        throw new AwsServiceError(
+          `${DYNAMODB_TYPE_PREFIX}TransactionCanceledException`,
+          `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map((reason) => reason.Code).join(', ')}]`,
+          400,
+          { CancellationReasons: reasons }
+        );
+      }
+      return {};
+    }
+
+    private async rollback(applied: { tableName: string, key: any, snapshot: any }[]) {
+      for (const { tableName, key, snapshot } of applied.reverse()) {
+        if (snapshot != null) {
+          await this.call('PutItem', { TableName: tableName, Item: snapshot });
+        } else {
+          await this.call('DeleteItem', { TableName: tableName, Key: key });
+        }
+      }
+    }
+
+    // Items a request writes to tables that have a stream.
+    private streamedWrites(operation: string, request: any) {
+      const writes: { tableName: string, key: any }[] = [];
+      switch (operation) {
+        case 'PutItem':
+          writes.push({ tableName: request.TableName, key: this.keyOf(request.TableName, request.Item) });
+          break;
+        case 'UpdateItem':
+        case 'DeleteItem':
+          writes.push({ tableName: request.TableName, key: request.Key });
+          break;
+        case 'BatchWriteItem':
+          Object.keys(request.RequestItems || {}).forEach((tableName) => {
+            request.RequestItems[tableName].forEach((writeRequest: any) => {
+              writes.push({
+                tableName: tableName,
+                key: (writeRequest.PutRequest != null) ? this.keyOf(tableName, writeRequest.PutRequest.Item) : writeRequest.DeleteRequest.Key
+              });
+            });
+          });
+          break;
+        case 'TransactWriteItems':
+          (request.TransactItems || []).forEach((transactItem: any) => {
+            const { Put, Update, Delete } = transactItem;
+            if (Put != null) writes.push({ tableName: Put.TableName, key: this.keyOf(Put.TableName, Put.Item) });
+            if (Update != null) writes.push({ tableName: Update.TableName, key: Update.Key });
+            if (Delete != null) writes.push({ tableName: Delete.TableName, key: Delete.Key });
+          });
+          break;
+      }
+
+      return writes
+        .map(({ tableName, key }) => ({ table: this.tables.get(tableName), key }))
+        .filter(({ table }) => table != null && table.streamViewType != null && table.consumers.length > 0) as { table: LocalTable, key: any }[];
+    }
+
+    private record(table: LocalTable, key: any, oldImage: any, newImage: any) {
+      if (JSON.stringify(oldImage) === JSON.stringify(newImage)) {
+        // unchanged items produce no stream record
+        return;
+      }
+      const viewType = table.streamViewType;
+      const dynamodb: any = {
+        ApproximateCreationDateTime: Math.floor(Date.now() / 1000),
+        Keys: key,
+        SequenceNumber: String(++this.sequenceNumber),
+        SizeBytes: JSON.stringify(newImage || oldImage).length,
+        StreamViewType: viewType
+      };
+      if (newImage != null && (viewType === 'NEW_IMAGE' || viewType === 'NEW_AND_OLD_IMAGES')) {
+        dynamodb.NewImage = newImage;
+      }
+      if (oldImage != null && (viewType === 'OLD_IMAGE' || viewType === 'NEW_AND_OLD_IMAGES')) {
+        dynamodb.OldImage = oldImage;
+      }
+
+      const record = {
+        eventID: String(this.sequenceNumber),
+        eventName: (oldImage == null) ? 'INSERT' : (newImage == null) ? 'REMOVE' : 'MODIFY',
+        eventVersion: '1.1',
+        eventSource: 'aws:dynamodb',
+        awsRegion: this.assembly.resolve({ Ref: 'AWS::Region' }),
+        dynamodb: dynamodb,
+        eventSourceARN: table.streamArn
+      };
+      table.consumers.forEach((consumer) => {
+        consumer.records.push(record);
+        // delivered after the write returns, like a stream does
+        setImmediate(() => this.drain(consumer));
+      });
+    }
+
+    // Delivers records in order, a failing batch is retried and then skipped.
+    private async drain(consumer: StreamConsumer) {
+      if (consumer.draining) {
+        return;
+      }
+      consumer.draining = true;
+      try {
+        while (consumer.records.length > 0) {
+          const records = consumer.records.splice(0, consumer.batchSize);
+          await invokeAsync(consumer.fn, { Records: records }, consumer.retries);
+        }
+      } finally {
+        consumer.draining = false;
+      }
+    }
+
+    private keyOf(tableName: string, item: any) {
+      const table = this.tables.get(tableName);
+      if (table == null) {
+        throw new AwsServiceError(`${DYNAMODB_TYPE_PREFIX}ResourceNotFoundException`, 'Requested resource not found');
+      }
+      return table.keyAttributes.reduce((key, name) => ({ ...key, [name]: (item || {})[name] }), {});
+    }
+
+    private tableByLogicalId(logicalId: string) {
+      return Array.from(this.tables.values()).find((table) => table.logicalId === logicalId);
+    }
+
+    private async getItem(tableName: string, key: any) {
+      const { Item } = await this.call('GetItem', { TableName: tableName, Key: key, ConsistentRead: true });
+      return Item;
+    }
+
+    private async createTable(properties: any, tableName: string) {
+      const request: any = {
+        TableName: tableName,
+        KeySchema: properties.KeySchema,
+        AttributeDefinitions: properties.AttributeDefinitions,
+        BillingMode: 'PAY_PER_REQUEST'
+      };
+      if (properties.GlobalSecondaryIndexes != null) {
+        request.GlobalSecondaryIndexes = properties.GlobalSecondaryIndexes.map(({ IndexName, KeySchema, Projection }: any) => ({ IndexName, KeySchema, Projection }));
+      }
+      if (properties.LocalSecondaryIndexes != null) {
+        request.LocalSecondaryIndexes = properties.LocalSecondaryIndexes;
+      }
+
+      try {
+        await this.call('CreateTable', request);
+      } catch (e) {
+        // tables are kept between runs on a persistent DynamoDB Local
+        if (!(e instanceof AwsServiceError) || e.type !== `${DYNAMODB_TYPE_PREFIX}ResourceInUseException`) {
+          throw e;
+        }
+      }
+
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const { Table } = await this.call('DescribeTable', { TableName: tableName });
+        if (Table.TableStatus === 'ACTIVE') {
+          return;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+      throw new Error(`Table ${tableName} did not become ACTIVE`);
+    }
+
+    private startDynalite(): Promise<string> {
+      this.dynaliteServer = dynalite({ createTableMs: 0, deleteTableMs: 0, updateTableMs: 0 });
+      return new Promise((resolve) => {
+        this.dynaliteServer.listen(0, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${(this.dynaliteServer.address() as AddressInfo).port}`);
+        });
+      });
+    }
+
+    // Raw DynamoDB JSON API call to the backend, errors become AwsServiceError.
+    private call(operation: string, request: any): Promise<any> {
+      const body = JSON.stringify(request);
+      const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+      return new Promise((resolve, reject) => {
+        const req = http.request(`${this.backend}/`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-amz-json-1.0',
+            'Content-Length': Buffer.byteLength(body),
+            'X-Amz-Target': `DynamoDB_20120810.${operation}`,
+            'X-Amz-Date': amzDate,
+            // local backends only check that requests are signed
+            'Authorization': `AWS4-HMAC-SHA256 Credential=local/${amzDate.substr(0, 8)}/us-east-1/dynamodb/aws4_request, SignedHeaders=host;x-amz-date;x-amz-target, Signature=local`
+          }
+        }, (res) => {
+          const chunks: Buffer[] = [];
+          res.on('data', (chunk: Buffer) => chunks.push(chunk));
+          res.on('end', () => {
+            const payload = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+            if (res.statusCode === 200) {
+              resolve(payload);
+            } else {
+              const { __type, message, Message, ...extra } = payload;
+              reject(new AwsServiceError(__type, message || Message, res.statusCode, extra));
+            }
+          });
+        });
+        req.on('error', reject);
+        req.end(body);
+      });
+    }
+}
+
+const validationError = (message: string) => new AwsServiceError(`${DYNAMODB_TYPE_PREFIX}ValidationException`, message);
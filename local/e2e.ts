@@ -0,0 +1,193 @@
+import * as http from 'http';
+import { Harness, startHarness } from './harness';
+
+// End-to-end check of the checkout flow on the local harness, for laptops and CI :
+// product -> basket -> checkout -> order (through the outbox, EventBridge and OrderQueue) -> cancel -> stock released.
+
+const USER_NAME = 'e2e-user';
+
+interface Response {
+  statusCode: number;
+  headers: http.IncomingHttpHeaders;
+  body: any;
+}
+
+// Objects are sent as JSON, strings as they are with the Content-Type of the headers (files).
+// JSON responses are parsed, others are returned as text.
+const call = (baseUrl: string, method: string, path: string, payload?: any, headers: { [name: string]: string } = {}): Promise<Response> => {
+  const body = (typeof payload === 'string') ? payload : (payload !== undefined) ? JSON.stringify(payload) : undefined;
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${path}`, {
+      method,
+      headers: (body != null) ? { 'Content-Type': 'application/json', ...headers, 'Content-Length': String(Buffer.byteLength(body)) } : headers
+    }, (res) => {
+      const chunks: Buffer[] = [];
+      res.on('data', (chunk: Buffer) => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        const json = (res.headers['content-type'] || '').startsWith('application/json');
+        resolve({ statusCode: res.statusCode || 0, headers: res.headers, body: (text.length > 0) ? (json ? JSON.parse(text) : text) : undefined });
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+};
+
+const expectStatus = (step: string, response: Response, statusCode: number) => {
+  if (response.statusCode !== statusCode) {
+    throw new Error(`${step} : expected ${statusCode}, got ${response.statusCode} ${JSON.stringify(response.body)}`);
+  }
+  console.log(`[e2e] ${step} : ${statusCode}`);
+  return response.body;
+};
+
+// Asynchronous steps (events, queues) settle within a few seconds locally.
+const eventually = async <T>(step: string, check: () => Promise<T | undefined>, timeoutMs = 30000): Promise<T> => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result !== undefined) {
+      console.log(`[e2e] ${step}`);
+      return result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  throw new Error(`${step} : timed out after ${timeoutMs} ms`);
+};
+
+const run = async (harness: Harness) => {
+  const baseUrl = harness.url;
+  const user = { Authorization: `Bearer ${harness.identity.token({ username: USER_NAME })}` };
+  const admin = { Authorization: `Bearer ${harness.identity.token({ username: 'e2e-admin', roles: ['admin'] })}` };
+  const catalogAdmin = { Authorization: `Bearer ${harness.identity.token({ username: 'e2e-merchandiser', roles: ['catalog-admin'] })}` };
+
+  const newProduct = { name: 'E2E Phone', description: 'local harness product', price: 250, category: 'Phone', stock: 5 };
+  expectStatus('create product without a token', await call(baseUrl, 'POST', '/product', newProduct), 401);
+  expectStatus('create product as a user', await call(baseUrl, 'POST', '/product', newProduct, user), 403);
+  expectStatus('create product', await call(baseUrl, 'POST', '/product', newProduct, catalogAdmin), 200);
+  const products = expectStatus('list products', await call(baseUrl, 'GET', '/product'), 200).body;
+  const product = products.items.find((item: any) => item.name === 'E2E Phone');
+
+  // optimistic concurrency : an update sent with a stale ETag is refused
+  const { headers: { etag } } = await call(baseUrl, 'GET', `/product/${product.id}`);
+  const productPath = `/product/${product.id}`;
+  expectStatus('update product', await call(baseUrl, 'PUT', productPath, { description: 'updated' }, { ...catalogAdmin, 'If-Match': etag as string }), 200);
+  expectStatus('update product with a stale ETag', await call(baseUrl, 'PUT', productPath, { description: 'stale' }, { ...catalogAdmin, 'If-Match': etag as string }), 412);
+  expectStatus('update a missing product', await call(baseUrl, 'PUT', '/product/missing', { price: 1 }, catalogAdmin), 404);
+
+  // search finds the product by the beginning of a word of its name, and by its updated description
+  const found = expectStatus('search products', await call(baseUrl, 'GET', '/product/search?q=e2e%20ph'), 200).body;
+  if (found.items.length !== 1 || found.items[0].id !== product.id) {
+    throw new Error(`search products : expected the created product, got ${JSON.stringify(found.items)}`);
+  }
+  if (expectStatus('search products by description', await call(baseUrl, 'GET', '/product/search?q=updated'), 200).body.items.length !== 1) {
+    throw new Error('search products by description : the updated description is not indexed');
+  }
+
+  // bulk import of a CSV file, the imported products can be searched and are exported
+  const csv = 'Product Name,Price,Category\r\nE2E Cable,5,Accessory\r\nE2E Broken,free,Accessory\r\n';
+  const importPath = `/product/import?mapping=${encodeURIComponent(JSON.stringify({ 'Product Name': 'name', Price: 'price', Category: 'category' }))}`;
+  expectStatus('import products as a user', await call(baseUrl, 'POST', importPath, csv, { ...user, 'Content-Type': 'text/csv' }), 403);
+  const imported = expectStatus('import products', await call(baseUrl, 'POST', importPath, csv, { ...catalogAdmin, 'Content-Type': 'text/csv' }), 200).body;
+  if (imported.created !== 1 || imported.failed !== 1 || imported.errors[0].line !== 3) {
+    throw new Error(`import products : expected one created product and an error on line 3, got ${JSON.stringify(imported)}`);
+  }
+  if (expectStatus('search imported products', await call(baseUrl, 'GET', '/product/search?q=e2e%20cable'), 200).body.items.length !== 1) {
+    throw new Error('search imported products : the imported product is not indexed');
+  }
+  const exported = expectStatus('export products', await call(baseUrl, 'GET', '/product/export?format=csv', undefined, catalogAdmin), 200);
+  if (!exported.startsWith('id,name,') || !exported.includes('E2E Cable') || !exported.includes('E2E Phone')) {
+    throw new Error(`export products : expected the products as CSV, got ${exported}`);
+  }
+
+  // a scheduled price takes over at its time, checkout below pays it
+  const pricesPath = `/product/${product.id}/prices`;
+  const effectiveFrom = new Date(Date.now() + 2000).toISOString();
+  expectStatus('schedule a price as a user', await call(baseUrl, 'POST', pricesPath, { price: 200, effectiveFrom }, user), 403);
+  expectStatus('schedule a price', await call(baseUrl, 'POST', pricesPath, { price: 200, effectiveFrom }, catalogAdmin), 200);
+  const priceOf = async () => (await call(baseUrl, 'GET', `/product/${product.id}`)).body.body.price;
+  if (await priceOf() !== 250) {
+    throw new Error('schedule a price : the price changed before its time');
+  }
+  await eventually('scheduled price in effect', async () => (await priceOf() === 200) ? true : undefined);
+  const prices = expectStatus('price history', await call(baseUrl, 'GET', pricesPath, undefined, admin), 200).body;
+  if (prices.items.map((entry: any) => `${entry.price} ${entry.source} ${entry.status}`).join(', ') !== '200 schedule current, 250 create past') {
+    throw new Error(`price history : expected the scheduled and the created price, got ${JSON.stringify(prices.items)}`);
+  }
+
+  expectStatus('fill basket without a token', await call(baseUrl, 'POST', '/basket', { items: [] }), 401);
+  // the basket belongs to the user of the token
+  expectStatus('fill basket', await call(baseUrl, 'POST', '/basket', {
+    items: [{ productId: product.id, productName: product.name, quantity: 1, color: 'Black' }]
+  }, user), 200);
+  // a second line of the same product is merged into the first
+  const basket = expectStatus('add basket item', await call(baseUrl, 'POST', `/basket/${USER_NAME}/items`, {
+    productId: product.id, productName: product.name, quantity: 1, color: 'Black'
+  }, user), 200).body;
+  if (basket.items.length !== 1 || basket.items[0].quantity !== 2 || basket.version !== 2) {
+    throw new Error(`add basket item : expected one line of 2 at version 2, got ${JSON.stringify(basket)}`);
+  }
+  expectStatus('remove an item not in the basket', await call(baseUrl, 'DELETE', `/basket/${USER_NAME}/items/unknown`, undefined, user), 404);
+  expectStatus('get another user\'s basket', await call(baseUrl, 'GET', '/basket/someone-else', undefined, user), 403);
+  expectStatus('list baskets as a user', await call(baseUrl, 'GET', '/basket', undefined, user), 403);
+
+  const checkout = expectStatus('checkout basket', await call(baseUrl, 'POST', '/basket/checkout', {
+    firstName: 'E2E', lastName: 'User', email: 'e2e@example.com', address: 'Local', paymentMethod: 'card'
+  }, { ...user, 'Idempotency-Key': 'e2e-checkout' }), 200).body;
+  if (checkout.totalPrice !== 400) {
+    throw new Error(`checkout basket : expected totalPrice 400 (2 at the scheduled price), got ${checkout.totalPrice}`);
+  }
+
+  const stockOf = async () => expectStatus('get product', await call(baseUrl, 'GET', `/product/${product.id}`), 200).body.stock;
+  if (await stockOf() !== 3) {
+    throw new Error('checkout basket : stock was not reserved');
+  }
+
+  const order = await eventually('order created from CheckoutBasket', async () => {
+    const orders = (await call(baseUrl, 'GET', '/order', undefined, admin)).body.body.items;
+    return orders.find((candidate: any) => candidate.orderReference === checkout.orderReference);
+  });
+
+  const history = expectStatus('order history', await call(baseUrl, 'GET', `/order/${USER_NAME}?status=PENDING&from=${order.orderDate.slice(0, 10)}`, undefined, user), 200).body;
+  if (history.items.length !== 1 || history.items[0].orderReference !== checkout.orderReference) {
+    throw new Error(`order history : expected the checked out order, got ${JSON.stringify(history.items)}`);
+  }
+  expectStatus('get order', await call(baseUrl, 'GET', `/order/${USER_NAME}/${encodeURIComponent(order.orderDate)}`, undefined, user), 200);
+  const byOrderId = expectStatus('get order by order number', await call(baseUrl, 'GET', `/order/id/${order.orderId}`, undefined, user), 200).body;
+  if (order.orderId !== checkout.orderId) {
+    throw new Error(`order created from CheckoutBasket : expected the order number of the checkout ${checkout.orderId}, got ${order.orderId}`);
+  }
+  if (byOrderId.orderDate !== order.orderDate) {
+    throw new Error(`get order by order number : expected the checked out order, got ${JSON.stringify(byOrderId)}`);
+  }
+  expectStatus('get order by order number of another user', await call(baseUrl, 'GET', `/order/id/${order.orderId}`, undefined, catalogAdmin), 404);
+
+  expectStatus('cancel order', await call(baseUrl, 'POST', `/order/${USER_NAME}/${encodeURIComponent(order.orderDate)}/cancel`, {
+    reason: 'e2e', restoreBasket: true
+  }, user), 200);
+
+  await eventually('stock released by OrderCancelled', async () => (await stockOf() === 5) ? true : undefined);
+  await eventually('basket restored by OrderCancelled', async () => {
+    const basket = (await call(baseUrl, 'GET', `/basket/${USER_NAME}`, undefined, user)).body.body;
+    return (basket != null && basket.items != null && basket.items.length === 1) ? true : undefined;
+  });
+};
+
+startHarness({ port: 0, schedules: false })
+  .then(async (harness) => {
+    let failed = false;
+    try {
+      await run(harness);
+      console.log('[e2e] checkout flow passed');
+    } catch (e) {
+      console.error(`[e2e] ${e.message}`);
+      failed = true;
+    }
+    await harness.stop();
+    process.exit(failed ? 1 : 0);
+  })
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
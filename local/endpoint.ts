@@ -0,0 +1,86 @@
+import * as http from 'http';
+import { AddressInfo } from 'net';
+
+// One local endpoint for the AWS APIs the services call, all of them speak the AWS JSON protocol.
+// The operation comes from the X-Amz-Target header, e.g. "DynamoDB_20120810.PutItem" or "AmazonSQS.SendMessage".
+
+export class AwsServiceError extends Error {
+    constructor(public readonly type: string, message: string, public readonly statusCode = 400, public readonly extra: any = {}) {
+      super(message);
+    }
+}
+
+export type AwsService = (operation: string, request: any) => Promise<any>;
+
+// target prefix -> service, content type of its responses
+const CONTENT_TYPES: { [prefix: string]: string } = {
+  DynamoDB_20120810: 'application/x-amz-json-1.0',
+  AWSEvents: 'application/x-amz-json-1.1',
+  AmazonSQS: 'application/x-amz-json-1.0'
+};
+
+export class LocalEndpoint {
+
+    private readonly services = new Map<string, AwsService>();
+    private readonly server: http.Server;
+
+    constructor() {
+      this.server = http.createServer((req, res) => {
+        readBody(req)
+          .then((body) => this.dispatch(String(req.headers['x-amz-target'] || ''), body))
+          .then(({ statusCode, contentType, payload }) => {
+            res.writeHead(statusCode, { 'Content-Type': contentType, 'x-amzn-RequestId': String(Date.now()) });
+            res.end(JSON.stringify(payload));
+          });
+      });
+    }
+
+    public register(targetPrefix: string, service: AwsService) {
+      this.services.set(targetPrefix, service);
+    }
+
+    public listen(): Promise<string> {
+      return new Promise((resolve) => {
+        this.server.listen(0, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${(this.server.address() as AddressInfo).port}`);
+        });
+      });
+    }
+
+    public close(): Promise<void> {
+      return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    private async dispatch(target: string, body: string) {
+      const [prefix, operation] = target.split('.');
+      const contentType = CONTENT_TYPES[prefix] || 'application/x-amz-json-1.1';
+      const service = this.services.get(prefix);
+
+      try {
+        if (service == null) {
+          throw new AwsServiceError('UnknownOperationException', `The local endpoint does not support "${target}"`);
+        }
+        return { statusCode: 200, contentType, payload: await service(operation, JSON.parse(body || '{}')) };
+
+      } catch (e) {
+        if (!(e instanceof AwsServiceError)) {
+          console.error(`[local] ${target} failed`, e);
+        }
+        const error = (e instanceof AwsServiceError) ? e : new AwsServiceError('InternalFailure', e.message, 500);
+        return {
+          statusCode: error.statusCode,
+          contentType,
+          payload: { __type: error.type, message: error.message, ...error.extra }
+        };
+      }
+    }
+}
+
+export const readBody = (req: http.IncomingMessage): Promise<string> => {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    req.on('data', (chunk: Buffer) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+};
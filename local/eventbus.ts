@@ -0,0 +1,201 @@
+import { arn, LocalAssembly, LOCAL_ACCOUNT, LOCAL_REGION, TemplateResource } from './assembly';
+import { AwsServiceError } from './endpoint';
+import { invokeAsync, LocalFunction, requestId } from './lambda';
+import { LocalQueues } from './sqs';
+
+// In-process EventBridge for the harness : PutEvents is matched against the stack's rules and delivered
+// to their Lambda and SQS targets after the call returns. Scheduled rules run on timers.
+
+interface Target {
+  fn?: LocalFunction;
+  queueLogicalId?: string;
+  input?: any;
+}
+
+interface Rule {
+  name: string;
+  arn: string;
+  eventBusName: string;
+  eventPattern?: any;
+  scheduleExpression?: string;
+  targets: Target[];
+}
+
+const RATE_UNITS_MS: { [unit: string]: number } = {
+  minute: 60 * 1000,
+  minutes: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  hours: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000
+};
+
+export class LocalEventBus {
+
+    private readonly rules: Rule[];
+    private readonly timers: NodeJS.Timer[] = [];
+
+    constructor(private readonly assembly: LocalAssembly, private readonly functions: Map<string, LocalFunction>, private readonly queues: LocalQueues) {
+      assembly.resources('AWS::Events::EventBus').forEach((resource) => {
+        assembly.register(resource.logicalId, {
+          ref: resource.properties.Name,
+          Arn: arn('events', `event-bus/${resource.properties.Name}`),
+          Name: resource.properties.Name
+        });
+      });
+
+      this.rules = assembly.resources('AWS::Events::Rule')
+        .filter((resource) => resource.properties.State !== 'DISABLED')
+        .map((resource) => this.toRule(resource));
+    }
+
+    // Starts the scheduled rules, rate expressions only.
+    public startSchedules() {
+      this.rules
+        .filter((rule) => rule.scheduleExpression != null)
+        .forEach((rule) => {
+          const match = /^rate\((\d+) (\w+)\)$/.exec(rule.scheduleExpression!);
+          if (match == null || RATE_UNITS_MS[match[2]] == null) {
+            console.warn(`[local] schedule "${rule.scheduleExpression}" of ${rule.name} is not supported locally, the rule never fires`);
+            return;
+          }
+          const timer = setInterval(() => this.deliver(rule, this.scheduledEvent(rule)), Number(match[1]) * RATE_UNITS_MS[match[2]]);
+          timer.unref();
+          this.timers.push(timer);
+        });
+    }
+
+    public stop() {
+      this.timers.forEach((timer) => clearInterval(timer));
+    }
+
+    // Entry point of the local endpoint.
+    public handle = async (operation: string, request: any): Promise<any> => {
+      if (operation !== 'PutEvents') {
+        throw new AwsServiceError('UnknownOperationException', `The local EventBridge does not support "${operation}"`);
+      }
+
+      const entries = (request.Entries || []).map((entry: any) => this.putEvent(entry));
+      return {
+        FailedEntryCount: entries.filter((entry: any) => entry.ErrorCode != null).length,
+        Entries: entries
+      };
+    }
+
+    private putEvent(entry: any) {
+      if (entry.Source == null || entry.DetailType == null || entry.Detail == null) {
+        return { ErrorCode: 'InvalidArgument', ErrorMessage: 'Source, DetailType and Detail are required' };
+      }
+      let detail;
+      try {
+        detail = JSON.parse(entry.Detail);
+      } catch (e) {
+        return { ErrorCode: 'MalformedDetail', ErrorMessage: 'Detail is malformed' };
+      }
+
+      const eventBusName = String(entry.EventBusName || 'default').split('event-bus/').pop();
+      const event = {
+        'version': '0',
+        'id': requestId(),
+        'detail-type': entry.DetailType,
+        'source': entry.Source,
+        'account': LOCAL_ACCOUNT,
+        'time': new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        'region': LOCAL_REGION,
+        'resources': entry.Resources || [],
+        'detail': detail
+      };
+
+      const rules = this.rules.filter((rule) => rule.eventBusName === eventBusName && rule.eventPattern != null && matches(rule.eventPattern, event));
+      if (rules.length === 0) {
+        console.warn(`[local] no rule on ${eventBusName} matches ${entry.Source} / ${entry.DetailType}`);
+      }
+      rules.forEach((rule) => setImmediate(() => this.deliver(rule, event)));
+      return { EventId: event.id };
+    }
+
+    private deliver(rule: Rule, event: any) {
+      rule.targets.forEach((target) => {
+        const payload = (target.input !== undefined) ? target.input : event;
+        if (target.fn != null) {
+          invokeAsync(target.fn, payload);
+        } else {
+          this.queues.get(target.queueLogicalId!)!.send(JSON.stringify(payload));
+        }
+      });
+    }
+
+    private scheduledEvent(rule: Rule) {
+      return {
+        'version': '0',
+        'id': requestId(),
+        'detail-type': 'Scheduled Event',
+        'source': 'aws.events',
+        'account': LOCAL_ACCOUNT,
+        'time': new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        'region': LOCAL_REGION,
+        'resources': [rule.arn],
+        'detail': {}
+      };
+    }
+
+    private toRule(resource: TemplateResource): Rule {
+      const properties = resource.properties;
+      const name = properties.Name || resource.logicalId;
+      const targets = (properties.Targets || []).map((target: any) => {
+        if (target.InputPath != null || target.InputTransformer != null) {
+          console.warn(`[local] ${name} : InputPath and InputTransformer are not supported locally, the whole event is delivered`);
+        }
+        const targetId = this.assembly.referencedId(target.Arn)!;
+        return {
+          fn: this.functions.get(targetId),
+          queueLogicalId: (this.queues.get(targetId) != null) ? targetId : undefined,
+          input: (target.Input != null) ? JSON.parse(target.Input) : undefined
+        };
+      });
+      targets
+        .filter((target: Target) => target.fn == null && target.queueLogicalId == null)
+        .forEach(() => console.warn(`[local] ${name} has a target that is neither a function nor a queue, it is ignored`));
+
+      return {
+        name: name,
+        arn: arn('events', `rule/${name}`),
+        eventBusName: (properties.EventBusName != null) ? this.assembly.resolve(properties.EventBusName) : 'default',
+        eventPattern: properties.EventPattern,
+        scheduleExpression: properties.ScheduleExpression,
+        targets: targets.filter((target: Target) => target.fn != null || target.queueLogicalId != null)
+      };
+    }
+}
+
+// Event pattern matching : exact values, prefix, exists and anything-but, nested objects.
+const matches = (pattern: any, value: any): boolean => {
+  return Object.keys(pattern).every((key) => {
+    const expected = pattern[key];
+    const actual = (value != null) ? value[key] : undefined;
+
+    if (!Array.isArray(expected)) {
+      return actual != null && typeof actual === 'object' && matches(expected, actual);
+    }
+    const actualValues = Array.isArray(actual) ? actual : [actual];
+    return expected.some((condition: any) => actualValues.some((candidate) => matchesCondition(condition, candidate, actual !== undefined)));
+  });
+};
+
+const matchesCondition = (condition: any, candidate: any, present: boolean): boolean => {
+  if (condition == null || typeof condition !== 'object') {
+    return present && candidate === condition;
+  }
+  if (condition.exists != null) {
+    return condition.exists === present;
+  }
+  if (condition.prefix != null) {
+    return typeof candidate === 'string' && candidate.startsWith(condition.prefix);
+  }
+  if (condition['anything-but'] != null) {
+    const excluded = [].concat(condition['anything-but']);
+    return present && !excluded.some((value) => value === candidate);
+  }
+  console.warn('[local] unsupported event pattern condition', condition);
+  return false;
+};
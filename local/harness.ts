@@ -0,0 +1,111 @@
+import { LocalApiGateway } from './apigateway';
+import { LocalAssembly, LOCAL_REGION } from './assembly';
+import { LocalIdentityProvider } from './auth';
+import { LocalDynamoDB } from './dynamodb';
+import { LocalEndpoint } from './endpoint';
+import { LocalEventBus } from './eventbus';
+import { createFunctions } from './lambda';
+import { LocalQueues } from './sqs';
+
+// Runs AwsMicroservicesStack without AWS : the synthesized template is wired to local stand-ins
+// (API Gateway, Lambda, DynamoDB, EventBridge, SQS) so the services run end to end on one machine.
+
+export interface HarnessOptions {
+  // HTTP port of the APIs, 0 picks a free port
+  port?: number;
+  // DynamoDB-Local-compatible endpoint, an in-memory dynalite is used when unset
+  dynamodbEndpoint?: string;
+  // run scheduled rules (e.g. the outbox sweep), on by default
+  schedules?: boolean;
+}
+
+export interface Harness {
+  url: string;
+  queues: LocalQueues;
+  // signs the tokens the basket and order APIs accept
+  identity: LocalIdentityProvider;
+  stop(): Promise<void>;
+}
+
+export const startHarness = async (options: HarnessOptions = {}): Promise<Harness> => {
+  const identity = new LocalIdentityProvider();
+  const assembly = new LocalAssembly({ jwksFile: identity.jwksFile });
+
+  // every SDK client of the handlers talks to the local endpoint
+  const endpoint = new LocalEndpoint();
+  const endpointUrl = await endpoint.listen();
+  Object.assign(process.env, {
+    AWS_REGION: LOCAL_REGION,
+    AWS_ACCESS_KEY_ID: 'local',
+    AWS_SECRET_ACCESS_KEY: 'local',
+    DYNAMODB_ENDPOINT: endpointUrl,
+    EVENTBRIDGE_ENDPOINT: endpointUrl,
+    SQS_ENDPOINT: endpointUrl
+  });
+
+  const functions = createFunctions(assembly);
+  const dynamodb = new LocalDynamoDB(assembly, { endpoint: options.dynamodbEndpoint });
+  const queues = new LocalQueues(assembly, endpointUrl);
+  const eventBus = new LocalEventBus(assembly, functions, queues);
+  await dynamodb.start();
+
+  endpoint.register('DynamoDB_20120810', dynamodb.handle);
+  endpoint.register('AWSEvents', eventBus.handle);
+  endpoint.register('AmazonSQS', queues.handle);
+
+  // environment variables reference the resources registered above
+  assembly.resources('AWS::Lambda::Function').forEach((resource) => functions.get(resource.logicalId)!.configure(assembly, resource));
+
+  assembly.resources('AWS::Lambda::EventSourceMapping').forEach(({ logicalId, properties }) => {
+    const fn = functions.get(assembly.referencedId(properties.FunctionName)!)!;
+    const sourceId = assembly.referencedId(properties.EventSourceArn)!;
+    if (dynamodb.hasTable(sourceId)) {
+      dynamodb.attachStreamConsumer(sourceId, fn, properties.BatchSize, properties.MaximumRetryAttempts);
+    } else if (queues.get(sourceId) != null) {
+      queues.attachConsumer(sourceId, fn, properties.BatchSize, (properties.FunctionResponseTypes || []).includes('ReportBatchItemFailures'));
+    } else {
+      console.warn(`[local] ${logicalId} : event source ${sourceId} is not supported locally`);
+    }
+  });
+
+  if (options.schedules !== false) {
+    eventBus.startSchedules();
+  }
+
+  const api = new LocalApiGateway(assembly, functions);
+  const url = await api.listen((options.port != null) ? options.port : 3000);
+  api.routes.forEach((route) => {
+    console.log(`[local] ${Array.from(route.methods.keys()).join(', ').padEnd(22)} ${url}${route.resourcePath}`);
+  });
+
+  return {
+    url,
+    queues,
+    identity,
+    stop: async () => {
+      eventBus.stop();
+      queues.stop();
+      await api.close();
+      await endpoint.close();
+      await dynamodb.stop();
+      assembly.dispose();
+      identity.dispose();
+    }
+  };
+};
+
+if (require.main === module) {
+  startHarness({
+    port: (process.env.PORT != null) ? Number(process.env.PORT) : undefined,
+    dynamodbEndpoint: process.env.LOCAL_DYNAMODB_ENDPOINT
+  }).then((harness) => {
+    // tokens for the basket and order APIs (Authorization: Bearer <token>), valid for 12 hours
+    console.log(`[local] user "swn" token : ${harness.identity.token({ username: 'swn' }, 12 * 3600)}`);
+    console.log(`[local] admin token : ${harness.identity.token({ username: 'admin', roles: ['admin', 'catalog-admin'] }, 12 * 3600)}`);
+    console.log(`[local] services are listening on ${harness.url}, Ctrl+C to stop`);
+    process.on('SIGINT', () => harness.stop().then(() => process.exit(0)));
+  }).catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
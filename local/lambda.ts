@@ -0,0 +1,120 @@
+import { randomBytes } from 'crypto';
+import * as path from 'path';
+import { arn, LocalAssembly, TemplateResource } from './assembly';
+
+// Runs the bundled handlers in this process.
+// Handlers read their configuration from process.env when invoked, so invocations are run one at a time,
+// each with its own function's environment. Event sources invoke asynchronously, a handler never waits on another.
+
+let invocations: Promise<any> = Promise.resolve();
+
+export const requestId = () => {
+  const hex = randomBytes(16).toString('hex');
+  return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20)}`;
+};
+
+export class LocalFunction {
+
+    public readonly logicalId: string;
+    public readonly functionName: string;
+    private readonly codeDirectory: string;
+    private readonly handlerName: string;
+    private readonly timeoutMs: number;
+    private environment: { [name: string]: string } = {};
+    private handler: ((event: any, context: any) => Promise<any>) | undefined;
+
+    constructor(assembly: LocalAssembly, resource: TemplateResource) {
+      this.logicalId = resource.logicalId;
+      this.functionName = resource.logicalId;
+      this.codeDirectory = assembly.codeDirectory(resource);
+      this.handlerName = resource.properties.Handler;
+      this.timeoutMs = (resource.properties.Timeout || 3) * 1000;
+
+      assembly.register(this.logicalId, {
+        ref: this.functionName,
+        Arn: arn('lambda', `function:${this.functionName}`)
+      });
+    }
+
+    // Environment values can reference other resources, resolved once everything is registered.
+    public configure(assembly: LocalAssembly, resource: TemplateResource) {
+      const variables = (resource.properties.Environment || {}).Variables || {};
+      this.environment = assembly.resolve(variables);
+    }
+
+    public invoke(event: any): Promise<any> {
+      const invocation = invocations.then(() => this.run(event));
+      // the next invocation waits for this one, whatever its outcome
+      invocations = invocation.catch(() => undefined);
+      return invocation;
+    }
+
+    private async run(event: any) {
+      const previous = this.applyEnvironment();
+      const startedAt = Date.now();
+      const context = {
+        awsRequestId: requestId(),
+        functionName: this.functionName,
+        getRemainingTimeInMillis: () => Math.max(0, this.timeoutMs - (Date.now() - startedAt))
+      };
+
+      try {
+        return await this.loadHandler()(event, context);
+
+      } finally {
+        restoreEnvironment(previous);
+        const duration = Date.now() - startedAt;
+        if (duration > this.timeoutMs) {
+          console.warn(`[local] ${this.functionName} ran ${duration} ms, it would time out after ${this.timeoutMs} ms in AWS`);
+        }
+      }
+    }
+
+    private loadHandler() {
+      if (this.handler == null) {
+        const [file, exportName] = this.handlerName.split('.');
+        this.handler = require(path.join(this.codeDirectory, file))[exportName];
+      }
+      return this.handler!;
+    }
+
+    private applyEnvironment() {
+      const previous: { [name: string]: string | undefined } = {};
+      Object.keys(this.environment).forEach((name) => {
+        previous[name] = process.env[name];
+        process.env[name] = this.environment[name];
+      });
+      return previous;
+    }
+}
+
+const restoreEnvironment = (previous: { [name: string]: string | undefined }) => {
+  Object.keys(previous).forEach((name) => {
+    if (previous[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = previous[name];
+    }
+  });
+};
+
+export const createFunctions = (assembly: LocalAssembly) => {
+  const functions = new Map<string, LocalFunction>();
+  assembly.resources('AWS::Lambda::Function').forEach((resource) => {
+    functions.set(resource.logicalId, new LocalFunction(assembly, resource));
+  });
+  return functions;
+};
+
+// Retries an asynchronous invocation like Lambda does for EventBridge targets (two retries), then drops the event.
+export const invokeAsync = async (fn: LocalFunction, event: any, retries = 2) => {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      return await fn.invoke(event);
+    } catch (e) {
+      console.error(`[local] ${fn.functionName} failed (attempt ${attempt + 1} of ${retries + 1})`, e);
+    }
+  }
+  console.error(`[local] ${fn.functionName} dropped the event after ${retries + 1} attempts`);
+  return undefined;
+};
@@ -0,0 +1,286 @@
+import { createHash } from 'crypto';
+import { arn, LocalAssembly, LOCAL_ACCOUNT, LOCAL_REGION } from './assembly';
+import { AwsServiceError } from './endpoint';
+import { LocalFunction, requestId } from './lambda';
+
+// In-memory SQS for the harness : the stack's queues with their visibility timeout and redrive policy,
+// the SQS API calls the services make, and SQS event source mappings (including ReportBatchItemFailures).
+
+const SQS_TYPE_PREFIX = 'com.amazonaws.sqs#';
+
+interface Message {
+  messageId: string;
+  body: string;
+  md5OfBody: string;
+  receiveCount: number;
+  sentTimestamp: number;
+  firstReceiveTimestamp?: number;
+  visibleAt: number;
+  receiptHandle?: string;
+}
+
+interface QueueConsumer {
+  fn: LocalFunction;
+  batchSize: number;
+  reportBatchItemFailures: boolean;
+  polling: boolean;
+  timer?: NodeJS.Timer;
+}
+
+export class LocalQueue {
+
+    public readonly messages: Message[] = [];
+    public deadLetterQueue: LocalQueue | undefined;
+    public maxReceiveCount = 0;
+    public consumer: QueueConsumer | undefined;
+
+    constructor(public readonly logicalId: string, public readonly name: string, public readonly url: string,
+                public readonly arn: string, public readonly visibilityTimeout: number) {
+    }
+
+    public send(body: string) {
+      const message: Message = {
+        messageId: requestId(),
+        body: body,
+        md5OfBody: md5(body),
+        receiveCount: 0,
+        sentTimestamp: Date.now(),
+        visibleAt: Date.now()
+      };
+      this.messages.push(message);
+      if (this.consumer != null) {
+        setImmediate(() => this.poll());
+      }
+      return message;
+    }
+
+    // Hides the received messages for visibilityTimeout seconds.
+    // Messages received more than maxReceiveCount times move to the dead-letter queue instead.
+    public receive(maxMessages: number, visibilityTimeout = this.visibilityTimeout) {
+      const now = Date.now();
+      const received: Message[] = [];
+      for (const message of this.messages.slice()) {
+        if (received.length >= maxMessages) {
+          break;
+        }
+        if (message.visibleAt > now) {
+          continue;
+        }
+        if (this.deadLetterQueue != null && message.receiveCount >= this.maxReceiveCount) {
+          this.remove(message);
+          this.deadLetterQueue.messages.push({ ...message, receiveCount: 0, visibleAt: now, receiptHandle: undefined });
+          console.warn(`[local] message ${message.messageId} moved from ${this.name} to ${this.deadLetterQueue.name}`);
+          continue;
+        }
+        message.receiveCount++;
+        message.firstReceiveTimestamp = message.firstReceiveTimestamp || now;
+        message.visibleAt = now + visibilityTimeout * 1000;
+        message.receiptHandle = requestId();
+        received.push(message);
+      }
+      return received;
+    }
+
+    public delete(receiptHandle: string) {
+      const message = this.messages.find((candidate) => candidate.receiptHandle === receiptHandle);
+      if (message != null) {
+        this.remove(message);
+      }
+    }
+
+    public changeVisibility(receiptHandle: string, visibilityTimeout: number) {
+      const message = this.messages.find((candidate) => candidate.receiptHandle === receiptHandle);
+      if (message == null) {
+        throw new AwsServiceError(`${SQS_TYPE_PREFIX}ReceiptHandleIsInvalid`, 'The input receipt handle is invalid');
+      }
+      message.visibleAt = Date.now() + visibilityTimeout * 1000;
+      if (this.consumer != null && visibilityTimeout === 0) {
+        setImmediate(() => this.poll());
+      }
+    }
+
+    // Lambda poller : invokes the consumer with batches until no message is visible,
+    // then waits for the next hidden message to become visible again.
+    public async poll() {
+      const consumer = this.consumer;
+      if (consumer == null || consumer.polling) {
+        return;
+      }
+      consumer.polling = true;
+      try {
+        for (;;) {
+          const messages = this.receive(consumer.batchSize);
+          if (messages.length === 0) {
+            break;
+          }
+          const failedIds = await this.invoke(consumer, messages);
+          messages
+            .filter((message) => !failedIds.has(message.messageId))
+            .forEach((message) => this.delete(message.receiptHandle!));
+        }
+      } finally {
+        consumer.polling = false;
+      }
+      this.schedulePoll(consumer);
+    }
+
+    public stop() {
+      if (this.consumer != null && this.consumer.timer != null) {
+        clearTimeout(this.consumer.timer);
+      }
+    }
+
+    // Ids of the messages that stay on the queue, all of them when the invocation fails.
+    private async invoke(consumer: QueueConsumer, messages: Message[]): Promise<Set<string>> {
+      const allIds = new Set(messages.map((message) => message.messageId));
+      try {
+        const result = await consumer.fn.invoke({ Records: messages.map((message) => this.toRecord(message)) });
+        if (!consumer.reportBatchItemFailures || result == null || result.batchItemFailures == null) {
+          return new Set();
+        }
+        const failedIds = result.batchItemFailures.map((failure: any) => failure.itemIdentifier);
+        // like Lambda, an unknown identifier fails the whole batch
+        if (failedIds.some((id: any) => !allIds.has(id))) {
+          console.error(`[local] ${consumer.fn.functionName} returned invalid batchItemFailures`, result.batchItemFailures);
+          return allIds;
+        }
+        return new Set(failedIds);
+
+      } catch (e) {
+        console.error(`[local] ${consumer.fn.functionName} failed, the batch returns to ${this.name}`, e);
+        return allIds;
+      }
+    }
+
+    private schedulePoll(consumer: QueueConsumer) {
+      if (consumer.timer != null) {
+        clearTimeout(consumer.timer);
+      }
+      if (this.messages.length === 0) {
+        return;
+      }
+      const nextVisibleAt = Math.min(...this.messages.map((message) => message.visibleAt));
+      consumer.timer = setTimeout(() => this.poll(), Math.max(0, nextVisibleAt - Date.now()));
+      consumer.timer.unref();
+    }
+
+    private remove(message: Message) {
+      this.messages.splice(this.messages.indexOf(message), 1);
+    }
+
+    private toRecord(message: Message) {
+      return {
+        messageId: message.messageId,
+        receiptHandle: message.receiptHandle,
+        body: message.body,
+        attributes: {
+          ApproximateReceiveCount: String(message.receiveCount),
+          SentTimestamp: String(message.sentTimestamp),
+          SenderId: LOCAL_ACCOUNT,
+          ApproximateFirstReceiveTimestamp: String(message.firstReceiveTimestamp)
+        },
+        messageAttributes: {},
+        md5OfBody: message.md5OfBody,
+        eventSource: 'aws:sqs',
+        eventSourceARN: this.arn,
+        awsRegion: LOCAL_REGION
+      };
+    }
+}
+
+export class LocalQueues {
+
+    private readonly queues = new Map<string, LocalQueue>();
+
+    constructor(assembly: LocalAssembly, endpoint: string) {
+      const resources = assembly.resources('AWS::SQS::Queue');
+      resources.forEach((resource) => {
+        const name = resource.properties.QueueName || resource.logicalId;
+        const queue = new LocalQueue(resource.logicalId, name, `${endpoint}/${LOCAL_ACCOUNT}/${name}`, arn('sqs', name),
+          resource.properties.VisibilityTimeout || 30);
+        this.queues.set(resource.logicalId, queue);
+        assembly.register(resource.logicalId, { ref: queue.url, Arn: queue.arn, QueueName: name, QueueUrl: queue.url });
+      });
+
+      resources.forEach((resource) => {
+        const redrivePolicy = resource.properties.RedrivePolicy;
+        if (redrivePolicy != null) {
+          const queue = this.queues.get(resource.logicalId)!;
+          queue.deadLetterQueue = this.queues.get(assembly.referencedId(redrivePolicy.deadLetterTargetArn)!);
+          queue.maxReceiveCount = redrivePolicy.maxReceiveCount;
+        }
+      });
+    }
+
+    public get(logicalId: string) {
+      return this.queues.get(logicalId);
+    }
+
+    public byName(name: string) {
+      return Array.from(this.queues.values()).find((queue) => queue.name === name);
+    }
+
+    // SQS event source mapping
+    public attachConsumer(logicalId: string, fn: LocalFunction, batchSize = 10, reportBatchItemFailures = false) {
+      const queue = this.queues.get(logicalId)!;
+      queue.consumer = { fn, batchSize, reportBatchItemFailures, polling: false };
+      setImmediate(() => queue.poll());
+    }
+
+    public stop() {
+      this.queues.forEach((queue) => queue.stop());
+    }
+
+    // Entry point of the local endpoint.
+    public handle = async (operation: string, request: any): Promise<any> => {
+      if (operation === 'GetQueueUrl') {
+        return { QueueUrl: this.queueByName(request.QueueName).url };
+      }
+
+      const queue = this.queueByUrl(request.QueueUrl);
+      switch (operation) {
+        case 'SendMessage': {
+          const message = queue.send(request.MessageBody);
+          return { MessageId: message.messageId, MD5OfMessageBody: message.md5OfBody };
+        }
+        case 'ReceiveMessage': {
+          const messages = queue.receive(request.MaxNumberOfMessages || 1, request.VisibilityTimeout);
+          return {
+            Messages: messages.map((message) => ({
+              MessageId: message.messageId,
+              ReceiptHandle: message.receiptHandle,
+              MD5OfBody: message.md5OfBody,
+              Body: message.body,
+              Attributes: {
+                ApproximateReceiveCount: String(message.receiveCount),
+                SentTimestamp: String(message.sentTimestamp),
+                ApproximateFirstReceiveTimestamp: String(message.firstReceiveTimestamp)
+              }
+            }))
+          };
+        }
+        case 'DeleteMessage':
+          queue.delete(request.ReceiptHandle);
+          return {};
+        case 'ChangeMessageVisibility':
+          queue.changeVisibility(request.ReceiptHandle, request.VisibilityTimeout);
+          return {};
+        default:
+          throw new AwsServiceError('UnknownOperationException', `The local SQS does not support "${operation}"`);
+      }
+    }
+
+    private queueByName(name: string) {
+      const queue = this.byName(name);
+      if (queue == null) {
+        throw new AwsServiceError(`${SQS_TYPE_PREFIX}QueueDoesNotExist`, 'The specified queue does not exist.');
+      }
+      return queue;
+    }
+
+    private queueByUrl(url: string) {
+      return this.queueByName(String(url || '').split('/').pop()!);
+    }
+}
+
+const md5 = (value: string) => createHash('md5').update(value, 'utf8').digest('hex');
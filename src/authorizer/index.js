@@ -0,0 +1,68 @@
+import { importJwks, InvalidTokenError, verifyJwt } from "./jwt";
+
+// API Gateway TOKEN authorizer for the basket and order APIs.
+// event : { type: "TOKEN", authorizationToken: "Bearer <jwt>", methodArn }
+// A valid token is allowed on every method of the API (API Gateway caches the policy per token),
+// the handlers authorize each route from the context : { userName, roles }.
+
+let jwksCache = { source: undefined, keys: undefined };
+
+const getKeys = () => {
+  if (jwksCache.source !== process.env.JWKS) {
+    jwksCache = { source: process.env.JWKS, keys: importJwks(JSON.parse(process.env.JWKS)) };
+  }
+  return jwksCache.keys;
+}
+
+exports.handler = async function(event) {
+  // the token and its claims are never logged
+  console.log(`authorize : ${event.methodArn}`);
+
+  const match = /^Bearer (.+)$/i.exec(event.authorizationToken || "");
+  if (match == null) {
+    console.log("rejected : no bearer token");
+    // API Gateway answers 401 for exactly this error message
+    throw new Error("Unauthorized");
+  }
+
+  let claims;
+  try {
+    claims = verifyJwt(match[1].trim(), getKeys(), {
+      issuer: process.env.JWT_ISSUER || undefined,
+      audience: process.env.JWT_AUDIENCE || undefined
+    });
+  } catch (e) {
+    if (!(e instanceof InvalidTokenError)) {
+      throw e;
+    }
+    console.log(`rejected : ${e.message}`);
+    throw new Error("Unauthorized");
+  }
+
+  const userName = claims[process.env.JWT_USERNAME_CLAIM];
+  if (typeof userName !== "string" || userName === "") {
+    console.log(`rejected : no "${process.env.JWT_USERNAME_CLAIM}" claim`);
+    throw new Error("Unauthorized");
+  }
+  const roles = toRoles(claims[process.env.JWT_ROLES_CLAIM]);
+
+  console.log(`allowed : ${userName} [${roles.join(", ")}]`);
+  return {
+    principalId: userName,
+    policyDocument: {
+      Version: "2012-10-17",
+      Statement: [{ Action: "execute-api:Invoke", Effect: "Allow", Resource: apiArn(event.methodArn) }]
+    },
+    // context values can only be strings, numbers or booleans
+    context: { userName, roles: roles.join(",") }
+  };
+}
+
+// roles claim : an array of names or a space-separated string (OAuth scope style)
+const toRoles = (value) => {
+  const roles = Array.isArray(value) ? value : (typeof value === "string" ? value.split(" ") : []);
+  return roles.filter((role) => typeof role === "string" && role.length > 0 && !role.includes(","));
+}
+
+// arn:aws:execute-api:{region}:{account}:{apiId}/{stage}/{method}/{path} -> every method and path of the stage
+const apiArn = (methodArn) => `${methodArn.split("/").slice(0, 2).join("/")}/*`;
@@ -0,0 +1,117 @@
+// RS256 JSON Web Token verification against a JWKS, with node's crypto only :
+// the keys are part of the function's configuration, verifying a token needs no network call.
+
+import { createPublicKey, verify } from "crypto";
+
+// tolerated clock difference with the token issuer
+const CLOCK_SKEW_SECONDS = 60;
+
+export class InvalidTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+// JWKS : { keys: [{ kty: "RSA", kid, n, e, alg?, use? }] } -> Map kid -> KeyObject
+export const importJwks = (jwks) => {
+  if (jwks == null || !Array.isArray(jwks.keys)) {
+    throw new Error("JWKS should be an object with a keys array");
+  }
+  const keys = new Map();
+  jwks.keys
+    .filter((jwk) => jwk.kty === "RSA" && (jwk.use == null || jwk.use === "sig") && (jwk.alg == null || jwk.alg === "RS256"))
+    .forEach((jwk) => keys.set(jwk.kid, rsaPublicKey(jwk)));
+  return keys;
+}
+
+// Returns the claims of a valid token, throws InvalidTokenError otherwise.
+// options : { issuer, audience, now (seconds) }, issuer and audience are only checked when set
+export const verifyJwt = (token, keys, options = {}) => {
+  const parts = (typeof token === "string") ? token.split(".") : [];
+  if (parts.length !== 3) {
+    throw new InvalidTokenError("token is not a JWT");
+  }
+  const header = decodeSegment(parts[0], "header");
+  const claims = decodeSegment(parts[1], "payload");
+
+  // the algorithm is fixed, never taken from the token ("none", HS256 with the public key ...)
+  if (header.alg !== "RS256") {
+    throw new InvalidTokenError(`unsupported algorithm "${header.alg}"`);
+  }
+  const key = (header.kid != null) ? keys.get(header.kid) : (keys.size === 1 ? keys.values().next().value : undefined);
+  if (key == null) {
+    throw new InvalidTokenError(`unknown key "${header.kid}"`);
+  }
+  const signature = Buffer.from(parts[2], "base64url");
+  if (!verify("RSA-SHA256", Buffer.from(`${parts[0]}.${parts[1]}`), key, signature)) {
+    throw new InvalidTokenError("invalid signature");
+  }
+
+  const now = (options.now != null) ? options.now : Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number") {
+    throw new InvalidTokenError("token has no expiry");
+  }
+  if (claims.exp + CLOCK_SKEW_SECONDS <= now) {
+    throw new InvalidTokenError("token expired");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new InvalidTokenError("token not valid yet");
+  }
+  if (options.issuer != null && claims.iss !== options.issuer) {
+    throw new InvalidTokenError(`unexpected issuer "${claims.iss}"`);
+  }
+  if (options.audience != null) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      throw new InvalidTokenError(`unexpected audience "${claims.aud}"`);
+    }
+  }
+  return claims;
+}
+
+const decodeSegment = (segment, name) => {
+  try {
+    const value = JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+    if (value == null || typeof value !== "object" || Array.isArray(value)) {
+      throw new Error("not an object");
+    }
+    return value;
+  } catch (e) {
+    throw new InvalidTokenError(`malformed ${name}`);
+  }
+}
+
+// The Lambda runtime (Node.js 14) cannot import a JWK directly,
+// the key is converted to a PKCS#1 RSAPublicKey : SEQUENCE { modulus INTEGER, publicExponent INTEGER }
+const rsaPublicKey = (jwk) => {
+  const der = derSequence([derInteger(Buffer.from(jwk.n, "base64url")), derInteger(Buffer.from(jwk.e, "base64url"))]);
+  return createPublicKey({ key: der, format: "der", type: "pkcs1" });
+}
+
+const derLength = (length) => {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+  const bytes = [];
+  for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+    bytes.unshift(remaining % 256);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+// unsigned big-endian integer : no leading zeros, except one when the high bit is set
+const derInteger = (bytes) => {
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) {
+    start++;
+  }
+  const value = bytes.slice(start);
+  const content = (value[0] & 0x80) ? Buffer.concat([Buffer.from([0]), value]) : value;
+  return Buffer.concat([Buffer.from([0x02]), derLength(content.length), content]);
+}
+
+const derSequence = (elements) => {
+  const content = Buffer.concat(elements);
+  return Buffer.concat([Buffer.from([0x30]), derLength(content.length), content]);
+}
@@ -0,0 +1,51 @@
+// Item-level changes to a basket, free of I/O : a basket holds one line per productId,
+// so one product comes in a single color per basket (the item routes address lines by productId).
+
+import { NotFoundError, ValidationError } from "../shared/errors";
+
+// Lines of the same product become one, quantities added up and the later line's other fields winning.
+// A line without color takes the color of the other one, two different colors are rejected.
+export const mergeItems = (items) => mergeLines(items, (existing, item) => {
+  if (existing.color != null && item.color != null && existing.color !== item.color) {
+    throw new ValidationError([{ field: "color", message: `should be "${existing.color}" like the other line of product "${item.productId}"` }]);
+  }
+  return (item.color != null) ? item.color : existing.color;
+});
+
+// Lines of a cancelled order put back into the basket, merged like mergeItems. A line in another color
+// than the basket's keeps the basket's color : the restore is not a request that can be refused.
+export const restoreItems = (items, restored) => mergeLines([...items, ...restored],
+  (existing, item) => (existing.color != null) ? existing.color : item.color);
+
+// resolveColor(existing, item) -> the color of the merged line
+const mergeLines = (items, resolveColor) => {
+  const merged = new Map();
+  items.forEach((item) => {
+    const existing = merged.get(item.productId);
+    merged.set(item.productId, (existing == null)
+      ? { ...item }
+      : { ...existing, ...item, color: resolveColor(existing, item), quantity: existing.quantity + item.quantity });
+  });
+  return [...merged.values()];
+}
+
+export const addItem = (items, item) => mergeItems([...items, item]);
+
+export const setItemQuantity = (items, productId, quantity) => {
+  const merged = mergeItems(items);
+  const item = merged.find((candidate) => candidate.productId === productId);
+  if (item == null) {
+    throw itemNotFound(productId);
+  }
+  item.quantity = quantity;
+  return merged;
+}
+
+export const removeItem = (items, productId) => {
+  if (!items.some((item) => item.productId === productId)) {
+    throw itemNotFound(productId);
+  }
+  return items.filter((item) => item.productId !== productId);
+}
+
+const itemNotFound = (productId) => new NotFoundError(`Product "${productId}" is not in the basket`);
@@ -0,0 +1,206 @@
+import { DeleteItemCommand, GetItemCommand, PutItemCommand, ScanCommand, TransactWriteItemsCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { ConflictError } from "../shared/errors";
+import { buildReservationItems, MAX_TRANSACTION_ITEMS, toReservationConflict } from "./inventory";
+import { buildCompleteCheckoutUpdate } from "./idempotency";
+import { buildOutboxPut } from "../shared/outbox";
+
+// Persistence of baskets, injected into the handler by createHandler (./index).
+// basket table : PK: userName -- items, version
+// version counts the writes of a basket (optimistic locking), baskets saved before it existed have none and count as 0.
+// Both repositories expose :
+// - get(userName) -> basket | undefined
+// - list({ limit, exclusiveStartKey }) -> { items, lastEvaluatedKey }
+// - put(basket) -> write result, stores the basket as given
+// - saveItems(userName, items, expectedVersion) -> saved basket, ConflictError when the basket is no longer at expectedVersion
+// - delete(userName) -> write result, undefined when the user has no basket
+// - checkout(checkout) -> commits a checkout all or nothing, see below
+
+// transaction actions besides the stock reservations : basket delete, outbox entry, idempotency record
+const CHECKOUT_EXTRA_ACTIONS = 3;
+
+const concurrentCheckoutError = () => new ConflictError("The basket changed or was checked out concurrently, please retry");
+const concurrentUpdateError = () => new ConflictError("The basket was changed concurrently, please retry");
+
+export class DynamoBasketRepository {
+  constructor(ddbClient, { tableName }) {
+    this.ddbClient = ddbClient;
+    this.tableName = tableName;
+  }
+
+  async get(userName) {
+    const { Item } = await this.ddbClient.send(new GetItemCommand({
+      TableName: this.tableName,
+      Key: marshall({ userName: userName })
+    }));
+    return (Item != null) ? unmarshall(Item) : undefined;
+  }
+
+  async list({ limit, exclusiveStartKey }) {
+    const { Items, LastEvaluatedKey } = await this.ddbClient.send(new ScanCommand({
+      TableName: this.tableName,
+      Limit: limit,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+    return { items: (Items || []).map((item) => unmarshall(item)), lastEvaluatedKey: LastEvaluatedKey };
+  }
+
+  async put(basket) {
+    return await this.ddbClient.send(new PutItemCommand({
+      TableName: this.tableName,
+      Item: marshall(basket)
+    }));
+  }
+
+  // expectedVersion 0 : the user has no basket, or one without a version
+  async saveItems(userName, items, expectedVersion) {
+    const values = { ":items": items, ":nextVersion": expectedVersion + 1 };
+    if (expectedVersion > 0) {
+      values[":expectedVersion"] = expectedVersion;
+    }
+    try {
+      const { Attributes } = await this.ddbClient.send(new UpdateItemCommand({
+        TableName: this.tableName,
+        Key: marshall({ userName: userName }),
+        UpdateExpression: "SET #items = :items, #version = :nextVersion",
+        ConditionExpression: (expectedVersion > 0) ? "#version = :expectedVersion" : "attribute_not_exists(#version)",
+        ExpressionAttributeNames: { "#items": "items", "#version": "version" },
+        ExpressionAttributeValues: marshall(values, { removeUndefinedValues: true }),
+        ReturnValues: "ALL_NEW"
+      }));
+      return unmarshall(Attributes);
+    } catch(e) {
+      if (e.name === "ConditionalCheckFailedException") {
+        throw concurrentUpdateError();
+      }
+      throw e;
+    }
+  }
+
+  async delete(userName) {
+    try {
+      return await this.ddbClient.send(new DeleteItemCommand({
+        TableName: this.tableName,
+        Key: marshall({ userName: userName }),
+        ConditionExpression: "attribute_exists(userName)"
+      }));
+    } catch(e) {
+      if (e.name === "ConditionalCheckFailedException") {
+        return undefined;
+      }
+      throw e;
+    }
+  }
+
+  // One transaction : reserve stock for `items`, remove the basket (still at the `version` that was priced),
+  // record `event` in the outbox and, with an idempotencyKey, store `response` for replays.
+  // checkout : { userName, version, items, event: { id, source, detailType, detail }, idempotencyKey, response }
+  async checkout({ userName, version, items, event, idempotencyKey, response }) {
+    const reservationItems = buildReservationItems(items, MAX_TRANSACTION_ITEMS - CHECKOUT_EXTRA_ACTIONS);
+    const transactItems = [
+      ...reservationItems,
+      {
+        Delete: {
+          TableName: this.tableName,
+          Key: marshall({ userName: userName }),
+          // items added after the basket was read would be deleted without being ordered
+          ConditionExpression: (version != null)
+            ? "#version = :version"
+            : "attribute_exists(userName) AND attribute_not_exists(#version)",
+          ExpressionAttributeNames: { "#version": "version" },
+          ExpressionAttributeValues: (version != null) ? marshall({ ":version": version }) : undefined
+        }
+      },
+      buildOutboxPut(event.id, event.source, event.detailType, event.detail)
+    ];
+    if (idempotencyKey != null) {
+      transactItems.push(buildCompleteCheckoutUpdate(userName, idempotencyKey, response));
+    }
+
+    try {
+      return await this.ddbClient.send(new TransactWriteItemsCommand({ TransactItems: transactItems }));
+    } catch(e) {
+      if (e.name === "TransactionCanceledException") {
+        throw toCheckoutConflict(e, reservationItems);
+      }
+      throw e;
+    }
+  }
+}
+
+// CancellationReasons is index aligned with TransactItems : stock reservations come first
+const toCheckoutConflict = (error, reservationItems) => {
+  const reasons = error.CancellationReasons || [];
+  const stockFailed = reasons
+    .slice(0, reservationItems.length)
+    .some((reason) => reason != null && reason.Code === "ConditionalCheckFailed");
+  if (stockFailed) {
+    return toReservationConflict(error, reservationItems);
+  }
+  return concurrentCheckoutError();
+}
+
+// In-memory baskets for tests. The checkout reserves stock on the in-memory catalog and completes the key
+// on the in-memory idempotency repository it is given, published events are collected in `outbox`.
+export class InMemoryBasketRepository {
+  constructor({ baskets = [], catalogRepository, idempotencyRepository } = {}) {
+    this.baskets = new Map(baskets.map((basket) => [basket.userName, clone(basket)]));
+    this.catalogRepository = catalogRepository;
+    this.idempotencyRepository = idempotencyRepository;
+    this.outbox = [];
+  }
+
+  async get(userName) {
+    return clone(this.baskets.get(userName));
+  }
+
+  async list({ limit, exclusiveStartKey }) {
+    const baskets = [...this.baskets.values()];
+    const start = (exclusiveStartKey != null) ? baskets.findIndex((basket) => basket.userName === exclusiveStartKey.userName) + 1 : 0;
+    const items = baskets.slice(start, start + limit);
+    return {
+      items: items.map((basket) => clone(basket)),
+      lastEvaluatedKey: (start + limit < baskets.length) ? { userName: items[items.length - 1].userName } : undefined
+    };
+  }
+
+  async put(basket) {
+    this.baskets.set(basket.userName, clone(basket));
+    return {};
+  }
+
+  async saveItems(userName, items, expectedVersion) {
+    const basket = this.baskets.get(userName);
+    if (((basket != null) ? (basket.version || 0) : 0) !== expectedVersion) {
+      throw concurrentUpdateError();
+    }
+    this.baskets.set(userName, { ...basket, userName: userName, items: clone(items), version: expectedVersion + 1 });
+    return clone(this.baskets.get(userName));
+  }
+
+  async delete(userName) {
+    return this.baskets.delete(userName) ? {} : undefined;
+  }
+
+  async checkout({ userName, version, items, event, idempotencyKey, response }) {
+    const basket = this.baskets.get(userName);
+    if (basket == null || basket.version !== version) {
+      throw concurrentCheckoutError();
+    }
+    this.catalogRepository.reserve(items);
+    if (idempotencyKey != null) {
+      try {
+        this.idempotencyRepository.completeCheckout(userName, idempotencyKey, response);
+      } catch(e) {
+        await this.catalogRepository.releaseStock(items);
+        throw e;
+      }
+    }
+    this.baskets.delete(userName);
+    this.outbox.push(clone(event));
+    return {};
+  }
+}
+
+// stored and returned baskets are copies, like items read from DynamoDB
+const clone = (value) => (value === undefined) ? undefined : JSON.parse(JSON.stringify(value));
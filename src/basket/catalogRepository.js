@@ -0,0 +1,105 @@
+import { BatchGetItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { outOfStockError, quantitiesByProduct } from "./inventory";
+
+// The basket service's view of the product catalog : prices are read at checkout, stock is given back
+// by compensating events. Stock is reserved inside the checkout transaction (basketRepository.checkout).
+// - getProducts(productIds) -> Map of productId -> product, unknown ids are left out
+// - releaseStock(items) -> puts the quantities of the order lines back
+
+export class DynamoCatalogRepository {
+  constructor(ddbClient, { tableName }) {
+    this.ddbClient = ddbClient;
+    this.tableName = tableName;
+  }
+
+  // BatchGetItem takes at most 100 keys per call and may hand back UnprocessedKeys under load.
+  async getProducts(productIds) {
+    console.log("getProducts", productIds);
+    const uniqueIds = [...new Set(productIds)];
+    const catalog = new Map();
+
+    for (let i = 0; i < uniqueIds.length; i += 100) {
+      let requestItems = {
+        [this.tableName]: {
+          Keys: uniqueIds.slice(i, i + 100).map((id) => marshall({ id: id }))
+        }
+      };
+
+      while (requestItems != null && Object.keys(requestItems).length > 0) {
+        const { Responses, UnprocessedKeys } = await this.ddbClient.send(new BatchGetItemCommand({ RequestItems: requestItems }));
+        (Responses[this.tableName] || [])
+          .map((item) => unmarshall(item))
+          .forEach((product) => catalog.set(product.id, product));
+        requestItems = UnprocessedKeys;
+      }
+    }
+
+    return catalog;
+  }
+
+  // Products are released one by one so that a product deleted in the meantime does not block the others.
+  async releaseStock(items) {
+    console.log("releaseStock", items);
+    for (const [productId, quantity] of quantitiesByProduct(items)) {
+      try {
+        await this.ddbClient.send(new UpdateItemCommand({
+          TableName: this.tableName,
+          Key: marshall({ id: productId }),
+          UpdateExpression: "SET stock = stock + :quantity",
+          ConditionExpression: "attribute_exists(id)",
+          ExpressionAttributeValues: marshall({ ":quantity": quantity })
+        }));
+
+      } catch(e) {
+        if (e.name !== "ConditionalCheckFailedException") {
+          console.error(e);
+          throw e;
+        }
+        console.log(`releaseStock: product "${productId}" no longer exists, skipping`);
+      }
+    }
+  }
+}
+
+// In-memory catalog for tests, products keep their `stock` like on the product table.
+// reserve is what the in-memory checkout uses in place of the transaction's stock decrements.
+export class InMemoryCatalogRepository {
+  constructor(products = []) {
+    this.products = new Map(products.map((product) => [product.id, { ...product }]));
+  }
+
+  async getProducts(productIds) {
+    const catalog = new Map();
+    productIds
+      .filter((id) => this.products.has(id))
+      .forEach((id) => catalog.set(id, { ...this.products.get(id) }));
+    return catalog;
+  }
+
+  async releaseStock(items) {
+    for (const [productId, quantity] of quantitiesByProduct(items)) {
+      const product = this.products.get(productId);
+      if (product != null) {
+        product.stock += quantity;
+      }
+    }
+  }
+
+  // all or nothing, like the conditional decrements of the checkout transaction
+  reserve(items) {
+    const quantities = quantitiesByProduct(items);
+    const unavailable = [...quantities]
+      .filter(([productId, quantity]) => {
+        const product = this.products.get(productId);
+        return product == null || product.stock == null || product.stock < quantity;
+      })
+      .map(([productId, quantity]) => ({ productId: productId, requested: quantity, message: "insufficient stock" }));
+    if (unavailable.length > 0) {
+      throw outOfStockError(unavailable);
+    }
+    quantities.forEach((quantity, productId) => {
+      this.products.get(productId).stock -= quantity;
+    });
+  }
+}
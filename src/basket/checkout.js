@@ -0,0 +1,60 @@
+import { ConflictError } from "../shared/errors";
+import { effectivePrice } from "../shared/pricing";
+
+// Pricing of a checkout, free of I/O : the basket and the catalog products are read by the handler
+// and handed in, so the rules can be exercised without a database.
+
+// money is summed in cents to avoid floating point drift (0.1 + 0.2)
+export const toCents = (amount) => Math.round(amount * 100);
+
+// `at` : the time of the checkout, a scheduled product price applies from its time on (see ../shared/pricing)
+export const prepareOrderPayload = (checkoutRequest, basket, catalog, at = new Date().toISOString()) => {    
+  console.log("prepareOrderPayload");
+  
+  // prepare order payload -> price every basket line from the catalog and combine it with the checkout details
+  // client supplied basket prices are ignored, a line costs the catalog price in effect * quantity
+  try {
+      const unavailable = basket.items
+        .filter((item) => !catalog.has(item.productId))
+        .map((item) => ({ productId: item.productId, message: "product no longer exists" }));
+      if (unavailable.length > 0) {
+        throw new ConflictError("Some basket items are no longer available", unavailable);
+      }
+
+      let subtotalCents = 0;
+      const items = basket.items.map((item) => {
+        const product = catalog.get(item.productId);
+        const unitPrice = effectivePrice(product, at);
+        const lineTotalCents = toCents(unitPrice) * item.quantity;
+        subtotalCents += lineTotalCents;
+        return {
+          productId: item.productId,
+          productName: product.name,
+          color: item.color,
+          quantity: item.quantity,
+          unitPrice: unitPrice,
+          lineTotal: lineTotalCents / 100
+        };
+      });
+
+      // only the fields of the CheckoutBasket contract, the request may carry more
+      const orderPayload = {
+        userName: basket.userName,
+        firstName: checkoutRequest.firstName,
+        lastName: checkoutRequest.lastName,
+        email: checkoutRequest.email,
+        address: checkoutRequest.address,
+        paymentMethod: checkoutRequest.paymentMethod,
+        cardInfo: checkoutRequest.cardInfo,
+        items: items,
+        subtotal: subtotalCents / 100,
+        totalPrice: subtotalCents / 100
+      };
+      console.log("Success prepareOrderPayload, orderPayload:", orderPayload);
+      return orderPayload;
+
+    } catch(e) {
+      console.error(e);
+      throw e;
+  }    
+}
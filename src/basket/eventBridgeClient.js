@@ -1,3 +1,4 @@
 import { EventBridgeClient } from "@aws-sdk/client-eventbridge";
 // Create an Amazon EventBridge service client object.
-export const ebClient = new EventBridgeClient();
\ No newline at end of file
+// EVENTBRIDGE_ENDPOINT points the client at the local event bus (see local/README.md), unset in AWS.
+export const ebClient = new EventBridgeClient(process.env.EVENTBRIDGE_ENDPOINT ? { endpoint: process.env.EVENTBRIDGE_ENDPOINT } : {});
\ No newline at end of file
@@ -0,0 +1,228 @@
+import { DeleteItemCommand, GetItemCommand, PutItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { createHash } from "crypto";
+import { ConflictError } from "../shared/errors";
+
+// Idempotency-Key support for POST /basket/checkout, and dedupe of compensating events.
+// idempotency table : PK: id ("checkout#{userName}#{key}") -- status - requestHash - response - orderReference - expiresAt (TTL)
+  // "event#{name}" records : compensating events already applied by this service
+// Both repositories expose :
+// - beginCheckout(userName, idempotencyKey, requestBody) -> undefined to run the checkout, or the response to replay
+// - abandonCheckout(userName, idempotencyKey) -> frees a key that is still IN_PROGRESS, a COMPLETED key is kept
+// - claimEvent(name) -> false when the event was already applied
+// - releaseEventClaim(name)
+// A checkout completes its key inside the checkout transaction (buildCompleteCheckoutUpdate).
+
+// keys are remembered for 24 hours, after that a retry is treated as a new checkout
+const KEY_TTL_SECONDS = 24 * 60 * 60;
+// a key freed between the failed claim and its read is claimed again, once
+const MAX_CLAIM_ATTEMPTS = 2;
+// applied events are remembered longer than the order dead-letter queue keeps messages (14 days) :
+// discarding one publishes its OrderFailed again
+const EVENT_TTL_SECONDS = 15 * 24 * 60 * 60;
+
+const recordId = (userName, idempotencyKey) => `checkout#${userName}#${idempotencyKey}`;
+
+const hashRequest = (requestBody) => createHash("sha256").update(requestBody || "").digest("hex");
+
+const expiresAt = (ttlSeconds = KEY_TTL_SECONDS) => Math.floor(Date.now() / 1000) + ttlSeconds;
+
+// Replay of a key that was used before, or refusal if the first attempt is still running.
+const replay = (record, requestHash, idempotencyKey) => {
+  if (record.requestHash !== requestHash) {
+    throw new ConflictError("Idempotency-Key was already used with a different request payload");
+  }
+  if (record.status !== "COMPLETED") {
+    throw new ConflictError("A checkout with this Idempotency-Key is already in progress");
+  }
+
+  console.log(`Replaying checkout response for idempotencyKey : "${idempotencyKey}"`);
+  return JSON.parse(record.response);
+}
+
+export class DynamoIdempotencyRepository {
+  constructor(ddbClient, { tableName }) {
+    this.ddbClient = ddbClient;
+    this.tableName = tableName;
+  }
+
+  // Claims the key for this request.
+  // The record of a failed claim may be gone when it is read (abandoned or expired meanwhile) : the claim is tried again.
+  async beginCheckout(userName, idempotencyKey, requestBody) {
+    console.log(`beginCheckout function. userName : "${userName}", idempotencyKey : "${idempotencyKey}"`);
+    const id = recordId(userName, idempotencyKey);
+    const requestHash = hashRequest(requestBody);
+
+    for (let attempt = 1; attempt <= MAX_CLAIM_ATTEMPTS; attempt++) {
+      if (await this.claimCheckout(id, requestHash)) {
+        return undefined;
+      }
+
+      const { Item } = await this.ddbClient.send(new GetItemCommand({
+        TableName: this.tableName,
+        Key: marshall({ id: id }),
+        ConsistentRead: true
+      }));
+      if (Item != null) {
+        return replay(unmarshall(Item), requestHash, idempotencyKey);
+      }
+      console.log(`idempotencyKey : "${idempotencyKey}" was freed while being claimed, attempt ${attempt} of ${MAX_CLAIM_ATTEMPTS}`);
+    }
+    throw new ConflictError("A checkout with this Idempotency-Key changed concurrently, retry it");
+  }
+
+  // Conditional put of the IN_PROGRESS record, false when the key is already taken.
+  async claimCheckout(id, requestHash) {
+    try {
+      await this.ddbClient.send(new PutItemCommand({
+        TableName: this.tableName,
+        Item: marshall({
+          id: id,
+          status: "IN_PROGRESS",
+          requestHash: requestHash,
+          createdAt: new Date().toISOString(),
+          expiresAt: expiresAt()
+        }),
+        ConditionExpression: "attribute_not_exists(id)"
+      }));
+      return true;
+
+    } catch(e) {
+      if (e.name !== "ConditionalCheckFailedException") {
+        console.error(e);
+        throw e;
+      }
+      return false;
+    }
+  }
+
+  // Frees the key after a failed checkout so the client can retry with the same key.
+  // Only an IN_PROGRESS record is deleted : a checkout that committed (its response lost on the way back) keeps replaying.
+  async abandonCheckout(userName, idempotencyKey) {
+    console.log(`abandonCheckout function. userName : "${userName}", idempotencyKey : "${idempotencyKey}"`);
+    try {
+      await this.ddbClient.send(new DeleteItemCommand({
+        TableName: this.tableName,
+        Key: marshall({ id: recordId(userName, idempotencyKey) }),
+        ConditionExpression: "#status = :inProgress",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: marshall({ ":inProgress": "IN_PROGRESS" })
+      }));
+
+    } catch(e) {
+      if (e.name === "ConditionalCheckFailedException") {
+        console.log(`idempotencyKey : "${idempotencyKey}" is no longer in progress, kept`);
+        return;
+      }
+      // the record expires on its own, the original error is the one worth reporting
+      console.error(e);
+    }
+  }
+
+  // Compensating events are delivered at least once. Claims the event so a redelivery is skipped.
+  async claimEvent(name) {
+    console.log(`claimEvent function. name : "${name}"`);
+    try {
+      await this.ddbClient.send(new PutItemCommand({
+        TableName: this.tableName,
+        Item: marshall({
+          id: `event#${name}`,
+          createdAt: new Date().toISOString(),
+          expiresAt: expiresAt(EVENT_TTL_SECONDS)
+        }),
+        ConditionExpression: "attribute_not_exists(id)"
+      }));
+      return true;
+
+    } catch(e) {
+      if (e.name === "ConditionalCheckFailedException") {
+        return false;
+      }
+      console.error(e);
+      throw e;
+    }
+  }
+
+  // Frees the claim after a failed attempt so the redelivered event is applied.
+  async releaseEventClaim(name) {
+    console.log(`releaseEventClaim function. name : "${name}"`);
+    try {
+      await this.ddbClient.send(new DeleteItemCommand({
+        TableName: this.tableName,
+        Key: marshall({ id: `event#${name}` })
+      }));
+
+    } catch(e) {
+      console.error(e);
+    }
+  }
+}
+
+// In-memory records for tests, without expiry.
+// completeCheckout is what the in-memory checkout uses in place of buildCompleteCheckoutUpdate.
+export class InMemoryIdempotencyRepository {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async beginCheckout(userName, idempotencyKey, requestBody) {
+    const id = recordId(userName, idempotencyKey);
+    const requestHash = hashRequest(requestBody);
+    if (!this.records.has(id)) {
+      this.records.set(id, { id: id, status: "IN_PROGRESS", requestHash: requestHash });
+      return undefined;
+    }
+    return replay(this.records.get(id), requestHash, idempotencyKey);
+  }
+
+  completeCheckout(userName, idempotencyKey, response) {
+    const record = this.records.get(recordId(userName, idempotencyKey));
+    if (record == null || record.status !== "IN_PROGRESS") {
+      throw new ConflictError("The basket changed or was checked out concurrently, please retry");
+    }
+    Object.assign(record, { status: "COMPLETED", response: JSON.stringify(response), orderReference: response.orderReference });
+  }
+
+  async abandonCheckout(userName, idempotencyKey) {
+    const id = recordId(userName, idempotencyKey);
+    if (this.records.has(id) && this.records.get(id).status === "IN_PROGRESS") {
+      this.records.delete(id);
+    }
+  }
+
+  async claimEvent(name) {
+    if (this.records.has(`event#${name}`)) {
+      return false;
+    }
+    this.records.set(`event#${name}`, { id: `event#${name}` });
+    return true;
+  }
+
+  async releaseEventClaim(name) {
+    this.records.delete(`event#${name}`);
+  }
+}
+
+// TransactItem that stores the response (and the order reference it points to) for replays.
+// It commits together with the checkout itself, so a key is never left IN_PROGRESS after a successful checkout.
+export const buildCompleteCheckoutUpdate = (userName, idempotencyKey, response) => {
+  return {
+    Update: {
+      TableName: process.env.IDEMPOTENCY_TABLE_NAME,
+      Key: marshall({ id: recordId(userName, idempotencyKey) }),
+      UpdateExpression: "SET #status = :status, #response = :response, orderReference = :orderReference, completedAt = :completedAt",
+      ConditionExpression: "#status = :inProgress",
+      ExpressionAttributeNames: {
+        "#status": "status",
+        "#response": "response"
+      },
+      ExpressionAttributeValues: marshall({
+        ":status": "COMPLETED",
+        ":inProgress": "IN_PROGRESS",
+        ":response": JSON.stringify(response),
+        ":orderReference": response.orderReference,
+        ":completedAt": new Date().toISOString()
+      })
+    }
+  };
+}
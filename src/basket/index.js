@@ -1,80 +1,220 @@
-import { DeleteItemCommand, GetItemCommand, PutItemCommand, ScanCommand } from "@aws-sdk/client-dynamodb";
-import { PutEventsCommand } from "@aws-sdk/client-eventbridge";
-import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { randomUUID } from "crypto";
 import { ddbClient } from "./ddbClient";
-import { ebClient } from "./eventBridgeClient";
+import { sqsClient } from "./sqsClient";
+import { getPaginationParams, toPage } from "../shared/pagination";
+import { ADMIN_ROLE, getCaller, requireRole, resolveUserName } from "../shared/auth";
+import { ConflictError, MethodNotAllowedError, NotFoundError, ValidationError } from "../shared/errors";
+import { errorResponse, getHeader, successResponse } from "../shared/http";
+import { assertValid, parseJsonBody } from "../shared/validation";
+import { basketItemQuantitySchema, basketItemSchema, basketSchema, checkoutSchema } from "./schemas";
+import { addItem, mergeItems, removeItem, restoreItems, setItemQuantity } from "./basketItems";
+import { DynamoBasketRepository } from "./basketRepository";
+import { DynamoCatalogRepository } from "./catalogRepository";
+import { DynamoIdempotencyRepository } from "./idempotency";
+import { prepareOrderPayload } from "./checkout";
+import { generateOrderNumber } from "../shared/orderNumber";
+import { quarantineEvent } from "../shared/quarantine";
+import { buildEventDetail, checkEventDetail } from "../shared/eventContracts";
 
-exports.handler = async function(event) {
+// The handler is built from its repositories and AWS clients so tests can run it against the in-memory ones :
+// { basketRepository (./basketRepository), catalogRepository (./catalogRepository), idempotencyRepository (./idempotency),
+//   sqsClient (quarantine) }
+const createHandler = (dependencies) => async function(event, context) {
     console.log("request:", JSON.stringify(event, undefined, 2));
 
-    // TODO - switch case event.httpmethod to perform add/remove basket 
-    // and checkout basket operations with using ddbClient object
+    if (event['detail-type'] !== undefined) {
+      // EventBridge Invocation -- compensating events from the ordering service
+      await eventBridgeInvocation(dependencies, event);
+    } else {
+      // API Gateway Invocation -- return sync response
+      return await apiGatewayInvocation(dependencies, event, context);
+    }
+};
+
+exports.createHandler = createHandler;
+
+exports.handler = createHandler({
+  basketRepository: new DynamoBasketRepository(ddbClient, { tableName: process.env.DYNAMODB_TABLE_NAME }),
+  catalogRepository: new DynamoCatalogRepository(ddbClient, { tableName: process.env.PRODUCT_TABLE_NAME }),
+  idempotencyRepository: new DynamoIdempotencyRepository(ddbClient, { tableName: process.env.IDEMPOTENCY_TABLE_NAME }),
+  sqsClient: sqsClient
+});
+
+const eventBridgeInvocation = async (dependencies, event) => {
+  console.log(`eventBridgeInvocation function. event : "${event}"`);
+
+  // events this service cannot read are parked instead of being retried
+  const contractCheck = checkEventDetail(event['detail-type'], event.detail);
+  if (contractCheck.status !== "valid") {
+    await quarantineEvent(dependencies.sqsClient, event, contractCheck);
+    return;
+  }
+
+  switch (event['detail-type']) {
+    case process.env.ORDER_FAILED_DETAILTYPE:
+      // the order could not be persisted, give the reserved stock back
+      await orderFailed(dependencies, event.detail);
+      break;
+    case process.env.ORDER_CANCELLED_DETAILTYPE:
+      // the customer cancelled the order, restock and optionally give the items back as a basket
+      await orderCancelled(dependencies, event.detail);
+      break;
+    default:
+      console.log(`Ignoring unsupported event: "${event['detail-type']}"`);
+  }
+}
+
+const orderFailed = async ({ catalogRepository, idempotencyRepository }, detail) => {
+  console.log(`orderFailed function. userName : "${detail.userName}", orderReference : "${detail.orderReference}"`);
+
+  // a checkout fails once : EventBridge may redeliver the event, and discarding the checkout from the
+  // order dead-letter queue publishes it again
+  if (detail.orderReference == null) {
+    // events published before order references cannot be told apart
+    await catalogRepository.releaseStock(detail.items);
+    return;
+  }
+  await applyOnce(idempotencyRepository, `OrderFailed#${detail.userName}#${detail.orderReference}`, async () => {
+    await catalogRepository.releaseStock(detail.items);
+  });
+}
+
+const orderCancelled = async ({ basketRepository, catalogRepository, idempotencyRepository }, detail) => {
+  console.log(`orderCancelled function. userName : "${detail.userName}", orderDate : "${detail.orderDate}"`);
+
+  // an order is cancelled once, skip redeliveries of the same event
+  await applyOnce(idempotencyRepository, `OrderCancelled#${detail.userName}#${detail.orderDate}`, async () => {
+    await catalogRepository.releaseStock(detail.items);
+    if (detail.restoreBasket) {
+      await restoreBasket(basketRepository, detail.userName, detail.items);
+    }
+  });
+}
+
+// Runs `apply` unless the event was already applied, the claim is freed again when it fails.
+const applyOnce = async (idempotencyRepository, eventName, apply) => {
+  if (!(await idempotencyRepository.claimEvent(eventName))) {
+    console.log(`Event already applied : "${eventName}"`);
+    return;
+  }
+
+  try {
+    await apply();
+  } catch(e) {
+    await idempotencyRepository.releaseEventClaim(eventName);
+    throw e;
+  }
+}
 
+// Merges the order lines into the user's basket (see restoreItems), creating it when the user has none.
+// Saved as a new version like the item operations, retried on top of a concurrent change.
+const restoreBasket = async (basketRepository, userName, orderItems) => {
+  console.log(`restoreBasket function. userName : "${userName}"`);
+  try {
+    const basketItems = orderItems.map((item) => ({
+      productId: item.productId,
+      productName: item.productName,
+      color: item.color,
+      quantity: item.quantity,
+      price: item.unitPrice
+    }));
+
+    const updateResult = await updateBasketItems(basketRepository, userName, (items) => restoreItems(items, basketItems));
+    console.log(updateResult);
+    return updateResult;
+
+  } catch(e) {
+    console.error(e);
+    throw e;
+  }
+}
+
+const apiGatewayInvocation = async ({ basketRepository, catalogRepository, idempotencyRepository }, event, context) => {
     // GET /basket +
     // POST /basket +
     // GET /basket/{userName} +
     // DELETE /basket/{userName} +
+    // POST /basket/{userName}/items +
+    // PATCH /basket/{userName}/items/{productId} +
+    // DELETE /basket/{userName}/items/{productId} +
     // POST /basket/checkout +
+    // the caller comes from the JWT authorizer, users only reach their own basket, admins any
 
     let body;
 
     try {
-      switch (event.httpMethod) {
-        case "GET":
-          if (event.pathParameters != null) {
-            body = await getBasket(event.pathParameters.userName); // GET /basket/{userName}
-            } else {
-            body = await getAllBaskets(); // GET /basket
-          }
+      const caller = getCaller(event);
+      const resource = basketResource(event);
+
+      switch (`${event.httpMethod} ${resource}`) {
+        case "GET /basket/{userName}":
+          body = await getBasket(basketRepository, resolveUserName(caller, event.pathParameters.userName));
+          break;
+        case "GET /basket":
+          requireRole(caller, ADMIN_ROLE, "list all baskets");
+          body = await getAllBaskets(basketRepository, event); // GET /basket?limit=&nextToken=
+          break;
+        case "POST /basket/checkout":
+          body = await checkoutBasket({ basketRepository, catalogRepository, idempotencyRepository }, caller, event);
+          break;
+        case "POST /basket":
+          body = await createBasket(basketRepository, caller, event);
           break;
-        case "POST":
-          if (event.path == "/basket/checkout") {
-            body = await checkoutBasket(event); // POST /basket/checkout
-          } else {
-              body = await createBasket(event); // POST /basket
-          }
+        case "DELETE /basket/{userName}":
+          body = await deleteBasket(basketRepository, resolveUserName(caller, event.pathParameters.userName));
           break;
-        case "DELETE":
-          body = await deleteBasket(event.pathParameters.userName); // DELETE /basket/{userName}
+        case "POST /basket/{userName}/items":
+          body = await addBasketItem(basketRepository, resolveUserName(caller, event.pathParameters.userName), event);
+          break;
+        case "PATCH /basket/{userName}/items/{productId}":
+          body = await updateBasketItem(basketRepository, resolveUserName(caller, event.pathParameters.userName), event);
+          break;
+        case "DELETE /basket/{userName}/items/{productId}":
+          body = await removeBasketItem(basketRepository, resolveUserName(caller, event.pathParameters.userName), event);
           break;
         default:
-          throw new Error(`Unsupported route: "${event.httpMethod}"`);
+          throw new MethodNotAllowedError(event.httpMethod, ALLOWED_METHODS[resource]);
       }
 
       console.log(body);
-      return {
-        statusCode: 200,
-        body: JSON.stringify({
-          message: `Successfully finished operation: "${event.httpMethod}"`,
-          body: body
-        })
-      };
+      return successResponse(event, body);
 
     } catch (e) {
       console.error(e);
-      return {
-        statusCode: 500,
-        body: JSON.stringify({
-          message: "Failed to perform operation.",
-          errorMsg: e.message,
-          errorStack: e.stack,
-        })
-      };
+      return errorResponse(e, event, context);
     }
+}
+
+const ALLOWED_METHODS = {
+  "/basket": ["GET", "POST"],
+  "/basket/checkout": ["POST"],
+  "/basket/{userName}": ["GET", "DELETE"],
+  "/basket/{userName}/items": ["POST"],
+  "/basket/{userName}/items/{productId}": ["PATCH", "DELETE"]
 };
 
-const getBasket = async (userName) => {
+// API Gateway resource of the request, from its path parameters ("items" and "checkout" are also valid user names)
+const basketResource = (event) => {
+  const pathParameters = event.pathParameters || {};
+  if (pathParameters.productId != null) {
+    return "/basket/{userName}/items/{productId}";
+  }
+  if (pathParameters.userName != null) {
+    return (event.path.split("/").filter((segment) => segment.length > 0).length > 2) ? "/basket/{userName}/items" : "/basket/{userName}";
+  }
+  return (event.path == "/basket/checkout") ? "/basket/checkout" : "/basket";
+}
+
+const getBasket = async (basketRepository, userName) => {
   console.log("getBasket");
   try {
-      const params = {
-        TableName: process.env.DYNAMODB_TABLE_NAME,
-        Key: marshall({ userName: userName })
-      };
-   
-      const { Item } = await ddbClient.send(new GetItemCommand(params));
+      const basket = await basketRepository.get(userName);
   
-      console.log(Item);
-      return (Item) ? unmarshall(Item) : {};
+      console.log(basket);
+      if (!basket) {
+        throw new NotFoundError(`Basket for user "${userName}" not found`);
+      }
+      return basket;
   
     } catch(e) {
       console.error(e);
@@ -82,17 +222,13 @@ const getBasket = async (userName) => {
   }
 }
 
-const getAllBaskets = async () => {
+const getAllBaskets = async (basketRepository, event) => {
   console.log("getAllBaskets");
   try {
-    const params = {
-    TableName: process.env.DYNAMODB_TABLE_NAME
-    };
-
-    const { Items } = await ddbClient.send(new ScanCommand(params));
+    const { items, lastEvaluatedKey } = await basketRepository.list(getPaginationParams(event));
 
-    console.log(Items);
-    return (Items) ? Items.map((item) => unmarshall(item)) : {};
+    console.log(items);
+    return toPage(items, lastEvaluatedKey);
 
   } catch(e) {
       console.error(e);
@@ -100,16 +236,14 @@ const getAllBaskets = async () => {
   }
 }
 
-const createBasket = async (event) => {
+const createBasket = async (basketRepository, caller, event) => {
   console.log(`createBasket function. event : "${event}"`);
   try {
-    const requestBody = JSON.parse(event.body);
-    const params = {
-      TableName: process.env.DYNAMODB_TABLE_NAME,
-      Item: marshall(requestBody || {})
-    };  
+    const requestBody = assertValid(basketSchema, parseJsonBody(event));
+    const userName = resolveUserName(caller, requestBody.userName);
 
-    const createResult = await ddbClient.send(new PutItemCommand(params));
+    // replaces every item, but still as a new version : an item change racing with it is retried on top of it
+    const createResult = await updateBasketItems(basketRepository, userName, () => mergeItems(requestBody.items));
     console.log(createResult);
     return createResult;
 
@@ -119,16 +253,65 @@ const createBasket = async (event) => {
   }
 }
 
-const deleteBasket = async (userName) => {
+const addBasketItem = async (basketRepository, userName, event) => {
+  console.log(`addBasketItem function. userName : "${userName}"`);
+
+  // expected request : POST xxx/basket/swn/items { productId : "..", quantity : 1, color : ".." }
+  const item = assertValid(basketItemSchema, parseJsonBody(event));
+
+  // the same product twice is one line with both quantities
+  return await updateBasketItems(basketRepository, userName, (items) => addItem(items, item));
+}
+
+const updateBasketItem = async (basketRepository, userName, event) => {
+  console.log(`updateBasketItem function. userName : "${userName}"`);
+
+  // expected request : PATCH xxx/basket/swn/items/{productId} { quantity : 3 }
+  const productId = decodeURIComponent(event.pathParameters.productId);
+  const { quantity } = assertValid(basketItemQuantitySchema, parseJsonBody(event));
+
+  return await updateBasketItems(basketRepository, userName, (items) => setItemQuantity(items, productId, quantity), { mustExist: true });
+}
+
+const removeBasketItem = async (basketRepository, userName, event) => {
+  console.log(`removeBasketItem function. userName : "${userName}"`);
+
+  const productId = decodeURIComponent(event.pathParameters.productId);
+  return await updateBasketItems(basketRepository, userName, (items) => removeItem(items, productId), { mustExist: true });
+}
+
+const MAX_BASKET_UPDATE_ATTEMPTS = 3;
+
+// Optimistic versioning : `change` is applied to the items of the latest basket, which is saved only if
+// nobody saved another version meanwhile; otherwise the basket is read again and the change re-applied.
+// Two tabs editing the same basket therefore both land, neither overwrites the other.
+const updateBasketItems = async (basketRepository, userName, change, { mustExist = false } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    const basket = await basketRepository.get(userName);
+    if (basket == null && mustExist) {
+      throw new NotFoundError(`Basket for user "${userName}" not found`);
+    }
+    const items = change((basket != null && basket.items != null) ? basket.items : []);
+
+    try {
+      return await basketRepository.saveItems(userName, items, (basket != null && basket.version != null) ? basket.version : 0);
+    } catch(e) {
+      if (!(e instanceof ConflictError) || attempt >= MAX_BASKET_UPDATE_ATTEMPTS) {
+        throw e;
+      }
+      console.log(`basket of "${userName}" changed concurrently, attempt ${attempt} of ${MAX_BASKET_UPDATE_ATTEMPTS}`);
+    }
+  }
+}
+
+const deleteBasket = async (basketRepository, userName) => {
   console.log(`deleteBasket function. userName : "${userName}"`);
   try {    
-    const params = {
-        TableName: process.env.DYNAMODB_TABLE_NAME,
-        Key: marshall({ userName: userName }),
-    };   
-
-    const deleteResult = await ddbClient.send(new DeleteItemCommand(params));
+    const deleteResult = await basketRepository.delete(userName);
     console.log(deleteResult);
+    if (deleteResult === undefined) {
+      throw new NotFoundError(`Basket for user "${userName}" not found`);
+    }
     return deleteResult;
 
   } catch(e) {
@@ -137,80 +320,88 @@ const deleteBasket = async (userName) => {
   }   
 }
 
-const checkoutBasket = async (event) => {
+const checkoutBasket = async (repositories, caller, event) => {
   console.log("checkoutBasket");
 
   // expected request payload : { userName : swn, attributes[firstName, lastName, email ..] 
-  const checkoutRequest = JSON.parse(event.body);
-  if (checkoutRequest == null || checkoutRequest.userName == null) {
-    throw new Error(`userName should exist in checkoutRequest: "${checkoutRequest}"`);
-  }  
-  
-  // 1- Get existing basket with items
-  const basket = await getBasket(checkoutRequest.userName);
+  const checkoutRequest = assertValid(checkoutSchema, parseJsonBody(event));
+  checkoutRequest.userName = resolveUserName(caller, checkoutRequest.userName);
 
-  // 2- create an event json object with basket items, 
-    // calculate totalprice, prepare order create json data to send ordering ms 
-  var checkoutPayload = prepareOrderPayload(checkoutRequest, basket);
+  // optional Idempotency-Key header : retries with the same key replay the first response
+  const idempotencyKey = getHeader(event, "Idempotency-Key");
+  if (idempotencyKey == null) {
+    return await placeOrder(repositories, checkoutRequest);
+  }
+  if (idempotencyKey.length < 1 || idempotencyKey.length > 255) {
+    throw new ValidationError([{ field: "Idempotency-Key", message: "should have between 1 and 255 character(s)" }]);
+  }
 
-  // 3- publish an event to eventbridge - this will subscribe by order microservice and start ordering process.
-  const publishedEvent = await publishCheckoutBasketEvent(checkoutPayload);
+  const { idempotencyRepository } = repositories;
+  const previousResponse = await idempotencyRepository.beginCheckout(checkoutRequest.userName, idempotencyKey, event.body);
+  if (previousResponse != null) {
+    return previousResponse;
+  }
 
-  // 4- remove existing basket
-  await deleteBasket(checkoutRequest.userName);
-  
+  try {
+    // the key is marked COMPLETED inside the checkout transaction
+    return await placeOrder(repositories, checkoutRequest, idempotencyKey);
+  } catch(e) {
+    // nothing was committed, the client may retry with the same key
+    await idempotencyRepository.abandonCheckout(checkoutRequest.userName, idempotencyKey);
+    throw e;
+  }
 }
 
-const prepareOrderPayload = (checkoutRequest, basket) => {    
-  console.log("prepareOrderPayload");
-  
-  // prepare order payload -> calculate totalprice and combine checkoutRequest and basket items
-  // aggregate and enrich request and basket data in order to create order payload    
-  try {
-      if (basket == null || basket.items == null) {
-          throw new Error(`basket should exist in items: "${basket}"`);
-      }
+const placeOrder = async ({ basketRepository, catalogRepository }, checkoutRequest, idempotencyKey) => {
+  console.log("placeOrder");
 
-      // calculate totalPrice
-      let totalPrice = 0;
-      basket.items.forEach(item => totalPrice = totalPrice + item.price);
-      checkoutRequest.totalPrice = totalPrice;
-      console.log(checkoutRequest);
-  
-      // copies all properties from basket into checkoutRequest
-      Object.assign(checkoutRequest, basket);
-      console.log("Success prepareOrderPayload, orderPayload:", checkoutRequest);
-      return checkoutRequest;
+  // 1- Get existing basket with items
+  const basket = await getBasket(basketRepository, checkoutRequest.userName);
+  if (basket.items == null || basket.items.length === 0) {
+    throw new ValidationError([{ field: "items", message: "basket has no items to checkout" }]);
+  }
 
-    } catch(e) {
-      console.error(e);
-      throw e;
-  }    
-}
+  // 2- re-read every basket product from the catalog, prices stored in the basket are not trusted
+  const catalog = await catalogRepository.getProducts(basket.items.map((item) => item.productId));
+
+  // 3- create an event json object with priced line items and totals to send ordering ms 
+    // idempotencyKey travels with the event so the ordering service can drop duplicate deliveries
+  const checkoutPayload = prepareOrderPayload(checkoutRequest, basket, catalog);
+  checkoutPayload.orderReference = randomUUID();
+  // the order number the customer quotes, the ordering service creates the order under it
+  checkoutPayload.orderId = generateOrderNumber(new Date().toISOString());
+  checkoutPayload.idempotencyKey = idempotencyKey || checkoutPayload.orderReference;
 
-const publishCheckoutBasketEvent = async (checkoutPayload) => {
-  console.log("publishCheckoutBasketEvent with payload :", checkoutPayload);
+  const response = {
+    orderReference: checkoutPayload.orderReference,
+    orderId: checkoutPayload.orderId,
+    userName: checkoutPayload.userName,
+    items: checkoutPayload.items,
+    subtotal: checkoutPayload.subtotal,
+    totalPrice: checkoutPayload.totalPrice
+  };
+
+  // 4- commit in one transaction : reserve stock, remove the basket and record the CheckoutBasket event in the outbox
+    // the outbox relay publishes it to eventbridge, this will subscribe by order microservice and start ordering process.
   try {
-      // eventbridge parameters for setting event to target system
-      const params = {
-          Entries: [
-              {
-                  Source: process.env.EVENT_SOURCE,
-                  Detail: JSON.stringify(checkoutPayload),
-                  DetailType: process.env.EVENT_DETAILTYPE,
-                  Resources: [ ],
-                  EventBusName: process.env.EVENT_BUSNAME
-              },
-          ],
-      };
-   
-      const data = await ebClient.send(new PutEventsCommand(params));
-  
-      console.log("Success, event sent; requestID:", data);
-      return data;
-  
-    } catch(e) {
-      console.error(e);
-      throw e;
+    const commitResult = await basketRepository.checkout({
+      userName: checkoutRequest.userName,
+      version: basket.version,
+      items: checkoutPayload.items,
+      event: {
+        id: checkoutPayload.orderReference,
+        source: process.env.EVENT_SOURCE,
+        detailType: process.env.EVENT_DETAILTYPE,
+        detail: buildEventDetail(process.env.EVENT_DETAILTYPE, checkoutPayload)
+      },
+      idempotencyKey: idempotencyKey,
+      response: response
+    });
+    console.log(commitResult);
+  } catch(e) {
+    console.error(e);
+    throw e;
   }
-}
\ No newline at end of file
+
+  return response;
+}
@@ -0,0 +1,56 @@
+import { marshall } from "@aws-sdk/util-dynamodb";
+import { ConflictError, ValidationError } from "../shared/errors";
+
+// Stock lives on the product table as a numeric `stock` attribute.
+// Checkout reserves stock by decrementing it inside its commit transaction,
+// compensating events put it back (catalog repository, ./catalogRepository).
+
+// DynamoDB transactions accept at most 100 actions
+export const MAX_TRANSACTION_ITEMS = 100;
+
+// Sums quantities per product, checkout event items are not guaranteed to come merged like basket lines.
+export const quantitiesByProduct = (items) => {
+  const quantities = new Map();
+  items.forEach((item) => {
+    quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity);
+  });
+  return quantities;
+}
+
+// One conditional decrement per product, all or nothing when sent in one transaction.
+// maxProducts leaves room for the other actions of that transaction.
+export const buildReservationItems = (items, maxProducts = MAX_TRANSACTION_ITEMS) => {
+  const quantities = quantitiesByProduct(items);
+  if (quantities.size > maxProducts) {
+    throw new ValidationError([{ field: "items", message: `should contain at most ${maxProducts} different products` }]);
+  }
+
+  return [...quantities].map(([productId, quantity]) => ({
+    Update: {
+      TableName: process.env.PRODUCT_TABLE_NAME,
+      Key: marshall({ id: productId }),
+      UpdateExpression: "SET stock = stock - :quantity",
+      ConditionExpression: "attribute_exists(id) AND stock >= :quantity",
+      ExpressionAttributeValues: marshall({ ":quantity": quantity })
+    }
+  }));
+}
+
+// 409 listing the items that could not be reserved : [{ productId, requested, message }]
+export const outOfStockError = (unavailable) => new ConflictError("Some basket items are out of stock", unavailable);
+
+// Maps a cancelled reservation transaction onto outOfStockError.
+// CancellationReasons is index aligned with the TransactItems that were sent.
+export const toReservationConflict = (error, reservationItems) => {
+  const reasons = error.CancellationReasons || [];
+  const unavailable = reservationItems
+    .map((transactItem, index) => ({ transactItem: transactItem, reason: reasons[index] }))
+    .filter(({ reason }) => reason != null && reason.Code === "ConditionalCheckFailed")
+    .map(({ transactItem }) => ({
+      productId: transactItem.Update.Key.id.S,
+      requested: Number(transactItem.Update.ExpressionAttributeValues[":quantity"].N),
+      message: "insufficient stock"
+    }));
+
+  return outOfStockError(unavailable);
+}
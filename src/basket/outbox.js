@@ -0,0 +1,124 @@
+import { QueryCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { PutEventsCommand } from "@aws-sdk/client-eventbridge";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { checkEventDetail } from "../shared/eventContracts";
+import { OutboxStatus } from "../shared/outbox";
+
+// Publishing side of the transactional outbox (entries are written with buildOutboxPut, ../shared/outbox),
+// used by the outbox relay (./outboxRelay), which passes its clients in.
+
+export const MAX_ATTEMPTS = 10;
+
+// Entries the relay should (re)try: PENDING entries created before `olderThan`.
+export const getPendingEntries = async (ddbClient, olderThan, limit) => {
+  console.log(`getPendingEntries function. olderThan : "${olderThan}"`);
+  try {
+    const params = {
+      TableName: process.env.OUTBOX_TABLE_NAME,
+      IndexName: process.env.OUTBOX_STATUS_INDEX,
+      KeyConditionExpression: "#status = :status AND createdAt < :olderThan",
+      ExpressionAttributeNames: { "#status": "status" },
+      ExpressionAttributeValues: marshall({
+        ":status": OutboxStatus.PENDING,
+        ":olderThan": olderThan
+      }),
+      Limit: limit
+    };
+
+    const { Items } = await ddbClient.send(new QueryCommand(params));
+    return (Items || []).map((item) => unmarshall(item));
+
+  } catch(e) {
+    console.error(e);
+    throw e;
+  }
+}
+
+// Publishes one entry and records the outcome on it. Never throws for publish errors:
+// they are tracked on the entry (attempts, lastError) and retried by the next sweep.
+// Delivery is at-least-once, consumers dedupe (CheckoutBasket carries an idempotencyKey).
+export const publishEntry = async ({ ddbClient, ebClient }, entry) => {
+  console.log("publishEntry", entry.id);
+  const attempts = (entry.attempts || 0) + 1;
+
+  // last check before PutEvents, an entry that breaks its contract is never published
+  const contractCheck = checkEventDetail(entry.detailType, JSON.parse(entry.detail));
+  if (contractCheck.status !== "valid") {
+    console.error(`Outbox entry "${entry.id}" breaks its contract`, contractCheck);
+    await updateEntry(ddbClient, entry.id, {
+      status: OutboxStatus.FAILED,
+      attempts: attempts,
+      lastError: `${contractCheck.status}: ${JSON.stringify(contractCheck.errors)}`
+    });
+    return false;
+  }
+
+  try {
+    const params = {
+      Entries: [
+        {
+          Source: entry.source,
+          Detail: entry.detail,
+          DetailType: entry.detailType,
+          Resources: [ ],
+          EventBusName: entry.eventBusName
+        },
+      ],
+    };
+
+    const data = await ebClient.send(new PutEventsCommand(params));
+    // PutEvents reports rejected entries in the response instead of throwing
+    if (data.FailedEntryCount > 0) {
+      throw new Error(`EventBridge rejected the entry: ${JSON.stringify(data.Entries)}`);
+    }
+
+    console.log("Success, event sent; requestID:", data);
+    await updateEntry(ddbClient, entry.id, {
+      status: OutboxStatus.PUBLISHED,
+      attempts: attempts,
+      eventId: data.Entries[0].EventId,
+      publishedAt: new Date().toISOString()
+    });
+    return true;
+
+  } catch(e) {
+    console.error(e);
+    await updateEntry(ddbClient, entry.id, {
+      status: (attempts >= MAX_ATTEMPTS) ? OutboxStatus.FAILED : OutboxStatus.PENDING,
+      attempts: attempts,
+      lastError: e.message
+    });
+    return false;
+  }
+}
+
+// Applies the given attributes unless the entry was already published by a concurrent relay run.
+const updateEntry = async (ddbClient, id, attributes) => {
+  const values = { ...attributes, updatedAt: new Date().toISOString() };
+  const keys = Object.keys(values);
+
+  try {
+    const params = {
+      TableName: process.env.OUTBOX_TABLE_NAME,
+      Key: marshall({ id: id }),
+      UpdateExpression: `SET ${keys.map((_, index) => `#key${index} = :value${index}`).join(", ")}`,
+      ConditionExpression: "#status <> :published",
+      ExpressionAttributeNames: keys.reduce((acc, key, index) => ({
+        ...acc,
+        [`#key${index}`]: key,
+      }), { "#status": "status" }),
+      ExpressionAttributeValues: marshall(keys.reduce((acc, key, index) => ({
+        ...acc,
+        [`:value${index}`]: values[key],
+      }), { ":published": OutboxStatus.PUBLISHED })),
+    };
+    await ddbClient.send(new UpdateItemCommand(params));
+
+  } catch(e) {
+    if (e.name !== "ConditionalCheckFailedException") {
+      console.error(e);
+      throw e;
+    }
+    console.log(`Outbox entry "${id}" was already published`);
+  }
+}
@@ -0,0 +1,59 @@
+import { unmarshall } from "@aws-sdk/util-dynamodb";
+import { ddbClient } from "./ddbClient";
+import { ebClient } from "./eventBridgeClient";
+import { OutboxStatus } from "../shared/outbox";
+import { getPendingEntries, publishEntry } from "./outbox";
+
+// Outbox relay : publishes outbox entries to SwnEventBus.
+// Entries are written by the basket service (CheckoutBasket) and the ordering service (OrderCancelled).
+// - DynamoDB stream on the outbox table : publishes new entries right after checkout commits
+// - EventBridge schedule : sweeps PENDING entries whose first attempts failed or were missed
+
+// entries younger than this are left to the stream invocation
+const SWEEP_GRACE_MS = 60 * 1000;
+const SWEEP_BATCH_SIZE = 100;
+
+// The handler is built from its AWS clients so tests can run it against stubs : { ddbClient (outbox table), ebClient }
+const createHandler = (clients) => async function(event) {
+  console.log("request:", JSON.stringify(event, undefined, 2));
+
+  if (event.Records != null) {
+    // DynamoDB Stream Invocation
+    await streamInvocation(clients, event);
+  } else {
+    // Scheduled Invocation
+    await sweepInvocation(clients);
+  }
+};
+
+exports.createHandler = createHandler;
+
+exports.handler = createHandler({ ddbClient: ddbClient, ebClient: ebClient });
+
+const streamInvocation = async (clients, event) => {
+  console.log(`streamInvocation function. records : "${event.Records.length}"`);
+
+  // only new entries, the MODIFY records are the relay's own status updates
+  const entries = event.Records
+    .filter((record) => record.eventName === "INSERT")
+    .map((record) => unmarshall(record.dynamodb.NewImage))
+    .filter((entry) => entry.status === OutboxStatus.PENDING);
+
+  for (const entry of entries) {
+    await publishEntry(clients, entry);
+  }
+}
+
+const sweepInvocation = async (clients) => {
+  const olderThan = new Date(Date.now() - SWEEP_GRACE_MS).toISOString();
+  const entries = await getPendingEntries(clients.ddbClient, olderThan, SWEEP_BATCH_SIZE);
+  console.log(`sweepInvocation function. pending entries : "${entries.length}"`);
+
+  let published = 0;
+  for (const entry of entries) {
+    if (await publishEntry(clients, entry)) {
+      published++;
+    }
+  }
+  console.log(`sweepInvocation published ${published} of ${entries.length} entries`);
+}
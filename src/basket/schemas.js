@@ -0,0 +1,50 @@
+// Declarative payload schemas for the basket service (see ../shared/validation).
+
+// POST /basket/{userName}/items
+export const basketItemSchema = {
+  type: "object",
+  // price is display-only, checkout always re-prices from the product table
+  required: ["productId", "quantity"],
+  properties: {
+    productId: { type: "string", minLength: 1 },
+    productName: { type: "string" },
+    color: { type: "string" },
+    quantity: { type: "integer", minimum: 1 },
+    price: { type: "number", minimum: 0 }
+  }
+};
+
+// POST /basket
+// userName defaults to the caller's (see ../shared/auth)
+export const basketSchema = {
+  type: "object",
+  required: ["items"],
+  properties: {
+    userName: { type: "string", minLength: 1 },
+    items: { type: "array", items: basketItemSchema }
+  }
+};
+
+// PATCH /basket/{userName}/items/{productId}
+export const basketItemQuantitySchema = {
+  type: "object",
+  required: ["quantity"],
+  properties: {
+    quantity: { type: "integer", minimum: 1 }
+  }
+};
+
+// POST /basket/checkout
+// userName defaults to the caller's as well
+export const checkoutSchema = {
+  type: "object",
+  properties: {
+    userName: { type: "string", minLength: 1 },
+    firstName: { type: "string" },
+    lastName: { type: "string" },
+    email: { type: "string", pattern: "^[^@\\s]+@[^@\\s]+$" },
+    address: { type: "string" },
+    paymentMethod: { type: "string" },
+    cardInfo: { type: "string" }
+  }
+};
@@ -0,0 +1,4 @@
+import { SQSClient } from "@aws-sdk/client-sqs";
+// Create an Amazon SQS service client object.
+// SQS_ENDPOINT points the client at the local queues (see local/README.md), unset in AWS.
+export const sqsClient = new SQSClient(process.env.SQS_ENDPOINT ? { endpoint: process.env.SQS_ENDPOINT } : {});
@@ -1,62 +1,176 @@
-import { PutItemCommand, QueryCommand, ScanCommand } from "@aws-sdk/client-dynamodb";
-import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { randomUUID } from "crypto";
 import { ddbClient } from "./ddbClient";
+import { ebClient } from "./eventBridgeClient";
+import { sqsClient } from "./sqsClient";
+import { allSettledWithConcurrency } from "../shared/concurrency";
+import { getPaginationParams, toPage } from "../shared/pagination";
+import { ADMIN_ROLE, getCaller, hasRole, requireRole, resolveUserName, STAFF_ROLE } from "../shared/auth";
+import { ConflictError, MethodNotAllowedError, NotFoundError, ValidationError } from "../shared/errors";
+import { errorResponse, successResponse } from "../shared/http";
+import { assertValid, parseJsonBody } from "../shared/validation";
+import { allowedTransitions, assertTransition, canTransition, currentStatus, historyEntry, OrderStatus } from "./orderStatus";
+import { cancelOrderSchema, orderStatusSchema } from "./schemas";
+import { getHistoryFilter } from "./orderHistory";
+import { generateOrderNumber } from "../shared/orderNumber";
+import { DynamoOrderRepository } from "./orderRepository";
+import { publishOrderFailedEvent } from "./orderEvents";
+import { quarantineEvent } from "../shared/quarantine";
+import { buildEventDetail, checkEventDetail, EventContractError } from "../shared/eventContracts";
 
-exports.handler = async function(event) {
+// The handler is built from its repository and AWS clients so tests can run it against the in-memory repository
+// and stub clients : { orderRepository (./orderRepository), ebClient (OrderFailed), sqsClient (quarantine) }
+const createHandler = (dependencies) => async function(event, context) {
     console.log("request:", JSON.stringify(event, undefined, 2));
 
     if(event.Records != null) {
-      // SQS Invocation
-      await sqsInvocation(event);
+      // SQS Invocation -- return the partial batch response
+      return await sqsInvocation(dependencies, event);
     }
     else if (event['detail-type'] !== undefined) {
       // EventBridge Invocation
-      await eventBridgeInvocation(event);
+      await eventBridgeInvocation(dependencies, event);
     } else {
       // API Gateway Invocation -- return sync response
-      return await apiGatewayInvocation(event);
+      return await apiGatewayInvocation(dependencies.orderRepository, event, context);
     }
 };
 
-const sqsInvocation = async (event) => {
-  console.log(`sqsInvocation function. event : "${event}"`);
-  
-  event.Records.forEach(async (record) => {
-    console.log('Record: %j', record);
-    
-    // expected request : { "detail-type\":\"CheckoutBasket\",\"source\":\"com.swn.basket.checkoutbasket\", "detail\":{\"userName\":\"swn\",\"totalPrice\":1820, .. }
-    const checkoutEventRequest = JSON.parse(record.body); 
-    
-    // create order item into db
-    await createOrder(checkoutEventRequest.detail); 
-    // detail object should be checkoutbasket json object
-  });
+exports.createHandler = createHandler;
+
+exports.handler = createHandler({
+  orderRepository: new DynamoOrderRepository(ddbClient, {
+    tableName: process.env.DYNAMODB_TABLE_NAME,
+    idempotencyTableName: process.env.IDEMPOTENCY_TABLE_NAME,
+    orderIdIndex: process.env.ORDER_ID_INDEX
+  }),
+  ebClient: ebClient,
+  sqsClient: sqsClient
+});
+
+// records of one batch processed at the same time
+const MAX_CONCURRENT_RECORDS = 5;
+
+const sqsInvocation = async (dependencies, event) => {
+  console.log(`sqsInvocation function. records : "${event.Records.length}"`);
+
+  const results = await allSettledWithConcurrency(event.Records, MAX_CONCURRENT_RECORDS, (record) => processRecord(dependencies, record));
+
+  // only the failed messages go back to the queue, the rest of the batch is deleted
+  const batchItemFailures = event.Records
+    .filter((record, index) => results[index].status === "rejected")
+    .map((record) => ({ itemIdentifier: record.messageId }));
+
+  console.log(`sqsInvocation processed ${event.Records.length - batchItemFailures.length} of ${event.Records.length} records`);
+  return { batchItemFailures: batchItemFailures };
+}
+
+// Throws to have the message retried. After maxReceiveCount attempts SQS moves it to the
+// dead-letter queue, where on-call redrives or discards it with the redrive tool (./redrive).
+// Stock stays reserved meanwhile, discarding the message releases it.
+const processRecord = async ({ orderRepository, ebClient, sqsClient }, record) => {
+  console.log('Record: %j', record);
+
+  // expected request : { "detail-type\":\"CheckoutBasket\",\"source\":\"com.swn.basket.checkoutbasket\", "detail\":{\"userName\":\"swn\",\"totalPrice\":1820, .. }
+  const checkoutEventRequest = JSON.parse(record.body);
+
+  // the queue only receives CheckoutBasket events, whatever their detail-type says
+  const contractCheck = checkEventDetail("CheckoutBasket", checkoutEventRequest.detail);
+  if (contractCheck.status !== "valid") {
+    return await quarantineCheckout({ ebClient, sqsClient }, checkoutEventRequest, contractCheck);
+  }
+
+  // create order item into db
+  return await createOrder(orderRepository, toOrder(checkoutEventRequest.detail));
+  // detail object should be checkoutbasket json object
 }
 
-const eventBridgeInvocation = async (event) => {
+// the contract version belongs to the event, not to the order
+const toOrder = (checkoutDetail) => {
+  const { schemaVersion, ...order } = checkoutDetail;
+  return order;
+}
+
+const eventBridgeInvocation = async ({ orderRepository, ebClient, sqsClient }, event) => {
   console.log(`eventBridgeInvocation function. event : "${event}"`);
 
+  const contractCheck = checkEventDetail(event['detail-type'], event.detail);
+  if (contractCheck.status !== "valid") {
+    await quarantineCheckout({ ebClient, sqsClient }, event, contractCheck);
+    return;
+  }
+
   // create order item into db
-  await createOrder(event.detail);
+  await createOrderOrReleaseStock(orderRepository, ebClient, toOrder(event.detail));
+}
+
+// A checkout that breaks the contract never becomes an order : release the stock it reserved, then park it.
+// OrderFailed goes first, a retry after a failed quarantine publishes it again and the basket service applies it once.
+const quarantineCheckout = async ({ ebClient, sqsClient }, checkoutEvent, contractCheck) => {
+  try {
+    await publishOrderFailedEvent(ebClient, checkoutEvent.detail || {}, new Error(`CheckoutBasket event quarantined : ${contractCheck.status}`));
+  } catch(e) {
+    if (!(e instanceof EventContractError)) {
+      throw e;
+    }
+    // no user or items to release in the event, on-call releases the stock from the quarantined message
+    console.error(`Stock of the quarantined checkout cannot be released : ${JSON.stringify(e.errors)}`);
+  }
+
+  return await quarantineEvent(sqsClient, checkoutEvent, contractCheck);
+}
+
+// Stock for the checkout was reserved by the basket service. If the order cannot be
+// persisted, publish OrderFailed so the basket service puts that stock back.
+const createOrderOrReleaseStock = async (orderRepository, ebClient, basketCheckoutEvent) => {
+  try {
+    return await createOrder(orderRepository, basketCheckoutEvent);
+  } catch(e) {
+    console.error(e);
+    await publishOrderFailedEvent(ebClient, basketCheckoutEvent, e);
+  }
 }
 
-const createOrder = async (basketCheckoutEvent) => {
+const MAX_ORDER_KEY_ATTEMPTS = 5;
+
+const createOrder = async (orderRepository, basketCheckoutEvent) => {
   try {
     console.log(`createOrder function. event : "${basketCheckoutEvent}"`);
 
-    // set orderDate for SK of order dynamodb
-    const orderDate = new Date().toISOString();
-    basketCheckoutEvent.orderDate = orderDate;
-    console.log(basketCheckoutEvent);
-    
-    const params = {
-      TableName: process.env.DYNAMODB_TABLE_NAME,
-      Item: marshall(basketCheckoutEvent || {})
-    };
+    // every order starts its lifecycle as PENDING
+    basketCheckoutEvent.status = OrderStatus.PENDING;
+    basketCheckoutEvent.statusHistory = [historyEntry(OrderStatus.PENDING, "system")];
 
-    const createResult = await ddbClient.send(new PutItemCommand(params));
-    console.log(createResult);
-    return createResult;
+    // v2 checkouts carry the order number the customer was given, v1 checkouts get one drawn here
+    let drawOrderNumber = basketCheckoutEvent.orderId == null;
+    for (let attempt = 1; ; attempt++) {
+      // orderDate is the SK of the order table, orderId the number support quotes (orderIdIndex)
+      // a retry moves on by at least a millisecond : the user's previous order may hold this one
+      basketCheckoutEvent.orderDate = nextOrderDate(basketCheckoutEvent.orderDate);
+      if (drawOrderNumber) {
+        basketCheckoutEvent.orderId = generateOrderNumber(basketCheckoutEvent.orderDate);
+      }
+      console.log(basketCheckoutEvent);
+
+      try {
+        // a redelivered checkout event (same idempotencyKey) is reported as a duplicate instead of creating a second order
+        const createResult = await orderRepository.create(basketCheckoutEvent);
+        if (createResult.duplicate) {
+          console.log(`Duplicate checkout event ignored, idempotencyKey : "${basketCheckoutEvent.idempotencyKey}"`);
+        }
+        console.log(createResult);
+        return createResult;
+      } catch(e) {
+        if (!(e instanceof ConflictError) || attempt >= MAX_ORDER_KEY_ATTEMPTS) {
+          throw e;
+        }
+        console.log(`order date or number taken, attempt ${attempt} of ${MAX_ORDER_KEY_ATTEMPTS}`);
+        if (!drawOrderNumber && isTaken(e, "orderId")) {
+          // the order keeps its orderReference, support finds it with that one
+          console.error(`Order number "${basketCheckoutEvent.orderId}" of checkout "${basketCheckoutEvent.orderReference}" is taken, drawing another one`);
+          drawOrderNumber = true;
+        }
+      }
+    }
 
   } catch(e) {
     console.error(e);
@@ -64,87 +178,250 @@ const createOrder = async (basketCheckoutEvent) => {
   }
 }
 
-const apiGatewayInvocation = async (event) => {
-  // GET /order	
-	// GET /order/{userName}
+const isTaken = (conflict, field) => (conflict.details || []).some((detail) => detail.field === field);
+
+// now, or a millisecond after the previous attempt when the clock has not moved on
+const nextOrderDate = (previousOrderDate) => {
+  const previous = (previousOrderDate != null) ? Date.parse(previousOrderDate) + 1 : 0;
+  return new Date(Math.max(Date.now(), previous)).toISOString();
+}
+
+const apiGatewayInvocation = async (orderRepository, event, context) => {
+  // GET /order
+  // GET /order/{userName}?from=&to=&status=&limit=&nextToken=
+  // GET /order/{userName}/{orderDate}
+  // GET /order/id/{orderId}
+  // PATCH /order/{userName}/{orderDate}/status
+  // POST /order/{userName}/{orderDate}/cancel
+  // the caller comes from the JWT authorizer, users only reach their own orders, admins any;
+  // status changes are for staff and admins, the caller is recorded as the actor
   let body;
 
   try {
+    const caller = getCaller(event);
+
     switch (event.httpMethod) {
         case "GET":
-            if (event.pathParameters != null) {
-            body = await getOrder(event);
+            if (event.pathParameters != null && event.pathParameters.orderId != null) {
+              body = await getOrderById(orderRepository, caller, event); // GET /order/id/{orderId}
+            } else if (event.pathParameters != null && event.pathParameters.orderDate != null) {
+              body = await getOrder(orderRepository, caller, event); // GET /order/{userName}/{orderDate}
+            } else if (event.pathParameters != null) {
+              body = await getOrderHistory(orderRepository, caller, event); // GET /order/{userName}
+            } else {
+            requireRole(caller, ADMIN_ROLE, "list all orders");
+            body = await getAllOrders(orderRepository, event);
+            }
+            break;
+        case "PATCH":
+            if (event.pathParameters != null && event.pathParameters.orderDate != null) {
+              body = await updateOrderStatus(orderRepository, caller, event); // PATCH /order/{userName}/{orderDate}/status
             } else {
-            body = await getAllOrders();
+              throw new MethodNotAllowedError(event.httpMethod, ["GET"]);
+            }
+            break;
+        case "POST":
+            if (event.pathParameters != null && event.pathParameters.orderDate != null && event.path.endsWith("/cancel")) {
+              body = await cancelOrder(orderRepository, caller, event); // POST /order/{userName}/{orderDate}/cancel
+            } else {
+              throw new MethodNotAllowedError(event.httpMethod, ["GET"]);
             }
             break;
         default:
-            throw new Error(`Unsupported route: "${event.httpMethod}"`);
+            throw new MethodNotAllowedError(event.httpMethod, ["GET", "PATCH", "POST"]);
     }
 
     console.log(body);
-    return {
-        statusCode: 200,
-        body: JSON.stringify({
-            message: `Successfully finished operation: "${event.httpMethod}"`,
-            body: body
-        })
-    };
+    return successResponse(event, body);
   }
   catch(e) {
       console.error(e);
-      return {
-      statusCode: 500,
-      body: JSON.stringify({
-          message: "Failed to perform operation.",
-          errorMsg: e.message,
-          errorStack: e.stack,
-        })
-      };
+      return errorResponse(e, event, context);
   }
 }
 
-const getOrder = async (event) => {
+const getOrder = async (orderRepository, caller, event) => {
   console.log("getOrder");
     
   try {
-    // expected request : xxx/order/swn?orderDate=timestamp
-    const userName = event.pathParameters.userName;  
-    const orderDate = event.queryStringParameters.orderDate; 
-
-    const params = {
-      KeyConditionExpression: "userName = :userName and orderDate = :orderDate",
-      ExpressionAttributeValues: {
-        ":userName": { S: userName },
-        ":orderDate": { S: orderDate }
-      },
-      TableName: process.env.DYNAMODB_TABLE_NAME
-    };
- 
-    const { Items } = await ddbClient.send(new QueryCommand(params));
-
-    console.log(Items);
-    return Items.map((item) => unmarshall(item));
+    // expected request : xxx/order/swn/2024-01-15T10:30:00.000Z
+    const userName = resolveUserName(caller, event.pathParameters.userName);
+    const orderDate = decodeURIComponent(event.pathParameters.orderDate);
+
+    const order = await getOrderByKey(orderRepository, userName, orderDate);
+
+    console.log(order);
+    return order;
   } catch(e) {
     console.error(e);
     throw e;
   }
 }
 
-const getAllOrders = async () => {  
+const getOrderById = async (orderRepository, caller, event) => {
+  console.log("getOrderById");
+
+  try {
+    // expected request : xxx/order/id/SWN-20240115-7K3F9Q
+    const orderId = decodeURIComponent(event.pathParameters.orderId);
+    const order = await orderRepository.getByOrderId(orderId);
+
+    console.log(order);
+    // the orders of other users are reported missing, a 403 would confirm the number exists
+    if (order == null || (order.userName !== caller.userName && !hasRole(caller, ADMIN_ROLE))) {
+      throw new NotFoundError(`Order "${orderId}" not found`);
+    }
+    return order;
+  } catch(e) {
+    console.error(e);
+    throw e;
+  }
+}
+
+const getOrderHistory = async (orderRepository, caller, event) => {
+  console.log("getOrderHistory");
+
+  try {
+    // expected request : xxx/order/swn?from=2024-01-01&to=2024-01-31&status=PAID&limit=20
+    const userName = resolveUserName(caller, event.pathParameters.userName);
+    const filter = getHistoryFilter(event);
+
+    // newest first; with a status filter a page may hold fewer than limit orders and still have a nextToken
+    const { items, lastEvaluatedKey } = await orderRepository.listByUser(userName, filter, getPaginationParams(event));
+
+    console.log(items);
+    return toPage(items, lastEvaluatedKey);
+  } catch(e) {
+    console.error(e);
+    throw e;
+  }
+}
+
+const getAllOrders = async (orderRepository, event) => {  
   console.log("getAllOrders");    
   try {
-      const params = {
-      TableName: process.env.DYNAMODB_TABLE_NAME
-      };
-  
-      const { Items } = await ddbClient.send(new ScanCommand(params));
+      const { items, lastEvaluatedKey } = await orderRepository.list(getPaginationParams(event));
 
-      console.log(Items);
-      return (Items) ? Items.map((item) => unmarshall(item)) : {};
+      console.log(items);
+      return toPage(items, lastEvaluatedKey);
 
   } catch(e) {
       console.error(e);
       throw e;
   }
-}
\ No newline at end of file
+}
+
+const updateOrderStatus = async (orderRepository, caller, event) => {
+  console.log("updateOrderStatus");
+
+  // expected request : PATCH xxx/order/swn/2024-01-15T10:30:00.000Z/status { status : "PAID", reason : ".." }
+  // customers cannot mark their own orders paid or shipped
+  if (!hasRole(caller, ADMIN_ROLE)) {
+    requireRole(caller, STAFF_ROLE, "change order statuses");
+  }
+  const userName = event.pathParameters.userName;
+  // API Gateway hands path parameters over still url-encoded
+  const orderDate = decodeURIComponent(event.pathParameters.orderDate);
+  const request = assertValid(orderStatusSchema, parseJsonBody(event));
+
+  const order = await getOrderByKey(orderRepository, userName, orderDate);
+  const from = currentStatus(order);
+  assertTransition(from, request.status);
+
+  // a cancellation has to release the order's stock : it goes through the same transaction as POST .../cancel
+  if (request.status === OrderStatus.CANCELLED) {
+    if (request.reason == null || request.reason === "") {
+      throw new ValidationError([{ field: "reason", message: "is required to cancel an order" }]);
+    }
+    return await cancelOrderAndReleaseStock(orderRepository, order, caller.userName, request.reason, false);
+  }
+
+  return await transitionOrder(orderRepository, order, request.status, caller.userName, request.reason);
+}
+
+const cancelOrder = async (orderRepository, caller, event) => {
+  console.log("cancelOrder");
+
+  // expected request : POST xxx/order/swn/2024-01-15T10:30:00.000Z/cancel { reason : "..", restoreBasket : true }
+  const userName = resolveUserName(caller, event.pathParameters.userName);
+  const orderDate = decodeURIComponent(event.pathParameters.orderDate);
+  const request = assertValid(cancelOrderSchema, parseJsonBody(event));
+
+  const order = await getOrderByKey(orderRepository, userName, orderDate);
+  const from = currentStatus(order);
+  if (!canTransition(from, OrderStatus.CANCELLED)) {
+    throw new ConflictError(`Order cannot be cancelled in status ${from}`, {
+      status: from,
+      allowedTransitions: allowedTransitions(from)
+    });
+  }
+
+  return await cancelOrderAndReleaseStock(orderRepository, order, caller.userName, request.reason, request.restoreBasket === true);
+}
+
+// Cancels `order`, whose status allows it. The basket service restocks its items when it receives OrderCancelled.
+const cancelOrderAndReleaseStock = async (orderRepository, order, actor, reason, restoreBasket) => {
+  console.log(`cancelOrderAndReleaseStock function. orderDate : "${order.orderDate}", actor : "${actor}"`);
+
+  const entry = historyEntry(OrderStatus.CANCELLED, actor, reason);
+
+  // the status change and the OrderCancelled event commit together, the basket service restores stock (and the basket)
+  try {
+    const cancelResult = await orderRepository.cancel(order, entry, reason, {
+      id: randomUUID(),
+      source: process.env.EVENT_SOURCE,
+      detailType: process.env.ORDER_CANCELLED_DETAILTYPE,
+      detail: buildEventDetail(process.env.ORDER_CANCELLED_DETAILTYPE, {
+        userName: order.userName,
+        orderDate: order.orderDate,
+        orderReference: order.orderReference,
+        items: order.items,
+        reason: reason,
+        cancelledBy: actor,
+        restoreBasket: restoreBasket
+      })
+    });
+    console.log(cancelResult);
+
+  } catch(e) {
+    console.error(e);
+    throw e;
+  }
+
+  return {
+    ...order,
+    status: OrderStatus.CANCELLED,
+    statusHistory: (order.statusHistory || []).concat([entry]),
+    updatedAt: entry.at,
+    cancellationReason: reason
+  };
+}
+
+const getOrderByKey = async (orderRepository, userName, orderDate) => {
+  console.log(`getOrderByKey function. userName : "${userName}", orderDate : "${orderDate}"`);
+  try {
+    const order = await orderRepository.get(userName, orderDate);
+
+    if (order == null) {
+      throw new NotFoundError(`Order for user "${userName}" at "${orderDate}" not found`);
+    }
+    return order;
+
+  } catch(e) {
+    console.error(e);
+    throw e;
+  }
+}
+
+// Moves the order to `to`, the repository refuses with a 409 if its status changed since it was read.
+const transitionOrder = async (orderRepository, order, to, actor, reason) => {
+  console.log(`transitionOrder function. orderDate : "${order.orderDate}", ${currentStatus(order)} -> ${to}`);
+
+  try {
+    return await orderRepository.transition(order, historyEntry(to, actor, reason));
+
+  } catch(e) {
+    console.error(e);
+    throw e;
+  }
+}
@@ -0,0 +1,39 @@
+import { PutEventsCommand } from "@aws-sdk/client-eventbridge";
+import { buildEventDetail } from "../shared/eventContracts";
+
+// Events the ordering service publishes directly to SwnEventBus, with the EventBridge client of the handler.
+
+// Stock for the checkout was reserved by the basket service. OrderFailed tells it to put that stock back.
+export const publishOrderFailedEvent = async (ebClient, basketCheckoutEvent, error) => {
+  console.log("publishOrderFailedEvent with payload :", basketCheckoutEvent);
+  try {
+      const params = {
+          Entries: [
+              {
+                  Source: process.env.EVENT_SOURCE,
+                  Detail: JSON.stringify(buildEventDetail(process.env.ORDER_FAILED_DETAILTYPE, {
+                    userName: basketCheckoutEvent.userName,
+                    orderReference: basketCheckoutEvent.orderReference,
+                    items: basketCheckoutEvent.items,
+                    reason: error.message
+                  })),
+                  DetailType: process.env.ORDER_FAILED_DETAILTYPE,
+                  Resources: [ ],
+                  EventBusName: process.env.EVENT_BUSNAME
+              },
+          ],
+      };
+
+      const data = await ebClient.send(new PutEventsCommand(params));
+      if (data.FailedEntryCount > 0) {
+        throw new Error(`Failed to publish OrderFailed event: ${JSON.stringify(data.Entries)}`);
+      }
+
+      console.log("Success, event sent; requestID:", data);
+      return data;
+
+    } catch(e) {
+      console.error(e);
+      throw e;
+  }
+}
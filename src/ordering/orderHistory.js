@@ -0,0 +1,50 @@
+// Filters of a user's order history : GET /order/{userName}?from=&to=&status=&limit=&nextToken=
+
+import { ValidationError } from "../shared/errors";
+import { OrderStatus } from "./orderStatus";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reads from, to and status from an API Gateway event.
+// from and to are ISO 8601 dates or date-times, both inclusive : a date `to` covers that whole day (UTC).
+// Returns { from, to, status } as orderDate sort key values, undefined when not given.
+export const getHistoryFilter = (event) => {
+  const query = event.queryStringParameters || {};
+  const errors = [];
+
+  const from = parseBoundary(query.from, false);
+  if (from === null) {
+    errors.push({ field: "from", message: "should be an ISO 8601 date or date-time" });
+  }
+  const to = parseBoundary(query.to, true);
+  if (to === null) {
+    errors.push({ field: "to", message: "should be an ISO 8601 date or date-time" });
+  }
+  if (from != null && to != null && from > to) {
+    errors.push({ field: "from", message: "should not be after to" });
+  }
+  if (query.status != null && !Object.values(OrderStatus).includes(query.status)) {
+    errors.push({ field: "status", message: `should be one of: ${Object.values(OrderStatus).join(", ")}` });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return { from: from, to: to, status: query.status };
+}
+
+// orderDate value of a boundary (toISOString, like createOrder writes it), null when it is not a date
+const parseBoundary = (value, endOfDay) => {
+  if (value == null || value === "") {
+    return undefined;
+  }
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  if (!dateOnly && !/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return null;
+  }
+  const time = Date.parse(dateOnly ? `${value}T00:00:00.000Z` : value);
+  if (Number.isNaN(time)) {
+    return null;
+  }
+  return new Date((dateOnly && endOfDay) ? time + DAY_MS - 1 : time).toISOString();
+}
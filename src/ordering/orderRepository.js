@@ -0,0 +1,328 @@
+import { GetItemCommand, QueryCommand, ScanCommand, TransactWriteItemsCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { ConflictError } from "../shared/errors";
+import { buildOutboxPut } from "../shared/outbox";
+import { OrderStatus } from "./orderStatus";
+
+// Persistence of orders, injected into the handler by createHandler (./index).
+// order table : PK: userName - SK: orderDate -- orderId - status - statusHistory - items - totals ..
+//   orderIdIndex : PK: orderId -> lookup by order number (orders created before order numbers are not in it)
+// Both repositories expose :
+// - get(userName, orderDate) -> order | undefined
+// - getByOrderId(orderId) -> order | undefined
+// - list({ limit, exclusiveStartKey }) -> { items, lastEvaluatedKey }
+// - listByUser(userName, { from, to, status }, { limit, exclusiveStartKey }) -> { items, lastEvaluatedKey }, newest first,
+//     orderDate between from and to (inclusive, either may be undefined), status filtered after the limit like a FilterExpression
+// - create(order) -> write result, { duplicate: true } when an order with the same idempotencyKey exists,
+//     ConflictError when the user already has an order at orderDate or the orderId is taken, its details name the field
+// - transition(order, entry, cancellationReason) -> the updated order
+// - cancel(order, entry, reason, event: { id, source, detailType, detail }) -> write result, commits the OrderCancelled event with the update
+// transition and cancel only apply if the order is still in the status that was read, ConflictError otherwise.
+
+// dedupe records are kept as long as basket idempotency keys
+const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+
+const concurrentChangeError = () => new ConflictError("Order status was changed concurrently, please retry");
+
+const dedupeId = (order) => `order#${order.userName}#${order.idempotencyKey}`;
+// claims an order number for good, the index alone cannot keep two orders from sharing one
+const orderIdClaimId = (orderId) => `orderId#${orderId}`;
+
+const keyTakenError = (field) => new ConflictError("The order date or order number is already taken", [{ field: field, message: "is already taken" }]);
+
+export class DynamoOrderRepository {
+  constructor(ddbClient, { tableName, idempotencyTableName, orderIdIndex }) {
+    this.ddbClient = ddbClient;
+    this.tableName = tableName;
+    this.idempotencyTableName = idempotencyTableName;
+    this.orderIdIndex = orderIdIndex;
+  }
+
+  async get(userName, orderDate) {
+    const { Item } = await this.ddbClient.send(new GetItemCommand({
+      TableName: this.tableName,
+      Key: marshall({ userName: userName, orderDate: orderDate })
+    }));
+    return (Item != null) ? unmarshall(Item) : undefined;
+  }
+
+  // Query on the orderIdIndex GSI, which projects the whole order
+  async getByOrderId(orderId) {
+    const { Items } = await this.ddbClient.send(new QueryCommand({
+      TableName: this.tableName,
+      IndexName: this.orderIdIndex,
+      KeyConditionExpression: "orderId = :orderId",
+      ExpressionAttributeValues: marshall({ ":orderId": orderId })
+    }));
+    return (Items != null && Items.length > 0) ? unmarshall(Items[0]) : undefined;
+  }
+
+  async list({ limit, exclusiveStartKey }) {
+    const { Items, LastEvaluatedKey } = await this.ddbClient.send(new ScanCommand({
+      TableName: this.tableName,
+      Limit: limit,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+    return { items: (Items || []).map((item) => unmarshall(item)), lastEvaluatedKey: LastEvaluatedKey };
+  }
+
+  // Query on the user's partition, descending orderDate sort key
+  async listByUser(userName, { from, to, status }, { limit, exclusiveStartKey }) {
+    const names = {};
+    const values = { ":userName": userName };
+    let keyCondition = "userName = :userName";
+    if (from != null || to != null) {
+      names["#orderDate"] = "orderDate";
+    }
+    if (from != null && to != null) {
+      keyCondition += " AND #orderDate BETWEEN :from AND :to";
+    } else if (from != null) {
+      keyCondition += " AND #orderDate >= :from";
+    } else if (to != null) {
+      keyCondition += " AND #orderDate <= :to";
+    }
+    if (from != null) {
+      values[":from"] = from;
+    }
+    if (to != null) {
+      values[":to"] = to;
+    }
+
+    let filter;
+    if (status != null) {
+      names["#status"] = "status";
+      values[":status"] = status;
+      // orders written before statuses existed are PENDING
+      filter = (status === OrderStatus.PENDING) ? "(#status = :status OR attribute_not_exists(#status))" : "#status = :status";
+    }
+
+    const { Items, LastEvaluatedKey } = await this.ddbClient.send(new QueryCommand({
+      TableName: this.tableName,
+      KeyConditionExpression: keyCondition,
+      FilterExpression: filter,
+      ExpressionAttributeNames: (Object.keys(names).length > 0) ? names : undefined,
+      ExpressionAttributeValues: marshall(values),
+      ScanIndexForward: false,
+      Limit: limit,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+    return { items: (Items || []).map((item) => unmarshall(item)), lastEvaluatedKey: LastEvaluatedKey };
+  }
+
+  // One transaction : the dedupe record (with an idempotencyKey), the order number claim and the order.
+  // A redelivered event fails the dedupe condition, a clash on the order date or number fails the others.
+  async create(order) {
+    const transactItems = [];
+
+    if (order.idempotencyKey != null) {
+      // checkout events published without a key cannot be deduplicated
+      transactItems.push({
+        Put: {
+          TableName: this.idempotencyTableName,
+          Item: marshall({
+            id: dedupeId(order),
+            orderReference: order.orderReference,
+            userName: order.userName,
+            orderDate: order.orderDate,
+            expiresAt: Math.floor(Date.now() / 1000) + IDEMPOTENCY_TTL_SECONDS
+          }),
+          ConditionExpression: "attribute_not_exists(id)"
+        }
+      });
+    }
+
+    transactItems.push(
+      {
+        Put: {
+          TableName: this.idempotencyTableName,
+          // no expiresAt, order numbers are never reused
+          Item: marshall({ id: orderIdClaimId(order.orderId), userName: order.userName, orderDate: order.orderDate }),
+          ConditionExpression: "attribute_not_exists(id)"
+        }
+      },
+      {
+        Put: {
+          TableName: this.tableName,
+          Item: marshall(order),
+          // two checkouts of a user in the same millisecond would otherwise overwrite each other
+          ConditionExpression: "attribute_not_exists(orderDate)"
+        }
+      }
+    );
+
+    try {
+      return await this.ddbClient.send(new TransactWriteItemsCommand({ TransactItems: transactItems }));
+    } catch(e) {
+      if (order.idempotencyKey != null && isConditionFailure(e, 0)) {
+        return { duplicate: true };
+      }
+      if (isConditionFailure(e, transactItems.length - 2)) {
+        throw keyTakenError("orderId");
+      }
+      if (isConditionFailure(e, transactItems.length - 1)) {
+        throw keyTakenError("orderDate");
+      }
+      throw e;
+    }
+  }
+
+  async transition(order, entry, cancellationReason) {
+    try {
+      const { Attributes } = await this.ddbClient.send(new UpdateItemCommand({
+        ...this.buildTransitionUpdate(order, entry, cancellationReason),
+        ReturnValues: "ALL_NEW"
+      }));
+      return unmarshall(Attributes);
+
+    } catch(e) {
+      if (e.name === "ConditionalCheckFailedException") {
+        throw concurrentChangeError();
+      }
+      throw e;
+    }
+  }
+
+  async cancel(order, entry, reason, event) {
+    const params = {
+      TransactItems: [
+        { Update: this.buildTransitionUpdate(order, entry, reason) },
+        buildOutboxPut(event.id, event.source, event.detailType, event.detail)
+      ]
+    };
+
+    try {
+      return await this.ddbClient.send(new TransactWriteItemsCommand(params));
+    } catch(e) {
+      if (isConditionFailure(e, 0)) {
+        throw concurrentChangeError();
+      }
+      throw e;
+    }
+  }
+
+  // Update that moves the order to `entry.status` and appends the transition to statusHistory.
+  // It only applies if the order is still in the status that was read, so concurrent transitions cannot both win.
+  buildTransitionUpdate(order, entry, cancellationReason) {
+    const values = {
+      ":to": entry.status,
+      ":empty": [],
+      ":entry": [entry],
+      ":updatedAt": entry.at
+    };
+    let updateExpression = "SET #status = :to, statusHistory = list_append(if_not_exists(statusHistory, :empty), :entry), updatedAt = :updatedAt";
+    if (cancellationReason != null) {
+      updateExpression += ", cancellationReason = :cancellationReason";
+      values[":cancellationReason"] = cancellationReason;
+    }
+
+    // orders written before statuses existed have no status attribute
+    let conditionExpression = "attribute_not_exists(#status)";
+    if (order.status != null) {
+      conditionExpression = "#status = :from";
+      values[":from"] = order.status;
+    }
+
+    return {
+      TableName: this.tableName,
+      Key: marshall({ userName: order.userName, orderDate: order.orderDate }),
+      UpdateExpression: updateExpression,
+      ConditionExpression: conditionExpression,
+      ExpressionAttributeNames: { "#status": "status" },
+      ExpressionAttributeValues: marshall(values)
+    };
+  }
+}
+
+// CancellationReasons is index aligned with TransactItems
+const isConditionFailure = (error, index) => {
+  const reasons = error.CancellationReasons || [];
+  return error.name === "TransactionCanceledException" && reasons[index] != null && reasons[index].Code === "ConditionalCheckFailed";
+}
+
+// In-memory orders for tests, ordered by insertion. Events of cancellations are collected in `outbox`.
+export class InMemoryOrderRepository {
+  constructor(orders = []) {
+    this.orders = new Map(orders.map((order) => [orderKey(order), clone(order)]));
+    this.dedupeIds = new Set();
+    this.outbox = [];
+  }
+
+  async get(userName, orderDate) {
+    return clone(this.orders.get(orderKey({ userName, orderDate })));
+  }
+
+  async getByOrderId(orderId) {
+    return clone([...this.orders.values()].find((order) => order.orderId === orderId));
+  }
+
+  async list({ limit, exclusiveStartKey }) {
+    const orders = [...this.orders.values()];
+    const start = (exclusiveStartKey != null) ? orders.findIndex((order) => orderKey(order) === orderKey(exclusiveStartKey)) + 1 : 0;
+    const items = orders.slice(start, start + limit);
+    const last = items[items.length - 1];
+    return {
+      items: items.map((order) => clone(order)),
+      lastEvaluatedKey: (start + limit < orders.length) ? { userName: last.userName, orderDate: last.orderDate } : undefined
+    };
+  }
+
+  async listByUser(userName, { from, to, status }, { limit, exclusiveStartKey }) {
+    const orders = [...this.orders.values()]
+      .filter((order) => order.userName === userName && (from == null || order.orderDate >= from) && (to == null || order.orderDate <= to))
+      .sort((a, b) => (a.orderDate < b.orderDate) ? 1 : (a.orderDate > b.orderDate) ? -1 : 0);
+    const start = (exclusiveStartKey != null) ? orders.findIndex((order) => order.orderDate === exclusiveStartKey.orderDate) + 1 : 0;
+    const read = orders.slice(start, start + limit);
+    const last = read[read.length - 1];
+    return {
+      // like a FilterExpression, the status is checked on the orders the limit let through
+      items: read.filter((order) => status == null || (order.status || OrderStatus.PENDING) === status).map((order) => clone(order)),
+      lastEvaluatedKey: (start + limit < orders.length) ? { userName: last.userName, orderDate: last.orderDate } : undefined
+    };
+  }
+
+  async create(order) {
+    if (order.idempotencyKey != null && this.dedupeIds.has(dedupeId(order))) {
+      return { duplicate: true };
+    }
+    if (order.orderId != null && [...this.orders.values()].some((stored) => stored.orderId === order.orderId)) {
+      throw keyTakenError("orderId");
+    }
+    if (this.orders.has(orderKey(order))) {
+      throw keyTakenError("orderDate");
+    }
+    if (order.idempotencyKey != null) {
+      this.dedupeIds.add(dedupeId(order));
+    }
+    this.orders.set(orderKey(order), clone(order));
+    return {};
+  }
+
+  async transition(order, entry, cancellationReason) {
+    const stored = this.orders.get(orderKey(order));
+    if (stored == null || stored.status !== order.status) {
+      throw concurrentChangeError();
+    }
+    const updated = {
+      ...stored,
+      status: entry.status,
+      statusHistory: (stored.statusHistory || []).concat([clone(entry)]),
+      updatedAt: entry.at
+    };
+    if (cancellationReason != null) {
+      updated.cancellationReason = cancellationReason;
+    }
+    this.orders.set(orderKey(order), updated);
+    return clone(updated);
+  }
+
+  async cancel(order, entry, reason, event) {
+    await this.transition(order, entry, reason);
+    this.outbox.push(clone(event));
+    return {};
+  }
+}
+
+const orderKey = ({ userName, orderDate }) => `${userName}#${orderDate}`;
+
+// stored and returned orders are copies, like items read from DynamoDB
+const clone = (value) => (value === undefined) ? undefined : JSON.parse(JSON.stringify(value));
@@ -0,0 +1,54 @@
+import { ConflictError } from "../shared/errors";
+
+// Order lifecycle.
+// PENDING -> PAID -> SHIPPED -> DELIVERED
+// PENDING | PAID -> CANCELLED (always through the cancellation, which releases the order's stock)
+// PAID | DELIVERED -> REFUNDED
+
+export const OrderStatus = {
+  PENDING: "PENDING",
+  PAID: "PAID",
+  SHIPPED: "SHIPPED",
+  DELIVERED: "DELIVERED",
+  CANCELLED: "CANCELLED",
+  REFUNDED: "REFUNDED"
+};
+
+// legal next statuses, CANCELLED and REFUNDED are final
+const TRANSITIONS = {
+  [OrderStatus.PENDING]: [OrderStatus.PAID, OrderStatus.CANCELLED],
+  [OrderStatus.PAID]: [OrderStatus.SHIPPED, OrderStatus.CANCELLED, OrderStatus.REFUNDED],
+  [OrderStatus.SHIPPED]: [OrderStatus.DELIVERED],
+  [OrderStatus.DELIVERED]: [OrderStatus.REFUNDED],
+  [OrderStatus.CANCELLED]: [],
+  [OrderStatus.REFUNDED]: []
+};
+
+// orders written before statuses existed are treated as PENDING
+export const currentStatus = (order) => order.status || OrderStatus.PENDING;
+
+export const allowedTransitions = (status) => TRANSITIONS[status] || [];
+
+export const canTransition = (from, to) => allowedTransitions(from).includes(to);
+
+export const assertTransition = (from, to) => {
+  if (!canTransition(from, to)) {
+    throw new ConflictError(`Order cannot move from ${from} to ${to}`, {
+      status: from,
+      allowedTransitions: allowedTransitions(from)
+    });
+  }
+}
+
+// One audit trail entry, orders keep them in `statusHistory`.
+export const historyEntry = (status, actor, reason) => {
+  const entry = {
+    status: status,
+    at: new Date().toISOString(),
+    actor: actor
+  };
+  if (reason != null) {
+    entry.reason = reason;
+  }
+  return entry;
+}
@@ -0,0 +1,200 @@
+import { ChangeMessageVisibilityCommand, DeleteMessageCommand, ReceiveMessageCommand, SendMessageCommand } from "@aws-sdk/client-sqs";
+import { ebClient } from "./eventBridgeClient";
+import { sqsClient } from "./sqsClient";
+import { publishOrderFailedEvent } from "./orderEvents";
+import { NotFoundError, ValidationError } from "../shared/errors";
+
+// Redrive tool for the OrderQueue dead-letter queue, invoked directly by on-call :
+//   aws lambda invoke --function-name <orderRedriveFunction> --cli-binary-format raw-in-base64-out --payload '{ "action": "list" }' out.json
+// actions :
+//   list                                     -> summary of the messages waiting in the dead-letter queue
+//   inspect { messageId }                    -> one message with its parsed checkout event
+//   fix     { messageId, patch | body }      -> merges `patch` into the event detail (or replaces the whole body) and re-enqueues it
+//   redrive { messageId } | { all: true }    -> re-enqueues unchanged into OrderQueue
+//   discard { messageId, releaseStock }      -> deletes the message, publishes OrderFailed first unless releaseStock is false
+
+// how many dead-letter messages one invocation looks at
+const MAX_SCANNED_MESSAGES = 100;
+// received messages stay hidden from other readers while the tool works on them
+const VISIBILITY_TIMEOUT_SECONDS = 30;
+
+// The handler is built from its AWS clients so tests can run it against stubs : { sqsClient, ebClient (OrderFailed) }
+const createHandler = (clients) => async function(event) {
+  console.log("request:", JSON.stringify(event, undefined, 2));
+
+  switch (event.action) {
+    case "list":
+      return await listMessages(clients);
+    case "inspect":
+      return await inspectMessage(clients, event);
+    case "fix":
+      return await fixMessage(clients, event);
+    case "redrive":
+      return (event.all === true) ? await redriveAll(clients) : await redriveMessage(clients, event);
+    case "discard":
+      return await discardMessage(clients, event);
+    default:
+      throw new ValidationError([{ field: "action", message: "should be one of: list, inspect, fix, redrive, discard" }]);
+  }
+};
+
+exports.createHandler = createHandler;
+
+exports.handler = createHandler({ sqsClient: sqsClient, ebClient: ebClient });
+
+const listMessages = async ({ sqsClient }) => {
+  const messages = await receiveMessages(sqsClient);
+  await releaseMessages(sqsClient, messages);
+  return messages.map((message) => summarize(message));
+}
+
+const inspectMessage = async ({ sqsClient }, event) => {
+  const message = await findMessage(sqsClient, requireMessageId(event));
+  await releaseMessages(sqsClient, [message]);
+  return { ...summarize(message), body: message.Body, attributes: message.Attributes };
+}
+
+const fixMessage = async ({ sqsClient }, event) => {
+  const message = await findMessage(sqsClient, requireMessageId(event));
+
+  let body;
+  if (event.body != null) {
+    // malformed messages cannot be patched, replace them
+    body = (typeof event.body === "string") ? event.body : JSON.stringify(event.body);
+  } else if (event.patch != null && typeof event.patch === "object") {
+    const checkoutEvent = parseBody(message);
+    if (checkoutEvent == null) {
+      await releaseMessages(sqsClient, [message]);
+      throw new ValidationError([{ field: "patch", message: "message body is not valid JSON, send a replacement body" }]);
+    }
+    body = JSON.stringify({ ...checkoutEvent, detail: { ...checkoutEvent.detail, ...event.patch } });
+  } else {
+    await releaseMessages(sqsClient, [message]);
+    throw new ValidationError([{ field: "patch", message: "patch or body is required" }]);
+  }
+
+  return await moveToOrderQueue(sqsClient, message, body);
+}
+
+const redriveMessage = async ({ sqsClient }, event) => {
+  const message = await findMessage(sqsClient, requireMessageId(event));
+  return await moveToOrderQueue(sqsClient, message, message.Body);
+}
+
+const redriveAll = async ({ sqsClient }) => {
+  const messages = await receiveMessages(sqsClient);
+  const redriven = [];
+  for (const message of messages) {
+    redriven.push(await moveToOrderQueue(sqsClient, message, message.Body));
+  }
+  return redriven;
+}
+
+const discardMessage = async ({ sqsClient, ebClient }, event) => {
+  const message = await findMessage(sqsClient, requireMessageId(event));
+  const checkoutEvent = parseBody(message);
+
+  // the checkout reserved stock that no order will use
+  if (event.releaseStock !== false && checkoutEvent != null && checkoutEvent.detail != null) {
+    await publishOrderFailedEvent(ebClient, checkoutEvent.detail, new Error("Discarded from the order dead-letter queue"));
+  }
+
+  await deleteMessage(sqsClient, message);
+  return { messageId: message.MessageId, discarded: true };
+}
+
+// Sends first, then deletes : a crash in between redrives twice, and createOrder drops the duplicate.
+const moveToOrderQueue = async (sqsClient, message, body) => {
+  console.log(`moveToOrderQueue function. messageId : "${message.MessageId}"`);
+  try {
+    const { MessageId } = await sqsClient.send(new SendMessageCommand({
+      QueueUrl: process.env.ORDER_QUEUE_URL,
+      MessageBody: body
+    }));
+    await deleteMessage(sqsClient, message);
+    return { messageId: message.MessageId, redrivenMessageId: MessageId };
+
+  } catch(e) {
+    console.error(e);
+    throw e;
+  }
+}
+
+const receiveMessages = async (sqsClient, stopAt) => {
+  const messages = [];
+  while (messages.length < MAX_SCANNED_MESSAGES) {
+    const { Messages } = await sqsClient.send(new ReceiveMessageCommand({
+      QueueUrl: process.env.DEAD_LETTER_QUEUE_URL,
+      MaxNumberOfMessages: 10,
+      VisibilityTimeout: VISIBILITY_TIMEOUT_SECONDS,
+      WaitTimeSeconds: 0,
+      AttributeNames: ["All"]
+    }));
+    if (Messages == null || Messages.length === 0) {
+      break;
+    }
+    messages.push(...Messages);
+    if (stopAt != null && Messages.some((message) => message.MessageId === stopAt)) {
+      break;
+    }
+  }
+  return messages;
+}
+
+// Receives until the message shows up and makes every other received message visible again.
+const findMessage = async (sqsClient, messageId) => {
+  const messages = await receiveMessages(sqsClient, messageId);
+  const message = messages.find((candidate) => candidate.MessageId === messageId);
+  await releaseMessages(sqsClient, messages.filter((candidate) => candidate !== message));
+
+  if (message == null) {
+    throw new NotFoundError(`Message "${messageId}" not found in the dead-letter queue`);
+  }
+  return message;
+}
+
+const releaseMessages = async (sqsClient, messages) => {
+  for (const message of messages) {
+    await sqsClient.send(new ChangeMessageVisibilityCommand({
+      QueueUrl: process.env.DEAD_LETTER_QUEUE_URL,
+      ReceiptHandle: message.ReceiptHandle,
+      VisibilityTimeout: 0
+    }));
+  }
+}
+
+const deleteMessage = async (sqsClient, message) => {
+  await sqsClient.send(new DeleteMessageCommand({
+    QueueUrl: process.env.DEAD_LETTER_QUEUE_URL,
+    ReceiptHandle: message.ReceiptHandle
+  }));
+}
+
+const requireMessageId = (event) => {
+  if (typeof event.messageId !== "string" || event.messageId.length === 0) {
+    throw new ValidationError([{ field: "messageId", message: "is required" }]);
+  }
+  return event.messageId;
+}
+
+// Returns undefined for bodies that are not JSON, those are the usual poison messages.
+const parseBody = (message) => {
+  try {
+    return JSON.parse(message.Body);
+  } catch(e) {
+    return undefined;
+  }
+}
+
+const summarize = (message) => {
+  const checkoutEvent = parseBody(message);
+  const detail = (checkoutEvent != null && checkoutEvent.detail != null) ? checkoutEvent.detail : {};
+  return {
+    messageId: message.MessageId,
+    receiveCount: Number(message.Attributes.ApproximateReceiveCount),
+    sentAt: new Date(Number(message.Attributes.SentTimestamp)).toISOString(),
+    userName: detail.userName,
+    orderReference: detail.orderReference,
+    malformed: checkoutEvent == null
+  };
+}
@@ -0,0 +1,24 @@
+// Declarative payload schemas for the ordering service (see ../shared/validation).
+
+import { OrderStatus } from "./orderStatus";
+
+// PATCH /order/{userName}/{orderDate}/status
+export const orderStatusSchema = {
+  type: "object",
+  required: ["status"],
+  properties: {
+    status: { type: "string", enum: Object.values(OrderStatus) },
+    reason: { type: "string", maxLength: 512 }
+  }
+};
+
+// POST /order/{userName}/{orderDate}/cancel
+export const cancelOrderSchema = {
+  type: "object",
+  required: ["reason"],
+  properties: {
+    reason: { type: "string", minLength: 1, maxLength: 512 },
+    // put the cancelled items back into the user's basket
+    restoreBasket: { type: "boolean" }
+  }
+};
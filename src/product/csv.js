@@ -0,0 +1,76 @@
+// RFC 4180 CSV for product import and export : comma separated values, a double quoted value
+// may hold commas, line breaks and quotes (written twice: "").
+
+import { ValidationError } from "../shared/errors";
+
+// Records of a CSV text with the line each one starts on : [{ line, values }]
+// Accepts CRLF, LF or CR line breaks and a leading byte order mark (spreadsheet exports), skips blank lines.
+// A quote inside an unquoted value is kept as it is.
+export const parseCsv = (text) => {
+  const records = [];
+  let values = [];
+  let value = "";
+  let quoted = false;
+  let quoteLine;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(value);
+    if (values.length > 1 || values[0] !== "") {
+      records.push({ line: recordLine, values: values });
+    }
+    values = [];
+    value = "";
+  };
+
+  for (let i = (text.charCodeAt(0) === 0xfeff) ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n" || (char === "\r" && text[i + 1] !== "\n")) {
+          line++;
+        }
+        value += char;
+      }
+    } else if (char === '"' && value === "") {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ",") {
+      values.push(value);
+      value = "";
+    } else if (char === "\r" && text[i + 1] === "\n") {
+      // the \n ends the record
+    } else if (char === "\n" || char === "\r") {
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError([{ field: "(root)", message: `the quoted value starting on line ${quoteLine} is never closed` }]);
+  }
+  if (value !== "" || values.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+// One CSV line, without the line break. null and undefined are empty values, objects and arrays are written as JSON.
+export const formatCsvRecord = (values) => values.map(formatCsvValue).join(",");
+
+const formatCsvValue = (value) => {
+  if (value == null) {
+    return "";
+  }
+  const text = (typeof value === "object") ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
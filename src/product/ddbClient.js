@@ -1,5 +1,6 @@
 // Create service client module using ES6 syntax.
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
 // Create an Amazon DynamoDB service client object.
-const ddbClient = new DynamoDBClient();
+// DYNAMODB_ENDPOINT points the client at a local DynamoDB (see local/README.md), unset in AWS.
+const ddbClient = new DynamoDBClient(process.env.DYNAMODB_ENDPOINT ? { endpoint: process.env.DYNAMODB_ENDPOINT } : {});
 export { ddbClient };
\ No newline at end of file
@@ -8,62 +8,133 @@
  * Key Features:
  * - Full CRUD operations (Create, Read, Update, Delete) for products
  * - Product retrieval by ID, category filtering, and bulk operations
+ * - Full-text search on name, description and category with type-ahead (GET /product/search?q=)
+ * - Bulk import and export of the catalog as CSV or NDJSON (POST /product/import, GET /product/export)
+ * - Price history and scheduled price changes (GET/POST /product/{id}/prices)
  * - RESTful API compliance with proper HTTP method routing
  * - Comprehensive error handling and logging
  * - Auto-generation of unique product IDs using UUID v4
  * 
  * Architecture:
- * - Uses AWS SDK v3 for DynamoDB operations
- * - Leverages marshall/unmarshall utilities for DynamoDB data transformation
+ * - Storage goes through a ProductRepository (./productRepository) handed to createHandler
+ * - Writes keep an inverted search index up to date (./productSearchIndex, terms from ./productSearch)
+ * - Every price given to a product is recorded in a price history table (./productPrices)
+ * - The Lambda entry point uses the DynamoDB implementation (AWS SDK v3), tests can use the in-memory one
  * - Implements proper Lambda response format with status codes and error messages
  * 
  * Environment Dependencies:
  * - DYNAMODB_TABLE_NAME: The name of the DynamoDB table storing product data
+ * - CATEGORY_PRICE_INDEX: GSI on (category, price) used for category browsing sorted by price
+ * - CATEGORY_NAME_INDEX: GSI on (category, name) used for category browsing sorted by name
+ * - SEARCH_TABLE_NAME: The DynamoDB table holding the search index (term, productId)
+ * - SEARCH_PRODUCT_INDEX: GSI on (productId, term) of the search table, used to reindex a product
+ * - SEARCH_SCORE_INDEX: GSI on (term, score) of the search table, used to read the best matches of a term
+ * - PRICE_TABLE_NAME: The DynamoDB table holding the price history (productId, effectiveFrom)
  * 
  * Performance Considerations:
  * - getAllProducts uses DynamoDB Scan which can be expensive for large datasets
- * - getProductsByCategory uses Query with FilterExpression for efficient category-based filtering
+ * - getProductsByCategory queries the category GSIs instead of scanning the table
  * - All operations include proper error handling to prevent Lambda cold start issues
  * 
  * Data Model Assumptions:
  * - Products have an 'id' field as the primary key
+ * - Products carry a 'version' (1 on create, +1 per update), sent as the ETag of GET/PUT /product/{id}
  * - Products may have a 'category' field for filtering operations
- * - Product schema is flexible, allowing arbitrary fields in create/update operations
+ * - Products carry a numeric 'stock' level; basket checkout reserves against it
+ * - Products carry the price changes scheduled for them; responses give the price in effect at the time
+ *   of the request (see ../shared/pricing), the stored price is the one of the last write
+ * - Create/update payloads are validated against ./schemas (name and numeric price required on create)
+ * - Fields not described by the schema are still accepted and stored as-is
+ * 
+ * Authorization:
+ * - GET routes are public, except the export and the price history
+ * - POST, PUT, DELETE and GET /product/export require a JWT (the productApi authorizer, see lib/apigateway.ts) carrying
+ *   the "catalog-admin" role; the handler checks the role, so a misconfigured route still denies writes
+ * - GET /product/{id}/prices requires the "catalog-admin" or the "admin" role (customer support)
  * 
  * @author AWS Microservices Team
  * @version 1.0.0
  * @since 2024
  */
 
-import { DeleteItemCommand, GetItemCommand, PutItemCommand, QueryCommand, ScanCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
-import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
 import { ddbClient } from "./ddbClient";
+import { DynamoProductRepository } from "./productRepository";
+import { DynamoProductSearchIndex } from "./productSearchIndex";
+import { getSearchTerms, rankMatches, SEARCHABLE_FIELDS } from "./productSearch";
 import { v4 as uuidv4 } from 'uuid';
+import { decodeNextToken, encodeNextToken, getPaginationParams, toPage } from "../shared/pagination";
+import { ConflictError, MethodNotAllowedError, NotFoundError, PreconditionFailedError, ValidationError } from "../shared/errors";
+import { ADMIN_ROLE, CATALOG_ADMIN_ROLE, getCaller, hasRole, requireRole } from "../shared/auth";
+import { errorResponse, fileResponse, getIfMatchVersion, successResponse, versionETag } from "../shared/http";
+import { allSettledWithConcurrency } from "../shared/concurrency";
+import { assertValid, parseJsonBody } from "../shared/validation";
+import { createProductSchema, updateProductSchema } from "./schemas";
+import { getImportBody, getImportOptions, readImportRows } from "./productImport";
+import { EXPORT_CONTENT_TYPES, EXPORT_PAGE_SIZE, formatProducts, getExportFormat, MAX_EXPORT_BYTES } from "./productExport";
+import { getScheduledPrice, PRICE_ATTRIBUTES, priceEntry, schedulePrice, toPriceHistory, toProductView } from "./productPrices";
+import { currentPrice, pendingPrices } from "../shared/pricing";
+
+// Resources next to /product/{id} that are not products, with the methods they support.
+// API Gateway routes them before {id}, the handler sees them without path parameters.
+const STATIC_RESOURCES = {
+  "/product/search": ["GET"],
+  "/product/import": ["POST"],
+  "/product/export": ["GET"]
+};
+
+// GET /product/{id}/prices and POST /product/{id}/prices (schedule a price), routed on the resource
+// so that a product whose id is "prices" is still /product/{id}
+const PRICES_RESOURCE = "/product/{id}/prices";
+const PRICES_RESOURCE_METHODS = ["GET", "POST"];
+
+// Products written in one BatchWriteItem call of an import, and reindexed for search at the same time
+const IMPORT_BATCH_SIZE = 25;
+const IMPORT_INDEX_CONCURRENCY = 10;
 
 /**
- * Main Lambda Handler Function
+ * Lambda Handler Factory
  * 
- * This is the entry point for all product-related API requests. It acts as a router,
+ * Builds the entry point for all product-related API requests. The handler acts as a router,
  * directing incoming HTTP requests to the appropriate CRUD operation based on the
- * HTTP method and request parameters.
+ * HTTP method and request parameters. Operations use the repository they are given,
+ * exports.handler below is wired to DynamoDB.
+ * 
+ * @param {Object} repositories
+ * @param {ProductRepository} repositories.productRepository - Product storage (see ./productRepository)
+ * @param {ProductSearchIndex} repositories.productSearchIndex - Search index kept in step with product writes (see ./productSearchIndex)
+ *   (the product repository also keeps the price history)
+ * 
+ * @returns {Function} Lambda handler (event, context) => response
+ * 
+ * Handler:
  * 
  * Supported Operations:
- * - GET /product           -> getAllProducts() - Retrieves all products
- * - GET /product/{id}      -> getProduct() - Retrieves a specific product by ID
- * - GET /product/{id}?category=X -> getProductsByCategory() - Filters products by category
- * - POST /product          -> createProduct() - Creates a new product
- * - PUT /product/{id}      -> updateProduct() - Updates an existing product
- * - DELETE /product/{id}   -> deleteProduct() - Deletes a product
+ * - GET /product           -> getAllProducts() - Retrieves a page of products (?limit=&nextToken=)
+ * - GET /product/{id}      -> getProduct() - Retrieves a specific product by ID, with its ETag
+ * - GET /product?category=X -> getProductsByCategory() - Lists a category (?sort=price|name&order=asc|desc)
+ * - GET /product/search?q=X -> searchProducts() - Full-text search, most relevant first (?limit=&nextToken=)
+ * - GET /product/export    -> exportProducts() - The catalog as a CSV or NDJSON file (catalog-admin, ?format=&nextToken=)
+ * - GET /product/{id}/prices -> getProductPrices() - Price history, latest first (catalog-admin or admin, ?limit=&nextToken=)
+ * - POST /product          -> createProduct() - Creates a new product (catalog-admin)
+ * - POST /product/import   -> importProducts() - Creates or replaces products from CSV or NDJSON (catalog-admin, ?mapping=&dryRun=)
+ * - POST /product/{id}/prices -> scheduleProductPrice() - Schedules a future price (catalog-admin)
+ * - PUT /product/{id}      -> updateProduct() - Updates an existing product (catalog-admin, optional If-Match)
+ * - DELETE /product/{id}   -> deleteProduct() - Deletes a product (catalog-admin)
  * 
  * @param {Object} event - AWS Lambda event object containing HTTP request details
  * @param {string} event.httpMethod - The HTTP method (GET, POST, PUT, DELETE)
  * @param {Object} event.pathParameters - URL path parameters (e.g., {id: "123"})
  * @param {Object} event.queryStringParameters - URL query parameters (e.g., {category: "Electronics"})
  * @param {string} event.body - Request body for POST/PUT operations (JSON string)
+ * @param {Object} event.headers - Request headers (If-Match on PUT /product/{id})
+ * @param {Object} event.requestContext.authorizer - Caller set by the JWT authorizer on write routes ({ userName, roles })
+ * 
+ * @param {Object} context - AWS Lambda context (awsRequestId is used when API Gateway supplies no request id)
  * 
  * @returns {Object} AWS Lambda response object
- * @returns {number} return.statusCode - HTTP status code (200 for success, 500 for error)
- * @returns {string} return.body - JSON stringified response body
+ * @returns {number} return.statusCode - HTTP status code (200 for success, 4xx/500 for errors)
+ * @returns {Object} return.headers - Content-Type, plus the product's ETag on GET/PUT /product/{id}
+ * @returns {string} return.body - JSON stringified response body (the file itself for GET /product/export)
  * 
  * Response Format (Success):
  * {
@@ -74,147 +145,208 @@ import { v4 as uuidv4 } from 'uuid';
  *   })
  * }
  * 
- * Response Format (Error):
+ * Response Format (Error), built by ../shared/http errorResponse:
  * {
- *   statusCode: 500,
+ *   statusCode: 400 | 401 | 403 | 404 | 405 | 409 | 412 | 500,
  *   body: JSON.stringify({
- *     message: "Failed to perform operation.",
- *     errorMsg: [error_message],
- *     errorStack: [stack_trace]
+ *     error: {
+ *       code: "VALIDATION_ERROR" | "UNAUTHORIZED" | "FORBIDDEN" | "NOT_FOUND" | "METHOD_NOT_ALLOWED" | "CONFLICT" | "PRECONDITION_FAILED" | "INTERNAL_ERROR",
+ *       message: [error_message],
+ *       details: [field-level errors or other context],
+ *       requestId: [API Gateway / Lambda request id]
+ *     }
  *   })
  * }
  * 
  * Error Handling:
- * - Catches all exceptions and returns standardized error responses
- * - Logs errors for debugging and monitoring
- * - Includes stack traces in error responses for development purposes
- * - Returns appropriate HTTP status codes
+ * - Operations throw the shared error taxonomy (../shared/errors) for expected failures
+ * - ValidationError (bad JSON, schema violations, bad query parameters) -> 400
+ * - UnauthorizedError (write request without an authorizer context) -> 401
+ * - ForbiddenError (write request without the catalog-admin role) -> 403, with the required role in details
+ * - NotFoundError (unknown product id) -> 404
+ * - MethodNotAllowedError (method not supported on the resource) -> 405 with an Allow header
+ * - PreconditionFailedError (PUT with an If-Match the product is no longer at) -> 412
+ * - Anything else is logged and returned as a generic 500 without message or stack trace
  * 
  * Performance Notes:
  * - Request logging may impact performance for high-volume scenarios
  * - Consider implementing request/response size limits for production use
  */
-exports.handler = async function(event) {
+const createHandler = ({ productRepository, productSearchIndex }) => async function(event, context) {
     // Log the complete incoming request for debugging and audit purposes
     // Note: In production, consider redacting sensitive information
     console.log("request:", JSON.stringify(event, undefined, 2));
 
     let body; // Will hold the response data from the appropriate operation
+    let headers; // Response headers of the operation, if any (ETag)
     
     try {
+      // Static resources and the prices of a product only support their own methods,
+      // whatever the method would mean on /product or /product/{id}
+      const pricesResource = event.resource == PRICES_RESOURCE;
+      const resourceMethods = pricesResource ? PRICES_RESOURCE_METHODS : STATIC_RESOURCES[event.path];
+      if (resourceMethods != null && !resourceMethods.includes(event.httpMethod)) {
+        throw new MethodNotAllowedError(event.httpMethod, resourceMethods);
+      }
+
       // Route the request based on HTTP method
       // This switch statement implements the RESTful API routing logic
       switch (event.httpMethod) {
         case "GET":
           // Determine GET operation type based on presence of query parameters and path parameters
-          if(event.queryStringParameters != null) {
-            // Query parameters present: filter products by category
-            // Expected format: GET /product/{id}?category=CategoryName
-            body = await getProductsByCategory(event);
+          if (event.path == "/product/search") {
+            // Search resource: full-text search
+            // Expected format: GET /product/search?q=phone&limit=20
+            body = await searchProducts(productRepository, productSearchIndex, event);
+          }
+          else if (event.path == "/product/export") {
+            // Export resource: the catalog as a file, continued with the X-Next-Token header when it does not fit one response
+            // Expected format: GET /product/export?format=csv
+            requireRole(getCaller(event), CATALOG_ADMIN_ROLE, "export products");
+            const exported = await exportProducts(productRepository, event);
+            return fileResponse(exported.content, EXPORT_CONTENT_TYPES[exported.format], `products.${exported.format}`,
+              (exported.nextToken != null) ? { "X-Next-Token": exported.nextToken } : {});
+          }
+          else if (pricesResource) {
+            // Price history of a product, for catalog admins and customer support (price disputes)
+            // Expected format: GET /product/{id}/prices?limit=20
+            const caller = getCaller(event);
+            if (!hasRole(caller, ADMIN_ROLE)) {
+              requireRole(caller, CATALOG_ADMIN_ROLE, "read price history");
+            }
+            body = await getProductPrices(productRepository, event);
           }
           else if (event.pathParameters != null) {
             // Path parameter present: get specific product by ID
             // Expected format: GET /product/{id}
-            body = await getProduct(event.pathParameters.id);
+            body = await getProduct(productRepository, event.pathParameters.id);
+            headers = { ETag: versionETag(body.version) };
+          }
+          else if (event.queryStringParameters != null && event.queryStringParameters.category != null) {
+            // Category query parameter present: browse a single category
+            // Expected format: GET /product?category=Phone&sort=price&order=desc
+            body = await getProductsByCategory(productRepository, event);
           } else {
-            // No parameters: get all products
-            // Expected format: GET /product
-            body = await getAllProducts();
+            // No path parameters: get a page of products
+            // Expected format: GET /product?limit=20&nextToken=xxx
+            body = await getAllProducts(productRepository, event);
           }
           break;
         case "POST":
-          // Create new product with data from request body
+          // Create new product with data from request body, import many or schedule a price
           // Expected format: POST /product with JSON body
-          body = await createProduct(event);
+          if (pricesResource) {
+            // Scheduled price of a product
+            // Expected format: POST /product/{id}/prices with { "price": 9.99, "effectiveFrom": "2030-01-01T00:00:00Z" }
+            requireRole(getCaller(event), CATALOG_ADMIN_ROLE, "schedule prices");
+            body = await scheduleProductPrice(productRepository, event);
+          } else if (event.pathParameters != null) {
+            throw new MethodNotAllowedError(event.httpMethod, ["GET", "PUT", "DELETE"]);
+          } else if (event.path == "/product/import") {
+            // Import resource: many products from a CSV or NDJSON body
+            // Expected format: POST /product/import?dryRun=true with Content-Type text/csv
+            requireRole(getCaller(event), CATALOG_ADMIN_ROLE, "import products");
+            body = await importProducts(productRepository, productSearchIndex, event);
+          } else {
+            requireRole(getCaller(event), CATALOG_ADMIN_ROLE, "create products");
+            body = await createProduct(productRepository, productSearchIndex, event);
+          }
           break;
         case "DELETE":
           // Delete product by ID from path parameters
           // Expected format: DELETE /product/{id}
-          body = await deleteProduct(event.pathParameters.id);
+          if (event.pathParameters == null) {
+            throw new MethodNotAllowedError(event.httpMethod, ["GET", "POST"]);
+          }
+          requireRole(getCaller(event), CATALOG_ADMIN_ROLE, "delete products");
+          body = await deleteProduct(productRepository, productSearchIndex, event.pathParameters.id);
           break;
         case "PUT":
           // Update existing product with data from request body
           // Expected format: PUT /product/{id} with JSON body
-          body = await updateProduct(event);
+          if (event.pathParameters == null) {
+            throw new MethodNotAllowedError(event.httpMethod, ["GET", "POST"]);
+          }
+          requireRole(getCaller(event), CATALOG_ADMIN_ROLE, "update products");
+          body = await updateProduct(productRepository, productSearchIndex, event);
+          headers = { ETag: versionETag(body.version) };
           break;
         default:
           // Handle unsupported HTTP methods
-          throw new Error(`Unsupported route: "${event.httpMethod}"`);
+          throw new MethodNotAllowedError(event.httpMethod, (event.pathParameters != null) ? ["GET", "PUT", "DELETE"] : ["GET", "POST"]);
       }
 
       // Log successful operation result for monitoring
       console.log(body);
       
       // Return standardized success response
-      return {
-        statusCode: 200,
-        body: JSON.stringify({
-          message: `Successfully finished operation: "${event.httpMethod}"`,
-          body: body
-        })
-      };
+      return successResponse(event, body, 200, headers);
 
     } catch (e) {
-      // Comprehensive error handling
-      // Log error details for debugging and monitoring
+      // Log error details (including stack) for debugging and monitoring
       console.error(e);
-      
-      // Return standardized error response with debugging information
-      return {
-        statusCode: 500,
-        body: JSON.stringify({
-          message: "Failed to perform operation.",
-          errorMsg: e.message,
-          errorStack: e.stack, // Include stack trace for debugging (consider removing in production)
-        })
-      };
+
+      // Map the error onto the shared envelope; unknown errors become a bare 500
+      return errorResponse(e, event, context);
     }
 };
 
+exports.createHandler = createHandler;
+
+// Lambda entry point: the product table and its category indexes, the price history table, the search table
+exports.handler = createHandler({
+  productRepository: new DynamoProductRepository(ddbClient, {
+    tableName: process.env.DYNAMODB_TABLE_NAME,
+    categoryPriceIndex: process.env.CATEGORY_PRICE_INDEX,
+    categoryNameIndex: process.env.CATEGORY_NAME_INDEX,
+    priceTableName: process.env.PRICE_TABLE_NAME
+  }),
+  productSearchIndex: new DynamoProductSearchIndex(ddbClient, {
+    tableName: process.env.SEARCH_TABLE_NAME,
+    productIdIndex: process.env.SEARCH_PRODUCT_INDEX,
+    scoreIndex: process.env.SEARCH_SCORE_INDEX
+  })
+});
+
 /**
  * Retrieve Single Product by ID
  * 
- * Fetches a specific product from DynamoDB using its unique identifier.
+ * Fetches a specific product from the repository using its unique identifier.
  * This function implements a direct key lookup for optimal performance.
  * 
+ * @param {ProductRepository} productRepository - Product storage
  * @param {string} productId - The unique identifier for the product to retrieve
  * 
- * @returns {Promise<Object>} Promise that resolves to:
- *   - Product object with all fields if found
- *   - Empty object {} if product doesn't exist
+ * @returns {Promise<Object>} Promise that resolves to the product object with all fields, at the price in effect now
  * 
+ * @throws {NotFoundError} If no product exists with the given id (404)
  * @throws {Error} DynamoDB operation errors (network issues, permissions, etc.)
  * 
  * Performance Characteristics:
  * - O(1) lookup complexity due to primary key access
  * - Low latency operation suitable for high-frequency requests
- * - Uses GetItemCommand for efficient single-item retrieval
+ * - DynamoProductRepository uses GetItem for efficient single-item retrieval
  * 
  * Error Handling:
- * - Propagates DynamoDB errors to caller for proper HTTP response handling
- * - Handles case where item doesn't exist gracefully (returns empty object)
+ * - Propagates storage errors to caller for proper HTTP response handling
+ * - Reports a missing item as NotFoundError instead of an empty 200 response
  * - Logs errors for monitoring and debugging
  */
-const getProduct = async (productId) => {
+const getProduct = async (productRepository, productId) => {
   console.log("getProduct");
 
   try {
-    // Prepare DynamoDB GetItem parameters
-    // Uses marshall to convert JavaScript object to DynamoDB AttributeValue format
-    const params = {
-      TableName: process.env.DYNAMODB_TABLE_NAME, // Environment variable for table flexibility
-      Key: marshall({ id: productId }) // Primary key specification
-    };
-
-    // Execute the GetItem operation
-    // Destructure to extract Item from response (ignore other metadata)
-    const { Item } = await ddbClient.send(new GetItemCommand(params));
+    // Primary key lookup, undefined when no product has this id
+    const product = await productRepository.get(productId);
 
-    console.log(Item);
+    console.log(product);
     
-    // Convert DynamoDB AttributeValue format back to JavaScript object
-    // Return empty object if item not found (graceful handling of missing records)
-    return (Item) ? unmarshall(Item) : {};
+    if (product == null) {
+      throw new NotFoundError(`Product "${productId}" not found`);
+    }
+
+    // The price in effect now, scheduled prices may have started since the product was written
+    return toProductView(product, new Date().toISOString());
 
   } catch(e) {
     // Log error for debugging while preserving stack trace
@@ -225,59 +357,47 @@ const getProduct = async (productId) => {
 }
 
 /**
- * Retrieve All Products
- * 
- * Fetches all products from the DynamoDB table using a scan operation.
- * This function retrieves every item in the table without filtering.
+ * Retrieve All Products (paginated)
  * 
- * @returns {Promise<Array<Object>>} Promise that resolves to:
- *   - Array of product objects if products exist
- *   - Empty object {} if no products exist
+ * Fetches one page of products from the repository (a scan operation on DynamoDB).
+ * Clients walk the whole catalog by passing the returned nextToken back until
+ * it is no longer present in the response.
  * 
- * @throws {Error} DynamoDB operation errors (network issues, permissions, etc.)
+ * @param {ProductRepository} productRepository - Product storage
+ * @param {Object} event - AWS Lambda event object containing the HTTP request
+ * @param {Object} event.queryStringParameters - Optional pagination parameters
+ * @param {string} event.queryStringParameters.limit - Page size (1-100, default 50)
+ * @param {string} event.queryStringParameters.nextToken - Opaque cursor from a previous page
  * 
- * Performance Considerations:
- * - Uses DynamoDB Scan operation which reads every item in the table
- * - Can be expensive and slow for large datasets (O(n) where n = total items)
- * - Consider implementing pagination for tables with many items
- * - May consume significant read capacity units (RCUs)
- * - Not suitable for real-time applications with large datasets
+ * @returns {Promise<Object>} Promise that resolves to:
+ *   - { items: Array<Object>, nextToken: string|undefined }
+ *   - nextToken is omitted once the last page has been read
  * 
- * Cost Implications:
- * - Scan operations consume RCUs based on the size of examined data
- * - Even if filters are applied later, all data is read first
- * - Consider using Query with GSI for better performance on large tables
+ * @throws {ValidationError} Invalid limit/nextToken
+ * @throws {Error} DynamoDB operation errors
  * 
- * Alternative Approaches:
- * - Use Query with GSI for filtered retrieval
- * - Implement pagination with LastEvaluatedKey for large datasets
- * - Consider caching frequently accessed data
+ * Pagination:
+ * - nextToken is the base64url encoded DynamoDB LastEvaluatedKey
+ * - It is decoded into ExclusiveStartKey for the next Scan
+ * - A page may hold fewer than `limit` items when the 1 MB scan limit is hit first
  * 
- * Error Handling:
- * - Propagates DynamoDB errors to caller
- * - Handles empty table gracefully
- * - Logs results for monitoring and debugging
+ * Performance Considerations:
+ * - Uses DynamoDB Scan operation which reads every item in the table
+ * - Each page consumes RCUs for the items it examines only
  */
-const getAllProducts = async () => {
+const getAllProducts = async (productRepository, event) => {
   console.log("getAllProducts");
   try {
-    // Prepare DynamoDB Scan parameters
-    // Scan operation reads all items in the table
-    const params = {
-      TableName: process.env.DYNAMODB_TABLE_NAME
-      // Note: No Key specified - this scans the entire table
-      // Consider adding Limit parameter for pagination in production
-    };
+    const page = getPaginationParams(event);
 
-    // Execute the Scan operation
-    // Destructure to extract Items array from response
-    const { Items } = await ddbClient.send(new ScanCommand(params));
+    // Read a single page
+    // lastEvaluatedKey is only present when more items remain
+    const { items, lastEvaluatedKey } = await productRepository.list(page);
 
-    console.log(Items);
+    console.log(items);
     
-    // Convert DynamoDB AttributeValue format to JavaScript objects
-    // Use map to transform each item, or return empty object if no items
-    return (Items) ? Items.map((item) => unmarshall(item)) : {};
+    const now = new Date().toISOString();
+    return toPage(items.map((product) => toProductView(product, now)), lastEvaluatedKey);
 
   } catch(e) {
     // Log error for debugging while preserving stack trace
@@ -290,64 +410,80 @@ const getAllProducts = async () => {
 /**
  * Create New Product
  * 
- * Creates a new product record in DynamoDB with auto-generated unique ID.
+ * Creates a new product record with auto-generated unique ID.
  * This function parses the product data from the request body, assigns a UUID,
- * and stores the complete product record in the database.
+ * and stores the complete product record in the repository, then adds it to the search index.
  * 
+ * @param {ProductRepository} productRepository - Product storage
+ * @param {ProductSearchIndex} productSearchIndex - Search index
  * @param {Object} event - AWS Lambda event object containing the HTTP request
  * @param {string} event.body - JSON string containing product data to create
  * 
- * @returns {Promise<Object>} Promise that resolves to DynamoDB PutItem response
+ * @returns {Promise<Object>} Promise that resolves to the repository write result (TransactWriteItems response on DynamoDB)
  *   Contains metadata about the create operation (not the created item itself)
  * 
- * @throws {Error} JSON parsing errors or DynamoDB operation errors
+ * @throws {ValidationError} Malformed JSON or payload not matching createProductSchema
+ * @throws {Error} DynamoDB operation errors
  * 
  * Input Data Validation:
  * - Expects valid JSON in request body
- * - No schema validation performed (flexible product structure)
+ * - Validated against createProductSchema: name (string) and price (number >= 0) are required
  * - Overwrites any provided 'id' field with generated UUID
  * 
  * Business Logic:
  * - Auto-generates UUID v4 for product identification
+ * - Defaults `stock` to 0 when not provided (checkout reserves against it)
+ * - Starts the product at version 1 (a 'version' in the payload is ignored)
+ * - Records the price as the first entry of the price history (see ./productPrices), price attributes in the payload are ignored
  * - Preserves all fields from request body except 'id'
  * - No duplicate checking performed (relies on UUID uniqueness)
+ * - Indexes name, description and category for GET /product/search (see ./productSearch)
  * 
  * Security Considerations:
- * - No input sanitization performed
- * - Consider adding field validation for production use
- * - May accept arbitrary data structure
+ * - Only reached after the handler's requireRole check: the caller needs the "catalog-admin" role (403 otherwise)
+ * - Known fields are type checked, unknown fields are stored as-is
  * 
  * Performance Notes:
  * - O(1) operation complexity
- * - Uses PutItem for efficient single-item creation
+ * - Writes the product and its price history entry in one transaction
  * - No conditional checks (overwrites if ID collision occurs, which is unlikely with UUID)
  */
-const createProduct = async (event) => {
+const createProduct = async (productRepository, productSearchIndex, event) => {
   console.log(`createProduct function. event : "${event}"`);
   try {
-    // Parse the JSON request body to extract product data
-    // This may throw if invalid JSON is provided
-    const productRequest = JSON.parse(event.body);
+    // Parse and validate the JSON request body
+    // Throws ValidationError (400) for malformed JSON or schema violations
+    const productRequest = assertValid(createProductSchema, parseJsonBody(event));
     
     // Generate unique product identifier using UUID v4
     // This ensures global uniqueness and prevents ID collisions
     const productId = uuidv4();
     productRequest.id = productId; // Override any provided ID for security
 
-    // Prepare DynamoDB PutItem parameters
-    // Marshall converts JavaScript object to DynamoDB AttributeValue format
-    const params = {
-      TableName: process.env.DYNAMODB_TABLE_NAME,
-      Item: marshall(productRequest || {}) // Fallback to empty object if somehow null
-    };
+    // Products start out of stock unless an initial stock level is given
+    if (productRequest.stock === undefined) {
+      productRequest.stock = 0;
+    }
 
-    // Execute the PutItem operation
+    // First version, every update increments it (see updateProduct)
+    productRequest.version = 1;
+
+    // The price applies from now on, prices are scheduled with POST /product/{id}/prices
+    const now = new Date().toISOString();
+    PRICE_ATTRIBUTES.forEach((attribute) => delete productRequest[attribute]);
+    productRequest.priceEffectiveFrom = now;
+
+    // Store the product with the first entry of its price history
     // This will create a new item or completely replace existing item with same ID
-    const createResult = await ddbClient.send(new PutItemCommand(params));
+    const createResult = await productRepository.create(productRequest,
+      priceEntry(productId, productRequest.version, { price: productRequest.price, effectiveFrom: now }, "create", getCaller(event).userName, now));
+
+    // Make the product searchable
+    await productSearchIndex.replace(productRequest);
 
     // Log the operation result for monitoring and debugging
     console.log(createResult);
-    return createResult; // Return DynamoDB response metadata
+    return createResult; // Return the repository write result
 
   } catch(e) {
     // Log error for debugging (includes JSON parsing errors)
@@ -360,20 +496,22 @@ const createProduct = async (event) => {
 /**
  * Delete Product by ID
  * 
- * Removes a product from DynamoDB using its unique identifier.
+ * Removes a product from the repository using its unique identifier, and from the search index.
  * This function performs a direct key-based deletion operation.
  * 
+ * @param {ProductRepository} productRepository - Product storage
+ * @param {ProductSearchIndex} productSearchIndex - Search index
  * @param {string} productId - The unique identifier of the product to delete
  * 
- * @returns {Promise<Object>} Promise that resolves to DynamoDB DeleteItem response
+ * @returns {Promise<Object>} Promise that resolves to the repository write result (DeleteItem response on DynamoDB)
  *   Contains metadata about the delete operation (not the deleted item)
  * 
+ * @throws {NotFoundError} If no product exists with the given id (404)
  * @throws {Error} DynamoDB operation errors (network issues, permissions, etc.)
  * 
  * Deletion Behavior:
  * - Performs immediate deletion without confirmation
- * - No validation that the product exists before deletion
- * - Succeeds even if the product ID doesn't exist (idempotent operation)
+ * - Conditional on attribute_exists(id): deleting an unknown id returns 404
  * - Cannot be undone once executed
  * 
  * Business Considerations:
@@ -384,31 +522,29 @@ const createProduct = async (event) => {
  * Performance Characteristics:
  * - O(1) operation complexity
  * - Low latency due to primary key access
- * - Uses DeleteItemCommand for efficient single-item removal
+ * - DynamoProductRepository uses DeleteItem for efficient single-item removal
  * 
  * Security Notes:
- * - No authorization checks performed
+ * - Only reached after the handler's requireRole check: the caller needs the "catalog-admin" role (403 otherwise)
  * - Permanent data loss operation
- * - Consider implementing access controls in production
  */
-const deleteProduct = async (productId) => {
+const deleteProduct = async (productRepository, productSearchIndex, productId) => {
   console.log(`deleteProduct function. productId : "${productId}"`);
 
   try {
-    // Prepare DynamoDB DeleteItem parameters
-    // Uses marshall to convert JavaScript object to DynamoDB AttributeValue format
-    const params = {
-      TableName: process.env.DYNAMODB_TABLE_NAME,
-      Key: marshall({ id: productId }), // Specify the primary key for deletion
-    };
+    // This permanently removes the product if it exists
+    // The repository reports an unknown id (undefined) instead of silently deleting nothing
+    const deleteResult = await productRepository.delete(productId);
+    if (deleteResult === undefined) {
+      throw new NotFoundError(`Product "${productId}" not found`);
+    }
 
-    // Execute the DeleteItem operation
-    // This permanently removes the item from the table if it exists
-    const deleteResult = await ddbClient.send(new DeleteItemCommand(params));
+    // A deleted product is no longer found by search
+    await productSearchIndex.remove(productId);
 
     // Log the operation result for monitoring and debugging
     console.log(deleteResult);
-    return deleteResult; // Return DynamoDB response metadata
+    return deleteResult; // Return the repository write result
     
   } catch(e) {
     // Log error for debugging while preserving stack trace
@@ -421,25 +557,40 @@ const deleteProduct = async (productId) => {
 /**
  * Update Existing Product
  * 
- * Updates an existing product in DynamoDB with new field values.
- * This function uses dynamic UpdateExpression generation to support
+ * Updates an existing product with new field values.
+ * The DynamoDB repository generates its UpdateExpression dynamically to support
  * updating any combination of product fields.
  * 
+ * Optimistic concurrency: a client sends the ETag it read with GET /product/{id} as If-Match,
+ * the update only applies if the product is still at that version. Without If-Match (or with *)
+ * the update applies to whatever version is current.
+ * 
+ * @param {ProductRepository} productRepository - Product storage
+ * @param {ProductSearchIndex} productSearchIndex - Search index
  * @param {Object} event - AWS Lambda event object containing the HTTP request
  * @param {string} event.body - JSON string containing fields to update
  * @param {Object} event.pathParameters - Contains the product ID to update
  * @param {string} event.pathParameters.id - The unique identifier of the product to update
+ * @param {Object} event.headers - Optional If-Match: "<version>" (an ETag) or *
  * 
- * @returns {Promise<Object>} Promise that resolves to DynamoDB UpdateItem response
- *   Contains metadata about the update operation
+ * @returns {Promise<Object>} Promise that resolves to the updated product, at its new version
  * 
- * @throws {Error} JSON parsing errors or DynamoDB operation errors
+ * @throws {ValidationError} Malformed JSON, empty payload, an 'id', 'version' or price attribute field, fields not matching
+ *   updateProductSchema or an If-Match that is not an ETag of this API
+ * @throws {NotFoundError} If no product exists with the given id (404)
+ * @throws {PreconditionFailedError} If the product is no longer at the If-Match version (412)
+ * @throws {ConflictError} If a price is updated without If-Match and the product changed meanwhile (409), retrying is safe
+ * @throws {Error} DynamoDB operation errors
  * 
  * Update Behavior:
  * - Only updates fields provided in the request body
  * - Preserves existing fields not mentioned in the update
- * - Creates item if it doesn't exist (upsert behavior)
+ * - Never creates a product: updating an unknown id returns 404
  * - Overwrites existing field values completely
+ * - Increments the version
+ * - Reindexes the product for search when name, description or category is part of the update
+ * - A price applies from now on and is recorded in the price history, in the same transaction;
+ *   prices scheduled after now still apply at their time
  * 
  * Dynamic Expression Generation:
  * - Builds UpdateExpression dynamically based on provided fields
@@ -447,62 +598,80 @@ const deleteProduct = async (productId) => {
  * - Uses ExpressionAttributeValues for parameterized updates
  * 
  * Security Considerations:
- * - No field validation or sanitization performed
- * - Allows updating any field (no restricted fields)
- * - No authorization checks implemented
+ * - Known fields are type checked against updateProductSchema (partial validation)
+ * - The primary key 'id' and the 'version' cannot be part of the payload
+ * - Only reached after the handler's requireRole check: the caller needs the "catalog-admin" role (403 otherwise)
  * - Consider adding field whitelisting for production
  * 
  * Performance Notes:
  * - O(1) operation complexity due to primary key access
  * - Efficient partial updates (only specified fields are modified)
- * - Uses conditional update expressions for atomic operations
+ * - Uses conditional update expressions for atomic operations (existence and version)
  * 
  * Limitations:
  * - Cannot update the primary key (id field)
  * - No nested object update support (replaces entire nested objects)
  * - No array manipulation operations (append, remove items)
  */
-const updateProduct = async (event) => {
+const updateProduct = async (productRepository, productSearchIndex, event) => {
   console.log(`updateProduct function. event : "${event}"`);
   try {
-    // Parse the JSON request body to extract update fields
-    const requestBody = JSON.parse(event.body);
+    // Parse and validate the JSON request body (partial: no field is required on its own)
+    const requestBody = assertValid(updateProductSchema, parseJsonBody(event), { partial: true });
+    const readOnlyFields = ["id", "version", ...PRICE_ATTRIBUTES].filter((field) => requestBody[field] !== undefined);
+    if (readOnlyFields.length > 0) {
+      throw new ValidationError(readOnlyFields.map((field) => ({ field: field, message: "cannot be updated" })));
+    }
+
+    // Version the client read the product at, undefined to update whatever version is current
+    const ifMatchVersion = getIfMatchVersion(event);
+    let expectedVersion = ifMatchVersion;
     
     // Extract field names for dynamic expression generation
     const objKeys = Object.keys(requestBody);
     console.log(`updateProduct function. requestBody : "${requestBody}", objKeys: "${objKeys}"`);    
 
-    // Build DynamoDB UpdateItem parameters with dynamic expressions
-    const params = {
-      TableName: process.env.DYNAMODB_TABLE_NAME,
-      Key: marshall({ id: event.pathParameters.id }), // Primary key from URL path
-      
-      // Dynamic UpdateExpression: SET #key0 = :value0, #key1 = :value1, ...
-      // This pattern allows updating any combination of fields
-      UpdateExpression: `SET ${objKeys.map((_, index) => `#key${index} = :value${index}`).join(", ")}`,
-      
-      // ExpressionAttributeNames maps placeholders to actual field names
-      // This handles reserved words and special characters in field names
-      ExpressionAttributeNames: objKeys.reduce((acc, key, index) => ({
-          ...acc,
-          [`#key${index}`]: key, // #key0 -> "fieldName", #key1 -> "anotherField"
-      }), {}),
-      
-      // ExpressionAttributeValues maps placeholders to actual values
-      // Marshall converts JavaScript values to DynamoDB AttributeValue format
-      ExpressionAttributeValues: marshall(objKeys.reduce((acc, key, index) => ({
-          ...acc,
-          [`:value${index}`]: requestBody[key], // :value0 -> actualValue1, :value1 -> actualValue2
-      }), {})),
-    };
+    // Update only the given fields of the product identified by the URL path
+    // This performs an atomic update of the specified fields, undefined when the product does not exist
+    const productId = event.pathParameters.id;
+    const now = new Date().toISOString();
+    let fields = requestBody;
+    let newPriceEntry;
+    if (requestBody.price !== undefined) {
+      // The price history entry is keyed by the version the update gives the product:
+      // without If-Match, the update applies to the version read here (409 if it changes meanwhile)
+      if (expectedVersion == null) {
+        const product = await productRepository.get(productId);
+        if (product == null) {
+          throw new NotFoundError(`Product "${productId}" not found`);
+        }
+        expectedVersion = product.version || 0;
+      }
+      // A new price applies from now on, and goes to the price history
+      fields = { ...requestBody, priceEffectiveFrom: now };
+      newPriceEntry = priceEntry(productId, expectedVersion + 1, { price: requestBody.price, effectiveFrom: now }, "update", getCaller(event).userName, now);
+    }
+    let updatedProduct;
+    try {
+      updatedProduct = await productRepository.update(productId, fields, expectedVersion, newPriceEntry);
+    } catch(e) {
+      if (e instanceof ConflictError && ifMatchVersion != null) {
+        throw new PreconditionFailedError(`Product "${productId}" was changed since it was read, get it again for its current ETag`);
+      }
+      throw e;
+    }
+    if (updatedProduct === undefined) {
+      throw new NotFoundError(`Product "${productId}" not found`);
+    }
 
-    // Execute the UpdateItem operation
-    // This performs an atomic update of the specified fields
-    const updateResult = await ddbClient.send(new UpdateItemCommand(params));
+    // Search terms come from the updated product, so a name change drops the old name's terms
+    if (SEARCHABLE_FIELDS.some((field) => requestBody[field] !== undefined)) {
+      await productSearchIndex.replace(updatedProduct);
+    }
 
     // Log the operation result for monitoring and debugging
-    console.log(updateResult);
-    return updateResult; // Return DynamoDB response metadata
+    console.log(updatedProduct);
+    return toProductView(updatedProduct, now); // Return the product at its new version
     
   } catch(e) {
     // Log error for debugging (includes JSON parsing errors)
@@ -513,80 +682,66 @@ const updateProduct = async (event) => {
 }
 
 /**
- * Get Products by Category Filter
+ * Get Products by Category
  * 
- * Retrieves products that match a specific category using DynamoDB Query operation
- * with a filter expression. This function combines product ID lookup with category filtering.
+ * Lists every product in a category by querying one of the category GSIs on the
+ * product table. The index is chosen by the requested sort field, so results come
+ * back already ordered by DynamoDB and can be paged with the shared cursor helpers.
  * 
+ * @param {ProductRepository} productRepository - Product persistence (see ./productRepository)
  * @param {Object} event - AWS Lambda event object containing the HTTP request
- * @param {Object} event.pathParameters - URL path parameters
- * @param {string} event.pathParameters.id - The product ID to query for
  * @param {Object} event.queryStringParameters - URL query parameters
- * @param {string} event.queryStringParameters.category - The category to filter by
+ * @param {string} event.queryStringParameters.category - The category to list (exact match)
+ * @param {string} event.queryStringParameters.sort - "price" (default) or "name"
+ * @param {string} event.queryStringParameters.order - "asc" (default) or "desc"
+ * @param {string} event.queryStringParameters.limit - Page size (1-100, default 50)
+ * @param {string} event.queryStringParameters.nextToken - Opaque cursor from a previous page
  * 
- * @returns {Promise<Array<Object>>} Promise that resolves to array of matching products
+ * @returns {Promise<Object>} Promise that resolves to { items: Array<Object>, nextToken: string|undefined }
  * 
- * @throws {Error} DynamoDB operation errors or missing parameter errors
+ * @throws {ValidationError} Unsupported sort/order values or invalid limit/cursor
+ * @throws {Error} Repository errors
  * 
  * Query Pattern:
- * - Expected URL format: GET /product/{productId}?category={categoryName}
- * - Uses Query operation with KeyConditionExpression for product ID
- * - Applies FilterExpression for category matching
- * 
- * DynamoDB Operation Details:
- * - KeyConditionExpression: Filters by exact product ID match
- * - FilterExpression: Uses 'contains' function for partial category matching
- * - This allows finding products where category field contains the search term
- * 
- * Performance Considerations:
- * - More efficient than Scan for ID-based queries
- * - FilterExpression applied after KeyCondition, may consume RCUs for filtered items
- * - Consider using GSI (Global Secondary Index) on category for better performance
+ * - Expected URL format: GET /product?category={categoryName}&sort=price&order=desc
+ * - sort=price -> CATEGORY_PRICE_INDEX (category, price)
+ * - sort=name  -> CATEGORY_NAME_INDEX (category, name)
+ * - order maps to ScanIndexForward
  * 
  * Limitations:
- * - Requires both product ID and category parameters
- * - Uses 'contains' which may match partial category names
- * - Returns array even for single product queries
- * 
- * Potential Improvements:
- * - Add validation for required parameters
- * - Consider exact match instead of contains for category
- * - Implement pagination for large result sets
- * - Add case-insensitive category matching
+ * - GSIs are sparse: products without the sort attribute do not appear in that index
+ * - Category matching is exact and case-sensitive
+ * - CATEGORY_PRICE_INDEX holds the stored price. A scheduled price that has taken effect is only indexed
+ *   once the product is written again, until then the page is sorted on the prices it shows but its
+ *   products may belong on another page
  */
-const getProductsByCategory = async (event) => {
+const getProductsByCategory = async (productRepository, event) => {
   console.log("getProductsByCategory");
   try {
-    // Extract URL parameters for the query
-    // GET product/{productId}?category={categoryName}
-    const productId = event.pathParameters.id;     // Product ID from URL path
-    const category = event.queryStringParameters.category; // Category from query string
-
-    // Build DynamoDB Query parameters
-    const params = {
-      // Query by product ID (primary key) and filter by category
-      KeyConditionExpression: "id = :productId", // Efficient primary key lookup
-      FilterExpression: "contains (category, :category)", // Filter results by category content
-      
-      // Define parameter values using DynamoDB AttributeValue format
-      // Note: This uses direct AttributeValue format instead of marshall()
-      ExpressionAttributeValues: {
-        ":productId": { S: productId }, // String type for product ID
-        ":category": { S: category }     // String type for category filter
-      },      
-      TableName: process.env.DYNAMODB_TABLE_NAME
-    };
+    // GET /product?category={categoryName}&sort={price|name}&order={asc|desc}
+    const { category, sort = "price", order = "asc" } = event.queryStringParameters;
+
+    if (sort !== "price" && sort !== "name") {
+      throw new ValidationError([{ field: "sort", message: "should be one of: price, name" }]);
+    }
+    if (order !== "asc" && order !== "desc") {
+      throw new ValidationError([{ field: "order", message: "should be one of: asc, desc" }]);
+    }
 
-    // Execute the Query operation
-    // Query is more efficient than Scan for key-based lookups
-    const { Items } = await ddbClient.send(new QueryCommand(params));
+    // One page of the category, ordered by the sort field
+    const { items, lastEvaluatedKey } = await productRepository.listByCategory(category, sort, order, getPaginationParams(event));
 
     // Log results for monitoring and debugging
-    console.log(Items);
+    console.log(items);
     
-    // Convert DynamoDB AttributeValue format to JavaScript objects
-    // Return array of matching products
-    return Items.map((item) => unmarshall(item));
+    const now = new Date().toISOString();
+    const products = items.map((product) => toProductView(product, now));
+    if (sort === "price") {
+      // the index may still hold a price that a scheduled one replaced, order the page on the price in effect
+      const direction = (order === "asc") ? 1 : -1;
+      products.sort((a, b) => direction * (a.price - b.price));
+    }
+    return toPage(products, lastEvaluatedKey);
     
   } catch(e) {
     // Log error for debugging while preserving stack trace
@@ -594,4 +749,387 @@ const getProductsByCategory = async (event) => {
     // Re-throw to allow higher-level error handling
     throw e;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Search Products
+ * 
+ * Full-text search on product name, description and category. Every word of the query is looked up
+ * in the search index (./productSearchIndex); products found by all of them are returned, most relevant first.
+ * The last word typed does not need to be complete: "smartph" finds "Smartphone" (type-ahead).
+ * 
+ * @param {ProductRepository} productRepository - Product storage, the matched products are read from it
+ * @param {ProductSearchIndex} productSearchIndex - Search index
+ * @param {Object} event - AWS Lambda event object containing the HTTP request
+ * @param {Object} event.queryStringParameters - URL query parameters
+ * @param {string} event.queryStringParameters.q - Search text (1-200 characters, up to 10 words)
+ * @param {string} event.queryStringParameters.limit - Page size (1-100, default 50)
+ * @param {string} event.queryStringParameters.nextToken - Opaque cursor from a previous page of the same search
+ * 
+ * @returns {Promise<Object>} Promise that resolves to { items: Array<Object>, nextToken: string|undefined }
+ * 
+ * @throws {ValidationError} Missing q, q without a word of 2 letters or digits, too long q or invalid limit/cursor
+ * @throws {Error} Repository and index errors
+ * 
+ * Relevance (see ./productSearch):
+ * - Name matches weigh 3, category matches 2, description matches 1
+ * - A whole word scores twice as much as the beginning of a word
+ * - Equal scores are ordered by product id, so pages do not overlap
+ * 
+ * Pagination:
+ * - The matches are ranked on every request, nextToken holds the offset of the next page
+ * - Products created or changed between two requests can move across pages
+ * 
+ * Limitations:
+ * - Words are letters a-z (accents removed) and digits; other scripts are not searchable
+ * - A term matching more than 1000 products only considers 1000 of them
+ */
+const searchProducts = async (productRepository, productSearchIndex, event) => {
+  console.log("searchProducts");
+  try {
+    const terms = getSearchTerms(event);
+    const { limit, exclusiveStartKey } = getPaginationParams(event);
+    const offset = (exclusiveStartKey != null) ? exclusiveStartKey.offset : 0;
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new ValidationError([{ field: "nextToken", message: "is not a valid pagination token" }]);
+    }
+
+    // Products matching every term, ranked by relevance
+    const ranked = rankMatches(await Promise.all(terms.map((term) => productSearchIndex.match(term))));
+
+    // Read the products of the page, skipping any deleted since they were matched
+    const products = await Promise.all(ranked.slice(offset, offset + limit).map(({ productId }) => productRepository.get(productId)));
+    const now = new Date().toISOString();
+    const items = products.filter((product) => product != null).map((product) => toProductView(product, now));
+
+    console.log(items);
+
+    return toPage(items, (offset + limit < ranked.length) ? { offset: offset + limit } : undefined);
+
+  } catch(e) {
+    // Log error for debugging while preserving stack trace
+    console.error(e);
+    // Re-throw to allow higher-level error handling
+    throw e;
+  }
+}
+
+/**
+ * Import Products
+ * 
+ * Creates or replaces products from a CSV or NDJSON file, one product per row (see ./productImport).
+ * Every row is validated on its own: the valid rows are written, the others are reported with their line,
+ * so a file can be fixed and imported again.
+ * 
+ * @param {ProductRepository} productRepository - Product storage
+ * @param {ProductSearchIndex} productSearchIndex - Search index
+ * @param {Object} event - AWS Lambda event object containing the HTTP request
+ * @param {string} event.body - The file: CSV with a header line, or one JSON object per line
+ * @param {Object} event.headers - Content-Type text/csv or application/x-ndjson, unless ?format= is given
+ * @param {Object} event.queryStringParameters - URL query parameters
+ * @param {string} event.queryStringParameters.format - "csv" or "ndjson", overrides the Content-Type
+ * @param {string} event.queryStringParameters.mapping - JSON object of source column to product attribute
+ * @param {string} event.queryStringParameters.dryRun - "true" validates the file without writing anything
+ * 
+ * @returns {Promise<Object>} Promise that resolves to the import summary:
+ *   { dryRun, rows, created, replaced, failed, errors: [{ line, id?, errors: [{ field, message }] }] }
+ * 
+ * @throws {ValidationError} Unknown format, malformed mapping/dryRun, empty body, a file that cannot be read
+ *   or with more than 1000 rows (nothing is written)
+ * @throws {Error} DynamoDB errors reading the stored products
+ * 
+ * Business Logic:
+ * - A row with an id replaces the product with that id, or creates it; a row without one gets a UUID v4
+ * - Rows are stored as they are (no merge with the stored product), stock defaults to 0
+ * - 'version' is set to the stored product's version + 1, or 1 for a new product
+ * - A price that differs from the one in effect applies from now on and is recorded in the price history
+ * - A row's scheduledPrices (NDJSON exports carry them) replace the product's: the ones started by now give
+ *   the price in effect, the others stay scheduled and the new ones are recorded in the price history.
+ *   Without them, prices scheduled for a replaced product are kept; priceEffectiveFrom of the rows is ignored
+ * - An id given by two rows is only imported by the first one
+ * 
+ * Failure Handling:
+ * - Rows are written in batches of 25 (BatchWriteItem); the rows of a batch that fails are reported,
+ *   some of them may have been saved
+ * - A product saved but not indexed for search is reported and counted as failed; importing it again with its id reindexes it
+ * 
+ * Performance Notes:
+ * - One BatchGetItem per 100 ids, one BatchWriteItem per 25 rows, up to 10 products reindexed at a time
+ */
+const importProducts = async (productRepository, productSearchIndex, event) => {
+  console.log("importProducts");
+  try {
+    const { format, mapping, dryRun } = getImportOptions(event);
+    const rows = readImportRows(getImportBody(event), { format: format, mapping: mapping });
+    const errors = rows.filter((row) => row.errors != null).map(({ line, errors }) => ({ line: line, errors: errors }));
+    const imported = rows.filter((row) => row.product != null);
+
+    // Products the rows replace, their version goes on from the stored one and, unless the row has its own, they keep their scheduled prices
+    const stored = await productRepository.getMany(imported.map(({ product }) => product.id).filter((id) => id != null));
+    const now = new Date().toISOString();
+    const caller = getCaller(event);
+    imported.forEach((row) => {
+      const { product } = row;
+      const existing = (product.id != null) ? stored.get(product.id) : undefined;
+      if (product.id == null) {
+        product.id = uuidv4();
+      }
+      if (product.stock === undefined) {
+        product.stock = 0;
+      }
+      product.version = (existing != null) ? (existing.version || 0) + 1 : 1;
+
+      // The scheduled prices of the row (an NDJSON export), or else the ones of the stored product;
+      // those of the row that started by now give the price in effect
+      const rowScheduled = product.scheduledPrices;
+      PRICE_ATTRIBUTES.forEach((attribute) => delete product[attribute]);
+      if (rowScheduled != null) {
+        product.price = currentPrice({ price: product.price, scheduledPrices: rowScheduled }, now).price;
+      }
+      const storedPending = (existing != null) ? pendingPrices(existing, now) : [];
+      const pending = (rowScheduled != null) ? pendingPrices({ scheduledPrices: rowScheduled }, now) : storedPending;
+
+      row.priceEntries = [];
+      const current = (existing != null) ? currentPrice(existing, now) : undefined;
+      if (current != null && current.price === product.price) {
+        if (current.effectiveFrom != null) {
+          product.priceEffectiveFrom = current.effectiveFrom;
+        }
+      } else {
+        product.priceEffectiveFrom = now;
+        row.priceEntries.push(priceEntry(product.id, product.version, { price: product.price, effectiveFrom: now }, "import", caller.userName, now));
+      }
+      if (pending.length > 0) {
+        product.scheduledPrices = pending;
+      }
+      // scheduled prices the product did not have yet go to the price history, so importing a file again adds none
+      pending
+        .filter((scheduled) => !storedPending.some((stored) => stored.effectiveFrom === scheduled.effectiveFrom && stored.price === scheduled.price))
+        .forEach((scheduled) => row.priceEntries.push(priceEntry(product.id, product.version, scheduled, "import", caller.userName, now)));
+    });
+
+    let saved = [];
+    if (!dryRun) {
+      for (let start = 0; start < imported.length; start += IMPORT_BATCH_SIZE) {
+        const batch = imported.slice(start, start + IMPORT_BATCH_SIZE);
+        try {
+          await productRepository.putMany(batch.map(({ product }) => product),
+            batch.reduce((entries, row) => entries.concat(row.priceEntries), []));
+        } catch(e) {
+          console.error(e);
+          batch.forEach(({ line, product }) => errors.push({ line: line, id: product.id,
+            errors: [{ field: "(root)", message: "may not have been saved, import it again with its id" }] }));
+          continue;
+        }
+
+        // Make the saved products searchable
+        const results = await allSettledWithConcurrency(batch, IMPORT_INDEX_CONCURRENCY, ({ product }) => productSearchIndex.replace(product));
+        results.forEach((result, index) => {
+          if (result.status === "rejected") {
+            console.error(result.reason);
+            errors.push({ line: batch[index].line, id: batch[index].product.id,
+              errors: [{ field: "(root)", message: "was saved but could not be indexed for search, import it again with its id" }] });
+          }
+        });
+        saved = saved.concat(batch.filter((row, index) => results[index].status === "fulfilled"));
+      }
+    }
+
+    // A dry run counts what the import would do
+    const written = dryRun ? imported : saved;
+    const replaced = written.filter(({ product }) => stored.has(product.id)).length;
+    const summary = {
+      dryRun: dryRun,
+      rows: rows.length,
+      created: written.length - replaced,
+      replaced: replaced,
+      failed: rows.length - written.length,
+      errors: errors.sort((a, b) => a.line - b.line)
+    };
+
+    console.log(summary);
+    return summary;
+
+  } catch(e) {
+    // Log error for debugging while preserving stack trace
+    console.error(e);
+    // Re-throw to allow higher-level error handling
+    throw e;
+  }
+}
+
+/**
+ * Export Products
+ * 
+ * Writes the product table to a file, CSV or NDJSON (see ./productExport). NDJSON holds every product
+ * as it is stored, scheduled prices included, and imports back with the same prices (the import gives it a
+ * new version and its price history entries), which makes it the format for backups.
+ * 
+ * @param {ProductRepository} productRepository - Product storage
+ * @param {Object} event - AWS Lambda event object containing the HTTP request
+ * @param {Object} event.queryStringParameters - URL query parameters
+ * @param {string} event.queryStringParameters.format - "ndjson" (default) or "csv"
+ * @param {string} event.queryStringParameters.nextToken - X-Next-Token header of the previous part
+ * 
+ * @returns {Promise<Object>} Promise that resolves to { format, content, nextToken: string|undefined }
+ * 
+ * @throws {ValidationError} Unknown format or invalid nextToken
+ * @throws {Error} DynamoDB operation errors
+ * 
+ * Large Catalogs:
+ * - The table is scanned 500 products at a time until about 4 MB have been read (a Lambda response is at most 6 MB)
+ * - The rest of the table is exported by the next request, with the nextToken returned in X-Next-Token;
+ *   a CSV part repeats the header line, its columns are the ones of its own products
+ * - Products changed during an export may be exported as they were or as they are
+ */
+const exportProducts = async (productRepository, event) => {
+  console.log("exportProducts");
+  try {
+    const format = getExportFormat(event);
+    let exclusiveStartKey = decodeNextToken((event.queryStringParameters || {}).nextToken);
+
+    let products = [];
+    let size = 0;
+    do {
+      const page = await productRepository.list({ limit: EXPORT_PAGE_SIZE, exclusiveStartKey: exclusiveStartKey });
+      products = products.concat(page.items);
+      size += page.items.reduce((acc, product) => acc + JSON.stringify(product).length, 0);
+      exclusiveStartKey = page.lastEvaluatedKey;
+    } while (exclusiveStartKey != null && size < MAX_EXPORT_BYTES);
+
+    console.log(`exported ${products.length} products`);
+
+    // NDJSON is the stored product, scheduled prices included, so that an import restores it;
+    // CSV shows the price in effect
+    const now = new Date().toISOString();
+    const content = formatProducts((format === "ndjson") ? products : products.map((product) => toProductView(product, now)), format);
+    return { format: format, content: content, nextToken: encodeNextToken(exclusiveStartKey) };
+
+  } catch(e) {
+    // Log error for debugging while preserving stack trace
+    console.error(e);
+    // Re-throw to allow higher-level error handling
+    throw e;
+  }
+}
+
+/**
+ * Get Product Prices
+ * 
+ * Lists the price history of a product: every price it was given, with the time it took (or takes) effect,
+ * who gave it and how. Answers "what did this product cost at the time of this order" (price disputes).
+ * 
+ * @param {ProductRepository} productRepository - Product storage, with the price history
+ * @param {Object} event - AWS Lambda event object containing the HTTP request
+ * @param {string} event.pathParameters.id - The product
+ * @param {Object} event.queryStringParameters - Optional pagination parameters (limit 1-100, default 50, nextToken)
+ * 
+ * @returns {Promise<Object>} Promise that resolves to { items: Array<Object>, nextToken: string|undefined }
+ *   items are { effectiveFrom, version, price, source, changedBy, changedAt, status }, latest effectiveFrom first
+ *   (the latest version first for the same effectiveFrom); status is "scheduled", "current" (the price in effect now),
+ *   "past" or "replaced" (a later entry has the same effectiveFrom)
+ * 
+ * @throws {NotFoundError} If no product exists with the given id (404)
+ * @throws {ValidationError} Invalid limit/nextToken
+ * @throws {Error} DynamoDB operation errors
+ * 
+ * Limitations:
+ * - Products created before price history start their history at their first price change
+ * - The history of a deleted product is kept in the table but no longer listed
+ */
+const getProductPrices = async (productRepository, event) => {
+  console.log("getProductPrices");
+  try {
+    const productId = event.pathParameters.id;
+    const page = getPaginationParams(event);
+
+    const product = await productRepository.get(productId);
+    if (product == null) {
+      throw new NotFoundError(`Product "${productId}" not found`);
+    }
+
+    // One page of the history, latest first
+    const { items, lastEvaluatedKey } = await productRepository.listPrices(productId, page);
+
+    console.log(items);
+
+    // an entry replaced by one on the previous page is told by the key the page starts after
+    const previousKey = (page.exclusiveStartKey != null) ? page.exclusiveStartKey.entryKey : undefined;
+    return toPage(toPriceHistory(items, product, new Date().toISOString(), previousKey), lastEvaluatedKey);
+
+  } catch(e) {
+    // Log error for debugging while preserving stack trace
+    console.error(e);
+    // Re-throw to allow higher-level error handling
+    throw e;
+  }
+}
+
+/**
+ * Schedule Product Price
+ * 
+ * Schedules a price that takes effect at a future time. Until then the product keeps its current price;
+ * from then on product reads and basket checkout use the scheduled one, without any further write.
+ * 
+ * @param {ProductRepository} productRepository - Product storage, with the price history
+ * @param {Object} event - AWS Lambda event object containing the HTTP request
+ * @param {string} event.pathParameters.id - The product
+ * @param {string} event.body - JSON { price, effectiveFrom }, effectiveFrom an ISO 8601 date-time with a time zone
+ * @param {Object} event.headers - Optional If-Match: "<version>" (an ETag) or *
+ * 
+ * @returns {Promise<Object>} Promise that resolves to the price history entry, with status "scheduled"
+ * 
+ * @throws {ValidationError} Malformed JSON, price or effectiveFrom missing or invalid, effectiveFrom not in
+ *   the future, or 20 prices already scheduled
+ * @throws {NotFoundError} If no product exists with the given id (404)
+ * @throws {PreconditionFailedError} If the product is no longer at the If-Match version (412)
+ * @throws {ConflictError} If the product was changed while the price was scheduled (409), retrying is safe
+ * @throws {Error} DynamoDB operation errors
+ * 
+ * Business Logic:
+ * - A price scheduled at the same time as another one replaces it
+ * - Scheduling increments the product version (the product item holds its scheduled prices)
+ * - The product and the history entry are written in one transaction
+ */
+const scheduleProductPrice = async (productRepository, event) => {
+  console.log("scheduleProductPrice");
+  try {
+    const productId = event.pathParameters.id;
+    const now = new Date().toISOString();
+    const scheduled = getScheduledPrice(event, now);
+    const expectedVersion = getIfMatchVersion(event);
+
+    // The scheduled prices are read, changed and written back at the version that was read
+    const product = await productRepository.get(productId);
+    if (product == null) {
+      throw new NotFoundError(`Product "${productId}" not found`);
+    }
+    if (expectedVersion != null && (product.version || 0) !== expectedVersion) {
+      throw new PreconditionFailedError(`Product "${productId}" was changed since it was read, get it again for its current ETag`);
+    }
+
+    const entry = priceEntry(productId, (product.version || 0) + 1, scheduled, "schedule", getCaller(event).userName, now);
+    let updatedProduct;
+    try {
+      updatedProduct = await productRepository.update(productId, schedulePrice(product, scheduled, now), product.version || 0, entry);
+    } catch(e) {
+      if (e instanceof ConflictError && expectedVersion != null) {
+        throw new PreconditionFailedError(`Product "${productId}" was changed since it was read, get it again for its current ETag`);
+      }
+      throw e;
+    }
+    if (updatedProduct === undefined) {
+      throw new NotFoundError(`Product "${productId}" not found`);
+    }
+
+    const [scheduledEntry] = toPriceHistory([entry], updatedProduct, now);
+    console.log(scheduledEntry);
+    return scheduledEntry;
+
+  } catch(e) {
+    // Log error for debugging while preserving stack trace
+    console.error(e);
+    // Re-throw to allow higher-level error handling
+    throw e;
+  }
+}
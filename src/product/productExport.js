@@ -0,0 +1,41 @@
+// Product export : GET /product/export?format=csv|ndjson, free of I/O (exportProducts in ./index scans the table).
+// NDJSON writes every product as it is stored, scheduled prices included, and is the format for backups: an import
+// restores the price in effect and the scheduled prices (see importProducts in ./index). CSV is for spreadsheets:
+// it shows the price in effect without the price attributes, nested values become JSON text there, and are
+// imported back as text.
+
+import { ValidationError } from "../shared/errors";
+import { formatCsvRecord } from "./csv";
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson"
+};
+
+// a Lambda response is at most 6 MB : an export stops scanning past this size and continues with a nextToken
+export const MAX_EXPORT_BYTES = 4 * 1024 * 1024;
+export const EXPORT_PAGE_SIZE = 500;
+
+// CSV columns, in this order, then any other attribute in alphabetical order
+const LEADING_COLUMNS = ["id", "name", "description", "category", "price", "stock", "imageFile", "version"];
+
+// format query parameter, ndjson when not given
+export const getExportFormat = (event) => {
+  const format = (event.queryStringParameters || {}).format || "ndjson";
+  if (EXPORT_CONTENT_TYPES[format] == null) {
+    throw new ValidationError([{ field: "format", message: `should be one of: ${Object.keys(EXPORT_CONTENT_TYPES).join(", ")}` }]);
+  }
+  return format;
+}
+
+// The file content : CSV with a header line and CRLF line breaks, or NDJSON
+export const formatProducts = (products, format) => {
+  if (format === "ndjson") {
+    return products.map((product) => `${JSON.stringify(product)}\n`).join("");
+  }
+  const attributes = new Set(products.reduce((acc, product) => acc.concat(Object.keys(product)), []));
+  const columns = [...LEADING_COLUMNS, ...[...attributes].filter((attribute) => !LEADING_COLUMNS.includes(attribute)).sort()];
+  return [columns, ...products.map((product) => columns.map((column) => product[column]))]
+    .map((values) => `${formatCsvRecord(values)}\r\n`)
+    .join("");
+}
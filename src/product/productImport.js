@@ -0,0 +1,225 @@
+/**
+ * Product Import
+ *
+ * Reading the rows of POST /product/import, free of I/O (importProducts in ./index writes them).
+ *
+ * - CSV (text/csv): a header line names the columns, every other line is a product
+ * - NDJSON (application/x-ndjson): one JSON object per line
+ * - mapping renames source columns/fields to product attributes ({ "Product Name": "name" }),
+ *   fields it does not mention keep their name
+ * - CSV values are text: price and stock are converted to numbers, empty values are left out
+ * - scheduledPrices ([{ price, effectiveFrom }], as an NDJSON export writes them) are read with their time in UTC;
+ *   the other price attributes are ignored
+ * - every row is validated against importProductSchema on its own, a bad row does not stop the others
+ *
+ * Rows are reported by the line they start on, so errors can be fixed in the file.
+ */
+
+import { ValidationError } from "../shared/errors";
+import { getHeader } from "../shared/http";
+import { validate } from "../shared/validation";
+import { parseCsv } from "./csv";
+import { DATE_TIME_MESSAGE, MAX_SCHEDULED_PRICES, toUtcDateTime } from "./productPrices";
+import { importProductSchema } from "./schemas";
+
+// the rows of an import are written within one Lambda invocation
+export const MAX_IMPORT_ROWS = 1000;
+
+const FORMATS_BY_CONTENT_TYPE = {
+  "text/csv": "csv",
+  "application/x-ndjson": "ndjson",
+  "application/ndjson": "ndjson"
+};
+
+const NUMERIC_ATTRIBUTES = Object.keys(importProductSchema.properties)
+  .filter((attribute) => ["number", "integer"].includes(importProductSchema.properties[attribute].type));
+
+/**
+ * Reads the import options from an API Gateway event.
+ *
+ * @param {Object} event - API Gateway event : POST /product/import?format=&mapping=&dryRun=
+ * @returns {{ format: string, mapping: Object, dryRun: boolean }}
+ *   format is the format query parameter, or comes from the Content-Type header
+ * @throws {ValidationError} Unknown format or Content-Type, malformed mapping or dryRun
+ */
+export const getImportOptions = (event) => {
+  const query = event.queryStringParameters || {};
+  const errors = [];
+
+  let format = query.format;
+  if (format == null) {
+    const contentType = (getHeader(event, "Content-Type") || "").split(";")[0].trim().toLowerCase();
+    format = FORMATS_BY_CONTENT_TYPE[contentType];
+    if (format == null) {
+      errors.push({ field: "Content-Type", message: "should be text/csv or application/x-ndjson, or give format=csv|ndjson" });
+    }
+  } else if (format !== "csv" && format !== "ndjson") {
+    errors.push({ field: "format", message: "should be one of: csv, ndjson" });
+  }
+
+  let mapping = {};
+  if (query.mapping != null) {
+    mapping = parseMapping(query.mapping);
+    if (mapping == null) {
+      errors.push({ field: "mapping", message: "should be a JSON object of source column to product attribute, e.g. {\"Product Name\":\"name\"}" });
+    }
+  }
+
+  if (query.dryRun != null && query.dryRun !== "true" && query.dryRun !== "false") {
+    errors.push({ field: "dryRun", message: "should be true or false" });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return { format: format, mapping: mapping, dryRun: query.dryRun === "true" };
+}
+
+// The text of the request body, API Gateway base64 encodes bodies of binary media types
+export const getImportBody = (event) => {
+  const body = (event.isBase64Encoded && event.body != null) ? Buffer.from(event.body, "base64").toString("utf8") : event.body;
+  if (body == null || body.trim() === "") {
+    throw new ValidationError([{ field: "(root)", message: "request body is required" }]);
+  }
+  return body;
+}
+
+/**
+ * Products of an import body, row by row.
+ *
+ * @param {string} body - CSV or NDJSON text
+ * @param {Object} options - { format, mapping } from getImportOptions
+ * @returns {Array<Object>} { line, product } for a valid row, { line, errors } for the others
+ * @throws {ValidationError} A body that cannot be read at all (unclosed quote, duplicate CSV column)
+ *   or with more than MAX_IMPORT_ROWS rows
+ */
+export const readImportRows = (body, { format, mapping }) => {
+  const records = (format === "csv") ? readCsv(body) : readNdjson(body);
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError([{ field: "(root)", message: `should have at most ${MAX_IMPORT_ROWS} rows, split the file` }]);
+  }
+
+  const lineById = new Map();
+  return records.map(({ line, fields, errors }) => {
+    if (errors != null) {
+      return { line: line, errors: errors };
+    }
+    const product = applyMapping(fields, mapping, format === "csv");
+    // an import never sets the version, importProducts gives every row the one after the stored product's
+    delete product.version;
+
+    const rowErrors = validate(importProductSchema, product);
+    if (rowErrors.length === 0 && product.scheduledPrices != null) {
+      product.scheduledPrices = readScheduledPrices(product.scheduledPrices, rowErrors);
+    }
+    if (rowErrors.length === 0 && product.id != null) {
+      if (lineById.has(product.id)) {
+        rowErrors.push({ field: "id", message: `is already imported by line ${lineById.get(product.id)}` });
+      } else {
+        lineById.set(product.id, line);
+      }
+    }
+    return (rowErrors.length > 0) ? { line: line, errors: rowErrors } : { line: line, product: product };
+  });
+}
+
+// Scheduled prices with their time in UTC, problems are added to `errors`
+const readScheduledPrices = (scheduledPrices, errors) => {
+  if (scheduledPrices.length > MAX_SCHEDULED_PRICES) {
+    errors.push({ field: "scheduledPrices", message: `should have at most ${MAX_SCHEDULED_PRICES} items` });
+  }
+  const times = new Map();
+  return scheduledPrices.map((scheduled, index) => {
+    const field = `scheduledPrices[${index}].effectiveFrom`;
+    const effectiveFrom = toUtcDateTime(scheduled.effectiveFrom);
+    if (effectiveFrom == null) {
+      errors.push({ field: field, message: DATE_TIME_MESSAGE });
+    } else if (times.has(effectiveFrom)) {
+      errors.push({ field: field, message: `is the time of scheduledPrices[${times.get(effectiveFrom)}]` });
+    } else {
+      times.set(effectiveFrom, index);
+    }
+    return { price: scheduled.price, effectiveFrom: effectiveFrom };
+  });
+}
+
+// The mapping object, undefined when the value is not one
+const parseMapping = (value) => {
+  let mapping;
+  try {
+    mapping = JSON.parse(value);
+  } catch (e) {
+    return undefined;
+  }
+  const isObject = mapping != null && typeof mapping === "object" && !Array.isArray(mapping);
+  if (!isObject || Object.values(mapping).some((attribute) => typeof attribute !== "string" || attribute === "")) {
+    return undefined;
+  }
+  return mapping;
+}
+
+// Records of a CSV body : { line, fields } keyed by the header's column names
+const readCsv = (body) => {
+  const [header, ...records] = parseCsv(body);
+  if (header == null) {
+    return [];
+  }
+  const columns = header.values.map((column) => column.trim());
+  const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+  if (duplicate != null) {
+    throw new ValidationError([{ field: "(root)", message: `the header has the column "${duplicate}" more than once` }]);
+  }
+
+  return records.map(({ line, values }) => {
+    if (values.length !== columns.length) {
+      return { line: line, errors: [{ field: "(root)", message: `has ${values.length} values, the header has ${columns.length} columns` }] };
+    }
+    const fields = {};
+    columns.forEach((column, index) => {
+      // an empty CSV value is a missing attribute
+      if (values[index] !== "") {
+        fields[column] = values[index];
+      }
+    });
+    return { line: line, fields: fields };
+  });
+}
+
+// Records of an NDJSON body : { line, fields }, blank lines are skipped
+const readNdjson = (body) => {
+  return body.replace(/^\uFEFF/, "").split(/\r?\n/)
+    .map((text, index) => ({ line: index + 1, text: text }))
+    .filter(({ text }) => text.trim() !== "")
+    .map(({ line, text }) => {
+      let fields;
+      try {
+        fields = JSON.parse(text);
+      } catch (e) {
+        return { line: line, errors: [{ field: "(root)", message: `is not valid JSON: ${e.message}` }] };
+      }
+      if (fields == null || typeof fields !== "object" || Array.isArray(fields)) {
+        return { line: line, errors: [{ field: "(root)", message: "should be a JSON object" }] };
+      }
+      return { line: line, fields: fields };
+    });
+}
+
+const applyMapping = (fields, mapping, fromCsv) => {
+  const product = {};
+  Object.keys(fields).forEach((field) => {
+    const attribute = Object.prototype.hasOwnProperty.call(mapping, field) ? mapping[field] : field;
+    // "__proto__" would replace the object's prototype instead of setting an attribute
+    if (attribute !== "__proto__") {
+      product[attribute] = fromCsv ? csvValue(attribute, fields[field]) : fields[field];
+    }
+  });
+  return product;
+}
+
+// Numbers for numeric attributes, a value that is no number is kept so validation reports it
+const csvValue = (attribute, text) => {
+  if (NUMERIC_ATTRIBUTES.includes(attribute) && text.trim() !== "" && !Number.isNaN(Number(text))) {
+    return Number(text);
+  }
+  return text;
+}
@@ -0,0 +1,127 @@
+/**
+ * Product Prices
+ *
+ * Price history and scheduled prices, free of I/O (the handler in ./index reads and writes them through
+ * the product repository). Every price a product is given is recorded in the productPrice table with the
+ * time it takes effect:
+ *
+ *   { productId, entryKey, effectiveFrom, version, price, source, changedBy, changedAt }
+ *
+ * - entryKey: the sort key, effectiveFrom then the product version the price was written with, so prices
+ *   given for the same time (a rescheduled price, two updates within a millisecond) are all kept, the later last
+ * - source: "create", "update", "import" or "schedule"
+ * - changedBy: the userName of the caller, changedAt: when the price was given (ISO 8601 UTC)
+ *
+ * The product keeps the prices it still needs to answer reads and checkouts (see ../shared/pricing);
+ * the history is kept when the product is deleted.
+ */
+
+import { ValidationError } from "../shared/errors";
+import { currentPrice, effectivePrice, pendingPrices } from "../shared/pricing";
+import { assertValid, parseJsonBody } from "../shared/validation";
+import { schedulePriceSchema } from "./schemas";
+
+// scheduled prices are stored on the product item, this keeps it small
+export const MAX_SCHEDULED_PRICES = 20;
+
+// attributes the service keeps on a product for its prices, clients cannot set them
+export const PRICE_ATTRIBUTES = ["priceEffectiveFrom", "scheduledPrices"];
+
+// The product as the API returns it : the price in effect at `at`, without the price attributes
+export const toProductView = (product, at) => {
+  if (product == null) {
+    return product;
+  }
+  const view = { ...product, price: effectivePrice(product, at) };
+  PRICE_ATTRIBUTES.forEach((attribute) => delete view[attribute]);
+  return view;
+}
+
+// zero padded in entryKey, so versions sort as numbers
+const VERSION_DIGITS = 10;
+
+const entryKey = (effectiveFrom, version) => `${effectiveFrom}#${String(version).padStart(VERSION_DIGITS, "0")}`;
+
+// History entry of the price `price` effective from `effectiveFrom`, written with the product at `version`,
+// given by `changedBy` at `changedAt`
+export const priceEntry = (productId, version, { price, effectiveFrom }, source, changedBy, changedAt) => ({
+  productId: productId,
+  entryKey: entryKey(effectiveFrom, version),
+  effectiveFrom: effectiveFrom,
+  version: version,
+  price: price,
+  source: source,
+  changedBy: changedBy,
+  changedAt: changedAt
+});
+
+export const DATE_TIME_MESSAGE = "should be an ISO 8601 date-time with a time zone, e.g. 2030-01-01T00:00:00Z";
+
+// `value` in UTC as toISOString writes it, undefined when it is not a date-time with a time zone (Z or +hh:mm)
+export const toUtcDateTime = (value) => {
+  const isDateTime = /^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:\d{2})$/.test(value);
+  const time = isDateTime ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+}
+
+/**
+ * Reads the price to schedule from POST /product/{id}/prices.
+ *
+ * @param {Object} event - API Gateway event, body { price, effectiveFrom }
+ * @param {string} at - The time of the request (ISO 8601 UTC)
+ * @returns {{ price: number, effectiveFrom: string }} effectiveFrom in UTC, as toISOString writes it
+ * @throws {ValidationError} Malformed JSON, payload not matching schedulePriceSchema, effectiveFrom that is
+ *   not a date-time with a time zone (Z or +hh:mm) or not after `at`
+ */
+export const getScheduledPrice = (event, at) => {
+  const request = assertValid(schedulePriceSchema, parseJsonBody(event));
+  const effectiveFrom = toUtcDateTime(request.effectiveFrom);
+  if (effectiveFrom == null) {
+    throw new ValidationError([{ field: "effectiveFrom", message: DATE_TIME_MESSAGE }]);
+  }
+  if (effectiveFrom <= at) {
+    throw new ValidationError([{ field: "effectiveFrom", message: "should be in the future" }]);
+  }
+  return { price: request.price, effectiveFrom: effectiveFrom };
+}
+
+// The price attributes of `product` once `scheduled` is added at `at`. Prices started by then are folded
+// into price/priceEffectiveFrom, a price scheduled at the same time is replaced.
+export const schedulePrice = (product, scheduled, at) => {
+  const current = currentPrice(product, at);
+  const others = pendingPrices(product, at).filter((pending) => pending.effectiveFrom !== scheduled.effectiveFrom);
+  if (others.length >= MAX_SCHEDULED_PRICES) {
+    throw new ValidationError([{ field: "effectiveFrom", message: `the product already has ${MAX_SCHEDULED_PRICES} scheduled prices` }]);
+  }
+
+  const prices = {
+    price: current.price,
+    scheduledPrices: pendingPrices({ scheduledPrices: [...others, scheduled] }, at)
+  };
+  // products stored before price history keep no priceEffectiveFrom until their price changes
+  if (current.effectiveFrom != null) {
+    prices.priceEffectiveFrom = current.effectiveFrom;
+  }
+  return prices;
+}
+
+// History entries as GET /product/{id}/prices returns them, latest entryKey first, with their status at `at`:
+// "replaced" (a later entry has the same effectiveFrom), "scheduled" (still to come), "current" (the price in effect)
+// or "past". `previousKey` is the entryKey the page starts after, if any.
+export const toPriceHistory = (entries, product, at, previousKey) => {
+  const current = currentPrice(product, at);
+  let laterEffectiveFrom = (previousKey != null) ? String(previousKey).split("#")[0] : undefined;
+  return entries.map(({ productId, entryKey, ...entry }) => {
+    const replaced = entry.effectiveFrom === laterEffectiveFrom;
+    laterEffectiveFrom = entry.effectiveFrom;
+    let status = "past";
+    if (replaced) {
+      status = "replaced";
+    } else if (entry.effectiveFrom > at) {
+      status = "scheduled";
+    } else if (entry.effectiveFrom === current.effectiveFrom) {
+      status = "current";
+    }
+    return { ...entry, status: status };
+  });
+}
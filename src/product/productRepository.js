@@ -0,0 +1,336 @@
+/**
+ * Product Repository
+ *
+ * Persistence of the product entity for the product service, injected into the handler
+ * by createHandler (./index) so the CRUD logic can run against either implementation:
+ *
+ * - DynamoProductRepository: the product table and its category GSIs (used in AWS)
+ * - InMemoryProductRepository: a Map, for unit tests and local experiments
+ *
+ * Interface (both implementations):
+ * - get(id) -> product | undefined
+ * - getMany(ids) -> Map of id -> product, unknown ids are left out
+ * - list({ limit, exclusiveStartKey }) -> { items, lastEvaluatedKey }
+ * - listByCategory(category, sort, order, { limit, exclusiveStartKey }) -> { items, lastEvaluatedKey }
+ *     sort is "price" or "name", order is "asc" or "desc"
+ * - create(product, priceEntry) -> write result
+ * - update(id, fields, expectedVersion, priceEntry) -> updated product, undefined when no product has this id,
+ *     ConflictError when expectedVersion is given and the product is no longer at it
+ * - delete(id) -> write result, undefined when no product has this id
+ * - putMany(products, priceEntries) -> writes the products as they are, replacing products with the same id
+ *     (bulk import); not a transaction, products written before a failure stay written
+ * - listPrices(productId, { limit, exclusiveStartKey }) -> { items, lastEvaluatedKey }, price history entries
+ *     of the product, latest entryKey first
+ *
+ * A priceEntry (see ./productPrices) is written to the price history with the product, in the same transaction
+ * for create and update. update takes none when the price does not change.
+ *
+ * Products carry a `version`, 1 on create and incremented by every update (optimistic locking);
+ * products stored before versioning have none and count as version 0. Stock reservations made by
+ * basket checkout (../basket/catalogRepository) leave it unchanged, it tracks catalog edits only.
+ *
+ * lastEvaluatedKey is opaque to callers, it is handed back as exclusiveStartKey to read the next page
+ * (the handler turns it into a nextToken with ../shared/pagination).
+ */
+
+import { BatchGetItemCommand, DeleteItemCommand, GetItemCommand, QueryCommand, ScanCommand, TransactWriteItemsCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { batchWriteItems } from "../shared/batchWrite";
+import { ConflictError } from "../shared/errors";
+
+// BatchGetItem accepts at most 100 keys
+const BATCH_GET_SIZE = 100;
+
+/**
+ * DynamoDB implementation
+ *
+ * @param {DynamoDBClient} ddbClient - Client the commands are sent with
+ * @param {Object} options
+ * @param {string} options.tableName - Product table (DYNAMODB_TABLE_NAME)
+ * @param {string} options.categoryPriceIndex - GSI (category, price) (CATEGORY_PRICE_INDEX)
+ * @param {string} options.categoryNameIndex - GSI (category, name) (CATEGORY_NAME_INDEX)
+ * @param {string} options.priceTableName - Price history : PK productId - SK entryKey (PRICE_TABLE_NAME)
+ */
+export class DynamoProductRepository {
+  constructor(ddbClient, { tableName, categoryPriceIndex, categoryNameIndex, priceTableName }) {
+    this.ddbClient = ddbClient;
+    this.tableName = tableName;
+    this.priceTableName = priceTableName;
+    this.indexBySort = {
+      price: categoryPriceIndex,
+      name: categoryNameIndex
+    };
+  }
+
+  // GetItem on the primary key
+  async get(id) {
+    const { Item } = await this.ddbClient.send(new GetItemCommand({
+      TableName: this.tableName,
+      Key: marshall({ id: id })
+    }));
+    return (Item != null) ? unmarshall(Item) : undefined;
+  }
+
+  // BatchGetItem in batches of BATCH_GET_SIZE, UnprocessedKeys are read again
+  async getMany(ids) {
+    const uniqueIds = [...new Set(ids)];
+    const products = new Map();
+    for (let start = 0; start < uniqueIds.length; start += BATCH_GET_SIZE) {
+      let requestItems = {
+        [this.tableName]: { Keys: uniqueIds.slice(start, start + BATCH_GET_SIZE).map((id) => marshall({ id: id })) }
+      };
+      while (requestItems != null && Object.keys(requestItems).length > 0) {
+        const { Responses, UnprocessedKeys } = await this.ddbClient.send(new BatchGetItemCommand({ RequestItems: requestItems }));
+        ((Responses || {})[this.tableName] || [])
+          .map((item) => unmarshall(item))
+          .forEach((product) => products.set(product.id, product));
+        requestItems = UnprocessedKeys;
+      }
+    }
+    return products;
+  }
+
+  // One Scan page, the Scan reads the whole table across pages
+  async list({ limit, exclusiveStartKey }) {
+    const { Items, LastEvaluatedKey } = await this.ddbClient.send(new ScanCommand({
+      TableName: this.tableName,
+      Limit: limit,
+      ExclusiveStartKey: exclusiveStartKey // undefined for the first page
+    }));
+    return { items: (Items || []).map((item) => unmarshall(item)), lastEvaluatedKey: LastEvaluatedKey };
+  }
+
+  // One Query page on the category GSI of the sort field, ordered by DynamoDB
+  async listByCategory(category, sort, order, { limit, exclusiveStartKey }) {
+    const { Items, LastEvaluatedKey } = await this.ddbClient.send(new QueryCommand({
+      TableName: this.tableName,
+      IndexName: this.indexBySort[sort],
+      KeyConditionExpression: "category = :category", // Exact category match on the GSI partition key
+      ExpressionAttributeValues: {
+        ":category": { S: category }
+      },
+      ScanIndexForward: order === "asc", // Sort key order: price or name
+      Limit: limit,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+    return { items: (Items || []).map((item) => unmarshall(item)), lastEvaluatedKey: LastEvaluatedKey };
+  }
+
+  // PutItem, replaces an item with the same id, with the first price history entry in one transaction
+  async create(product, priceEntry) {
+    return await this.ddbClient.send(new TransactWriteItemsCommand({
+      TransactItems: [
+        { Put: { TableName: this.tableName, Item: marshall(product) } },
+        { Put: { TableName: this.priceTableName, Item: marshall(priceEntry) } }
+      ]
+    }));
+  }
+
+  // UpdateItem with a generated expression: SET #key0 = :value0, #key1 = :value1, ..., #version = #version + 1
+  // Placeholders keep reserved words (name, status, ...) usable as field names
+  // Conditional on attribute_exists(id), so an unknown id is reported instead of creating a partial product,
+  // and on the expected version when one is given.
+  // With a price entry, the update and the entry are written in one transaction; it returns no attributes,
+  // the product is read again.
+  async update(id, fields, expectedVersion, priceEntry) {
+    const objKeys = Object.keys(fields);
+    const values = objKeys.reduce((acc, key, index) => ({
+        ...acc,
+        [`:value${index}`]: fields[key],
+    }), { ":zero": 0, ":one": 1 });
+    let condition = "attribute_exists(id)";
+    if (expectedVersion > 0) {
+      condition += " AND #version = :expectedVersion";
+      values[":expectedVersion"] = expectedVersion;
+    } else if (expectedVersion === 0) {
+      condition += " AND attribute_not_exists(#version)";
+    }
+
+    const update = {
+      TableName: this.tableName,
+      Key: marshall({ id: id }),
+      UpdateExpression: `SET ${objKeys.map((_, index) => `#key${index} = :value${index}`).join(", ")}, #version = if_not_exists(#version, :zero) + :one`,
+      ConditionExpression: condition,
+      ExpressionAttributeNames: objKeys.reduce((acc, key, index) => ({
+          ...acc,
+          [`#key${index}`]: key,
+      }), { "#version": "version" }),
+      ExpressionAttributeValues: marshall(values)
+    };
+
+    try {
+      if (priceEntry == null) {
+        const { Attributes } = await this.ddbClient.send(new UpdateItemCommand({ ...update, ReturnValues: "ALL_NEW" }));
+        return unmarshall(Attributes);
+      }
+      await this.ddbClient.send(new TransactWriteItemsCommand({
+        TransactItems: [
+          { Update: update },
+          { Put: { TableName: this.priceTableName, Item: marshall(priceEntry) } }
+        ]
+      }));
+      const { Item } = await this.ddbClient.send(new GetItemCommand({
+        TableName: this.tableName,
+        Key: marshall({ id: id }),
+        ConsistentRead: true
+      }));
+      return unmarshall(Item);
+    } catch(e) {
+      if (e.name !== "ConditionalCheckFailedException" && !isConditionFailure(e, 0)) {
+        throw e;
+      }
+      // the condition does not say which part failed : a missing product or another version
+      if (await this.get(id) == null) {
+        return undefined;
+      }
+      throw staleVersionError(id);
+    }
+  }
+
+  // DeleteItem conditional on attribute_exists(id), so an unknown id is reported instead of silently deleting nothing
+  async delete(id) {
+    try {
+      return await this.ddbClient.send(new DeleteItemCommand({
+        TableName: this.tableName,
+        Key: marshall({ id: id }),
+        ConditionExpression: "attribute_exists(id)"
+      }));
+    } catch(e) {
+      if (e.name === "ConditionalCheckFailedException") {
+        return undefined;
+      }
+      throw e;
+    }
+  }
+
+  // BatchWriteItem, unconditional puts : the products, then their price history entries
+  async putMany(products, priceEntries = []) {
+    await batchWriteItems(this.ddbClient, this.tableName, products.map((product) => ({ PutRequest: { Item: marshall(product) } })));
+    await batchWriteItems(this.ddbClient, this.priceTableName, priceEntries.map((entry) => ({ PutRequest: { Item: marshall(entry) } })));
+  }
+
+  // One Query page on the product's partition, sort key descending
+  async listPrices(productId, { limit, exclusiveStartKey }) {
+    const { Items, LastEvaluatedKey } = await this.ddbClient.send(new QueryCommand({
+      TableName: this.priceTableName,
+      KeyConditionExpression: "productId = :productId",
+      ExpressionAttributeValues: { ":productId": { S: productId } },
+      ScanIndexForward: false,
+      Limit: limit,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+    return { items: (Items || []).map((item) => unmarshall(item)), lastEvaluatedKey: LastEvaluatedKey };
+  }
+}
+
+/**
+ * In-memory implementation
+ *
+ * Behaves like the product table: a Scan returns items in insertion order, category listings
+ * skip products without the sort attribute (the GSIs are sparse), writes return an empty result.
+ * Price history entries are kept in `prices`.
+ *
+ * @param {Array<Object>} products - Initial products
+ * @param {Array<Object>} prices - Initial price history entries
+ */
+export class InMemoryProductRepository {
+  constructor(products = [], prices = []) {
+    this.products = new Map(products.map((product) => [product.id, clone(product)]));
+    this.prices = prices.map((entry) => clone(entry));
+  }
+
+  async get(id) {
+    return clone(this.products.get(id));
+  }
+
+  async getMany(ids) {
+    return new Map(ids.filter((id) => this.products.has(id)).map((id) => [id, clone(this.products.get(id))]));
+  }
+
+  async list(page) {
+    return toPage([...this.products.values()], page);
+  }
+
+  async listByCategory(category, sort, order, page) {
+    const direction = (order === "asc") ? 1 : -1;
+    const items = [...this.products.values()]
+      .filter((product) => product.category === category && product[sort] !== undefined)
+      .sort((a, b) => direction * ((a[sort] < b[sort]) ? -1 : (a[sort] > b[sort]) ? 1 : 0));
+    return toPage(items, page);
+  }
+
+  async create(product, priceEntry) {
+    this.products.set(product.id, clone(product));
+    if (priceEntry != null) {
+      this.putPrice(priceEntry);
+    }
+    return {};
+  }
+
+  async update(id, fields, expectedVersion, priceEntry) {
+    const product = this.products.get(id);
+    if (product == null) {
+      return undefined;
+    }
+    const version = product.version || 0;
+    if (expectedVersion != null && version !== expectedVersion) {
+      throw staleVersionError(id);
+    }
+    this.products.set(id, { ...product, ...clone(fields), id: id, version: version + 1 });
+    if (priceEntry != null) {
+      this.putPrice(priceEntry);
+    }
+    return clone(this.products.get(id));
+  }
+
+  async delete(id) {
+    return this.products.delete(id) ? {} : undefined;
+  }
+
+  async putMany(products, priceEntries = []) {
+    products.forEach((product) => this.products.set(product.id, clone(product)));
+    priceEntries.forEach((entry) => this.putPrice(entry));
+  }
+
+  async listPrices(productId, { limit, exclusiveStartKey }) {
+    const entries = this.prices
+      .filter((entry) => entry.productId === productId)
+      .sort((a, b) => (a.entryKey < b.entryKey) ? 1 : (a.entryKey > b.entryKey) ? -1 : 0);
+    const start = (exclusiveStartKey != null) ? entries.findIndex((entry) => entry.entryKey === exclusiveStartKey.entryKey) + 1 : 0;
+    const items = entries.slice(start, start + limit);
+    const hasMore = start + limit < entries.length;
+    return {
+      items: items.map((entry) => clone(entry)),
+      lastEvaluatedKey: hasMore ? { productId: productId, entryKey: items[items.length - 1].entryKey } : undefined
+    };
+  }
+
+  // an entry replaces the one of the same product and entryKey, like a put on the price table
+  putPrice(entry) {
+    this.prices = this.prices
+      .filter((stored) => stored.productId !== entry.productId || stored.entryKey !== entry.entryKey)
+      .concat([clone(entry)]);
+  }
+}
+
+const staleVersionError = (id) => new ConflictError(`Product "${id}" was changed concurrently`);
+
+// CancellationReasons is index aligned with TransactItems
+const isConditionFailure = (error, index) => {
+  const reasons = error.CancellationReasons || [];
+  return error.name === "TransactionCanceledException" && reasons[index] != null && reasons[index].Code === "ConditionalCheckFailed";
+}
+
+// Items after exclusiveStartKey, lastEvaluatedKey is only set when more items remain
+const toPage = (items, { limit, exclusiveStartKey }) => {
+  const start = (exclusiveStartKey != null) ? items.findIndex((item) => item.id === exclusiveStartKey.id) + 1 : 0;
+  const pageItems = items.slice(start, start + limit);
+  const hasMore = start + limit < items.length;
+  return {
+    items: pageItems.map((item) => clone(item)),
+    lastEvaluatedKey: hasMore ? { id: pageItems[pageItems.length - 1].id } : undefined
+  };
+}
+
+// stored and returned products are copies, like items read from DynamoDB
+const clone = (value) => (value === undefined) ? undefined : JSON.parse(JSON.stringify(value));
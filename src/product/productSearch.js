@@ -0,0 +1,120 @@
+/**
+ * Product Search
+ *
+ * Full-text search over the product catalog, free of I/O. Products are tokenized when they are
+ * written (createProduct/updateProduct in ./index) into the terms of an inverted index
+ * (./productSearchIndex), and a search query is matched against those terms.
+ *
+ * Tokenizing:
+ * - name, category and description are lowercased, accents are removed ("Café" -> "cafe"),
+ *   and they are split on anything that is not a letter a-z or a digit
+ * - words shorter than 2 characters are skipped, words longer than 20 characters are cut to 20
+ * - every prefix of a word of at least 2 characters is a term too ("phone" -> "ph", "pho", "phon", "phone"),
+ *   which is what makes type-ahead work: "smartph" finds "Smartphone"
+ * - at most 100 different words of a field are indexed (long descriptions are cut)
+ *
+ * Relevance:
+ * - a term scores the weight of each field it appears in: name 3, category 2, description 1
+ * - a term that only starts a word (a prefix) scores half of it, so "phone" ranks "Phone" above "Phonebook"
+ * - a product matches a query when it matches every query term, its relevance is the sum of their scores
+ */
+
+import { ValidationError } from "../shared/errors";
+
+const FIELD_WEIGHTS = { name: 3, category: 2, description: 1 };
+// fields whose change requires reindexing the product
+export const SEARCHABLE_FIELDS = Object.keys(FIELD_WEIGHTS);
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 20;
+const MAX_WORDS_PER_FIELD = 100;
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 10;
+
+/**
+ * Splits a text into its searchable words, in order of appearance and without duplicates.
+ *
+ * @param {string} text
+ * @returns {Array<string>} Lowercased words of MIN_TERM_LENGTH to MAX_TERM_LENGTH characters
+ */
+export const tokenize = (text) => {
+  const words = String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // combining marks left by NFKD: the accents
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length >= MIN_TERM_LENGTH)
+    .map((word) => word.slice(0, MAX_TERM_LENGTH));
+  return [...new Set(words)];
+}
+
+/**
+ * Terms a product is found by, with their score.
+ *
+ * @param {Object} product - Product with optional name, category and description
+ * @returns {Map<string, number>} term -> score
+ */
+export const indexTerms = (product) => {
+  const terms = new Map();
+  Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+    if (typeof product[field] !== "string") {
+      return;
+    }
+    // best score of each term within the field: a whole word beats a prefix
+    const fieldTerms = new Map();
+    tokenize(product[field]).slice(0, MAX_WORDS_PER_FIELD).forEach((word) => {
+      for (let length = MIN_TERM_LENGTH; length < word.length; length++) {
+        const prefix = word.slice(0, length);
+        fieldTerms.set(prefix, Math.max(fieldTerms.get(prefix) || 0, weight / 2));
+      }
+      fieldTerms.set(word, weight);
+    });
+    fieldTerms.forEach((score, term) => terms.set(term, (terms.get(term) || 0) + score));
+  });
+  return terms;
+}
+
+/**
+ * Reads the search query from an API Gateway event : GET /product/search?q=
+ *
+ * @param {Object} event - API Gateway event
+ * @returns {Array<string>} Terms of the query, each one looked up in the index
+ * @throws {ValidationError} Missing or too long q, no word to search for, too many words
+ */
+export const getSearchTerms = (event) => {
+  const q = (event.queryStringParameters || {}).q;
+  if (q == null || q.trim() === "") {
+    throw new ValidationError([{ field: "q", message: "is required" }]);
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new ValidationError([{ field: "q", message: `should be at most ${MAX_QUERY_LENGTH} characters` }]);
+  }
+  const terms = tokenize(q);
+  if (terms.length === 0) {
+    throw new ValidationError([{ field: "q", message: `should contain a word of at least ${MIN_TERM_LENGTH} letters or digits` }]);
+  }
+  if (terms.length > MAX_QUERY_TERMS) {
+    throw new ValidationError([{ field: "q", message: `should contain at most ${MAX_QUERY_TERMS} words` }]);
+  }
+  return terms;
+}
+
+/**
+ * Products matching every query term, most relevant first.
+ *
+ * @param {Array<Array<{ productId: string, score: number }>>} matchesByTerm - Index matches of each query term
+ * @returns {Array<{ productId: string, score: number }>} Ordered by score, then productId so pages are stable
+ */
+export const rankMatches = (matchesByTerm) => {
+  const scores = new Map();
+  const termCounts = new Map();
+  matchesByTerm.forEach((matches) => {
+    matches.forEach(({ productId, score }) => {
+      scores.set(productId, (scores.get(productId) || 0) + score);
+      termCounts.set(productId, (termCounts.get(productId) || 0) + 1);
+    });
+  });
+  return [...scores.entries()]
+    .filter(([productId]) => termCounts.get(productId) === matchesByTerm.length)
+    .map(([productId, score]) => ({ productId, score }))
+    .sort((a, b) => (b.score - a.score) || ((a.productId < b.productId) ? -1 : (a.productId > b.productId) ? 1 : 0));
+}
@@ -0,0 +1,150 @@
+/**
+ * Product Search Index
+ *
+ * Inverted index of the product catalog: one entry per term and product, with the term's score
+ * (terms and scores come from indexTerms in ./productSearch). Injected into the handler by
+ * createHandler (./index) next to the product repository:
+ *
+ * - DynamoProductSearchIndex: the productSearch table (used in AWS)
+ * - InMemoryProductSearchIndex: Maps, for unit tests and local experiments
+ *
+ * Interface (both implementations):
+ * - match(term) -> [{ productId, score }] of the products indexed with the term, best scored first
+ * - replace(product) -> indexes the product, dropping terms it is no longer found by
+ * - remove(productId) -> drops every term of the product
+ *
+ * The index is written after the product table, not in the same transaction (a product has more terms
+ * than a transaction can hold). A failed index write fails the request; retrying the update reindexes the product.
+ */
+
+import { QueryCommand } from "@aws-sdk/client-dynamodb";
+import { marshall, unmarshall } from "@aws-sdk/util-dynamodb";
+import { batchWriteItems } from "../shared/batchWrite";
+import { indexTerms } from "./productSearch";
+
+// a term matching more products keeps its best scored ones, keeping a search to a few Query pages
+export const MAX_MATCHES_PER_TERM = 1000;
+
+/**
+ * DynamoDB implementation
+ *
+ * Table productSearch : PK term - SK productId -- score
+ * GSI productIdIndex : PK productId - SK term, finds the terms of a product to replace or remove them
+ * GSI termScoreIndex : PK term - SK score, reads the matches of a term best scored first
+ *
+ * @param {DynamoDBClient} ddbClient - Client the commands are sent with
+ * @param {Object} options
+ * @param {string} options.tableName - Search table (SEARCH_TABLE_NAME)
+ * @param {string} options.productIdIndex - GSI (productId, term) (SEARCH_PRODUCT_INDEX)
+ * @param {string} options.scoreIndex - GSI (term, score) (SEARCH_SCORE_INDEX)
+ */
+export class DynamoProductSearchIndex {
+  constructor(ddbClient, { tableName, productIdIndex, scoreIndex }) {
+    this.ddbClient = ddbClient;
+    this.tableName = tableName;
+    this.productIdIndex = productIdIndex;
+    this.scoreIndex = scoreIndex;
+  }
+
+  // Query on scoreIndex, highest score first, following pages up to MAX_MATCHES_PER_TERM
+  async match(term) {
+    const matches = [];
+    let exclusiveStartKey;
+    do {
+      const { Items, LastEvaluatedKey } = await this.ddbClient.send(new QueryCommand({
+        TableName: this.tableName,
+        IndexName: this.scoreIndex,
+        KeyConditionExpression: "#term = :term",
+        ProjectionExpression: "productId, score",
+        ScanIndexForward: false,
+        ExpressionAttributeNames: { "#term": "term" },
+        ExpressionAttributeValues: { ":term": { S: term } },
+        Limit: MAX_MATCHES_PER_TERM - matches.length,
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      (Items || []).forEach((item) => matches.push(unmarshall(item)));
+      exclusiveStartKey = LastEvaluatedKey;
+    } while (exclusiveStartKey != null && matches.length < MAX_MATCHES_PER_TERM);
+    return matches;
+  }
+
+  // Puts every term of the product (scores may have changed) and deletes the ones it lost
+  async replace(product) {
+    const terms = indexTerms(product);
+    const staleTerms = (await this.termsOf(product.id)).filter((term) => !terms.has(term));
+    await batchWriteItems(this.ddbClient, this.tableName, [
+      ...staleTerms.map((term) => ({ DeleteRequest: { Key: marshall({ term: term, productId: product.id }) } })),
+      ...[...terms.entries()].map(([term, score]) => ({ PutRequest: { Item: marshall({ term: term, productId: product.id, score: score }) } }))
+    ]);
+  }
+
+  async remove(productId) {
+    const terms = await this.termsOf(productId);
+    await batchWriteItems(this.ddbClient, this.tableName, terms.map((term) => ({ DeleteRequest: { Key: marshall({ term: term, productId: productId }) } })));
+  }
+
+  // Query on productIdIndex, every page
+  async termsOf(productId) {
+    const terms = [];
+    let exclusiveStartKey;
+    do {
+      const { Items, LastEvaluatedKey } = await this.ddbClient.send(new QueryCommand({
+        TableName: this.tableName,
+        IndexName: this.productIdIndex,
+        KeyConditionExpression: "productId = :productId",
+        ExpressionAttributeValues: { ":productId": { S: productId } },
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      (Items || []).forEach((item) => terms.push(unmarshall(item).term));
+      exclusiveStartKey = LastEvaluatedKey;
+    } while (exclusiveStartKey != null);
+    return terms;
+  }
+}
+
+/**
+ * In-memory implementation
+ *
+ * @param {Array<Object>} products - Products to index initially
+ */
+export class InMemoryProductSearchIndex {
+  constructor(products = []) {
+    // term -> Map(productId -> score)
+    this.terms = new Map();
+    products.forEach((product) => this.put(product));
+  }
+
+  async match(term) {
+    return [...(this.terms.get(term) || new Map()).entries()]
+      .sort(([a, scoreA], [b, scoreB]) => (scoreB - scoreA) || ((a < b) ? -1 : (a > b) ? 1 : 0)) // best scored first, like scoreIndex
+      .slice(0, MAX_MATCHES_PER_TERM)
+      .map(([productId, score]) => ({ productId, score }));
+  }
+
+  async replace(product) {
+    this.drop(product.id);
+    this.put(product);
+  }
+
+  async remove(productId) {
+    this.drop(productId);
+  }
+
+  put(product) {
+    indexTerms(product).forEach((score, term) => {
+      if (!this.terms.has(term)) {
+        this.terms.set(term, new Map());
+      }
+      this.terms.get(term).set(product.id, score);
+    });
+  }
+
+  drop(productId) {
+    this.terms.forEach((products, term) => {
+      products.delete(productId);
+      if (products.size === 0) {
+        this.terms.delete(term);
+      }
+    });
+  }
+}
@@ -0,0 +1,50 @@
+// Declarative payload schemas for the product service (see ../shared/validation).
+
+const productProperties = {
+  name: { type: "string", minLength: 1, maxLength: 200 },
+  description: { type: "string", maxLength: 4000 },
+  imageFile: { type: "string", maxLength: 1024 },
+  price: { type: "number", minimum: 0 },
+  category: { type: "string", minLength: 1, maxLength: 100 },
+  // units available for sale, decremented by basket checkout reservations
+  stock: { type: "integer", minimum: 0 }
+};
+
+// POST /product
+export const createProductSchema = {
+  type: "object",
+  required: ["name", "price"],
+  properties: productProperties
+};
+
+// a price taking effect at a given time (ISO 8601 date-time, checked by ./productPrices)
+const scheduledPriceSchema = {
+  type: "object",
+  required: ["price", "effectiveFrom"],
+  properties: {
+    price: productProperties.price,
+    effectiveFrom: { type: "string", minLength: 1, maxLength: 40 }
+  }
+};
+
+// POST /product/import - one row, an id keeps the product's id (a new one is generated without it)
+// scheduledPrices come with the products of an NDJSON export (see ./productExport)
+export const importProductSchema = {
+  type: "object",
+  required: ["name", "price"],
+  properties: {
+    id: { type: "string", minLength: 1, maxLength: 100 },
+    ...productProperties,
+    scheduledPrices: { type: "array", items: scheduledPriceSchema }
+  }
+};
+
+// PUT /product/{id} - validated as a partial payload, id is taken from the path
+export const updateProductSchema = {
+  type: "object",
+  minProperties: 1,
+  properties: productProperties
+};
+
+// POST /product/{id}/prices - a price taking effect at a future time
+export const schedulePriceSchema = scheduledPriceSchema;
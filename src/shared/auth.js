@@ -0,0 +1,43 @@
+// Caller identity and authorization checks shared by the services behind the JWT authorizer.
+// API Gateway runs the JWT authorizer (../authorizer) before the handler and passes
+// the verified claims on as requestContext.authorizer : { principalId, userName, roles: "admin,..." }
+
+import { ForbiddenError, UnauthorizedError } from "./errors";
+
+export const ADMIN_ROLE = "admin";
+// may create, update and delete products (the product API stays public for reads)
+export const CATALOG_ADMIN_ROLE = "catalog-admin";
+// may move any order through its lifecycle (PATCH /order/{userName}/{orderDate}/status), as admins may
+export const STAFF_ROLE = "staff";
+
+export const getCaller = (event) => {
+  const authorizer = (event.requestContext != null) ? event.requestContext.authorizer : undefined;
+  if (authorizer == null || authorizer.userName == null || authorizer.userName === "") {
+    // a route deployed without the authorizer must not fall back to trusting the path
+    throw new UnauthorizedError();
+  }
+  const roles = (authorizer.roles || "").split(",").filter((role) => role.length > 0);
+  return { userName: authorizer.userName, roles };
+}
+
+export const hasRole = (caller, role) => caller.roles.includes(role);
+
+// action : what was denied, for the error message ("delete products")
+export const requireRole = (caller, role, action) => {
+  if (!hasRole(caller, role)) {
+    const message = (action != null) ? `Requires the "${role}" role to ${action}` : `Requires the "${role}" role`;
+    throw new ForbiddenError(message, { requiredRole: role });
+  }
+}
+
+// The user a request acts on : the caller's own userName unless another one is requested,
+// which only admins may do.
+export const resolveUserName = (caller, requestedUserName) => {
+  if (requestedUserName == null || requestedUserName === caller.userName) {
+    return caller.userName;
+  }
+  if (!hasRole(caller, ADMIN_ROLE)) {
+    throw new ForbiddenError(`Not allowed to access the data of user "${requestedUserName}"`);
+  }
+  return requestedUserName;
+}
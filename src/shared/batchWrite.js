@@ -0,0 +1,28 @@
+// BatchWriteItem for the DynamoDB repositories : any number of put/delete requests on one table.
+
+import { BatchWriteItemCommand } from "@aws-sdk/client-dynamodb";
+
+// BatchWriteItem accepts at most 25 requests
+const BATCH_SIZE = 25;
+const MAX_BATCH_ATTEMPTS = 5;
+
+// Sends the requests ({ PutRequest } or { DeleteRequest }) in batches of BATCH_SIZE.
+// UnprocessedItems (throttling) are sent again with a growing delay, a batch still unprocessed after
+// MAX_BATCH_ATTEMPTS throws. Batches sent before a failure stay written : BatchWriteItem is not a transaction.
+export const batchWriteItems = async (ddbClient, tableName, requests) => {
+  for (let start = 0; start < requests.length; start += BATCH_SIZE) {
+    let pending = requests.slice(start, start + BATCH_SIZE);
+    for (let attempt = 1; pending.length > 0; attempt++) {
+      if (attempt > MAX_BATCH_ATTEMPTS) {
+        throw new Error(`Could not write ${pending.length} items to ${tableName} after ${MAX_BATCH_ATTEMPTS} attempts`);
+      }
+      if (attempt > 1) {
+        await new Promise((resolve) => setTimeout(resolve, 50 * 2 ** attempt));
+      }
+      const { UnprocessedItems } = await ddbClient.send(new BatchWriteItemCommand({
+        RequestItems: { [tableName]: pending }
+      }));
+      pending = (UnprocessedItems != null && UnprocessedItems[tableName] != null) ? UnprocessedItems[tableName] : [];
+    }
+  }
+}
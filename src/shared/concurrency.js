@@ -0,0 +1,26 @@
+// Bounded parallelism for batch handlers.
+
+// Like Promise.allSettled(items.map(fn)), but with at most `limit` calls of `fn` in flight.
+// Results keep the order of `items`: { status: "fulfilled", value } or { status: "rejected", reason }.
+export const allSettledWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: "fulfilled", value: await fn(items[index], index) };
+      } catch(e) {
+        results[index] = { status: "rejected", reason: e };
+      }
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
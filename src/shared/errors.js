@@ -0,0 +1,65 @@
+// Error taxonomy shared by all services.
+// Handlers throw these and ../shared/http turns them into the JSON error envelope;
+// anything that is not an HttpError is reported as a 500 without internals.
+
+export class HttpError extends Error {
+  constructor(statusCode, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends HttpError {
+  // errors : [{ field: "items[0].price", message: "should be a number" }]
+  constructor(errors, message = "Request validation failed") {
+    super(400, "VALIDATION_ERROR", message, errors);
+    this.errors = errors;
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(message = "Authentication required") {
+    super(401, "UNAUTHORIZED", message);
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(message = "Not allowed to access this resource", details) {
+    super(403, "FORBIDDEN", message, details);
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message = "Resource not found", details) {
+    super(404, "NOT_FOUND", message, details);
+  }
+}
+
+export class MethodNotAllowedError extends HttpError {
+  constructor(method, allowedMethods = []) {
+    super(405, "METHOD_NOT_ALLOWED", `Method "${method}" is not allowed on this resource`);
+    this.allowedMethods = allowedMethods;
+  }
+}
+
+export class ConflictError extends HttpError {
+  constructor(message = "Request conflicts with the current state of the resource", details) {
+    super(409, "CONFLICT", message, details);
+  }
+}
+
+// If-Match names a version the resource is no longer at
+export class PreconditionFailedError extends HttpError {
+  constructor(message = "The resource was changed since it was read", details) {
+    super(412, "PRECONDITION_FAILED", message, details);
+  }
+}
+
+export class InternalError extends HttpError {
+  constructor(message = "Internal server error") {
+    super(500, "INTERNAL_ERROR", message);
+  }
+}
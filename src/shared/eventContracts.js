@@ -0,0 +1,68 @@
+// Versioned contracts of the events published on SwnEventBus.
+// Every event detail carries a `schemaVersion`. The JSON schemas live in ./events as
+// {DetailType}.v{version}.json, written in the subset understood by ./validation,
+// and are also published to the SwnEventRegistry schema registry (lib/eventbus.ts).
+
+import { validate } from "./validation";
+import checkoutBasketV1 from "./events/CheckoutBasket.v1.json";
+import checkoutBasketV2 from "./events/CheckoutBasket.v2.json";
+import orderFailedV1 from "./events/OrderFailed.v1.json";
+import orderCancelledV1 from "./events/OrderCancelled.v1.json";
+
+const SCHEMAS = {
+  CheckoutBasket: { 1: checkoutBasketV1, 2: checkoutBasketV2 },
+  OrderFailed: { 1: orderFailedV1 },
+  OrderCancelled: { 1: orderCancelledV1 }
+};
+
+// version producers publish
+export const CURRENT_VERSIONS = {
+  CheckoutBasket: 2,
+  OrderFailed: 1,
+  OrderCancelled: 1
+};
+
+// events published before contracts existed have no schemaVersion
+const LEGACY_VERSION = 1;
+
+// A producer built a detail that breaks its own contract, a bug rather than a client error.
+export class EventContractError extends Error {
+  constructor(detailType, version, errors) {
+    super(`${detailType} v${version} event does not match its contract`);
+    this.name = this.constructor.name;
+    this.detailType = detailType;
+    this.version = version;
+    this.errors = errors;
+  }
+}
+
+// Producer side : stamps the current schemaVersion and validates the detail as consumers will receive it.
+// Returns the JSON-ready detail (undefined fields dropped).
+export const buildEventDetail = (detailType, detail) => {
+  const version = CURRENT_VERSIONS[detailType];
+  const schema = (SCHEMAS[detailType] || {})[version];
+  if (schema == null) {
+    throw new EventContractError(detailType, version, [{ field: "detail-type", message: "has no registered contract" }]);
+  }
+
+  const versioned = JSON.parse(JSON.stringify({ ...detail, schemaVersion: version }));
+  const errors = validate(schema, versioned);
+  if (errors.length > 0) {
+    throw new EventContractError(detailType, version, errors);
+  }
+  return versioned;
+}
+
+// Consumer side : { status: "valid" | "invalid" | "unknownVersion", version, errors }.
+// Anything but "valid" belongs in the quarantine.
+export const checkEventDetail = (detailType, detail) => {
+  const version = (detail != null && detail.schemaVersion != null) ? detail.schemaVersion : LEGACY_VERSION;
+  const schema = (SCHEMAS[detailType] || {})[version];
+  if (schema == null) {
+    return { status: "unknownVersion", version: version, errors: [] };
+  }
+
+  // legacy details are checked as v1 without the stamp they never had
+  const errors = validate(schema, { schemaVersion: version, ...detail });
+  return { status: (errors.length > 0) ? "invalid" : "valid", version: version, errors: errors };
+}
@@ -0,0 +1,82 @@
+// API Gateway proxy response helpers shared by all services.
+
+import { HttpError, InternalError, ValidationError } from "./errors";
+
+const JSON_HEADERS = { "Content-Type": "application/json" };
+
+// Prefer the API Gateway request id (what clients see as x-amzn-RequestId),
+// fall back to the Lambda invocation id.
+export const getRequestId = (event, context) => {
+  if (event != null && event.requestContext != null && event.requestContext.requestId != null) {
+    return event.requestContext.requestId;
+  }
+  return (context != null) ? context.awsRequestId : undefined;
+}
+
+// API Gateway keeps header names as sent by the client, HTTP header names are case-insensitive.
+export const getHeader = (event, name) => {
+  const headers = event.headers || {};
+  const match = Object.keys(headers).find((key) => key.toLowerCase() === name.toLowerCase());
+  return (match != null) ? headers[match] : undefined;
+}
+
+// Versioned resources : the version number is the entity tag ("3"), items saved before versioning count as 0.
+export const versionETag = (version) => `"${(version != null) ? version : 0}"`;
+
+// Version an If-Match header asks a write to apply to, undefined without the header or with "*" (any version).
+// Only a single strong tag as sent by versionETag is accepted, If-Match never matches weak tags.
+export const getIfMatchVersion = (event) => {
+  const ifMatch = getHeader(event, "If-Match");
+  if (ifMatch == null || ifMatch.trim() === "*") {
+    return undefined;
+  }
+  const match = /^"(\d{1,15})"$/.exec(ifMatch.trim());
+  if (match == null) {
+    throw new ValidationError([{ field: "If-Match", message: "should be an ETag returned by this API or *" }]);
+  }
+  return Number(match[1]);
+}
+
+export const successResponse = (event, body, statusCode = 200, headers = {}) => {
+  return {
+    statusCode: statusCode,
+    headers: { ...JSON_HEADERS, ...headers },
+    body: JSON.stringify({
+      message: `Successfully finished operation: "${event.httpMethod}"`,
+      body: body
+    })
+  };
+}
+
+// File downloads : the content is the body as it is, without the JSON envelope
+export const fileResponse = (content, contentType, fileName, headers = {}) => {
+  return {
+    statusCode: 200,
+    headers: { "Content-Type": contentType, "Content-Disposition": `attachment; filename="${fileName}"`, ...headers },
+    body: content
+  };
+}
+
+// Error envelope : { error: { code, message, details, requestId } }
+// Unknown errors become INTERNAL_ERROR so messages and stacks never leak to clients.
+export const errorResponse = (error, event, context) => {
+  const httpError = (error instanceof HttpError) ? error : new InternalError();
+
+  const headers = { ...JSON_HEADERS };
+  if (httpError.allowedMethods != null && httpError.allowedMethods.length > 0) {
+    headers.Allow = httpError.allowedMethods.join(", ");
+  }
+
+  return {
+    statusCode: httpError.statusCode,
+    headers: headers,
+    body: JSON.stringify({
+      error: {
+        code: httpError.code,
+        message: httpError.message,
+        details: httpError.details,
+        requestId: getRequestId(event, context)
+      }
+    })
+  };
+}
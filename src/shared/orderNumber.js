@@ -0,0 +1,17 @@
+// Order numbers customers and support can read out : SWN-20240115-7K3F9Q
+// the order day (UTC) and 6 random Crockford base32 characters, which leave out I, L, O and U
+// so a number read over the phone cannot be mistaken for another one.
+// Drawn by the basket service at checkout (CheckoutBasket v2 carries it to the ordering service),
+// by the ordering service for v1 checkouts. Random numbers can clash, the order repository refuses
+// a number already taken (see ../ordering/orderRepository create).
+
+import { randomBytes } from "crypto";
+
+const ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const RANDOM_LENGTH = 6;
+
+export const generateOrderNumber = (orderDate, random = randomBytes) => {
+  const day = orderDate.slice(0, 10).replace(/-/g, "");
+  const suffix = [...random(RANDOM_LENGTH)].map((byte) => ALPHABET[byte % ALPHABET.length]).join("");
+  return `SWN-${day}-${suffix}`;
+}
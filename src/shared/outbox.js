@@ -0,0 +1,35 @@
+import { marshall } from "@aws-sdk/util-dynamodb";
+
+// Transactional outbox shared by the services that publish events (basket and ordering).
+// outbox : PK: id -- status - source - detailType - eventBusName - detail (JSON) - attempts - lastError - createdAt - updatedAt - publishedAt
+  // statusIndex : PK: status - SK: createdAt -> relay sweeps for entries that still have to be published
+// Entries are written in the same transaction as the state change that produced them
+// and published to EventBridge afterwards by the outbox relay (src/basket/outboxRelay.js).
+
+export const OutboxStatus = {
+  PENDING: "PENDING",     // not published yet, the relay keeps retrying
+  PUBLISHED: "PUBLISHED", // accepted by EventBridge
+  FAILED: "FAILED"        // gave up after MAX_ATTEMPTS, needs a manual retry
+};
+
+// TransactItem that records an event to publish, pair it with the state change in one TransactWriteItems call.
+export const buildOutboxPut = (id, source, detailType, detail) => {
+  const now = new Date().toISOString();
+  return {
+    Put: {
+      TableName: process.env.OUTBOX_TABLE_NAME,
+      Item: marshall({
+        id: id,
+        status: OutboxStatus.PENDING,
+        source: source,
+        detailType: detailType,
+        eventBusName: process.env.EVENT_BUSNAME,
+        detail: JSON.stringify(detail),
+        attempts: 0,
+        createdAt: now,
+        updatedAt: now
+      }),
+      ConditionExpression: "attribute_not_exists(id)"
+    }
+  };
+}
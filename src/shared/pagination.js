@@ -0,0 +1,57 @@
+// Cursor-based pagination helpers shared by the list routes of every service.
+// A nextToken is the DynamoDB LastEvaluatedKey, JSON encoded and base64url'd
+// so clients can treat it as an opaque string.
+
+import { ValidationError } from "./errors";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+export const encodeNextToken = (lastEvaluatedKey) => {
+  if (lastEvaluatedKey == null) {
+    return undefined;
+  }
+  return Buffer.from(JSON.stringify(lastEvaluatedKey), "utf8").toString("base64url");
+}
+
+export const decodeNextToken = (nextToken) => {
+  if (nextToken == null || nextToken === "") {
+    return undefined;
+  }
+  try {
+    const exclusiveStartKey = JSON.parse(Buffer.from(nextToken, "base64url").toString("utf8"));
+    if (exclusiveStartKey == null || typeof exclusiveStartKey !== "object" || Array.isArray(exclusiveStartKey)) {
+      throw new Error("not a key object");
+    }
+    return exclusiveStartKey;
+  } catch (e) {
+    throw new ValidationError([{ field: "nextToken", message: "is not a valid pagination token" }]);
+  }
+}
+
+// Reads ?limit=&nextToken= from an API Gateway event.
+// Returns { limit, exclusiveStartKey } ready to spread into Scan/Query params.
+export const getPaginationParams = (event) => {
+  const query = event.queryStringParameters || {};
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit != null) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new ValidationError([{ field: "limit", message: `should be an integer between 1 and ${MAX_LIMIT}` }]);
+    }
+  }
+
+  return {
+    limit: limit,
+    exclusiveStartKey: decodeNextToken(query.nextToken)
+  };
+}
+
+// Builds the paged list body returned by the list routes.
+export const toPage = (items, lastEvaluatedKey) => {
+  return {
+    items: items,
+    nextToken: encodeNextToken(lastEvaluatedKey)
+  };
+}
@@ -0,0 +1,25 @@
+// Effective product prices, shared by the product service (every read) and basket checkout (order pricing).
+// A product stores the price it was last given, `price` effective from `priceEffectiveFrom`, and the price
+// changes scheduled after it, `scheduledPrices`: [{ price, effectiveFrom }]. Times are ISO 8601 UTC strings
+// (toISOString), so they compare as strings. Which price applies depends on the time it is asked for:
+// a scheduled price takes over when its time comes, without the product being written.
+
+// The price in effect at `at` : { price, effectiveFrom }, the latest of the product's prices started by then.
+// Products stored before price history have no priceEffectiveFrom, their price applies until a later one.
+export const currentPrice = (product, at = new Date().toISOString()) => {
+  return (product.scheduledPrices || [])
+    .filter((scheduled) => scheduled.effectiveFrom <= at)
+    .reduce((current, scheduled) => (current.effectiveFrom == null || scheduled.effectiveFrom > current.effectiveFrom)
+      ? { price: scheduled.price, effectiveFrom: scheduled.effectiveFrom }
+      : current,
+    { price: product.price, effectiveFrom: product.priceEffectiveFrom });
+}
+
+export const effectivePrice = (product, at = new Date().toISOString()) => currentPrice(product, at).price;
+
+// Scheduled prices still to come at `at`, soonest first
+export const pendingPrices = (product, at = new Date().toISOString()) => {
+  return (product.scheduledPrices || [])
+    .filter((scheduled) => scheduled.effectiveFrom > at)
+    .sort((a, b) => (a.effectiveFrom < b.effectiveFrom) ? -1 : (a.effectiveFrom > b.effectiveFrom) ? 1 : 0);
+}
@@ -0,0 +1,27 @@
+import { SendMessageCommand } from "@aws-sdk/client-sqs";
+
+// Events that break their contract (unknown schemaVersion or invalid detail) are parked in the
+// EventQuarantineQueue instead of being processed or retried, by the basket and ordering consumers alike.
+// The handler passes its SQS client in.
+export const quarantineEvent = async (sqsClient, event, contractCheck) => {
+  console.log(`quarantineEvent function. detail-type : "${event['detail-type']}", status : "${contractCheck.status}"`);
+  try {
+    const params = {
+      QueueUrl: process.env.QUARANTINE_QUEUE_URL,
+      MessageBody: JSON.stringify({
+        reason: contractCheck.status,
+        schemaVersion: contractCheck.version,
+        errors: contractCheck.errors,
+        quarantinedAt: new Date().toISOString(),
+        event: event
+      })
+    };
+    const data = await sqsClient.send(new SendMessageCommand(params));
+    console.log("Event quarantined:", data);
+    return data;
+
+  } catch(e) {
+    console.error(e);
+    throw e;
+  }
+}
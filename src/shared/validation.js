@@ -0,0 +1,126 @@
+// Declarative payload validation shared by all services.
+// Schemas are plain objects written in a small subset of JSON Schema:
+//   type, required, properties, additionalProperties, minProperties,
+//   items, minItems, maxItems, minimum, exclusiveMinimum, maximum,
+//   minLength, maxLength, pattern, enum
+// so they can be serialized, documented and reused outside of the handlers.
+
+import { ValidationError } from "./errors";
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+const matchesType = (expected, value) => {
+  const actual = typeOf(value);
+  // every integer is also a number
+  return actual === expected || (expected === "number" && actual === "integer");
+}
+
+const joinPath = (path, key) => (path === "" ? key : `${path}.${key}`);
+
+const validateNode = (schema, value, path, errors, options) => {
+  const field = path === "" ? "(root)" : path;
+
+  if (schema.type != null && !matchesType(schema.type, value)) {
+    errors.push({ field: field, message: `should be of type ${schema.type}` });
+    return;
+  }
+
+  if (schema.enum != null && !schema.enum.includes(value)) {
+    errors.push({ field: field, message: `should be one of: ${schema.enum.join(", ")}` });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ field: field, message: `should have at least ${schema.minLength} character(s)` });
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push({ field: field, message: `should have at most ${schema.maxLength} character(s)` });
+    }
+    if (schema.pattern != null && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field: field, message: `should match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push({ field: field, message: `should be >= ${schema.minimum}` });
+    }
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+      errors.push({ field: field, message: `should be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push({ field: field, message: `should be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ field: field, message: `should have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push({ field: field, message: `should have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items != null) {
+      value.forEach((item, index) => validateNode(schema.items, item, `${path}[${index}]`, errors, {}));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    const keys = Object.keys(value);
+
+    // partial validation (PATCH/PUT style updates) only skips the top level required list
+    if (!options.partial) {
+      (schema.required || []).forEach((key) => {
+        if (value[key] === undefined) {
+          errors.push({ field: joinPath(path, key), message: "is required" });
+        }
+      });
+    }
+
+    if (schema.minProperties != null && keys.length < schema.minProperties) {
+      errors.push({ field: field, message: `should have at least ${schema.minProperties} field(s)` });
+    }
+
+    keys.forEach((key) => {
+      if (properties[key] != null) {
+        validateNode(properties[key], value[key], joinPath(path, key), errors, {});
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: joinPath(path, key), message: "is not allowed" });
+      }
+    });
+  }
+}
+
+// Returns the list of field-level errors, empty when the value is valid.
+export const validate = (schema, value, options = {}) => {
+  const errors = [];
+  validateNode(schema, value, "", errors, options);
+  return errors;
+}
+
+// Throws a ValidationError carrying every field-level error, otherwise returns the value.
+export const assertValid = (schema, value, options = {}) => {
+  const errors = validate(schema, value, options);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return value;
+}
+
+// Parses an API Gateway JSON body, reporting malformed JSON as a validation error.
+export const parseJsonBody = (event) => {
+  if (event.body == null || event.body === "") {
+    throw new ValidationError([{ field: "(root)", message: "request body is required" }]);
+  }
+  try {
+    return JSON.parse(event.body);
+  } catch (e) {
+    throw new ValidationError([{ field: "(root)", message: `request body is not valid JSON: ${e.message}` }]);
+  }
+}
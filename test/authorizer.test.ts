@@ -0,0 +1,110 @@
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import { LocalIdentityProvider } from '../local/auth';
+import { silenceConsole } from './helpers';
+
+const { handler } = require('../src/authorizer/index');
+
+const METHOD_ARN = 'arn:aws:execute-api:us-east-1:123456789012:abcdef1234/prod/GET/basket/swn';
+
+const base64url = (value: any) => Buffer.from(JSON.stringify(value)).toString('base64')
+  .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+describe('JWT authorizer', () => {
+  silenceConsole();
+
+  const identity = new LocalIdentityProvider();
+  // signs valid-looking tokens the function was not configured with
+  const stranger = new LocalIdentityProvider();
+  const environment = { ...process.env };
+
+  beforeEach(() => {
+    Object.assign(process.env, {
+      JWKS: fs.readFileSync(identity.jwksFile, 'utf8'),
+      JWT_USERNAME_CLAIM: 'username',
+      JWT_ROLES_CLAIM: 'roles'
+    });
+  });
+
+  afterEach(() => {
+    process.env = { ...environment };
+  });
+
+  afterAll(() => {
+    identity.dispose();
+    stranger.dispose();
+  });
+
+  const authorize = (token: string) => handler({ type: 'TOKEN', authorizationToken: `Bearer ${token}`, methodArn: METHOD_ARN });
+
+  test('allows a valid token on the whole API stage and passes the caller on', async () => {
+    const result = await authorize(identity.token({ username: 'swn', roles: ['admin', 'support'] }));
+
+    expect(result).toEqual({
+      principalId: 'swn',
+      policyDocument: {
+        Version: '2012-10-17',
+        Statement: [{ Action: 'execute-api:Invoke', Effect: 'Allow', Resource: 'arn:aws:execute-api:us-east-1:123456789012:abcdef1234/prod/*' }]
+      },
+      context: { userName: 'swn', roles: 'admin,support' }
+    });
+  });
+
+  test('accepts roles as a space-separated string', async () => {
+    const result = await authorize(identity.token({ username: 'swn', roles: 'admin support' as any }));
+
+    expect(result.context.roles).toBe('admin,support');
+  });
+
+  test('passes no roles when the claim is missing', async () => {
+    const result = await authorize(identity.token({ username: 'swn' }));
+
+    expect(result.context.roles).toBe('');
+  });
+
+  test.each([
+    ['no Authorization header', undefined],
+    ['another scheme', 'Basic c3duOnNlY3JldA=='],
+    ['a malformed token', 'Bearer not.a-token']
+  ])('rejects %s', async (name, authorizationToken) => {
+    await expect(handler({ type: 'TOKEN', authorizationToken, methodArn: METHOD_ARN })).rejects.toThrow(/^Unauthorized$/);
+  });
+
+  test('rejects an expired token', async () => {
+    await expect(authorize(identity.token({ username: 'swn' }, -120))).rejects.toThrow(/^Unauthorized$/);
+  });
+
+  test('rejects a token signed with another key', async () => {
+    await expect(authorize(stranger.token({ username: 'swn' }))).rejects.toThrow(/^Unauthorized$/);
+  });
+
+  test('rejects a token whose claims were changed', async () => {
+    const [header, , signature] = identity.token({ username: 'swn' }).split('.');
+    const payload = base64url({ username: 'swn', roles: ['admin'], exp: Math.floor(Date.now() / 1000) + 3600 });
+
+    await expect(authorize(`${header}.${payload}.${signature}`)).rejects.toThrow(/^Unauthorized$/);
+  });
+
+  test.each(['none', 'HS256'])('rejects the %s algorithm', async (alg) => {
+    const header = base64url({ alg, typ: 'JWT', kid: 'swn-local' });
+    const payload = base64url({ username: 'swn', roles: ['admin'], exp: Math.floor(Date.now() / 1000) + 3600 });
+    // HS256 keyed with the public key : the classic algorithm confusion attack
+    const signature = (alg === 'none') ? '' : crypto.createHmac('sha256', process.env.JWKS!).update(`${header}.${payload}`).digest('base64')
+      .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+    await expect(authorize(`${header}.${payload}.${signature}`)).rejects.toThrow(/^Unauthorized$/);
+  });
+
+  test('rejects a token without a username', async () => {
+    await expect(authorize(identity.token({ sub: 'swn' } as any))).rejects.toThrow(/^Unauthorized$/);
+  });
+
+  test('checks issuer and audience when configured', async () => {
+    process.env.JWT_ISSUER = 'https://issuer.example.com';
+    process.env.JWT_AUDIENCE = 'swn';
+
+    await expect(authorize(identity.token({ username: 'swn', iss: 'https://issuer.example.com', aud: ['other', 'swn'] }))).resolves.toBeDefined();
+    await expect(authorize(identity.token({ username: 'swn', iss: 'https://evil.example.com', aud: 'swn' }))).rejects.toThrow(/^Unauthorized$/);
+    await expect(authorize(identity.token({ username: 'swn', iss: 'https://issuer.example.com', aud: 'other' }))).rejects.toThrow(/^Unauthorized$/);
+  });
+});
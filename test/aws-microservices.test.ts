@@ -1,17 +1,404 @@
-// import * as cdk from 'aws-cdk-lib';
-// import { Template } from 'aws-cdk-lib/assertions';
-// import * as AwsMicroservices from '../lib/aws-microservices-stack';
-
-// example test. To run these tests, uncomment this file along with the
-// example resource in lib/aws-microservices-stack.ts
-test('SQS Queue Created', () => {
-//   const app = new cdk.App();
-//     // WHEN
-//   const stack = new AwsMicroservices.AwsMicroservicesStack(app, 'MyTestStack');
-//     // THEN
-//   const template = Template.fromStack(stack);
-
-//   template.hasResourceProperties('AWS::SQS::Queue', {
-//     VisibilityTimeout: 300
-//   });
+import * as cdk from 'aws-cdk-lib';
+import { Match, Template } from 'aws-cdk-lib/assertions';
+import * as fs from 'fs';
+import * as AwsMicroservices from '../lib/aws-microservices-stack';
+import { LocalIdentityProvider } from '../local/auth';
+
+const identity = new LocalIdentityProvider();
+afterAll(() => identity.dispose());
+
+// Lambda code is not bundled here, the handlers have their own tests.
+const synthesize = (context: { [key: string]: any } = {}) => {
+  const app = new cdk.App({ context: { 'aws:cdk:bundling-stacks': [], jwksFile: identity.jwksFile, ...context } });
+  const stack = new AwsMicroservices.AwsMicroservicesStack(app, 'MyTestStack');
+  return Template.fromStack(stack);
+};
+
+describe('AwsMicroservicesStack', () => {
+  let template: Template;
+
+  beforeAll(() => {
+    template = synthesize();
+  });
+
+  // Logical id of the only resource of `type` whose id is `prefix` (construct path without separators) and the 8 character hash CDK adds.
+  const logicalId = (type: string, prefix: string) => {
+    const ids = Object.keys(template.findResources(type)).filter((id) => id.startsWith(prefix) && /^[0-9A-F]{8}$/.test(id.slice(prefix.length)));
+    expect(ids).toHaveLength(1);
+    return ids[0];
+  };
+
+  const tableId = (name: string) => logicalId('AWS::DynamoDB::Table', `Database${name}`);
+  const queueId = (name: string) => logicalId('AWS::SQS::Queue', `Queue${name}`);
+  const roleId = (functionPrefix: string) => {
+    const fn = template.toJSON().Resources[logicalId('AWS::Lambda::Function', functionPrefix)];
+    return fn.Properties.Role['Fn::GetAtt'][0];
+  };
+
+  // Statements of the default policy attached to a function's role.
+  const statementsOf = (functionPrefix: string): any[] => {
+    const policies = template.findResources('AWS::IAM::Policy', {
+      Properties: { Roles: [{ Ref: roleId(functionPrefix) }] }
+    });
+    return Object.values(policies).reduce((acc: any[], policy: any) => acc.concat(policy.Properties.PolicyDocument.Statement), []);
+  };
+
+  const grantsOn = (functionPrefix: string, resourceId: string) => statementsOf(functionPrefix)
+    .filter((statement) => JSON.stringify(statement.Resource).includes(`"${resourceId}"`))
+    .reduce((acc: string[], statement) => acc.concat(statement.Action), []);
+
+  describe('tables', () => {
+    test('product is keyed by id with the category indexes', () => {
+      template.hasResourceProperties('AWS::DynamoDB::Table', {
+        TableName: 'product',
+        BillingMode: 'PAY_PER_REQUEST',
+        KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+        GlobalSecondaryIndexes: Match.arrayWith([
+          Match.objectLike({
+            IndexName: 'categoryPriceIndex',
+            KeySchema: [{ AttributeName: 'category', KeyType: 'HASH' }, { AttributeName: 'price', KeyType: 'RANGE' }]
+          }),
+          Match.objectLike({
+            IndexName: 'categoryNameIndex',
+            KeySchema: [{ AttributeName: 'category', KeyType: 'HASH' }, { AttributeName: 'name', KeyType: 'RANGE' }]
+          })
+        ]),
+        AttributeDefinitions: Match.arrayWith([
+          { AttributeName: 'id', AttributeType: 'S' },
+          { AttributeName: 'price', AttributeType: 'N' }
+        ])
+      });
+    });
+
+    test('productSearch is keyed by term and productId and indexed by productId and by score', () => {
+      template.hasResourceProperties('AWS::DynamoDB::Table', {
+        TableName: 'productSearch',
+        BillingMode: 'PAY_PER_REQUEST',
+        KeySchema: [{ AttributeName: 'term', KeyType: 'HASH' }, { AttributeName: 'productId', KeyType: 'RANGE' }],
+        GlobalSecondaryIndexes: [
+          Match.objectLike({
+            IndexName: 'productIdIndex',
+            KeySchema: [{ AttributeName: 'productId', KeyType: 'HASH' }, { AttributeName: 'term', KeyType: 'RANGE' }],
+            Projection: { ProjectionType: 'KEYS_ONLY' }
+          }),
+          Match.objectLike({
+            IndexName: 'termScoreIndex',
+            KeySchema: [{ AttributeName: 'term', KeyType: 'HASH' }, { AttributeName: 'score', KeyType: 'RANGE' }],
+            Projection: { ProjectionType: 'KEYS_ONLY' }
+          })
+        ]
+      });
+    });
+
+    test('productPrice is keyed by productId and entryKey', () => {
+      template.hasResourceProperties('AWS::DynamoDB::Table', {
+        TableName: 'productPrice',
+        BillingMode: 'PAY_PER_REQUEST',
+        KeySchema: [{ AttributeName: 'productId', KeyType: 'HASH' }, { AttributeName: 'entryKey', KeyType: 'RANGE' }]
+      });
+    });
+
+    test('basket is keyed by userName', () => {
+      template.hasResourceProperties('AWS::DynamoDB::Table', {
+        TableName: 'basket',
+        BillingMode: 'PAY_PER_REQUEST',
+        KeySchema: [{ AttributeName: 'userName', KeyType: 'HASH' }]
+      });
+    });
+
+    test('order is keyed by userName and orderDate and indexed by orderId', () => {
+      template.hasResourceProperties('AWS::DynamoDB::Table', {
+        TableName: 'order',
+        BillingMode: 'PAY_PER_REQUEST',
+        KeySchema: [{ AttributeName: 'userName', KeyType: 'HASH' }, { AttributeName: 'orderDate', KeyType: 'RANGE' }],
+        GlobalSecondaryIndexes: [
+          Match.objectLike({
+            IndexName: 'orderIdIndex',
+            KeySchema: [{ AttributeName: 'orderId', KeyType: 'HASH' }],
+            Projection: { ProjectionType: 'ALL' }
+          })
+        ],
+        AttributeDefinitions: [
+          { AttributeName: 'userName', AttributeType: 'S' },
+          { AttributeName: 'orderDate', AttributeType: 'S' },
+          { AttributeName: 'orderId', AttributeType: 'S' }
+        ]
+      });
+    });
+
+    test('idempotency records expire', () => {
+      template.hasResourceProperties('AWS::DynamoDB::Table', {
+        TableName: 'idempotency',
+        KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+        TimeToLiveSpecification: { AttributeName: 'expiresAt', Enabled: true }
+      });
+    });
+
+    test('outbox streams new entries and indexes them by status', () => {
+      template.hasResourceProperties('AWS::DynamoDB::Table', {
+        TableName: 'outbox',
+        StreamSpecification: { StreamViewType: 'NEW_IMAGE' },
+        GlobalSecondaryIndexes: [Match.objectLike({ IndexName: 'statusIndex' })]
+      });
+    });
+
+    test('tables are removed with the stack', () => {
+      const tables = template.findResources('AWS::DynamoDB::Table');
+      expect(Object.keys(tables)).toHaveLength(7);
+      Object.values(tables).forEach((table: any) => expect(table.DeletionPolicy).toBe('Delete'));
+    });
+  });
+
+  describe('event bus', () => {
+    test('CheckoutBasketRule forwards basket checkouts to OrderQueue', () => {
+      template.hasResourceProperties('AWS::Events::Rule', {
+        Name: 'CheckoutBasketRule',
+        EventBusName: { Ref: logicalId('AWS::Events::EventBus', 'EventBusSwnEventBus') },
+        EventPattern: {
+          source: ['com.swn.basket.checkoutbasket'],
+          'detail-type': ['CheckoutBasket']
+        },
+        Targets: [Match.objectLike({ Arn: { 'Fn::GetAtt': [queueId('OrderQueue'), 'Arn'] } })]
+      });
+    });
+
+    test('the rule may send to OrderQueue', () => {
+      template.hasResourceProperties('AWS::SQS::QueuePolicy', {
+        Queues: [{ Ref: queueId('OrderQueue') }],
+        PolicyDocument: {
+          Statement: Match.arrayWith([
+            Match.objectLike({
+              Action: Match.arrayWith(['sqs:SendMessage']),
+              Effect: 'Allow',
+              Principal: { Service: 'events.amazonaws.com' },
+              Condition: { ArnEquals: { 'aws:SourceArn': { 'Fn::GetAtt': [logicalId('AWS::Events::Rule', 'EventBusCheckoutBasketRule'), 'Arn'] } } }
+            })
+          ])
+        }
+      });
+    });
+
+    test('OrderFailed and OrderCancelled reach the basket function', () => {
+      const basketFunction = { 'Fn::GetAtt': [logicalId('AWS::Lambda::Function', 'MicroservicesbasketLambdaFunction'), 'Arn'] };
+      [['ReleaseStockRule', 'OrderFailed'], ['OrderCancelledRule', 'OrderCancelled']].forEach(([name, detailType]) => {
+        template.hasResourceProperties('AWS::Events::Rule', {
+          Name: name,
+          EventPattern: { source: ['com.swn.ordering.order'], 'detail-type': [detailType] },
+          Targets: [Match.objectLike({ Arn: basketFunction })]
+        });
+      });
+    });
+
+    test('publishers are granted events:PutEvents on SwnEventBus (grantPutEventsTo)', () => {
+      const bus = logicalId('AWS::Events::EventBus', 'EventBusSwnEventBus');
+      ['MicroservicesoutboxRelayLambdaFunction', 'MicroservicesorderingLambdaFunction', 'QueueorderRedriveLambdaFunction'].forEach((fn) => {
+        expect(grantsOn(fn, bus)).toContain('events:PutEvents');
+      });
+    });
+
+    test('the basket function publishes through the outbox only', () => {
+      const actions = statementsOf('MicroservicesbasketLambdaFunction').reduce((acc: string[], statement) => acc.concat(statement.Action), []);
+      expect(actions).not.toContain('events:PutEvents');
+    });
+
+    test('the event contracts are published to the schema registry', () => {
+      ['CheckoutBasket-v1', 'CheckoutBasket-v2', 'OrderFailed-v1', 'OrderCancelled-v1'].forEach((schemaName) => {
+        template.hasResourceProperties('AWS::EventSchemas::Schema', { SchemaName: schemaName, Type: 'JSONSchemaDraft4' });
+      });
+    });
+  });
+
+  describe('queues', () => {
+    test('OrderQueue dead-letters after 3 receives by default', () => {
+      template.hasResourceProperties('AWS::SQS::Queue', {
+        QueueName: 'OrderQueue',
+        VisibilityTimeout: 30,
+        RedrivePolicy: {
+          deadLetterTargetArn: { 'Fn::GetAtt': [queueId('OrderDeadLetterQueue'), 'Arn'] },
+          maxReceiveCount: 3
+        }
+      });
+    });
+
+    test('maxReceiveCount comes from the orderQueueMaxReceiveCount context', () => {
+      synthesize({ orderQueueMaxReceiveCount: '5' }).hasResourceProperties('AWS::SQS::Queue', {
+        QueueName: 'OrderQueue',
+        RedrivePolicy: Match.objectLike({ maxReceiveCount: 5 })
+      });
+    });
+
+    test('the ordering function consumes OrderQueue and reports partial batch failures', () => {
+      template.hasResourceProperties('AWS::Lambda::EventSourceMapping', {
+        FunctionName: { Ref: logicalId('AWS::Lambda::Function', 'MicroservicesorderingLambdaFunction') },
+        EventSourceArn: { 'Fn::GetAtt': [queueId('OrderQueue'), 'Arn'] },
+        BatchSize: 10,
+        FunctionResponseTypes: ['ReportBatchItemFailures']
+      });
+    });
+
+    test('event consumers may quarantine events', () => {
+      const quarantine = queueId('EventQuarantineQueue');
+      ['MicroservicesbasketLambdaFunction', 'MicroservicesorderingLambdaFunction'].forEach((fn) => {
+        expect(grantsOn(fn, quarantine)).toContain('sqs:SendMessage');
+      });
+    });
+
+    test('the redrive tool consumes the dead-letter queue and sends back to OrderQueue', () => {
+      expect(grantsOn('QueueorderRedriveLambdaFunction', queueId('OrderDeadLetterQueue'))).toEqual(expect.arrayContaining(['sqs:ReceiveMessage', 'sqs:DeleteMessage']));
+      expect(grantsOn('QueueorderRedriveLambdaFunction', queueId('OrderQueue'))).toContain('sqs:SendMessage');
+    });
+  });
+
+  describe('table grants', () => {
+    const readWrite = ['dynamodb:GetItem', 'dynamodb:PutItem', 'dynamodb:UpdateItem', 'dynamodb:DeleteItem', 'dynamodb:Query', 'dynamodb:Scan'];
+
+    test.each([
+      ['MicroservicesproductLambdaFunction', ['product', 'productSearch', 'productPrice']],
+      ['MicroservicesbasketLambdaFunction', ['basket', 'product', 'idempotency', 'outbox']],
+      ['MicroservicesorderingLambdaFunction', ['order', 'idempotency', 'outbox']],
+      ['MicroservicesoutboxRelayLambdaFunction', ['outbox']]
+    ])('%s reads and writes %j', (fn, tables) => {
+      (tables as string[]).forEach((table) => {
+        expect(grantsOn(fn as string, tableId(table))).toEqual(expect.arrayContaining(readWrite));
+      });
+    });
+
+    test('the product function has no access to the other tables', () => {
+      ['basket', 'order', 'idempotency', 'outbox'].forEach((table) => {
+        expect(grantsOn('MicroservicesproductLambdaFunction', tableId(table))).toEqual([]);
+      });
+    });
+  });
+
+  describe('functions', () => {
+    test('handlers get the names of their tables and indexes', () => {
+      template.hasResourceProperties('AWS::Lambda::Function', {
+        Environment: {
+          Variables: Match.objectLike({
+            DYNAMODB_TABLE_NAME: { Ref: tableId('product') },
+            CATEGORY_PRICE_INDEX: 'categoryPriceIndex',
+            CATEGORY_NAME_INDEX: 'categoryNameIndex',
+            SEARCH_TABLE_NAME: { Ref: tableId('productSearch') },
+            SEARCH_PRODUCT_INDEX: 'productIdIndex',
+            SEARCH_SCORE_INDEX: 'termScoreIndex',
+            PRICE_TABLE_NAME: { Ref: tableId('productPrice') }
+          })
+        }
+      });
+      template.hasResourceProperties('AWS::Lambda::Function', {
+        Environment: {
+          Variables: Match.objectLike({
+            DYNAMODB_TABLE_NAME: { Ref: tableId('basket') },
+            PRODUCT_TABLE_NAME: { Ref: tableId('product') },
+            EVENT_SOURCE: 'com.swn.basket.checkoutbasket',
+            EVENT_DETAILTYPE: 'CheckoutBasket',
+            QUARANTINE_QUEUE_URL: { Ref: queueId('EventQuarantineQueue') }
+          })
+        }
+      });
+      template.hasResourceProperties('AWS::Lambda::Function', {
+        Environment: {
+          Variables: Match.objectLike({
+            DYNAMODB_TABLE_NAME: { Ref: tableId('order') },
+            ORDER_ID_INDEX: 'orderIdIndex'
+          })
+        }
+      });
+    });
+
+    test('the product function has the time API Gateway gives it, for bulk imports and exports', () => {
+      expect(template.toJSON().Resources[logicalId('AWS::Lambda::Function', 'MicroservicesproductLambdaFunction')].Properties.Timeout).toBe(29);
+    });
+
+    test('the outbox relay is fed by the outbox stream and a schedule', () => {
+      const relay = logicalId('AWS::Lambda::Function', 'MicroservicesoutboxRelayLambdaFunction');
+      template.hasResourceProperties('AWS::Lambda::EventSourceMapping', {
+        FunctionName: { Ref: relay },
+        EventSourceArn: { 'Fn::GetAtt': [tableId('outbox'), 'StreamArn'] },
+        StartingPosition: 'LATEST'
+      });
+      template.hasResourceProperties('AWS::Events::Rule', {
+        ScheduleExpression: 'rate(1 minute)',
+        Targets: [Match.objectLike({ Arn: { 'Fn::GetAtt': [relay, 'Arn'] } })]
+      });
+    });
+  });
+
+  describe('APIs', () => {
+    // 'METHOD /path' of every method of the api, with its AuthorizationType
+    const methodsOf = (api: string): Array<{ route: string, authorizationType: string }> => {
+      const resources = template.toJSON().Resources;
+      const apiId = logicalId('AWS::ApiGateway::RestApi', `ApiGateway${api}`);
+      const pathOf = (resourceId: string): string => {
+        const resource = resources[resourceId];
+        const parent = resource.Properties.ParentId;
+        return `${(parent.Ref != null) ? pathOf(parent.Ref) : ''}/${resource.Properties.PathPart}`;
+      };
+
+      return Object.values(template.findResources('AWS::ApiGateway::Method', { Properties: { RestApiId: { Ref: apiId } } }))
+        .filter((method: any) => method.Properties.ResourceId.Ref != null)
+        .map((method: any) => ({
+          route: `${method.Properties.HttpMethod} ${pathOf(method.Properties.ResourceId.Ref)}`,
+          authorizationType: method.Properties.AuthorizationType
+        }));
+    };
+
+    test.each([
+      ['productApi', ['GET /product', 'POST /product', 'GET /product/{id}', 'PUT /product/{id}', 'DELETE /product/{id}', 'GET /product/search',
+        'POST /product/import', 'GET /product/export', 'GET /product/{id}/prices', 'POST /product/{id}/prices']],
+      ['basketApi', ['GET /basket', 'POST /basket', 'GET /basket/{userName}', 'DELETE /basket/{userName}', 'POST /basket/checkout',
+        'POST /basket/{userName}/items', 'PATCH /basket/{userName}/items/{productId}', 'DELETE /basket/{userName}/items/{productId}']],
+      ['orderApi', ['GET /order', 'GET /order/id/{orderId}', 'GET /order/{userName}', 'GET /order/{userName}/{orderDate}', 'PATCH /order/{userName}/{orderDate}/status', 'POST /order/{userName}/{orderDate}/cancel']]
+    ])('%s exposes its routes', (api, routes) => {
+      const exposed = methodsOf(api as string).map(({ route }) => route);
+
+      expect(exposed.sort()).toEqual((routes as string[]).slice().sort());
+    });
+
+    test.each([
+      ['basketApi', []],
+      ['orderApi', []],
+      // product reads are public, writes, the export and the price history need a token
+      ['productApi', ['GET /product', 'GET /product/{id}', 'GET /product/search']]
+    ])('%s authorizes every route with the JWT authorizer except %j', (api, open) => {
+      methodsOf(api as string).forEach(({ route, authorizationType }) => {
+        expect({ route, authorizationType }).toEqual({ route, authorizationType: (open as string[]).includes(route) ? 'NONE' : 'CUSTOM' });
+      });
+    });
+
+    test('the JWT authorizer reads the bearer token of the Authorization header', () => {
+      const authorizers = Object.values(template.findResources('AWS::ApiGateway::Authorizer'));
+
+      expect(authorizers).toHaveLength(3);
+      authorizers.forEach((authorizer: any) => expect(authorizer.Properties).toMatchObject({
+        Type: 'TOKEN',
+        IdentitySource: 'method.request.header.Authorization'
+      }));
+    });
+
+    test('the authorizer function verifies tokens with the public keys of jwksFile', () => {
+      const jwks = JSON.parse(fs.readFileSync(identity.jwksFile, 'utf8'));
+      const fn = template.toJSON().Resources[logicalId('AWS::Lambda::Function', 'AuthauthorizerLambdaFunction')];
+      const environment = fn.Properties.Environment.Variables;
+
+      expect(JSON.parse(environment.JWKS)).toEqual({ keys: [{ kty: 'RSA', kid: 'swn-local', use: 'sig', alg: 'RS256', n: jwks.keys[0].n, e: jwks.keys[0].e }] });
+      expect(environment).toMatchObject({ JWT_USERNAME_CLAIM: 'username', JWT_ROLES_CLAIM: 'roles' });
+      expect(environment.JWT_ISSUER).toBeUndefined();
+    });
+
+    test('issuer and audience come from the jwtIssuer and jwtAudience context', () => {
+      synthesize({ jwtIssuer: 'https://issuer.example.com', jwtAudience: 'swn' }).hasResourceProperties('AWS::Lambda::Function', {
+        Environment: { Variables: Match.objectLike({ JWT_ISSUER: 'https://issuer.example.com', JWT_AUDIENCE: 'swn' }) }
+      });
+    });
+
+    test('synthesis requires the jwksFile context', () => {
+      expect(() => synthesize({ jwksFile: undefined })).toThrow(/Missing context jwksFile/);
+    });
+
+    test('cdk.json points jwksFile at ./jwks.json, synthesis explains a missing file', () => {
+      expect(JSON.parse(fs.readFileSync('cdk.json', 'utf8')).context.jwksFile).toBe('./jwks.json');
+      expect(() => synthesize({ jwksFile: './missing-jwks.json' })).toThrow(/JSON Web Key Set \.\/missing-jwks\.json not found/);
+    });
+  });
 });
@@ -0,0 +1,922 @@
+import { ADMIN, apiEvent, Caller, CUSTOMER, parseResponse, silenceConsole } from './helpers';
+
+const { createHandler } = require('../src/basket/index');
+const { InMemoryBasketRepository } = require('../src/basket/basketRepository');
+const { InMemoryCatalogRepository } = require('../src/basket/catalogRepository');
+const { DynamoIdempotencyRepository, InMemoryIdempotencyRepository } = require('../src/basket/idempotency');
+const { prepareOrderPayload } = require('../src/basket/checkout');
+const createRelayHandler = require('../src/basket/outboxRelay').createHandler;
+const { MAX_ATTEMPTS } = require('../src/basket/outbox');
+const { DeleteItemCommand, GetItemCommand, PutItemCommand, QueryCommand, UpdateItemCommand } = require('@aws-sdk/client-dynamodb');
+const { marshall, unmarshall } = require('@aws-sdk/util-dynamodb');
+const { createHash } = require('crypto');
+
+const PRODUCTS = [
+  { id: 'phone-1', name: 'Phone', price: 19.99, category: 'Phone', stock: 5 },
+  { id: 'case-1', name: 'Case', price: 0.1, category: 'Accessory', stock: 1 }
+];
+
+const BASKET = {
+  userName: 'swn',
+  items: [
+    { productId: 'phone-1', productName: 'Phone', color: 'Black', quantity: 2, price: 1 },
+    { productId: 'case-1', productName: 'Case', color: 'Red', quantity: 1 }
+  ]
+};
+
+const CHECKOUT_REQUEST = { userName: 'swn', firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', address: 'Street 1', paymentMethod: 'card' };
+
+describe('basket handler', () => {
+  silenceConsole();
+
+  beforeAll(() => {
+    Object.assign(process.env, {
+      EVENT_SOURCE: 'com.swn.basket.checkoutbasket',
+      EVENT_DETAILTYPE: 'CheckoutBasket',
+      ORDER_FAILED_DETAILTYPE: 'OrderFailed',
+      ORDER_CANCELLED_DETAILTYPE: 'OrderCancelled'
+    });
+  });
+
+  let catalogRepository: any;
+  let idempotencyRepository: any;
+  let basketRepository: any;
+  // stub SQS client, quarantined events are sent with it
+  let sqsClient: any;
+  let handler: any;
+
+  beforeEach(() => {
+    catalogRepository = new InMemoryCatalogRepository(PRODUCTS);
+    idempotencyRepository = new InMemoryIdempotencyRepository();
+    basketRepository = new InMemoryBasketRepository({ baskets: [BASKET], catalogRepository, idempotencyRepository });
+    sqsClient = { send: jest.fn().mockResolvedValue({ MessageId: 'quarantined' }) };
+    handler = createHandler({ basketRepository, catalogRepository, idempotencyRepository, sqsClient });
+  });
+
+  const call = async (event: any) => parseResponse(await handler(event, { awsRequestId: 'test-invocation' }));
+  const stockOf = (productId: string) => catalogRepository.products.get(productId).stock;
+
+  describe('GET /basket', () => {
+    test('lists baskets', async () => {
+      await basketRepository.put({ userName: 'other', items: [] });
+
+      const response = await call(apiEvent('GET', '/basket', { queryStringParameters: { limit: '1' }, caller: ADMIN }));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body.items.map((basket: any) => basket.userName)).toEqual(['swn']);
+      expect(response.body.body.nextToken).toEqual(expect.any(String));
+    });
+  });
+
+  describe('GET /basket/{userName}', () => {
+    test('returns the basket', async () => {
+      const response = await call(apiEvent('GET', '/basket/swn', { pathParameters: { userName: 'swn' } }));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toEqual(BASKET);
+    });
+
+    test('returns 404 when the user has no basket', async () => {
+      const response = await call(apiEvent('GET', '/basket/nobody', { pathParameters: { userName: 'nobody' }, caller: ADMIN }));
+
+      expect(response.statusCode).toBe(404);
+      expect(response.body.error.message).toBe('Basket for user "nobody" not found');
+    });
+  });
+
+  describe('POST /basket', () => {
+    test('replaces the basket', async () => {
+      const basket = { userName: 'swn', items: [{ productId: 'case-1', quantity: 3 }] };
+
+      const response = await call(apiEvent('POST', '/basket', { body: basket }));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toEqual({ ...basket, version: 1 });
+      expect(await basketRepository.get('swn')).toEqual({ ...basket, version: 1 });
+    });
+
+    test('merges lines of the same product', async () => {
+      const items = [{ productId: 'case-1', quantity: 1 }, { productId: 'case-1', quantity: 2, color: 'Red' }];
+
+      await call(apiEvent('POST', '/basket', { body: { items } }));
+
+      expect((await basketRepository.get('swn')).items).toEqual([{ productId: 'case-1', quantity: 3, color: 'Red' }]);
+    });
+
+    test('rejects lines of the same product in different colors', async () => {
+      const items = [{ productId: 'case-1', quantity: 1, color: 'Blue' }, { productId: 'case-1', quantity: 2, color: 'Red' }];
+
+      const response = await call(apiEvent('POST', '/basket', { body: { items } }));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([{ field: 'color', message: 'should be "Blue" like the other line of product "case-1"' }]);
+      expect(await basketRepository.get('swn')).toEqual(BASKET);
+    });
+
+    test('rejects invalid items', async () => {
+      const response = await call(apiEvent('POST', '/basket', { body: { userName: 'swn', items: [{ productId: 'case-1', quantity: 0 }] } }));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([expect.objectContaining({ field: 'items[0].quantity' })]);
+    });
+
+    test('is not allowed on a basket', async () => {
+      const response = await call(apiEvent('POST', '/basket/swn', { pathParameters: { userName: 'swn' }, body: BASKET }));
+
+      expect(response.statusCode).toBe(405);
+      expect(response.headers.Allow).toBe('GET, DELETE');
+    });
+  });
+
+  describe('DELETE /basket/{userName}', () => {
+    test('deletes the basket', async () => {
+      const response = await call(apiEvent('DELETE', '/basket/swn', { pathParameters: { userName: 'swn' } }));
+
+      expect(response.statusCode).toBe(200);
+      expect(await basketRepository.get('swn')).toBeUndefined();
+    });
+
+    test('returns 404 when the user has no basket', async () => {
+      const response = await call(apiEvent('DELETE', '/basket/nobody', { pathParameters: { userName: 'nobody' }, caller: ADMIN }));
+
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('is not allowed on the collection', async () => {
+      const response = await call(apiEvent('DELETE', '/basket'));
+
+      expect(response.statusCode).toBe(405);
+      expect(response.headers.Allow).toBe('GET, POST');
+    });
+  });
+
+  describe('basket items', () => {
+    const itemsPath = (userName: string) => `/basket/${userName}/items`;
+    const addItem = (item: any, caller: Caller = CUSTOMER, userName = 'swn') =>
+      call(apiEvent('POST', itemsPath(userName), { pathParameters: { userName }, body: item, caller }));
+    const updateItem = (productId: string, body: any, caller: Caller = CUSTOMER, userName = 'swn') =>
+      call(apiEvent('PATCH', `${itemsPath(userName)}/${productId}`, { pathParameters: { userName, productId }, body, caller }));
+    const removeItem = (productId: string, caller: Caller = CUSTOMER, userName = 'swn') =>
+      call(apiEvent('DELETE', `${itemsPath(userName)}/${productId}`, { pathParameters: { userName, productId }, caller }));
+
+    // another client saving the basket between the read and the write of a request, `times` times
+    const editConcurrently = (times: number) => {
+      const get = basketRepository.get.bind(basketRepository);
+      let remaining = times;
+      basketRepository.get = jest.fn(async (userName: string) => {
+        const basket = await get(userName);
+        if (remaining-- > 0) {
+          await basketRepository.saveItems(userName, [...basket.items, { productId: `other-${remaining}`, quantity: 1 }], basket.version || 0);
+        }
+        return basket;
+      });
+    };
+
+    test('POST adds an item and creates the basket when the user has none', async () => {
+      const response = await addItem({ productId: 'case-1', quantity: 2 }, { userName: 'jane' }, 'jane');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toEqual({ userName: 'jane', items: [{ productId: 'case-1', quantity: 2 }], version: 1 });
+    });
+
+    test('POST merges the quantity of a product already in the basket', async () => {
+      const response = await addItem({ productId: 'phone-1', quantity: 3 });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body.items).toEqual([
+        { productId: 'phone-1', productName: 'Phone', color: 'Black', quantity: 5, price: 1 },
+        BASKET.items[1]
+      ]);
+      expect(response.body.body.version).toBe(1);
+    });
+
+    test('POST rejects a product already in the basket in another color', async () => {
+      const response = await addItem({ productId: 'phone-1', quantity: 3, color: 'White' });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([{ field: 'color', message: 'should be "Black" like the other line of product "phone-1"' }]);
+      expect(await basketRepository.get('swn')).toEqual(BASKET);
+    });
+
+    test('POST rejects an invalid item', async () => {
+      const response = await addItem({ productId: 'case-1', quantity: 0 });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([expect.objectContaining({ field: 'quantity' })]);
+    });
+
+    test('PATCH sets the quantity of an item', async () => {
+      const response = await updateItem('case-1', { quantity: 4 });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body.items[1]).toEqual({ ...BASKET.items[1], quantity: 4 });
+    });
+
+    test('PATCH rejects a quantity below 1', async () => {
+      const response = await updateItem('case-1', { quantity: 0 });
+
+      expect(response.statusCode).toBe(400);
+      expect(await basketRepository.get('swn')).toEqual(BASKET);
+    });
+
+    test('DELETE removes an item', async () => {
+      const response = await removeItem('phone-1');
+
+      expect(response.statusCode).toBe(200);
+      expect(await basketRepository.get('swn')).toEqual({ userName: 'swn', items: [BASKET.items[1]], version: 1 });
+    });
+
+    test.each([
+      ['PATCH', () => updateItem('tablet-1', { quantity: 1 })],
+      ['DELETE', () => removeItem('tablet-1')]
+    ])('%s returns 404 for a product that is not in the basket', async (method, request) => {
+      const response = await request();
+
+      expect(response.statusCode).toBe(404);
+      expect(response.body.error.message).toBe('Product "tablet-1" is not in the basket');
+    });
+
+    test.each([
+      ['PATCH', () => updateItem('case-1', { quantity: 1 }, ADMIN, 'nobody')],
+      ['DELETE', () => removeItem('case-1', ADMIN, 'nobody')]
+    ])('%s returns 404 when the user has no basket', async (method, request) => {
+      const response = await request();
+
+      expect(response.statusCode).toBe(404);
+      expect(response.body.error.message).toBe('Basket for user "nobody" not found');
+    });
+
+    test('every change is a new version', async () => {
+      await addItem({ productId: 'tablet-1', quantity: 1 });
+      await updateItem('tablet-1', { quantity: 2 });
+      await removeItem('tablet-1');
+
+      expect((await basketRepository.get('swn')).version).toBe(3);
+    });
+
+    test('re-applies the change on top of a concurrent edit', async () => {
+      editConcurrently(2);
+
+      const response = await addItem({ productId: 'case-1', quantity: 1 });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body.version).toBe(3);
+      expect(response.body.body.items).toEqual([
+        BASKET.items[0],
+        { ...BASKET.items[1], quantity: 2 },
+        { productId: 'other-1', quantity: 1 },
+        { productId: 'other-0', quantity: 1 }
+      ]);
+    });
+
+    test('returns 409 when the basket keeps changing', async () => {
+      editConcurrently(3);
+
+      const response = await addItem({ productId: 'case-1', quantity: 1 });
+
+      expect(response.statusCode).toBe(409);
+      expect(response.body.error.message).toBe('The basket was changed concurrently, please retry');
+    });
+
+    test('forbids changing the items of another user', async () => {
+      const responses = [
+        await addItem({ productId: 'case-1', quantity: 1 }, { userName: 'mallory' }),
+        await updateItem('case-1', { quantity: 9 }, { userName: 'mallory' }),
+        await removeItem('case-1', { userName: 'mallory' })
+      ];
+
+      expect(responses.map((response) => response.statusCode)).toEqual([403, 403, 403]);
+      expect(await basketRepository.get('swn')).toEqual(BASKET);
+    });
+
+    test('lets admins change the items of any user', async () => {
+      const response = await updateItem('case-1', { quantity: 2 }, ADMIN);
+
+      expect(response.statusCode).toBe(200);
+    });
+
+    test.each([
+      ['GET', itemsPath('swn'), { userName: 'swn' }, 'POST'],
+      ['PUT', `${itemsPath('swn')}/case-1`, { userName: 'swn', productId: 'case-1' }, 'PATCH, DELETE']
+    ])('%s %s is not allowed', async (method, path, pathParameters, allow) => {
+      const response = await call(apiEvent(method, path, { pathParameters }));
+
+      expect(response.statusCode).toBe(405);
+      expect(response.headers.Allow).toBe(allow);
+    });
+  });
+
+  describe('POST /basket/checkout', () => {
+    const checkout = (body: any = CHECKOUT_REQUEST, headers: { [name: string]: string } = {}, caller: Caller = CUSTOMER) =>
+      call(apiEvent('POST', '/basket/checkout', { body, headers, caller }));
+
+    test('prices the basket from the catalog, reserves stock and records the CheckoutBasket event', async () => {
+      const response = await checkout();
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toMatchObject({
+        userName: 'swn',
+        subtotal: 40.08,
+        totalPrice: 40.08,
+        items: [
+          { productId: 'phone-1', quantity: 2, unitPrice: 19.99, lineTotal: 39.98 },
+          { productId: 'case-1', quantity: 1, unitPrice: 0.1, lineTotal: 0.1 }
+        ]
+      });
+      expect(stockOf('phone-1')).toBe(3);
+      expect(stockOf('case-1')).toBe(0);
+      expect(await basketRepository.get('swn')).toBeUndefined();
+
+      expect(basketRepository.outbox).toHaveLength(1);
+      const [event] = basketRepository.outbox;
+      expect(event).toMatchObject({ id: response.body.body.orderReference, source: 'com.swn.basket.checkoutbasket', detailType: 'CheckoutBasket' });
+      expect(event.detail).toMatchObject({ schemaVersion: 2, userName: 'swn', email: 'jane@example.com', totalPrice: 40.08 });
+      expect(event.detail.idempotencyKey).toBe(response.body.body.orderReference);
+    });
+
+    test('confirms the order number the order is created under', async () => {
+      const response = await checkout();
+
+      const { orderId } = response.body.body;
+      expect(orderId).toMatch(/^SWN-\d{8}-[0-9A-HJKMNP-TV-Z]{6}$/);
+      expect(basketRepository.outbox[0].detail.orderId).toBe(orderId);
+    });
+
+    test('uses a scheduled price once its time has come', async () => {
+      Object.assign(catalogRepository.products.get('phone-1'), {
+        scheduledPrices: [{ price: 9.99, effectiveFrom: '2020-01-01T00:00:00.000Z' }, { price: 1, effectiveFrom: '2999-01-01T00:00:00.000Z' }]
+      });
+
+      const response = await checkout();
+
+      expect(response.body.body.items[0]).toMatchObject({ productId: 'phone-1', unitPrice: 9.99, lineTotal: 19.98 });
+    });
+
+    test('returns 409 with the out of stock items and reserves nothing', async () => {
+      await basketRepository.put({ userName: 'swn', items: [{ productId: 'phone-1', quantity: 1 }, { productId: 'case-1', quantity: 2 }] });
+
+      const response = await checkout();
+
+      expect(response.statusCode).toBe(409);
+      expect(response.body.error.details).toEqual([{ productId: 'case-1', requested: 2, message: 'insufficient stock' }]);
+      expect(stockOf('phone-1')).toBe(5);
+      expect(await basketRepository.get('swn')).toBeDefined();
+      expect(basketRepository.outbox).toHaveLength(0);
+    });
+
+    test('returns 409 for products that no longer exist', async () => {
+      await basketRepository.put({ userName: 'swn', items: [{ productId: 'gone', quantity: 1 }] });
+
+      const response = await checkout();
+
+      expect(response.statusCode).toBe(409);
+      expect(response.body.error.details).toEqual([{ productId: 'gone', message: 'product no longer exists' }]);
+    });
+
+    test('rejects an empty basket', async () => {
+      await basketRepository.put({ userName: 'swn', items: [] });
+
+      const response = await checkout();
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([{ field: 'items', message: 'basket has no items to checkout' }]);
+    });
+
+    test('returns 404 when the user has no basket', async () => {
+      const response = await checkout({ ...CHECKOUT_REQUEST, userName: 'nobody' }, {}, ADMIN);
+
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('returns 409 and orders nothing when the basket changed after it was priced', async () => {
+      const getCatalog = catalogRepository.getProducts.bind(catalogRepository);
+      catalogRepository.getProducts = jest.fn(async (productIds: string[]) => {
+        await basketRepository.saveItems('swn', [...BASKET.items, { productId: 'case-1', quantity: 1 }], 0);
+        return getCatalog(productIds);
+      });
+
+      const response = await checkout();
+
+      expect(response.statusCode).toBe(409);
+      expect(stockOf('phone-1')).toBe(5);
+      expect(basketRepository.outbox).toHaveLength(0);
+      expect((await basketRepository.get('swn')).version).toBe(1);
+    });
+
+    test('rejects an invalid checkout request', async () => {
+      const response = await checkout({ ...CHECKOUT_REQUEST, email: 'not-an-email' });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([expect.objectContaining({ field: 'email' })]);
+    });
+
+    describe('with an Idempotency-Key', () => {
+      test('replays the first response without checking out twice', async () => {
+        const first = await checkout(CHECKOUT_REQUEST, { 'Idempotency-Key': 'key-1' });
+        const retry = await checkout(CHECKOUT_REQUEST, { 'idempotency-key': 'key-1' });
+
+        expect(first.statusCode).toBe(200);
+        expect(retry.statusCode).toBe(200);
+        expect(retry.body.body).toEqual(first.body.body);
+        expect(basketRepository.outbox).toHaveLength(1);
+        expect(basketRepository.outbox[0].detail.idempotencyKey).toBe('key-1');
+        expect(stockOf('phone-1')).toBe(3);
+      });
+
+      test('refuses the key for a different payload', async () => {
+        await checkout(CHECKOUT_REQUEST, { 'Idempotency-Key': 'key-1' });
+
+        const response = await checkout({ ...CHECKOUT_REQUEST, address: 'Elsewhere' }, { 'Idempotency-Key': 'key-1' });
+
+        expect(response.statusCode).toBe(409);
+        expect(response.body.error.message).toBe('Idempotency-Key was already used with a different request payload');
+      });
+
+      test('frees the key after a failed checkout', async () => {
+        await basketRepository.put({ userName: 'swn', items: [{ productId: 'case-1', quantity: 2 }] });
+        const failed = await checkout(CHECKOUT_REQUEST, { 'Idempotency-Key': 'key-1' });
+        await basketRepository.put({ userName: 'swn', items: [{ productId: 'case-1', quantity: 1 }] });
+
+        const retry = await checkout(CHECKOUT_REQUEST, { 'Idempotency-Key': 'key-1' });
+
+        expect(failed.statusCode).toBe(409);
+        expect(retry.statusCode).toBe(200);
+      });
+
+      test('rejects keys longer than 255 characters', async () => {
+        const response = await checkout(CHECKOUT_REQUEST, { 'Idempotency-Key': 'k'.repeat(256) });
+
+        expect(response.statusCode).toBe(400);
+        expect(response.body.error.details[0].field).toBe('Idempotency-Key');
+      });
+    });
+  });
+
+  describe('authorization', () => {
+    test('rejects requests that did not go through the authorizer', async () => {
+      const response = await call(apiEvent('GET', '/basket/swn', { pathParameters: { userName: 'swn' }, caller: null }));
+
+      expect(response.statusCode).toBe(401);
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    test('restricts GET /basket to admins', async () => {
+      const response = await call(apiEvent('GET', '/basket'));
+
+      expect(response.statusCode).toBe(403);
+      expect(response.body.error).toMatchObject({ code: 'FORBIDDEN', message: 'Requires the "admin" role to list all baskets', details: { requiredRole: 'admin' } });
+    });
+
+    test.each([
+      ['GET', undefined],
+      ['DELETE', undefined],
+      ['POST', { userName: 'swn', items: [] }]
+    ])('forbids %s on the basket of another user', async (method, body) => {
+      const path = (method === 'POST') ? '/basket' : '/basket/swn';
+      const pathParameters = (method === 'POST') ? undefined : { userName: 'swn' };
+
+      const response = await call(apiEvent(method, path, { pathParameters, body, caller: { userName: 'mallory' } }));
+
+      expect(response.statusCode).toBe(403);
+      expect(await basketRepository.get('swn')).toEqual(BASKET);
+    });
+
+    test('takes the userName from the token when the payload has none', async () => {
+      const response = await call(apiEvent('POST', '/basket', { body: { items: [{ productId: 'case-1', quantity: 1 }] }, caller: { userName: 'jane' } }));
+
+      expect(response.statusCode).toBe(200);
+      expect(await basketRepository.get('jane')).toEqual({ userName: 'jane', items: [{ productId: 'case-1', quantity: 1 }], version: 1 });
+    });
+
+    test('checks out the basket of the token user', async () => {
+      const { userName, ...request } = CHECKOUT_REQUEST;
+
+      const response = await call(apiEvent('POST', '/basket/checkout', { body: request }));
+
+      expect(response.statusCode).toBe(200);
+      expect(await basketRepository.get('swn')).toBeUndefined();
+    });
+
+    test('forbids checking out the basket of another user', async () => {
+      const response = await call(apiEvent('POST', '/basket/checkout', { body: CHECKOUT_REQUEST, caller: { userName: 'mallory' } }));
+
+      expect(response.statusCode).toBe(403);
+      expect(await basketRepository.get('swn')).toEqual(BASKET);
+    });
+  });
+
+  test('rejects unsupported methods', async () => {
+    const response = await call(apiEvent('PUT', '/basket'));
+
+    expect(response.statusCode).toBe(405);
+    expect(response.headers.Allow).toBe('GET, POST');
+  });
+
+  describe('compensating events', () => {
+    const orderItems = [
+      { productId: 'phone-1', productName: 'Phone', color: 'Black', quantity: 2, unitPrice: 19.99, lineTotal: 39.98 }
+    ];
+
+    const orderCancelled = (detail: any = {}) => ({
+      'detail-type': 'OrderCancelled',
+      source: 'com.swn.ordering.order',
+      detail: {
+        schemaVersion: 1,
+        userName: 'swn',
+        orderDate: '2024-01-15T10:30:00.000Z',
+        items: orderItems,
+        reason: 'changed my mind',
+        cancelledBy: 'api',
+        restoreBasket: false,
+        ...detail
+      }
+    });
+
+    const orderFailed = (detail: any = {}) => ({
+      'detail-type': 'OrderFailed',
+      source: 'com.swn.ordering.order',
+      detail: { schemaVersion: 1, userName: 'swn', orderReference: 'ref-1', items: orderItems, reason: 'order table unavailable', ...detail }
+    });
+
+    test('OrderFailed releases the reserved stock', async () => {
+      await handler(orderFailed(), {});
+
+      expect(stockOf('phone-1')).toBe(7);
+    });
+
+    test('a redelivered OrderFailed is applied once', async () => {
+      await handler(orderFailed(), {});
+      // e.g. published again when the checkout is discarded from the order dead-letter queue
+      await handler(orderFailed({ reason: 'Discarded from the order dead-letter queue' }), {});
+
+      expect(stockOf('phone-1')).toBe(7);
+    });
+
+    test('OrderFailed of another checkout releases its own stock', async () => {
+      await handler(orderFailed(), {});
+      await handler(orderFailed({ orderReference: 'ref-2' }), {});
+
+      expect(stockOf('phone-1')).toBe(9);
+    });
+
+    test('OrderFailed can be applied again after a failed attempt', async () => {
+      const releaseStock = catalogRepository.releaseStock.bind(catalogRepository);
+      catalogRepository.releaseStock = jest.fn()
+        .mockRejectedValueOnce(new Error('throttled'))
+        .mockImplementation(releaseStock);
+
+      await expect(handler(orderFailed(), {})).rejects.toThrow('throttled');
+      await handler(orderFailed(), {});
+
+      expect(stockOf('phone-1')).toBe(7);
+    });
+
+    test('OrderCancelled releases stock and restores the basket on request', async () => {
+      await basketRepository.delete('swn');
+
+      await handler(orderCancelled({ restoreBasket: true }), {});
+
+      expect(stockOf('phone-1')).toBe(7);
+      expect(await basketRepository.get('swn')).toEqual({
+        userName: 'swn',
+        items: [{ productId: 'phone-1', productName: 'Phone', color: 'Black', quantity: 2, price: 19.99 }],
+        version: 1
+      });
+    });
+
+    test('OrderCancelled merges the restored lines into the basket, keeping its colors', async () => {
+      const items = [{ ...orderItems[0], color: 'White' }];
+
+      await handler(orderCancelled({ items, restoreBasket: true }), {});
+
+      expect(await basketRepository.get('swn')).toEqual({
+        ...BASKET,
+        items: [{ ...BASKET.items[0], quantity: 4, price: 19.99 }, BASKET.items[1]],
+        version: 1
+      });
+      // the basket can still be changed
+      const added = await call(apiEvent('POST', '/basket/swn/items', { pathParameters: { userName: 'swn' }, body: { productId: 'case-1', quantity: 1 } }));
+      expect(added.statusCode).toBe(200);
+    });
+
+    test('a redelivered OrderCancelled is applied once', async () => {
+      await handler(orderCancelled(), {});
+      await handler(orderCancelled(), {});
+
+      expect(stockOf('phone-1')).toBe(7);
+    });
+
+    test('OrderCancelled can be applied again after a failed attempt', async () => {
+      const releaseStock = catalogRepository.releaseStock.bind(catalogRepository);
+      catalogRepository.releaseStock = jest.fn()
+        .mockRejectedValueOnce(new Error('throttled'))
+        .mockImplementation(releaseStock);
+
+      await expect(handler(orderCancelled(), {})).rejects.toThrow('throttled');
+      await handler(orderCancelled(), {});
+
+      expect(stockOf('phone-1')).toBe(7);
+    });
+
+    test('events that break their contract are quarantined', async () => {
+      await handler(orderCancelled({ schemaVersion: 2 }), {});
+
+      expect(stockOf('phone-1')).toBe(5);
+      expect(sqsClient.send).toHaveBeenCalledTimes(1);
+      const message = JSON.parse(sqsClient.send.mock.calls[0][0].input.MessageBody);
+      expect(message).toMatchObject({ reason: 'unknownVersion', schemaVersion: 2 });
+    });
+  });
+});
+
+describe('prepareOrderPayload', () => {
+  silenceConsole();
+
+  const catalog = new Map(PRODUCTS.map((product) => [product.id, product] as [string, any]));
+
+  test('ignores basket prices and sums line totals in cents', () => {
+    const payload = prepareOrderPayload({ ...CHECKOUT_REQUEST, cardInfo: '4111', extra: 'dropped' }, BASKET, catalog);
+
+    expect(payload).toEqual({
+      userName: 'swn',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      address: 'Street 1',
+      paymentMethod: 'card',
+      cardInfo: '4111',
+      items: [
+        { productId: 'phone-1', productName: 'Phone', color: 'Black', quantity: 2, unitPrice: 19.99, lineTotal: 39.98 },
+        { productId: 'case-1', productName: 'Case', color: 'Red', quantity: 1, unitPrice: 0.1, lineTotal: 0.1 }
+      ],
+      subtotal: 40.08,
+      totalPrice: 40.08
+    });
+  });
+
+  test('prices a line at the price in effect at the time of the checkout', () => {
+    const scheduledCatalog = new Map([['phone-1', {
+      ...PRODUCTS[0],
+      priceEffectiveFrom: '2024-01-01T00:00:00.000Z',
+      scheduledPrices: [{ price: 15, effectiveFrom: '2024-06-01T00:00:00.000Z' }, { price: 17.5, effectiveFrom: '2024-07-01T00:00:00.000Z' }]
+    }]]);
+    const basket = { userName: 'swn', items: [{ productId: 'phone-1', quantity: 2 }] };
+    const unitPriceAt = (at: string) => prepareOrderPayload(CHECKOUT_REQUEST, basket, scheduledCatalog, at).items[0].unitPrice;
+
+    expect(unitPriceAt('2024-05-31T23:59:59.999Z')).toBe(19.99);
+    expect(unitPriceAt('2024-06-01T00:00:00.000Z')).toBe(15);
+    expect(unitPriceAt('2024-07-15T00:00:00.000Z')).toBe(17.5);
+    expect(prepareOrderPayload(CHECKOUT_REQUEST, basket, scheduledCatalog, '2024-06-15T00:00:00.000Z').totalPrice).toBe(30);
+  });
+
+  test('refuses products missing from the catalog', () => {
+    expect(() => prepareOrderPayload(CHECKOUT_REQUEST, { userName: 'swn', items: [{ productId: 'gone', quantity: 1 }] }, catalog))
+      .toThrow('Some basket items are no longer available');
+  });
+});
+
+describe('outbox relay', () => {
+  silenceConsole();
+
+  beforeAll(() => {
+    Object.assign(process.env, { OUTBOX_TABLE_NAME: 'outbox', OUTBOX_STATUS_INDEX: 'statusIndex' });
+  });
+
+  // The outbox table as the relay reads and updates it : statusIndex queries and conditional updates
+  class StubOutboxTable {
+    entries = new Map<string, any>();
+
+    send = jest.fn(async (command: any) => {
+      const input = command.input;
+      if (command instanceof QueryCommand) {
+        const values = unmarshall(input.ExpressionAttributeValues);
+        const pending = [...this.entries.values()]
+          .filter((entry) => entry.status === values[':status'] && entry.createdAt < values[':olderThan'])
+          .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+          .slice(0, input.Limit);
+        return { Items: pending.map((entry) => marshall(entry)) };
+      } else if (command instanceof UpdateItemCommand) {
+        const { id } = unmarshall(input.Key);
+        const values = unmarshall(input.ExpressionAttributeValues);
+        if (this.entries.get(id).status === values[':published']) {
+          throw Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+        }
+        Object.keys(input.ExpressionAttributeNames)
+          .filter((name) => name.startsWith('#key'))
+          .forEach((name) => { this.entries.get(id)[input.ExpressionAttributeNames[name]] = values[`:value${name.slice(4)}`]; });
+        return {};
+      }
+      throw new Error(`unexpected command ${command.constructor.name}`);
+    });
+  }
+
+  const checkoutDetail = (orderReference: string) => ({
+    schemaVersion: 1,
+    orderReference,
+    idempotencyKey: orderReference,
+    userName: 'swn',
+    items: [{ productId: 'phone-1', productName: 'Phone', quantity: 1, unitPrice: 19.99, lineTotal: 19.99 }],
+    subtotal: 19.99,
+    totalPrice: 19.99
+  });
+
+  const outboxEntry = (id: string, entry: any = {}) => ({
+    id,
+    status: 'PENDING',
+    source: 'com.swn.basket.checkoutbasket',
+    detailType: 'CheckoutBasket',
+    eventBusName: 'SwnEventBus',
+    detail: JSON.stringify(checkoutDetail(`ref-${id}`)),
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    ...entry
+  });
+
+  let table: StubOutboxTable;
+  let ebClient: any;
+  let relay: any;
+
+  beforeEach(() => {
+    table = new StubOutboxTable();
+    ebClient = { send: jest.fn().mockImplementation(async () => ({ FailedEntryCount: 0, Entries: [{ EventId: `event-${ebClient.send.mock.calls.length}` }] })) };
+    relay = createRelayHandler({ ddbClient: table, ebClient });
+  });
+
+  // the entries committed by checkouts, and the stream records of their insertion
+  const commit = (...entries: any[]) => {
+    entries.forEach((entry) => table.entries.set(entry.id, { ...entry }));
+    return { Records: entries.map((entry) => ({ eventName: 'INSERT', dynamodb: { NewImage: marshall(entry) } })) };
+  };
+  const published = () => ebClient.send.mock.calls.map((call: any) => JSON.parse(call[0].input.Entries[0].Detail).orderReference);
+
+  test('publishes new entries from the stream and marks them PUBLISHED', async () => {
+    await relay(commit(outboxEntry('a')));
+
+    expect(ebClient.send).toHaveBeenCalledTimes(1);
+    expect(ebClient.send.mock.calls[0][0].input.Entries).toEqual([{
+      Source: 'com.swn.basket.checkoutbasket',
+      DetailType: 'CheckoutBasket',
+      Detail: JSON.stringify(checkoutDetail('ref-a')),
+      EventBusName: 'SwnEventBus',
+      Resources: []
+    }]);
+    expect(table.entries.get('a')).toMatchObject({ status: 'PUBLISHED', attempts: 1, eventId: 'event-1', publishedAt: expect.any(String) });
+  });
+
+  test('ignores the relay\'s own status updates', async () => {
+    await relay({ Records: [{ eventName: 'MODIFY', dynamodb: { NewImage: marshall(outboxEntry('a')) } }] });
+
+    expect(ebClient.send).not.toHaveBeenCalled();
+  });
+
+  test('keeps an entry PENDING when publishing fails, for the sweep to retry', async () => {
+    ebClient.send.mockRejectedValueOnce(new Error('throttled'));
+
+    await relay(commit(outboxEntry('a')));
+
+    expect(table.entries.get('a')).toMatchObject({ status: 'PENDING', attempts: 1, lastError: 'throttled' });
+  });
+
+  test('treats entries rejected by EventBridge as failed publishes', async () => {
+    ebClient.send.mockResolvedValueOnce({ FailedEntryCount: 1, Entries: [{ ErrorCode: 'InternalFailure' }] });
+
+    await relay(commit(outboxEntry('a')));
+
+    expect(table.entries.get('a')).toMatchObject({ status: 'PENDING', attempts: 1, lastError: expect.stringContaining('InternalFailure') });
+  });
+
+  test('the sweep retries PENDING entries older than a minute', async () => {
+    const old = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+    commit(outboxEntry('a', { createdAt: old, attempts: 1 }), outboxEntry('b'));
+
+    await relay({});
+
+    expect(published()).toEqual(['ref-a']);
+    expect(table.entries.get('a')).toMatchObject({ status: 'PUBLISHED', attempts: 2 });
+    expect(table.entries.get('b').status).toBe('PENDING');
+  });
+
+  test(`gives up after ${MAX_ATTEMPTS} attempts and marks the entry FAILED`, async () => {
+    commit(outboxEntry('a', { createdAt: '2024-01-15T10:30:00.000Z', attempts: MAX_ATTEMPTS - 1 }));
+    ebClient.send.mockRejectedValue(new Error('throttled'));
+
+    await relay({});
+
+    expect(table.entries.get('a')).toMatchObject({ status: 'FAILED', attempts: MAX_ATTEMPTS, lastError: 'throttled' });
+
+    await relay({});
+    expect(ebClient.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('marks entries that break their contract FAILED without publishing them', async () => {
+    await relay(commit(outboxEntry('a', { detail: JSON.stringify({ ...checkoutDetail('ref-a'), items: [] }) })));
+
+    expect(ebClient.send).not.toHaveBeenCalled();
+    expect(table.entries.get('a')).toMatchObject({ status: 'FAILED', attempts: 1, lastError: expect.stringMatching(/^invalid: /) });
+  });
+
+  test('replays only the unsent entries of a partially sent batch', async () => {
+    ebClient.send
+      .mockImplementationOnce(async () => ({ FailedEntryCount: 0, Entries: [{ EventId: 'event-a' }] }))
+      .mockImplementationOnce(async () => { throw new Error('throttled'); });
+
+    await relay(commit(outboxEntry('a'), outboxEntry('b'), outboxEntry('c')));
+
+    expect(published()).toEqual(['ref-a', 'ref-b', 'ref-c']);
+    expect([...table.entries.values()].map((entry) => [entry.id, entry.status])).toEqual([['a', 'PUBLISHED'], ['b', 'PENDING'], ['c', 'PUBLISHED']]);
+
+    // a minute later
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 60 * 1000);
+    await relay({});
+
+    expect(published()).toEqual(['ref-a', 'ref-b', 'ref-c', 'ref-b']);
+    expect(table.entries.get('b')).toMatchObject({ status: 'PUBLISHED', attempts: 2 });
+  });
+
+  test('a redelivered stream record does not overwrite the published entry', async () => {
+    const stream = commit(outboxEntry('a'));
+    await relay(stream);
+
+    await relay(stream);
+
+    // delivery is at least once, consumers drop the duplicate event
+    expect(published()).toEqual(['ref-a', 'ref-a']);
+    expect(table.entries.get('a')).toMatchObject({ status: 'PUBLISHED', attempts: 1, eventId: 'event-1' });
+  });
+});
+
+describe('DynamoIdempotencyRepository', () => {
+  silenceConsole();
+
+  const taken = () => Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+  const completed = { id: 'checkout#swn#key-1', status: 'COMPLETED', requestHash: createHash('sha256').update('{}').digest('hex'), response: '{"orderReference":"ref-1"}' };
+
+  // putResults : whether each conditional PutItem claims the key, getResults : record of each GetItem, undefined when gone
+  const stubTable = (putResults: boolean[], getResults: any[]) => ({
+    send: jest.fn(async (command: any) => {
+      if (command instanceof PutItemCommand) {
+        if (!putResults.shift()) {
+          throw taken();
+        }
+        return {};
+      }
+      if (command instanceof GetItemCommand) {
+        const item = getResults.shift();
+        return { Item: (item == null) ? undefined : marshall(item) };
+      }
+      throw new Error(`unexpected command ${command.constructor.name}`);
+    })
+  });
+
+  test('claims the key again when its record is gone by the time it is read', async () => {
+    const ddbClient = stubTable([false, true], [undefined]);
+    const repository = new DynamoIdempotencyRepository(ddbClient, { tableName: 'idempotency' });
+
+    await expect(repository.beginCheckout('swn', 'key-1', '{}')).resolves.toBeUndefined();
+    expect(ddbClient.send.mock.calls.map(([command]: any) => command.constructor.name)).toEqual(['PutItemCommand', 'GetItemCommand', 'PutItemCommand']);
+  });
+
+  test('replays the record of a key taken again meanwhile', async () => {
+    const ddbClient = stubTable([false, false], [undefined, completed]);
+    const repository = new DynamoIdempotencyRepository(ddbClient, { tableName: 'idempotency' });
+
+    await expect(repository.beginCheckout('swn', 'key-1', '{}')).resolves.toEqual({ orderReference: 'ref-1' });
+  });
+
+  test('gives up with a conflict when the record is gone twice', async () => {
+    const ddbClient = stubTable([false, false], [undefined, undefined]);
+    const repository = new DynamoIdempotencyRepository(ddbClient, { tableName: 'idempotency' });
+
+    await expect(repository.beginCheckout('swn', 'key-1', '{}')).rejects.toMatchObject({ statusCode: 409 });
+    expect(ddbClient.send).toHaveBeenCalledTimes(4);
+  });
+
+  test('abandons a key only while it is in progress', async () => {
+    const ddbClient = { send: jest.fn(async () => { throw taken(); }) };
+    const repository = new DynamoIdempotencyRepository(ddbClient, { tableName: 'idempotency' });
+
+    await expect(repository.abandonCheckout('swn', 'key-1')).resolves.toBeUndefined();
+
+    const [[command]] = ddbClient.send.mock.calls as any;
+    expect(command).toBeInstanceOf(DeleteItemCommand);
+    expect(command.input).toMatchObject({
+      Key: marshall({ id: 'checkout#swn#key-1' }),
+      ConditionExpression: '#status = :inProgress',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: marshall({ ':inProgress': 'IN_PROGRESS' })
+    });
+  });
+});
+
+describe('InMemoryIdempotencyRepository', () => {
+  test('keeps a completed key when it is abandoned', async () => {
+    const repository = new InMemoryIdempotencyRepository();
+    await repository.beginCheckout('swn', 'key-1', '{}');
+    repository.completeCheckout('swn', 'key-1', { orderReference: 'ref-1' });
+
+    await repository.abandonCheckout('swn', 'key-1');
+
+    await expect(repository.beginCheckout('swn', 'key-1', '{}')).resolves.toEqual({ orderReference: 'ref-1' });
+  });
+});
@@ -0,0 +1,75 @@
+// Shared by the handler tests : API Gateway proxy events and parsed responses.
+
+// What the JWT authorizer passes on to the handlers (src/authorizer)
+export interface Caller {
+  userName: string;
+  roles?: string[];
+}
+
+export const CUSTOMER: Caller = { userName: 'swn' };
+export const ADMIN: Caller = { userName: 'ops', roles: ['admin'] };
+export const CATALOG_ADMIN: Caller = { userName: 'merchandiser', roles: ['catalog-admin'] };
+export const STAFF: Caller = { userName: 'clerk', roles: ['staff'] };
+
+export interface ApiEventOptions {
+  pathParameters?: { [name: string]: string };
+  queryStringParameters?: { [name: string]: string };
+  headers?: { [name: string]: string };
+  // objects are sent as JSON, strings as they are
+  body?: any;
+  // CUSTOMER by default, null for a request that did not go through the authorizer
+  caller?: Caller | null;
+}
+
+export const apiEvent = (httpMethod: string, path: string, options: ApiEventOptions = {}) => ({
+  httpMethod,
+  path,
+  resource: resourcePath(path, options.pathParameters),
+  pathParameters: options.pathParameters || null,
+  queryStringParameters: options.queryStringParameters || null,
+  headers: options.headers || {},
+  body: (options.body === undefined || typeof options.body === 'string') ? (options.body || null) : JSON.stringify(options.body),
+  requestContext: {
+    requestId: 'test-request-id',
+    authorizer: authorizerContext((options.caller === undefined) ? CUSTOMER : options.caller)
+  }
+});
+
+// The API Gateway resource of a path : the first segment holding each path parameter becomes {name}
+const resourcePath = (path: string, pathParameters: { [name: string]: string } = {}) => {
+  const segments = path.split('/');
+  Object.keys(pathParameters).forEach((name) => {
+    const index = segments.indexOf(encodeURIComponent(pathParameters[name]));
+    if (index > 0) {
+      segments[index] = `{${name}}`;
+    }
+  });
+  return segments.join('/');
+};
+
+const authorizerContext = (caller: Caller | null) => (caller == null) ? undefined : {
+  principalId: caller.userName,
+  userName: caller.userName,
+  roles: (caller.roles || []).join(',')
+};
+
+export interface ParsedResponse {
+  statusCode: number;
+  headers: { [name: string]: string };
+  body: any;
+}
+
+export const parseResponse = (response: any): ParsedResponse => ({
+  statusCode: response.statusCode,
+  headers: response.headers,
+  body: JSON.parse(response.body)
+});
+
+// The handlers log every request, keep the test output readable.
+export const silenceConsole = () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+  });
+  afterEach(() => jest.restoreAllMocks());
+};
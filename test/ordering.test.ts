@@ -0,0 +1,816 @@
+import { ADMIN, apiEvent, parseResponse, silenceConsole, STAFF } from './helpers';
+
+const { ChangeMessageVisibilityCommand, DeleteMessageCommand, ReceiveMessageCommand, SendMessageCommand } = require('@aws-sdk/client-sqs');
+const { createHandler } = require('../src/ordering/index');
+const createRedriveHandler = require('../src/ordering/redrive').createHandler;
+const { InMemoryOrderRepository } = require('../src/ordering/orderRepository');
+const { generateOrderNumber } = require('../src/shared/orderNumber');
+const { ConflictError } = require('../src/shared/errors');
+const basket = require('../src/basket/index');
+const { InMemoryBasketRepository } = require('../src/basket/basketRepository');
+const { InMemoryCatalogRepository } = require('../src/basket/catalogRepository');
+const { InMemoryIdempotencyRepository } = require('../src/basket/idempotency');
+
+const ORDER_DATE = '2024-01-15T10:30:00.000Z';
+
+const ITEMS = [{ productId: 'phone-1', productName: 'Phone', color: 'Black', quantity: 2, unitPrice: 19.99, lineTotal: 39.98 }];
+
+const checkoutDetail = (detail: any = {}) => ({
+  schemaVersion: 1,
+  orderReference: 'ref-1',
+  idempotencyKey: 'key-1',
+  userName: 'swn',
+  email: 'jane@example.com',
+  items: ITEMS,
+  subtotal: 39.98,
+  totalPrice: 39.98,
+  ...detail
+});
+
+const ORDER_ID = 'SWN-20240115-7K3F9Q';
+
+const pendingOrder = (order: any = {}) => ({
+  userName: 'swn',
+  orderDate: ORDER_DATE,
+  orderId: ORDER_ID,
+  orderReference: 'ref-1',
+  items: ITEMS,
+  totalPrice: 39.98,
+  status: 'PENDING',
+  statusHistory: [{ status: 'PENDING', at: ORDER_DATE, actor: 'system' }],
+  ...order
+});
+
+describe('generateOrderNumber', () => {
+  test('is the order day and 6 unambiguous characters', () => {
+    const random = (size: number) => Buffer.from([0, 9, 10, 17, 31, 32].slice(0, size));
+
+    expect(generateOrderNumber('2024-01-15T10:30:00.000Z', random)).toBe('SWN-20240115-09AHZ0');
+  });
+});
+
+describe('ordering handler', () => {
+  silenceConsole();
+
+  beforeAll(() => {
+    Object.assign(process.env, {
+      EVENT_SOURCE: 'com.swn.ordering.order',
+      EVENT_BUSNAME: 'SwnEventBus',
+      ORDER_FAILED_DETAILTYPE: 'OrderFailed',
+      ORDER_CANCELLED_DETAILTYPE: 'OrderCancelled'
+    });
+  });
+
+  let orderRepository: any;
+  // stub AWS clients : OrderFailed events are published with ebClient, quarantined events sent with sqsClient
+  let ebClient: any;
+  let sqsClient: any;
+  let handler: any;
+
+  beforeEach(() => {
+    orderRepository = new InMemoryOrderRepository([pendingOrder()]);
+    ebClient = { send: jest.fn().mockResolvedValue({ FailedEntryCount: 0, Entries: [{ EventId: 'e1' }] }) };
+    sqsClient = { send: jest.fn().mockResolvedValue({ MessageId: 'quarantined' }) };
+    handler = createHandler({ orderRepository, ebClient, sqsClient });
+  });
+
+  const call = async (event: any) => parseResponse(await handler(event, { awsRequestId: 'test-invocation' }));
+  const storedOrders = async () => (await orderRepository.list({ limit: 100 })).items;
+
+  describe('OrderQueue (SQS) invocation', () => {
+    const record = (messageId: string, detail: any) => ({
+      messageId,
+      body: JSON.stringify({ 'detail-type': 'CheckoutBasket', source: 'com.swn.basket.checkoutbasket', detail })
+    });
+
+    test('creates a PENDING order per CheckoutBasket event', async () => {
+      const result = await handler({ Records: [record('m1', checkoutDetail({ orderReference: 'ref-2', idempotencyKey: 'key-2' }))] }, {});
+
+      expect(result).toEqual({ batchItemFailures: [] });
+      const created = (await storedOrders()).find((order: any) => order.orderReference === 'ref-2');
+      expect(created).toMatchObject({ userName: 'swn', status: 'PENDING', totalPrice: 39.98 });
+      expect(created.schemaVersion).toBeUndefined();
+      expect(created.statusHistory).toEqual([expect.objectContaining({ status: 'PENDING', actor: 'system' })]);
+    });
+
+    test('gives every order an order number of its day', async () => {
+      await handler({ Records: [record('m1', checkoutDetail({ orderReference: 'ref-2', idempotencyKey: 'key-2' }))] }, {});
+
+      const created = (await storedOrders()).find((order: any) => order.orderReference === 'ref-2');
+      expect(created.orderId).toMatch(/^SWN-\d{8}-[0-9A-HJKMNP-TV-Z]{6}$/);
+      expect(created.orderId.slice(4, 12)).toBe(created.orderDate.slice(0, 10).replace(/-/g, ''));
+    });
+
+    test('keeps both checkouts of a user made in the same millisecond', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-03-01T09:00:00.000Z'));
+
+      const result = await handler({
+        Records: [
+          record('m1', checkoutDetail({ orderReference: 'ref-2', idempotencyKey: 'key-2' })),
+          record('m2', checkoutDetail({ orderReference: 'ref-3', idempotencyKey: 'key-3' }))
+        ]
+      }, {});
+
+      expect(result).toEqual({ batchItemFailures: [] });
+      const created = (await storedOrders()).filter((order: any) => order.orderReference !== 'ref-1');
+      expect(created.map((order: any) => order.orderDate).sort()).toEqual(['2024-03-01T09:00:00.000Z', '2024-03-01T09:00:00.001Z']);
+    });
+
+    test('draws another order number when the first one is taken', async () => {
+      const create = orderRepository.create.bind(orderRepository);
+      const attempts: any[] = [];
+      orderRepository.create = async (order: any) => {
+        attempts.push({ ...order });
+        if (attempts.length === 1) {
+          throw new ConflictError('The order date or order number is already taken');
+        }
+        return create(order);
+      };
+
+      const result = await handler({ Records: [record('m1', checkoutDetail({ orderReference: 'ref-2', idempotencyKey: 'key-2' }))] }, {});
+
+      expect(result).toEqual({ batchItemFailures: [] });
+      expect(attempts).toHaveLength(2);
+      const [first, second] = attempts;
+      expect(second.orderId).not.toBe(first.orderId);
+      expect(second.orderDate > first.orderDate).toBe(true);
+    });
+
+    test('the repository refuses an order number that is taken', async () => {
+      await expect(orderRepository.create(pendingOrder({ orderDate: '2024-02-01T00:00:00.000Z', idempotencyKey: 'key-9' })))
+        .rejects.toMatchObject({ message: 'The order date or order number is already taken', details: [{ field: 'orderId', message: 'is already taken' }] });
+    });
+
+    describe('v2 checkouts', () => {
+      const CONFIRMED_ORDER_ID = 'SWN-20240301-ABC123';
+      const v2Record = () => record('m1', checkoutDetail({ schemaVersion: 2, orderReference: 'ref-2', orderId: CONFIRMED_ORDER_ID, idempotencyKey: 'key-2' }));
+      // the first create fails on the given field, the retry goes through
+      const failFirstCreateOn = (field: string) => {
+        const create = orderRepository.create.bind(orderRepository);
+        const attempts: any[] = [];
+        orderRepository.create = async (order: any) => {
+          attempts.push({ ...order });
+          if (attempts.length === 1) {
+            throw new ConflictError('The order date or order number is already taken', [{ field, message: 'is already taken' }]);
+          }
+          return create(order);
+        };
+        return attempts;
+      };
+
+      test('creates the order under the order number of the checkout confirmation', async () => {
+        await handler({ Records: [v2Record()] }, {});
+
+        const created = (await storedOrders()).find((order: any) => order.orderReference === 'ref-2');
+        expect(created.orderId).toBe(CONFIRMED_ORDER_ID);
+        expect(created.schemaVersion).toBeUndefined();
+      });
+
+      test('keeps the order number when only the order date is taken', async () => {
+        const attempts = failFirstCreateOn('orderDate');
+
+        await handler({ Records: [v2Record()] }, {});
+
+        expect(attempts.map((order: any) => order.orderId)).toEqual([CONFIRMED_ORDER_ID, CONFIRMED_ORDER_ID]);
+      });
+
+      test('draws another order number when the confirmed one is taken', async () => {
+        const attempts = failFirstCreateOn('orderId');
+
+        const result = await handler({ Records: [v2Record()] }, {});
+
+        expect(result).toEqual({ batchItemFailures: [] });
+        expect(attempts[0].orderId).toBe(CONFIRMED_ORDER_ID);
+        expect(attempts[1].orderId).not.toBe(CONFIRMED_ORDER_ID);
+      });
+    });
+
+    test('drops redelivered events with the same idempotencyKey', async () => {
+      const detail = checkoutDetail({ orderReference: 'ref-2', idempotencyKey: 'key-2' });
+
+      await handler({ Records: [record('m1', detail)] }, {});
+      const result = await handler({ Records: [record('m2', detail)] }, {});
+
+      expect(result).toEqual({ batchItemFailures: [] });
+      expect((await storedOrders()).filter((order: any) => order.orderReference === 'ref-2')).toHaveLength(1);
+    });
+
+    test('reports only the failed records of a batch', async () => {
+      const create = orderRepository.create.bind(orderRepository);
+      orderRepository.create = jest.fn(async (order: any) => {
+        if (order.orderReference === 'ref-bad') {
+          throw new Error('throttled');
+        }
+        return create(order);
+      });
+
+      const result = await handler({
+        Records: [
+          record('m1', checkoutDetail({ orderReference: 'ref-2', idempotencyKey: 'key-2' })),
+          record('m2', checkoutDetail({ orderReference: 'ref-bad', idempotencyKey: 'key-bad' })),
+          record('m3', checkoutDetail({ orderReference: 'ref-3', idempotencyKey: 'key-3' }))
+        ]
+      }, {});
+
+      expect(result).toEqual({ batchItemFailures: [{ itemIdentifier: 'm2' }] });
+    });
+
+    test('quarantines events that break the CheckoutBasket contract', async () => {
+      const result = await handler({ Records: [record('m1', checkoutDetail({ subtotal: 'free' }))] }, {});
+
+      expect(result).toEqual({ batchItemFailures: [] });
+      expect(sqsClient.send).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(sqsClient.send.mock.calls[0][0].input.MessageBody)).toMatchObject({ reason: 'invalid', schemaVersion: 1 });
+      expect(await storedOrders()).toHaveLength(1);
+    });
+
+    test('releases the stock of a quarantined checkout with OrderFailed', async () => {
+      await handler({ Records: [record('m1', checkoutDetail({ schemaVersion: 3 }))] }, {});
+
+      expect(ebClient.send).toHaveBeenCalledTimes(1);
+      const [entry] = ebClient.send.mock.calls[0][0].input.Entries;
+      expect(entry.DetailType).toBe('OrderFailed');
+      expect(JSON.parse(entry.Detail)).toEqual({
+        schemaVersion: 1,
+        userName: 'swn',
+        orderReference: 'ref-1',
+        items: ITEMS,
+        reason: 'CheckoutBasket event quarantined : unknownVersion'
+      });
+    });
+
+    test('still quarantines a checkout whose reservation cannot be read', async () => {
+      const result = await handler({ Records: [record('m1', checkoutDetail({ userName: undefined, items: [{ productId: 'phone-1' }] }))] }, {});
+
+      expect(result).toEqual({ batchItemFailures: [] });
+      expect(ebClient.send).not.toHaveBeenCalled();
+      expect(sqsClient.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('retries a quarantined checkout whose OrderFailed could not be published', async () => {
+      ebClient.send.mockRejectedValue(new Error('throttled'));
+
+      const result = await handler({ Records: [record('m1', checkoutDetail({ schemaVersion: 3 }))] }, {});
+
+      expect(result).toEqual({ batchItemFailures: [{ itemIdentifier: 'm1' }] });
+      expect(sqsClient.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('EventBridge invocation', () => {
+    const checkoutEvent = (detail: any) => ({ 'detail-type': 'CheckoutBasket', source: 'com.swn.basket.checkoutbasket', detail });
+
+    test('creates the order', async () => {
+      await handler(checkoutEvent(checkoutDetail({ orderReference: 'ref-2', idempotencyKey: 'key-2' })), {});
+
+      expect((await storedOrders()).map((order: any) => order.orderReference)).toContain('ref-2');
+    });
+
+    test('publishes OrderFailed when the order cannot be persisted', async () => {
+      orderRepository.create = jest.fn().mockRejectedValue(new Error('table unavailable'));
+
+      await handler(checkoutEvent(checkoutDetail()), {});
+
+      expect(ebClient.send).toHaveBeenCalledTimes(1);
+      const [entry] = ebClient.send.mock.calls[0][0].input.Entries;
+      expect(entry).toMatchObject({ Source: 'com.swn.ordering.order', DetailType: 'OrderFailed', EventBusName: 'SwnEventBus' });
+      expect(JSON.parse(entry.Detail)).toEqual({
+        schemaVersion: 1,
+        userName: 'swn',
+        orderReference: 'ref-1',
+        items: ITEMS,
+        reason: 'table unavailable'
+      });
+    });
+  });
+
+  describe('GET /order', () => {
+    test('lists orders', async () => {
+      const response = await call(apiEvent('GET', '/order', { caller: ADMIN }));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body.items).toEqual([pendingOrder()]);
+    });
+
+    test('rejects an invalid limit', async () => {
+      const response = await call(apiEvent('GET', '/order', { queryStringParameters: { limit: '101' }, caller: ADMIN }));
+
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
+  describe('GET /order/{userName}', () => {
+    const HISTORY = [
+      pendingOrder({ orderDate: '2024-01-01T08:00:00.000Z', orderReference: 'ref-jan-1', status: 'DELIVERED' }),
+      pendingOrder(),
+      pendingOrder({ orderDate: '2024-01-31T23:59:00.000Z', orderReference: 'ref-jan-31', status: 'PAID' }),
+      pendingOrder({ orderDate: '2024-02-10T12:00:00.000Z', orderReference: 'ref-feb', status: undefined, statusHistory: undefined }),
+      pendingOrder({ userName: 'jane', orderDate: '2024-01-20T00:00:00.000Z', orderReference: 'ref-jane' })
+    ];
+
+    beforeEach(() => {
+      orderRepository = new InMemoryOrderRepository(HISTORY);
+      handler = createHandler({ orderRepository, ebClient, sqsClient });
+    });
+
+    const history = async (queryStringParameters?: { [name: string]: string }) => {
+      const response = await call(apiEvent('GET', '/order/swn', { pathParameters: { userName: 'swn' }, queryStringParameters }));
+      return { ...response, references: (response.statusCode === 200) ? response.body.body.items.map((order: any) => order.orderReference) : undefined };
+    };
+
+    test('lists the orders of the user newest first', async () => {
+      const response = await history();
+
+      expect(response.statusCode).toBe(200);
+      expect(response.references).toEqual(['ref-feb', 'ref-jan-31', 'ref-1', 'ref-jan-1']);
+      expect(response.body.body.nextToken).toBeUndefined();
+    });
+
+    test('pages with limit and nextToken', async () => {
+      const first = await history({ limit: '3' });
+      const second = await history({ limit: '3', nextToken: first.body.body.nextToken });
+
+      expect(first.references).toEqual(['ref-feb', 'ref-jan-31', 'ref-1']);
+      expect(second.references).toEqual(['ref-jan-1']);
+      expect(second.body.body.nextToken).toBeUndefined();
+    });
+
+    test.each([
+      [{ from: '2024-01-15T10:30:00.000Z' }, ['ref-feb', 'ref-jan-31', 'ref-1']],
+      [{ to: '2024-01-15T10:30:00.000Z' }, ['ref-1', 'ref-jan-1']],
+      // a date to covers the whole day
+      [{ from: '2024-01-02', to: '2024-01-31' }, ['ref-jan-31', 'ref-1']],
+      [{ from: '2024-01-15T11:30:00+01:00', to: '2024-01-15T11:30:00+01:00' }, ['ref-1']]
+    ])('filters the range %j', async (query, references) => {
+      expect((await history(query)).references).toEqual(references);
+    });
+
+    test('filters by status, orders without one are PENDING', async () => {
+      expect((await history({ status: 'PAID' })).references).toEqual(['ref-jan-31']);
+      expect((await history({ status: 'PENDING' })).references).toEqual(['ref-feb', 'ref-1']);
+    });
+
+    test('applies the status filter to each page read, like DynamoDB', async () => {
+      const response = await history({ status: 'DELIVERED', limit: '2' });
+
+      expect(response.references).toEqual([]);
+      expect(response.body.body.nextToken).toEqual(expect.any(String));
+    });
+
+    test.each([
+      [{ from: 'yesterday' }, 'from'],
+      [{ to: '2024-13-45' }, 'to'],
+      [{ from: '2024-02-01', to: '2024-01-01' }, 'from'],
+      [{ status: 'LOST' }, 'status'],
+      [{ limit: '0' }, 'limit']
+    ])('rejects %j', async (query, field) => {
+      const response = await history(query);
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([expect.objectContaining({ field })]);
+    });
+  });
+
+  describe('GET /order/id/{orderId}', () => {
+    const getById = (orderId: string, caller: any = undefined) => call(apiEvent('GET', `/order/id/${orderId}`, { pathParameters: { orderId }, caller }));
+
+    test('returns the order of the caller', async () => {
+      const response = await getById(ORDER_ID);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toEqual(pendingOrder());
+    });
+
+    test('lets admins look up any order', async () => {
+      const response = await getById(ORDER_ID, ADMIN);
+
+      expect(response.statusCode).toBe(200);
+    });
+
+    test.each([
+      ['an unknown order number', 'SWN-20240115-000000', undefined],
+      ['the order of another user', ORDER_ID, { userName: 'mallory' }]
+    ])('returns 404 for %s', async (name, orderId, caller) => {
+      const response = await getById(orderId, caller);
+
+      expect(response.statusCode).toBe(404);
+      expect(response.body.error.message).toBe(`Order "${orderId}" not found`);
+    });
+  });
+
+  describe('GET /order/{userName}/{orderDate}', () => {
+    const getOrder = (orderDate: string) => call(apiEvent('GET', `/order/swn/${encodeURIComponent(orderDate)}`, {
+      pathParameters: { userName: 'swn', orderDate: encodeURIComponent(orderDate) }
+    }));
+
+    test('returns the order', async () => {
+      const response = await getOrder(ORDER_DATE);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toEqual(pendingOrder());
+    });
+
+    test('returns 404 for an unknown order', async () => {
+      const response = await getOrder('2020-01-01T00:00:00.000Z');
+
+      expect(response.statusCode).toBe(404);
+      expect(response.body.error.message).toBe('Order for user "swn" at "2020-01-01T00:00:00.000Z" not found');
+    });
+  });
+
+  describe('PATCH /order/{userName}/{orderDate}/status', () => {
+    const patchStatus = (body: any, orderDate = ORDER_DATE, caller = STAFF) => call(apiEvent('PATCH', `/order/swn/${encodeURIComponent(orderDate)}/status`, {
+      pathParameters: { userName: 'swn', orderDate: encodeURIComponent(orderDate) },
+      body,
+      caller
+    }));
+
+    test('moves the order along its lifecycle and records the transition', async () => {
+      const response = await patchStatus({ status: 'PAID', reason: 'captured' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body.status).toBe('PAID');
+      expect(response.body.body.statusHistory[1]).toMatchObject({ status: 'PAID', actor: 'clerk', reason: 'captured' });
+      expect((await orderRepository.get('swn', ORDER_DATE)).status).toBe('PAID');
+    });
+
+    test('records the caller as the actor, whatever the request says', async () => {
+      const response = await patchStatus({ status: 'PAID', actor: 'payments' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body.statusHistory[1]).toMatchObject({ status: 'PAID', actor: 'clerk' });
+    });
+
+    test('forbids customers to change the status of their own orders', async () => {
+      const response = await patchStatus({ status: 'PAID' }, ORDER_DATE, { userName: 'swn' });
+
+      expect(response.statusCode).toBe(403);
+      expect(response.body.error).toMatchObject({ code: 'FORBIDDEN', message: 'Requires the "staff" role to change order statuses', details: { requiredRole: 'staff' } });
+      expect((await orderRepository.get('swn', ORDER_DATE)).status).toBe('PENDING');
+    });
+
+    test('treats orders without a status as PENDING', async () => {
+      const { status, statusHistory, ...legacy } = pendingOrder();
+      orderRepository = new InMemoryOrderRepository([legacy]);
+      handler = createHandler({ orderRepository, ebClient, sqsClient });
+
+      const response = await patchStatus({ status: 'PAID' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body.statusHistory).toEqual([expect.objectContaining({ status: 'PAID', actor: 'clerk' })]);
+    });
+
+    test('returns 409 with the allowed transitions for an illegal move', async () => {
+      const response = await patchStatus({ status: 'DELIVERED' });
+
+      expect(response.statusCode).toBe(409);
+      expect(response.body.error.details).toEqual({ status: 'PENDING', allowedTransitions: ['PAID', 'CANCELLED'] });
+    });
+
+    test('returns 409 when the status changed concurrently', async () => {
+      const get = orderRepository.get.bind(orderRepository);
+      orderRepository.get = async (userName: string, orderDate: string) => {
+        const order = await get(userName, orderDate);
+        await orderRepository.transition(order, { status: 'CANCELLED', at: new Date().toISOString(), actor: 'other' });
+        return order;
+      };
+
+      const response = await patchStatus({ status: 'PAID' });
+
+      expect(response.statusCode).toBe(409);
+      expect(response.body.error.message).toBe('Order status was changed concurrently, please retry');
+    });
+
+    test('cancels through the cancellation transaction, so the basket service releases the stock', async () => {
+      const response = await patchStatus({ status: 'CANCELLED', reason: 'payment declined' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toMatchObject({ status: 'CANCELLED', cancellationReason: 'payment declined' });
+      expect(orderRepository.outbox).toEqual([{
+        id: expect.any(String),
+        source: 'com.swn.ordering.order',
+        detailType: 'OrderCancelled',
+        detail: expect.objectContaining({ items: ITEMS, reason: 'payment declined', cancelledBy: 'clerk', restoreBasket: false })
+      }]);
+
+      // the outbox relay publishes the event to the basket service
+      const catalogRepository = new InMemoryCatalogRepository([{ id: 'phone-1', name: 'Phone', price: 19.99, stock: 3 }]);
+      const idempotencyRepository = new InMemoryIdempotencyRepository();
+      const basketHandler = basket.createHandler({
+        basketRepository: new InMemoryBasketRepository({ catalogRepository, idempotencyRepository }),
+        catalogRepository,
+        idempotencyRepository
+      });
+      const [{ source, detailType, detail }] = orderRepository.outbox;
+      await basketHandler({ 'detail-type': detailType, source, detail }, {});
+
+      expect(catalogRepository.products.get('phone-1').stock).toBe(5);
+    });
+
+    test('requires a reason to cancel', async () => {
+      const response = await patchStatus({ status: 'CANCELLED' });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([{ field: 'reason', message: 'is required to cancel an order' }]);
+      expect((await orderRepository.get('swn', ORDER_DATE)).status).toBe('PENDING');
+      expect(orderRepository.outbox).toHaveLength(0);
+    });
+
+    test('rejects an unknown status', async () => {
+      const response = await patchStatus({ status: 'LOST' });
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('returns 404 for an unknown order', async () => {
+      const response = await patchStatus({ status: 'PAID' }, '2020-01-01T00:00:00.000Z');
+
+      expect(response.statusCode).toBe(404);
+    });
+  });
+
+  describe('POST /order/{userName}/{orderDate}/cancel', () => {
+    const cancel = (body: any) => call(apiEvent('POST', `/order/swn/${encodeURIComponent(ORDER_DATE)}/cancel`, {
+      pathParameters: { userName: 'swn', orderDate: encodeURIComponent(ORDER_DATE) },
+      body
+    }));
+
+    test('cancels the order and records OrderCancelled in the outbox', async () => {
+      const response = await cancel({ reason: 'changed my mind', restoreBasket: true });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toMatchObject({ status: 'CANCELLED', cancellationReason: 'changed my mind' });
+      expect((await orderRepository.get('swn', ORDER_DATE)).status).toBe('CANCELLED');
+      expect(orderRepository.outbox).toEqual([{
+        id: expect.any(String),
+        source: 'com.swn.ordering.order',
+        detailType: 'OrderCancelled',
+        detail: {
+          schemaVersion: 1,
+          userName: 'swn',
+          orderDate: ORDER_DATE,
+          orderReference: 'ref-1',
+          items: ITEMS,
+          reason: 'changed my mind',
+          cancelledBy: 'swn',
+          restoreBasket: true
+        }
+      }]);
+    });
+
+    test('returns 409 for orders that can no longer be cancelled', async () => {
+      orderRepository = new InMemoryOrderRepository([pendingOrder({ status: 'SHIPPED' })]);
+      handler = createHandler({ orderRepository, ebClient, sqsClient });
+
+      const response = await cancel({ reason: 'too late' });
+
+      expect(response.statusCode).toBe(409);
+      expect(response.body.error.details).toEqual({ status: 'SHIPPED', allowedTransitions: ['DELIVERED'] });
+      expect(orderRepository.outbox).toHaveLength(0);
+    });
+
+    test('requires a reason', async () => {
+      const response = await cancel({});
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([expect.objectContaining({ field: 'reason' })]);
+    });
+  });
+
+  describe('authorization', () => {
+    test('rejects requests that did not go through the authorizer', async () => {
+      const response = await call(apiEvent('GET', '/order/swn', { pathParameters: { userName: 'swn' }, caller: null }));
+
+      expect(response.statusCode).toBe(401);
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    test('restricts GET /order to admins', async () => {
+      const response = await call(apiEvent('GET', '/order'));
+
+      expect(response.statusCode).toBe(403);
+      expect(response.body.error).toMatchObject({ code: 'FORBIDDEN', message: 'Requires the "admin" role to list all orders', details: { requiredRole: 'admin' } });
+    });
+
+    test.each([
+      ['/order/swn', { userName: 'swn' }],
+      [`/order/swn/${encodeURIComponent(ORDER_DATE)}`, { userName: 'swn', orderDate: encodeURIComponent(ORDER_DATE) }]
+    ])('forbids reading %s as another user', async (path, pathParameters) => {
+      const response = await call(apiEvent('GET', path, { pathParameters, caller: { userName: 'mallory' } }));
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    test('lets admins read the history of any user', async () => {
+      const response = await call(apiEvent('GET', '/order/swn', { pathParameters: { userName: 'swn' }, caller: ADMIN }));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body.items).toEqual([pendingOrder()]);
+    });
+
+    test('forbids cancelling the order of another user', async () => {
+      const response = await call(apiEvent('POST', `/order/swn/${encodeURIComponent(ORDER_DATE)}/cancel`, {
+        pathParameters: { userName: 'swn', orderDate: encodeURIComponent(ORDER_DATE) }, body: { reason: 'not mine' }, caller: { userName: 'mallory' }
+      }));
+
+      expect(response.statusCode).toBe(403);
+      expect((await orderRepository.get('swn', ORDER_DATE)).status).toBe('PENDING');
+    });
+
+    test('lets admins act on any order, recorded as the actor', async () => {
+      const response = await call(apiEvent('PATCH', `/order/swn/${encodeURIComponent(ORDER_DATE)}/status`, {
+        pathParameters: { userName: 'swn', orderDate: encodeURIComponent(ORDER_DATE) }, body: { status: 'PAID' }, caller: ADMIN
+      }));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body.statusHistory[1]).toMatchObject({ status: 'PAID', actor: 'ops' });
+    });
+  });
+
+  test('rejects unsupported methods', async () => {
+    const response = await call(apiEvent('DELETE', '/order/swn', { pathParameters: { userName: 'swn' } }));
+
+    expect(response.statusCode).toBe(405);
+    expect(response.headers.Allow).toBe('GET, PATCH, POST');
+  });
+
+  test('rejects POST on routes other than cancel', async () => {
+    const response = await call(apiEvent('POST', '/order'));
+
+    expect(response.statusCode).toBe(405);
+    expect(response.headers.Allow).toBe('GET');
+  });
+});
+
+describe('order redrive tool', () => {
+  silenceConsole();
+
+  const DEAD_LETTER_QUEUE_URL = 'https://sqs.local/OrderDeadLetterQueue';
+  const ORDER_QUEUE_URL = 'https://sqs.local/OrderQueue';
+
+  beforeAll(() => {
+    Object.assign(process.env, {
+      DEAD_LETTER_QUEUE_URL,
+      ORDER_QUEUE_URL,
+      EVENT_SOURCE: 'com.swn.ordering.order',
+      EVENT_BUSNAME: 'SwnEventBus',
+      ORDER_FAILED_DETAILTYPE: 'OrderFailed'
+    });
+  });
+
+  // The dead-letter queue as SQS keeps it : received messages are hidden until released or deleted
+  class StubQueues {
+    deadLetters: any[];
+    sent: any[] = [];
+
+    constructor(bodies: { [messageId: string]: string }) {
+      this.deadLetters = Object.keys(bodies).map((messageId) => ({
+        MessageId: messageId,
+        ReceiptHandle: `receipt-${messageId}`,
+        Body: bodies[messageId],
+        Attributes: { ApproximateReceiveCount: '3', SentTimestamp: String(Date.parse(ORDER_DATE)) },
+        visible: true
+      }));
+    }
+
+    send = jest.fn(async (command: any) => {
+      const input = command.input;
+      const byReceipt = (message: any) => message.ReceiptHandle === input.ReceiptHandle;
+      if (command instanceof ReceiveMessageCommand) {
+        const received = this.deadLetters.filter((message) => message.visible).slice(0, input.MaxNumberOfMessages);
+        received.forEach((message) => { message.visible = false; });
+        return { Messages: received.map(({ visible, ...message }) => message) };
+      } else if (command instanceof ChangeMessageVisibilityCommand) {
+        this.deadLetters.filter(byReceipt).forEach((message) => { message.visible = true; });
+        return {};
+      } else if (command instanceof DeleteMessageCommand) {
+        this.deadLetters = this.deadLetters.filter((message) => !byReceipt(message));
+        return {};
+      } else if (command instanceof SendMessageCommand) {
+        this.sent.push({ queueUrl: input.QueueUrl, body: input.MessageBody });
+        return { MessageId: `redriven-${this.sent.length}` };
+      }
+      throw new Error(`unexpected command ${command.constructor.name}`);
+    });
+
+    waiting = () => this.deadLetters.filter((message) => message.visible).map((message) => message.MessageId);
+  }
+
+  const checkoutBody = (detail: any = {}) => JSON.stringify({ 'detail-type': 'CheckoutBasket', source: 'com.swn.basket.checkoutbasket', detail: checkoutDetail(detail) });
+
+  let queues: StubQueues;
+  let ebClient: any;
+  let redrive: any;
+
+  beforeEach(() => {
+    queues = new StubQueues({ m1: checkoutBody(), m2: checkoutBody({ orderReference: 'ref-2', idempotencyKey: 'key-2' }), m3: 'not json' });
+    ebClient = { send: jest.fn().mockResolvedValue({ FailedEntryCount: 0, Entries: [{ EventId: 'e1' }] }) };
+    redrive = createRedriveHandler({ sqsClient: queues, ebClient });
+  });
+
+  test('lists the waiting messages and leaves them in the queue', async () => {
+    const listed = await redrive({ action: 'list' });
+
+    expect(listed).toEqual([
+      { messageId: 'm1', receiveCount: 3, sentAt: ORDER_DATE, userName: 'swn', orderReference: 'ref-1', malformed: false },
+      { messageId: 'm2', receiveCount: 3, sentAt: ORDER_DATE, userName: 'swn', orderReference: 'ref-2', malformed: false },
+      { messageId: 'm3', receiveCount: 3, sentAt: ORDER_DATE, userName: undefined, orderReference: undefined, malformed: true }
+    ]);
+    expect(queues.waiting()).toEqual(['m1', 'm2', 'm3']);
+  });
+
+  test('inspects one message with its body', async () => {
+    const inspected = await redrive({ action: 'inspect', messageId: 'm2' });
+
+    expect(inspected).toMatchObject({ messageId: 'm2', orderReference: 'ref-2', body: checkoutBody({ orderReference: 'ref-2', idempotencyKey: 'key-2' }) });
+    expect(queues.waiting()).toEqual(['m1', 'm2', 'm3']);
+  });
+
+  test('reports a message that is not in the queue', async () => {
+    await expect(redrive({ action: 'inspect', messageId: 'm9' })).rejects.toThrow('Message "m9" not found in the dead-letter queue');
+    expect(queues.waiting()).toEqual(['m1', 'm2', 'm3']);
+  });
+
+  test('fixes the event detail and moves the message to the order queue', async () => {
+    const result = await redrive({ action: 'fix', messageId: 'm1', patch: { email: 'jane.doe@example.com' } });
+
+    expect(result).toEqual({ messageId: 'm1', redrivenMessageId: 'redriven-1' });
+    expect(queues.sent).toEqual([{ queueUrl: ORDER_QUEUE_URL, body: checkoutBody({ email: 'jane.doe@example.com' }) }]);
+    expect(queues.waiting()).toEqual(['m2', 'm3']);
+  });
+
+  test('replaces the body of a malformed message, which cannot be patched', async () => {
+    await expect(redrive({ action: 'fix', messageId: 'm3', patch: { email: 'x' } })).rejects.toThrow('Request validation failed');
+    expect(queues.waiting()).toEqual(['m1', 'm2', 'm3']);
+
+    await redrive({ action: 'fix', messageId: 'm3', body: JSON.parse(checkoutBody({ orderReference: 'ref-3', idempotencyKey: 'key-3' })) });
+
+    expect(queues.sent).toEqual([{ queueUrl: ORDER_QUEUE_URL, body: checkoutBody({ orderReference: 'ref-3', idempotencyKey: 'key-3' }) }]);
+    expect(queues.waiting()).toEqual(['m1', 'm2']);
+  });
+
+  test('redrives one message or all of them unchanged', async () => {
+    await redrive({ action: 'redrive', messageId: 'm2' });
+    expect(queues.sent.map((message) => message.body)).toEqual([checkoutBody({ orderReference: 'ref-2', idempotencyKey: 'key-2' })]);
+
+    const redriven = await redrive({ action: 'redrive', all: true });
+
+    expect(redriven.map((result: any) => result.messageId)).toEqual(['m1', 'm3']);
+    expect(queues.sent.map((message) => message.body)).toEqual([checkoutBody({ orderReference: 'ref-2', idempotencyKey: 'key-2' }), checkoutBody(), 'not json']);
+    expect(queues.deadLetters).toEqual([]);
+  });
+
+  test('discards a message after publishing OrderFailed for its stock', async () => {
+    const result = await redrive({ action: 'discard', messageId: 'm1' });
+
+    expect(result).toEqual({ messageId: 'm1', discarded: true });
+    expect(ebClient.send).toHaveBeenCalledTimes(1);
+    const [entry] = ebClient.send.mock.calls[0][0].input.Entries;
+    expect(entry.DetailType).toBe('OrderFailed');
+    expect(JSON.parse(entry.Detail)).toEqual({ schemaVersion: 1, userName: 'swn', orderReference: 'ref-1', items: ITEMS, reason: 'Discarded from the order dead-letter queue' });
+    expect(queues.waiting()).toEqual(['m2', 'm3']);
+  });
+
+  test('discards without OrderFailed when asked to keep the stock, or when the body is malformed', async () => {
+    await redrive({ action: 'discard', messageId: 'm1', releaseStock: false });
+    await redrive({ action: 'discard', messageId: 'm3' });
+
+    expect(ebClient.send).not.toHaveBeenCalled();
+    expect(queues.waiting()).toEqual(['m2']);
+  });
+
+  test('keeps the message when OrderFailed cannot be published', async () => {
+    ebClient.send.mockResolvedValue({ FailedEntryCount: 1, Entries: [{ ErrorCode: 'InternalFailure' }] });
+
+    await expect(redrive({ action: 'discard', messageId: 'm1' })).rejects.toThrow('Failed to publish OrderFailed event');
+    expect(queues.deadLetters.map((message) => message.MessageId)).toEqual(['m1', 'm2', 'm3']);
+  });
+
+  test('discarding a checkout whose stock was already released does not release it twice', async () => {
+    const catalogRepository = new InMemoryCatalogRepository([{ id: 'phone-1', name: 'Phone', price: 19.99, stock: 3 }]);
+    const idempotencyRepository = new InMemoryIdempotencyRepository();
+    const basketHandler = basket.createHandler({
+      basketRepository: new InMemoryBasketRepository({ catalogRepository, idempotencyRepository }),
+      catalogRepository,
+      idempotencyRepository
+    });
+    const deliver = async (entry: any) => basketHandler({ 'detail-type': entry.DetailType, source: entry.Source, detail: JSON.parse(entry.Detail) }, {});
+    // the ordering service gave up on the checkout and published OrderFailed before the message reached the dead-letter queue
+    await deliver({
+      DetailType: 'OrderFailed',
+      Source: 'com.swn.ordering.order',
+      Detail: JSON.stringify({ schemaVersion: 1, userName: 'swn', orderReference: 'ref-1', items: ITEMS, reason: 'table unavailable' })
+    });
+    expect(catalogRepository.products.get('phone-1').stock).toBe(5);
+
+    await redrive({ action: 'discard', messageId: 'm1' });
+    await deliver(ebClient.send.mock.calls[0][0].input.Entries[0]);
+
+    expect(catalogRepository.products.get('phone-1').stock).toBe(5);
+  });
+
+  test('rejects unknown actions', async () => {
+    await expect(redrive({ action: 'purge' })).rejects.toThrow('Request validation failed');
+    expect(queues.send).not.toHaveBeenCalled();
+  });
+});
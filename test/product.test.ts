@@ -0,0 +1,881 @@
+import { ADMIN, apiEvent, ApiEventOptions, CATALOG_ADMIN, parseResponse, silenceConsole } from './helpers';
+
+const { createHandler } = require('../src/product/index');
+const { InMemoryProductRepository } = require('../src/product/productRepository');
+const { InMemoryProductSearchIndex, MAX_MATCHES_PER_TERM } = require('../src/product/productSearchIndex');
+const { indexTerms, rankMatches } = require('../src/product/productSearch');
+
+const PHONE = { id: 'phone-1', name: 'Phone', price: 500, category: 'Phone', stock: 3, version: 2 };
+// stored before products were versioned
+const CHEAP_PHONE = { id: 'phone-2', name: 'Basic Phone', price: 100, category: 'Phone', stock: 10 };
+const LAPTOP = { id: 'laptop-1', name: 'Laptop', description: 'Pairs with your phone', price: 1500, category: 'Computer', stock: 1 };
+
+describe('product search terms', () => {
+  test('index every prefix of a word, whole words scoring the field weight and prefixes half of it', () => {
+    expect(indexTerms({ name: 'Café', description: 'Caf' })).toEqual(new Map([['ca', 1.5 + 0.5], ['caf', 1.5 + 1], ['cafe', 3]]));
+  });
+
+  test('rank products matching every term by their summed score', () => {
+    const ranked = rankMatches([
+      [{ productId: 'b', score: 1 }, { productId: 'a', score: 1 }, { productId: 'c', score: 3 }],
+      [{ productId: 'a', score: 2 }, { productId: 'b', score: 2 }]
+    ]);
+
+    expect(ranked).toEqual([{ productId: 'a', score: 3 }, { productId: 'b', score: 3 }]);
+  });
+});
+
+describe('product handler', () => {
+  silenceConsole();
+
+  let productRepository: any;
+  let productSearchIndex: any;
+  let handler: any;
+
+  beforeEach(() => {
+    productRepository = new InMemoryProductRepository([PHONE, CHEAP_PHONE, LAPTOP]);
+    productSearchIndex = new InMemoryProductSearchIndex([PHONE, CHEAP_PHONE, LAPTOP]);
+    handler = createHandler({ productRepository, productSearchIndex });
+  });
+
+  const call = async (event: any) => parseResponse(await handler(event, { awsRequestId: 'test-invocation' }));
+  // catalog mutations are made by a catalog-admin unless a test says otherwise
+  const catalogAdminEvent = (httpMethod: string, path: string, options: ApiEventOptions = {}) => apiEvent(httpMethod, path, { caller: CATALOG_ADMIN, ...options });
+
+  describe('GET /product', () => {
+    test('lists products', async () => {
+      const response = await call(apiEvent('GET', '/product'));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body.items.map((product: any) => product.id)).toEqual(['phone-1', 'phone-2', 'laptop-1']);
+      expect(response.body.body.nextToken).toBeUndefined();
+    });
+
+    test('pages with limit and nextToken', async () => {
+      const first = await call(apiEvent('GET', '/product', { queryStringParameters: { limit: '2' } }));
+      const second = await call(apiEvent('GET', '/product', { queryStringParameters: { limit: '2', nextToken: first.body.body.nextToken } }));
+
+      expect(first.body.body.items).toHaveLength(2);
+      expect(second.body.body.items.map((product: any) => product.id)).toEqual(['laptop-1']);
+      expect(second.body.body.nextToken).toBeUndefined();
+    });
+
+    test('rejects an invalid limit', async () => {
+      const response = await call(apiEvent('GET', '/product', { queryStringParameters: { limit: '0' } }));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details).toEqual([{ field: 'limit', message: 'should be an integer between 1 and 100' }]);
+    });
+
+    test('rejects a malformed nextToken', async () => {
+      const response = await call(apiEvent('GET', '/product', { queryStringParameters: { nextToken: 'not-a-token' } }));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details[0].field).toBe('nextToken');
+    });
+  });
+
+  describe('GET /product?category=', () => {
+    test('lists a category by price', async () => {
+      const response = await call(apiEvent('GET', '/product', { queryStringParameters: { category: 'Phone' } }));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body.items.map((product: any) => product.id)).toEqual(['phone-2', 'phone-1']);
+    });
+
+    test('sorts by name in descending order', async () => {
+      const response = await call(apiEvent('GET', '/product', { queryStringParameters: { category: 'Phone', sort: 'name', order: 'desc' } }));
+
+      expect(response.body.body.items.map((product: any) => product.name)).toEqual(['Phone', 'Basic Phone']);
+    });
+
+    test('rejects an unsupported sort field', async () => {
+      const response = await call(apiEvent('GET', '/product', { queryStringParameters: { category: 'Phone', sort: 'stock' } }));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([{ field: 'sort', message: 'should be one of: price, name' }]);
+    });
+
+    test('rejects an unsupported order', async () => {
+      const response = await call(apiEvent('GET', '/product', { queryStringParameters: { category: 'Phone', order: 'up' } }));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([{ field: 'order', message: 'should be one of: asc, desc' }]);
+    });
+  });
+
+  describe('GET /product/search', () => {
+    const search = async (q: string, query: any = {}) => (await call(apiEvent('GET', '/product/search', { queryStringParameters: { q, ...query } })));
+    const ids = (response: any) => response.body.body.items.map((product: any) => product.id);
+
+    test('finds products by name, category and description, most relevant first', async () => {
+      const response = await search('phone');
+
+      expect(response.statusCode).toBe(200);
+      // name and category match for both phones, the laptop only mentions phones in its description
+      expect(ids(response)).toEqual(['phone-1', 'phone-2', 'laptop-1']);
+      expect(response.body.body.items[0]).toEqual(PHONE);
+    });
+
+    test('matches the beginning of words for type-ahead', async () => {
+      expect(ids(await search('Lapt'))).toEqual(['laptop-1']);
+    });
+
+    test('finds products matching every word', async () => {
+      expect(ids(await search('basic PHONE'))).toEqual(['phone-2']);
+      expect(ids(await search('basic laptop'))).toEqual([]);
+    });
+
+    test('ranks whole words above the beginning of words', async () => {
+      await productSearchIndex.replace({ id: 'case-1', name: 'Phonecase' });
+      await productRepository.create({ id: 'case-1', name: 'Phonecase', price: 10 });
+
+      expect(ids(await search('phone'))).toEqual(['phone-1', 'phone-2', 'case-1', 'laptop-1']);
+    });
+
+    test('keeps the best scored matches of a word matching too many products', async () => {
+      // ids sorted before phone-1, only found by the beginning of a word of their name
+      for (let i = 0; i < MAX_MATCHES_PER_TERM; i++) {
+        await productSearchIndex.replace({ id: `a-${String(i).padStart(4, '0')}`, name: 'Phonebook' });
+      }
+
+      expect(await productSearchIndex.match('phone')).toHaveLength(MAX_MATCHES_PER_TERM);
+      expect(ids(await search('phone', { limit: '1' }))).toEqual(['phone-1']);
+    });
+
+    test('pages with limit and nextToken', async () => {
+      const first = await search('phone', { limit: '2' });
+      const second = await search('phone', { limit: '2', nextToken: first.body.body.nextToken });
+
+      expect(ids(first)).toEqual(['phone-1', 'phone-2']);
+      expect(ids(second)).toEqual(['laptop-1']);
+      expect(second.body.body.nextToken).toBeUndefined();
+    });
+
+    test('skips products deleted since they were indexed', async () => {
+      await productRepository.delete('phone-1');
+
+      expect(ids(await search('phone'))).toEqual(['phone-2', 'laptop-1']);
+    });
+
+    test.each([
+      ['without q', undefined, 'is required'],
+      ['without a word to search for', '- ! a', 'should contain a word of at least 2 letters or digits'],
+      ['with a too long q', 'x'.repeat(201), 'should be at most 200 characters']
+    ])('rejects a search %s', async (name, q, message) => {
+      const response = await call(apiEvent('GET', '/product/search', { queryStringParameters: (q != null) ? { q } : undefined }));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([{ field: 'q', message }]);
+    });
+
+    test('rejects a nextToken of another listing', async () => {
+      const listing = await call(apiEvent('GET', '/product', { queryStringParameters: { limit: '1' } }));
+
+      const response = await search('phone', { nextToken: listing.body.body.nextToken });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details[0].field).toBe('nextToken');
+    });
+
+    test('finds created products and updated names, and no longer finds deleted products', async () => {
+      await call(catalogAdminEvent('POST', '/product', { body: { name: 'Tablet', price: 300, category: 'Tablet' } }));
+      expect((await search('tablet')).body.body.items.map((product: any) => product.name)).toEqual(['Tablet']);
+
+      await call(catalogAdminEvent('PUT', '/product/laptop-1', { pathParameters: { id: 'laptop-1' }, body: { name: 'Notebook' } }));
+      expect(ids(await search('notebook'))).toEqual(['laptop-1']);
+      expect(ids(await search('laptop'))).toEqual([]);
+
+      await call(catalogAdminEvent('DELETE', '/product/laptop-1', { pathParameters: { id: 'laptop-1' } }));
+      expect(ids(await search('notebook'))).toEqual([]);
+    });
+
+    test('is read-only', async () => {
+      const response = await call(catalogAdminEvent('POST', '/product/search', { body: { name: 'x', price: 1 } }));
+
+      expect(response.statusCode).toBe(405);
+      expect(response.headers.Allow).toBe('GET');
+    });
+  });
+
+  describe('GET /product/{id}', () => {
+    test('returns the product', async () => {
+      const response = await call(apiEvent('GET', '/product/phone-1', { pathParameters: { id: 'phone-1' } }));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toEqual(PHONE);
+      expect(response.headers.ETag).toBe('"2"');
+    });
+
+    test('reports products stored without a version at version 0', async () => {
+      const response = await call(apiEvent('GET', '/product/phone-2', { pathParameters: { id: 'phone-2' } }));
+
+      expect(response.headers.ETag).toBe('"0"');
+    });
+
+    test('returns 404 for an unknown id', async () => {
+      const response = await call(apiEvent('GET', '/product/missing', { pathParameters: { id: 'missing' } }));
+
+      expect(response.statusCode).toBe(404);
+      expect(response.body.error).toEqual({ code: 'NOT_FOUND', message: 'Product "missing" not found', requestId: 'test-request-id' });
+    });
+  });
+
+  describe('POST /product', () => {
+    test('creates the product with a generated id and no stock', async () => {
+      const response = await call(catalogAdminEvent('POST', '/product', { body: { id: 'client-id', name: 'Tablet', price: 300, category: 'Tablet' } }));
+
+      expect(response.statusCode).toBe(200);
+      const created = (await productRepository.listByCategory('Tablet', 'price', 'asc', { limit: 10 })).items;
+      expect(created).toHaveLength(1);
+      expect(created[0].id).not.toBe('client-id');
+      expect(created[0]).toMatchObject({ name: 'Tablet', price: 300, stock: 0, version: 1 });
+    });
+
+    test('rejects a payload that breaks the schema', async () => {
+      const response = await call(catalogAdminEvent('POST', '/product', { body: { name: '', price: -1 } }));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details.map((error: any) => error.field)).toEqual(expect.arrayContaining(['name', 'price']));
+    });
+
+    test('rejects malformed JSON', async () => {
+      const response = await call(catalogAdminEvent('POST', '/product', { body: '{"name":' }));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('is not allowed on a product', async () => {
+      const response = await call(catalogAdminEvent('POST', '/product/phone-1', { pathParameters: { id: 'phone-1' }, body: { name: 'x', price: 1 } }));
+
+      expect(response.statusCode).toBe(405);
+      expect(response.headers.Allow).toBe('GET, PUT, DELETE');
+    });
+  });
+
+  describe('PUT /product/{id}', () => {
+    const update = (id: string, body: any, headers: { [name: string]: string } = {}) =>
+      call(catalogAdminEvent('PUT', `/product/${id}`, { pathParameters: { id }, body, headers }));
+
+    test('updates the given fields only and increments the version', async () => {
+      const response = await update('phone-1', { price: 450 });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toEqual({ ...PHONE, price: 450, version: 3 });
+      expect(response.headers.ETag).toBe('"3"');
+      expect(await productRepository.get('phone-1')).toEqual({ ...PHONE, price: 450, version: 3, priceEffectiveFrom: expect.any(String) });
+    });
+
+    test('applies with an If-Match of the current ETag', async () => {
+      const response = await update('phone-1', { price: 450 }, { 'if-match': '"2"' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers.ETag).toBe('"3"');
+    });
+
+    test('accepts If-Match "0" for a product stored without a version', async () => {
+      const response = await update('phone-2', { price: 90 }, { 'If-Match': '"0"' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body.version).toBe(1);
+    });
+
+    test('returns 412 for a stale If-Match and changes nothing', async () => {
+      const response = await update('phone-1', { price: 450 }, { 'If-Match': '"1"' });
+
+      expect(response.statusCode).toBe(412);
+      expect(response.body.error.code).toBe('PRECONDITION_FAILED');
+      expect(await productRepository.get('phone-1')).toEqual(PHONE);
+    });
+
+    test('the second of two updates read at the same version fails', async () => {
+      const { headers } = await call(apiEvent('GET', '/product/phone-1', { pathParameters: { id: 'phone-1' } }));
+
+      const first = await update('phone-1', { price: 450 }, { 'If-Match': headers.ETag });
+      const second = await update('phone-1', { stock: 0 }, { 'If-Match': headers.ETag });
+
+      expect([first.statusCode, second.statusCode]).toEqual([200, 412]);
+      expect(await productRepository.get('phone-1')).toEqual({ ...PHONE, price: 450, version: 3, priceEffectiveFrom: expect.any(String) });
+    });
+
+    test('accepts If-Match *', async () => {
+      const response = await update('phone-1', { price: 450 }, { 'If-Match': '*' });
+
+      expect(response.statusCode).toBe(200);
+    });
+
+    test.each(['W/"2"', '"2", "3"', '2'])('rejects the If-Match %s', async (ifMatch) => {
+      const response = await update('phone-1', { price: 450 }, { 'If-Match': ifMatch });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([expect.objectContaining({ field: 'If-Match' })]);
+    });
+
+    test('returns 404 for an unknown id instead of creating a product', async () => {
+      const response = await update('missing', { price: 1 });
+
+      expect(response.statusCode).toBe(404);
+      expect(response.body.error.message).toBe('Product "missing" not found');
+      expect(await productRepository.get('missing')).toBeUndefined();
+    });
+
+    test('refuses to change the version', async () => {
+      const response = await update('phone-1', { version: 7 });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([{ field: 'version', message: 'cannot be updated' }]);
+    });
+
+    test('refuses to change the id', async () => {
+      const response = await call(catalogAdminEvent('PUT', '/product/phone-1', { pathParameters: { id: 'phone-1' }, body: { id: 'other' } }));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual(expect.arrayContaining([{ field: 'id', message: 'cannot be updated' }]));
+    });
+
+    test('rejects an empty update', async () => {
+      const response = await call(catalogAdminEvent('PUT', '/product/phone-1', { pathParameters: { id: 'phone-1' }, body: {} }));
+
+      expect(response.statusCode).toBe(400);
+    });
+
+    test('is not allowed on the collection', async () => {
+      const response = await call(catalogAdminEvent('PUT', '/product', { body: { price: 1 } }));
+
+      expect(response.statusCode).toBe(405);
+      expect(response.headers.Allow).toBe('GET, POST');
+    });
+  });
+
+  describe('DELETE /product/{id}', () => {
+    test('deletes the product', async () => {
+      const response = await call(catalogAdminEvent('DELETE', '/product/laptop-1', { pathParameters: { id: 'laptop-1' } }));
+
+      expect(response.statusCode).toBe(200);
+      expect(await productRepository.get('laptop-1')).toBeUndefined();
+    });
+
+    test('returns 404 for an unknown id', async () => {
+      const response = await call(catalogAdminEvent('DELETE', '/product/missing', { pathParameters: { id: 'missing' } }));
+
+      expect(response.statusCode).toBe(404);
+    });
+
+    test('is not allowed on the collection', async () => {
+      const response = await call(catalogAdminEvent('DELETE', '/product'));
+
+      expect(response.statusCode).toBe(405);
+    });
+  });
+
+  describe('POST /product/import', () => {
+    const importEvent = (body: string, contentType: string, query: any = undefined) =>
+      catalogAdminEvent('POST', '/product/import', { body, headers: { 'Content-Type': contentType }, queryStringParameters: query });
+
+    test('creates products from a CSV file, renaming columns with the mapping', async () => {
+      const csv = 'Product Name,Price,Category,Description\r\nTablet,300,Tablet,"10"", with pen"\r\nCharger,19.5,,\r\n';
+
+      const response = await call(importEvent(csv, 'text/csv', { mapping: JSON.stringify({ 'Product Name': 'name', Price: 'price', Category: 'category', Description: 'description' }) }));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toEqual({ dryRun: false, rows: 2, created: 2, replaced: 0, failed: 0, errors: [] });
+      const { items } = await productRepository.list({ limit: 10 });
+      expect(items.slice(3).map(({ id, ...product }: any) => product)).toEqual([
+        { name: 'Tablet', price: 300, category: 'Tablet', description: '10", with pen', stock: 0, version: 1, priceEffectiveFrom: expect.any(String) },
+        { name: 'Charger', price: 19.5, stock: 0, version: 1, priceEffectiveFrom: expect.any(String) }
+      ]);
+    });
+
+    test('replaces the products of known ids at their next version and creates the others', async () => {
+      const ndjson = [
+        JSON.stringify({ id: 'phone-1', name: 'Phone 2', price: 550, stock: 5, version: 9 }),
+        '',
+        JSON.stringify({ id: 'phone-2', name: 'Basic Phone', price: 90 }),
+        JSON.stringify({ id: 'watch-1', name: 'Watch', price: 200 })
+      ].join('\n');
+
+      const response = await call(importEvent(ndjson, 'application/x-ndjson'));
+
+      expect(response.body.body).toEqual({ dryRun: false, rows: 3, created: 1, replaced: 2, failed: 0, errors: [] });
+      expect(await productRepository.get('phone-1')).toEqual({ id: 'phone-1', name: 'Phone 2', price: 550, stock: 5, version: 3, priceEffectiveFrom: expect.any(String) });
+      // stored before products were versioned
+      expect((await productRepository.get('phone-2')).version).toBe(1);
+      expect(await productRepository.get('watch-1')).toEqual({ id: 'watch-1', name: 'Watch', price: 200, stock: 0, version: 1, priceEffectiveFrom: expect.any(String) });
+    });
+
+    test('imports the valid rows and reports the others by line', async () => {
+      const csv = 'id,name,price\nok-1,Cable,5\nbad-1,,-1\nok-1,Cable again,6\n"multi\nline",Adapter\nok-2,Plug,free\n';
+
+      const response = await call(importEvent(csv, 'text/csv'));
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toEqual({
+        dryRun: false, rows: 5, created: 1, replaced: 0, failed: 4,
+        errors: [
+          { line: 3, errors: [{ field: 'name', message: 'is required' }, { field: 'price', message: 'should be >= 0' }] },
+          { line: 4, errors: [{ field: 'id', message: 'is already imported by line 2' }] },
+          { line: 5, errors: [{ field: '(root)', message: 'has 2 values, the header has 3 columns' }] },
+          { line: 7, errors: [{ field: 'price', message: 'should be of type number' }] }
+        ]
+      });
+      expect(await productRepository.get('ok-1')).toEqual({ id: 'ok-1', name: 'Cable', price: 5, stock: 0, version: 1, priceEffectiveFrom: expect.any(String) });
+    });
+
+    test('reports NDJSON lines that are not product objects', async () => {
+      const response = await call(importEvent('{"name":"Cable","price":5}\n{"name":\n[1]\n', 'application/x-ndjson'));
+
+      expect(response.body.body.failed).toBe(2);
+      expect(response.body.body.errors.map(({ line, errors }: any) => [line, errors[0].message.split(':')[0]]))
+        .toEqual([[2, 'is not valid JSON'], [3, 'should be a JSON object']]);
+    });
+
+    test('writes nothing on a dry run', async () => {
+      const response = await call(importEvent('id,name,price\nphone-1,Phone,1\nnew-1,New,2\nbad-1,Bad\n', 'text/csv', { dryRun: 'true' }));
+
+      expect(response.body.body).toEqual({
+        dryRun: true, rows: 3, created: 1, replaced: 1, failed: 1,
+        errors: [{ line: 4, errors: [{ field: '(root)', message: 'has 2 values, the header has 3 columns' }] }]
+      });
+      expect(await productRepository.get('phone-1')).toEqual(PHONE);
+      expect(await productRepository.get('new-1')).toBeUndefined();
+    });
+
+    test('indexes imported products for search', async () => {
+      await call(importEvent('id,name,price\nlaptop-1,Notebook,1400\ncase-1,Laptop sleeve,20\n', 'text/csv'));
+
+      const response = await call(apiEvent('GET', '/product/search', { queryStringParameters: { q: 'laptop' } }));
+
+      expect(response.body.body.items.map((product: any) => product.id)).toEqual(['case-1']);
+    });
+
+    test('reports the rows of a batch that could not be written', async () => {
+      productRepository.putMany = async () => { throw new Error('throttled'); };
+
+      const response = await call(importEvent('id,name,price\nok-1,Cable,5\n', 'text/csv'));
+
+      expect(response.body.body).toEqual({
+        dryRun: false, rows: 1, created: 0, replaced: 0, failed: 1,
+        errors: [{ line: 2, id: 'ok-1', errors: [{ field: '(root)', message: 'may not have been saved, import it again with its id' }] }]
+      });
+    });
+
+    test('reports products saved but not indexed', async () => {
+      productSearchIndex.replace = async () => { throw new Error('throttled'); };
+
+      const response = await call(importEvent('id,name,price\nok-1,Cable,5\n', 'text/csv'));
+
+      expect(response.body.body).toMatchObject({ created: 0, failed: 1, errors: [{ line: 2, id: 'ok-1' }] });
+      expect(await productRepository.get('ok-1')).toMatchObject({ name: 'Cable' });
+    });
+
+    test('reads base64 encoded bodies and takes the format from the query', async () => {
+      const event = importEvent(Buffer.from('name,price\nCable,5\n').toString('base64'), 'application/octet-stream', { format: 'csv' });
+
+      const response = await call({ ...event, isBase64Encoded: true });
+
+      expect(response.body.body.created).toBe(1);
+    });
+
+    test.each([
+      ['an unknown Content-Type', 'name,price', 'application/json', undefined, [{ field: 'Content-Type', message: 'should be text/csv or application/x-ndjson, or give format=csv|ndjson' }]],
+      ['an empty body', '  ', 'text/csv', undefined, [{ field: '(root)', message: 'request body is required' }]],
+      ['a mapping that is not an object', 'name,price', 'text/csv', { mapping: '["name"]' }, [expect.objectContaining({ field: 'mapping' })]],
+      ['an unclosed quote', 'name,price\n"Cable,5\n', 'text/csv', undefined, [{ field: '(root)', message: 'the quoted value starting on line 2 is never closed' }]],
+      ['a duplicate column', 'name,price,name\n', 'text/csv', undefined, [{ field: '(root)', message: 'the header has the column "name" more than once' }]],
+      ['too many rows', `name,price\n${'Cable,5\n'.repeat(1001)}`, 'text/csv', undefined, [{ field: '(root)', message: 'should have at most 1000 rows, split the file' }]]
+    ])('rejects %s and writes nothing', async (name, body, contentType, query, details) => {
+      const response = await call(importEvent(body as string, contentType as string, query));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual(details);
+      expect((await productRepository.list({ limit: 10 })).items).toHaveLength(3);
+    });
+
+    test('only accepts POST', async () => {
+      const response = await call(catalogAdminEvent('GET', '/product/import'));
+
+      expect(response.statusCode).toBe(405);
+      expect(response.headers.Allow).toBe('POST');
+    });
+  });
+
+  describe('GET /product/export', () => {
+    // the export is a file, not a JSON envelope
+    const exportProducts = async (query: any = undefined) => handler(catalogAdminEvent('GET', '/product/export', { queryStringParameters: query }), {});
+
+    test('exports every product as NDJSON by default', async () => {
+      const response = await exportProducts();
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Content-Type']).toBe('application/x-ndjson');
+      expect(response.headers['Content-Disposition']).toBe('attachment; filename="products.ndjson"');
+      expect(response.headers['X-Next-Token']).toBeUndefined();
+      expect(response.body.split('\n')).toEqual([JSON.stringify(PHONE), JSON.stringify(CHEAP_PHONE), JSON.stringify(LAPTOP), '']);
+    });
+
+    test('exports CSV with the known columns first', async () => {
+      await productRepository.putMany([{ id: 'cable-1', name: 'Cable, 2m', price: 5, stock: 0, version: 1, colors: ['black'] }]);
+
+      const response = await exportProducts({ format: 'csv' });
+
+      expect(response.headers['Content-Type']).toBe('text/csv; charset=utf-8');
+      expect(response.body).toBe([
+        'id,name,description,category,price,stock,imageFile,version,colors',
+        'phone-1,Phone,,Phone,500,3,,2,',
+        'phone-2,Basic Phone,,Phone,100,10,,,',
+        'laptop-1,Laptop,Pairs with your phone,Computer,1500,1,,,',
+        'cable-1,"Cable, 2m",,,5,0,,1,"[""black""]"',
+        ''
+      ].join('\r\n'));
+    });
+
+    test('imports back what it exports', async () => {
+      const exported = await exportProducts();
+      productRepository = new InMemoryProductRepository();
+      handler = createHandler({ productRepository, productSearchIndex });
+
+      await call(catalogAdminEvent('POST', '/product/import', { body: exported.body, headers: { 'Content-Type': 'application/x-ndjson' } }));
+
+      expect(await productRepository.get('phone-1')).toEqual({ ...PHONE, version: 1, priceEffectiveFrom: expect.any(String) });
+      expect(await productRepository.get('laptop-1')).toEqual({ ...LAPTOP, version: 1, priceEffectiveFrom: expect.any(String) });
+    });
+
+    test('continues with the X-Next-Token header when the table does not fit one response', async () => {
+      // products of about 1 MB, the export stops past 4 MB
+      const description = 'x'.repeat(1024 * 1024);
+      productRepository = new InMemoryProductRepository([1, 2, 3, 4, 5, 6].map((n) => ({ id: `big-${n}`, name: 'Big', price: 1, description })));
+      handler = createHandler({ productRepository, productSearchIndex });
+
+      // one page is scanned at a time, make it small enough to stop
+      productRepository.list = ((list) => (page: any) => list({ ...page, limit: 1 }))(productRepository.list.bind(productRepository));
+      const first = await exportProducts();
+      const second = await exportProducts({ nextToken: first.headers['X-Next-Token'] });
+
+      expect(first.body.trim().split('\n')).toHaveLength(4);
+      expect(second.body.trim().split('\n')).toHaveLength(2);
+      expect(second.headers['X-Next-Token']).toBeUndefined();
+    });
+
+    test('rejects an unknown format', async () => {
+      const response = parseResponse(await exportProducts({ format: 'xlsx' }));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([{ field: 'format', message: 'should be one of: csv, ndjson' }]);
+    });
+  });
+
+  describe('prices', () => {
+    // the time of the requests, moved forward by the tests
+    const at = (time: string) => jest.setSystemTime(new Date(time));
+    beforeEach(() => {
+      jest.useFakeTimers('modern');
+      at('2024-03-01T10:00:00.000Z');
+    });
+    afterEach(() => jest.useRealTimers());
+
+    const getPrices = (id: string, options: ApiEventOptions = {}) =>
+      call(catalogAdminEvent('GET', `/product/${id}/prices`, { pathParameters: { id }, ...options }));
+    const schedule = (id: string, body: any, headers: { [name: string]: string } = {}) =>
+      call(catalogAdminEvent('POST', `/product/${id}/prices`, { pathParameters: { id }, body, headers }));
+    const priceOf = async (id: string) => (await call(apiEvent('GET', `/product/${id}`, { pathParameters: { id } }))).body.body.price;
+
+    test('records the price of a created product and of every update that sets it', async () => {
+      await call(catalogAdminEvent('POST', '/product', { body: { name: 'Tablet', price: 300, category: 'Tablet' } }));
+      const [{ id }] = (await productRepository.listByCategory('Tablet', 'price', 'asc', { limit: 1 })).items;
+      at('2024-03-02T10:00:00.000Z');
+      await call(catalogAdminEvent('PUT', `/product/${id}`, { pathParameters: { id }, body: { price: 280 } }));
+      await call(catalogAdminEvent('PUT', `/product/${id}`, { pathParameters: { id }, body: { stock: 4 } }));
+
+      const response = await getPrices(id);
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toEqual({
+        items: [
+          { effectiveFrom: '2024-03-02T10:00:00.000Z', version: 2, price: 280, source: 'update', changedBy: 'merchandiser', changedAt: '2024-03-02T10:00:00.000Z', status: 'current' },
+          { effectiveFrom: '2024-03-01T10:00:00.000Z', version: 1, price: 300, source: 'create', changedBy: 'merchandiser', changedAt: '2024-03-01T10:00:00.000Z', status: 'past' }
+        ]
+      });
+    });
+
+    test('a scheduled price applies from its time on, without another write', async () => {
+      const response = await schedule('phone-1', { price: 450, effectiveFrom: '2024-04-01T00:00:00+02:00' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.body.body).toEqual({
+        effectiveFrom: '2024-03-31T22:00:00.000Z', version: 3, price: 450, source: 'schedule', changedBy: 'merchandiser', changedAt: '2024-03-01T10:00:00.000Z', status: 'scheduled'
+      });
+      expect(await priceOf('phone-1')).toBe(500);
+
+      at('2024-03-31T22:00:00.000Z');
+      expect(await priceOf('phone-1')).toBe(450);
+      const listed = await call(apiEvent('GET', '/product', { queryStringParameters: { limit: '1' } }));
+      expect(listed.body.body.items[0]).toEqual({ ...PHONE, price: 450, version: 3 });
+      expect((await getPrices('phone-1')).body.body.items.map((entry: any) => [entry.price, entry.status])).toEqual([[450, 'current']]);
+    });
+
+    test('an update after a scheduled price started replaces it', async () => {
+      await schedule('phone-1', { price: 450, effectiveFrom: '2024-03-10T00:00:00Z' });
+      await schedule('phone-1', { price: 400, effectiveFrom: '2024-03-20T00:00:00Z' });
+
+      at('2024-03-15T00:00:00.000Z');
+      await call(catalogAdminEvent('PUT', '/product/phone-1', { pathParameters: { id: 'phone-1' }, body: { price: 475 } }));
+      expect(await priceOf('phone-1')).toBe(475);
+
+      at('2024-03-20T00:00:00.000Z');
+      expect(await priceOf('phone-1')).toBe(400);
+      expect((await getPrices('phone-1')).body.body.items.map((entry: any) => [entry.price, entry.status]))
+        .toEqual([[400, 'current'], [475, 'past'], [450, 'past']]);
+    });
+
+    test('a price scheduled at the same time replaces the first one, both stay in the history', async () => {
+      await schedule('phone-1', { price: 450, effectiveFrom: '2024-04-01T00:00:00Z' });
+      await schedule('phone-1', { price: 425, effectiveFrom: '2024-04-01T00:00:00.000Z' });
+
+      expect((await getPrices('phone-1')).body.body.items.map((entry: any) => [entry.price, entry.version, entry.status]))
+        .toEqual([[425, 4, 'scheduled'], [450, 3, 'replaced']]);
+      expect((await productRepository.get('phone-1')).scheduledPrices).toEqual([{ price: 425, effectiveFrom: '2024-04-01T00:00:00.000Z' }]);
+    });
+
+    test('keeps both prices of two updates within the same millisecond', async () => {
+      const update = (price: number) => call(catalogAdminEvent('PUT', '/product/phone-1', { pathParameters: { id: 'phone-1' }, body: { price } }));
+      await update(280);
+      await update(270);
+
+      expect((await getPrices('phone-1')).body.body.items.map((entry: any) => [entry.price, entry.version, entry.status]))
+        .toEqual([[270, 4, 'current'], [280, 3, 'replaced']]);
+
+      // the entry it replaces can start the next page
+      const first = await getPrices('phone-1', { queryStringParameters: { limit: '1' } });
+      const second = await getPrices('phone-1', { queryStringParameters: { limit: '1', nextToken: first.body.body.nextToken } });
+      expect(second.body.body.items.map((entry: any) => [entry.price, entry.status])).toEqual([[280, 'replaced']]);
+    });
+
+    test('a price update without If-Match fails with 409 when the product changes meanwhile', async () => {
+      // read at version 1, while the product is at version 2
+      jest.spyOn(productRepository, 'get').mockResolvedValueOnce({ ...PHONE, version: 1 });
+
+      const response = await call(catalogAdminEvent('PUT', '/product/phone-1', { pathParameters: { id: 'phone-1' }, body: { price: 280 } }));
+
+      expect(response.statusCode).toBe(409);
+      expect((await getPrices('phone-1')).body.body.items).toEqual([]);
+    });
+
+    test('a category sorted by price is ordered on the prices in effect', async () => {
+      await schedule('phone-1', { price: 50, effectiveFrom: '2024-04-01T00:00:00Z' });
+      const byPrice = async (order: string) => (await call(apiEvent('GET', '/product', { queryStringParameters: { category: 'Phone', order } })))
+        .body.body.items.map((product: any) => [product.id, product.price]);
+
+      expect(await byPrice('asc')).toEqual([['phone-2', 100], ['phone-1', 500]]);
+
+      at('2024-04-01T00:00:00.000Z');
+      expect(await byPrice('asc')).toEqual([['phone-1', 50], ['phone-2', 100]]);
+      expect(await byPrice('desc')).toEqual([['phone-2', 100], ['phone-1', 50]]);
+    });
+
+    test('product reads do not show scheduled prices', async () => {
+      await schedule('phone-1', { price: 450, effectiveFrom: '2024-04-01T00:00:00Z' });
+
+      const response = await call(apiEvent('GET', '/product/phone-1', { pathParameters: { id: 'phone-1' } }));
+
+      expect(response.body.body).toEqual({ ...PHONE, version: 3 });
+      expect(response.headers.ETag).toBe('"3"');
+    });
+
+    test('pages the history with limit and nextToken', async () => {
+      await schedule('phone-1', { price: 450, effectiveFrom: '2024-04-01T00:00:00Z' });
+      await schedule('phone-1', { price: 400, effectiveFrom: '2024-05-01T00:00:00Z' });
+
+      const first = await getPrices('phone-1', { queryStringParameters: { limit: '1' } });
+      const second = await getPrices('phone-1', { queryStringParameters: { limit: '1', nextToken: first.body.body.nextToken } });
+
+      expect(first.body.body.items.map((entry: any) => entry.price)).toEqual([400]);
+      expect(second.body.body.items.map((entry: any) => entry.price)).toEqual([450]);
+      expect(second.body.body.nextToken).toBeUndefined();
+    });
+
+    test.each([
+      ['without effectiveFrom', { price: 450 }, 'effectiveFrom', 'is required'],
+      ['without a time zone', { price: 450, effectiveFrom: '2024-04-01T00:00:00' }, 'effectiveFrom', 'should be an ISO 8601 date-time with a time zone, e.g. 2030-01-01T00:00:00Z'],
+      ['with a date only', { price: 450, effectiveFrom: '2024-04-01' }, 'effectiveFrom', 'should be an ISO 8601 date-time with a time zone, e.g. 2030-01-01T00:00:00Z'],
+      ['in the past', { price: 450, effectiveFrom: '2024-03-01T10:00:00Z' }, 'effectiveFrom', 'should be in the future'],
+      ['with a negative price', { price: -1, effectiveFrom: '2024-04-01T00:00:00Z' }, 'price', 'should be >= 0']
+    ])('rejects a price %s', async (name, body, field, message) => {
+      const response = await schedule('phone-1', body);
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([{ field, message }]);
+      expect(await productRepository.get('phone-1')).toEqual(PHONE);
+    });
+
+    test('rejects more than 20 scheduled prices', async () => {
+      for (let day = 1; day <= 20; day++) {
+        await schedule('phone-1', { price: day, effectiveFrom: `2024-04-${String(day).padStart(2, '0')}T00:00:00Z` });
+      }
+
+      const response = await schedule('phone-1', { price: 1, effectiveFrom: '2024-05-01T00:00:00Z' });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([{ field: 'effectiveFrom', message: 'the product already has 20 scheduled prices' }]);
+    });
+
+    test('schedules with an If-Match of the current ETag only', async () => {
+      expect((await schedule('phone-1', { price: 450, effectiveFrom: '2024-04-01T00:00:00Z' }, { 'If-Match': '"1"' })).statusCode).toBe(412);
+      expect((await schedule('phone-1', { price: 450, effectiveFrom: '2024-04-01T00:00:00Z' }, { 'If-Match': '"2"' })).statusCode).toBe(200);
+    });
+
+    test('records the prices an import changes and keeps the scheduled ones', async () => {
+      await schedule('phone-1', { price: 450, effectiveFrom: '2024-04-01T00:00:00Z' });
+      at('2024-03-02T10:00:00.000Z');
+
+      await call(catalogAdminEvent('POST', '/product/import', {
+        body: 'id,name,price\nphone-1,Phone,500\nlaptop-1,Laptop,1400\n', headers: { 'Content-Type': 'text/csv' }
+      }));
+
+      expect((await getPrices('phone-1')).body.body.items.map((entry: any) => entry.source)).toEqual(['schedule']);
+      expect((await getPrices('laptop-1')).body.body.items).toEqual([
+        { effectiveFrom: '2024-03-02T10:00:00.000Z', version: 1, price: 1400, source: 'import', changedBy: 'merchandiser', changedAt: '2024-03-02T10:00:00.000Z', status: 'current' }
+      ]);
+      at('2024-04-01T00:00:00.000Z');
+      expect(await priceOf('phone-1')).toBe(450);
+    });
+
+    test('an NDJSON export keeps the scheduled prices when it is imported again', async () => {
+      await schedule('phone-1', { price: 450, effectiveFrom: '2024-04-01T00:00:00Z' });
+      const exported = await handler(catalogAdminEvent('GET', '/product/export'), {});
+      const importFile = () => call(catalogAdminEvent('POST', '/product/import', { body: exported.body, headers: { 'Content-Type': 'application/x-ndjson' } }));
+      // restored into another stage
+      productRepository = new InMemoryProductRepository();
+      handler = createHandler({ productRepository, productSearchIndex });
+      at('2024-03-02T10:00:00.000Z');
+
+      const response = await importFile();
+      await importFile();
+
+      expect(response.body.body).toMatchObject({ created: 3, failed: 0 });
+      expect(await productRepository.get('phone-1')).toMatchObject({ price: 500, scheduledPrices: [{ price: 450, effectiveFrom: '2024-04-01T00:00:00.000Z' }] });
+      expect((await getPrices('phone-1')).body.body.items.map((entry: any) => [entry.price, entry.source, entry.status]))
+        .toEqual([[450, 'import', 'scheduled'], [500, 'import', 'current']]);
+      at('2024-04-01T00:00:00.000Z');
+      expect(await priceOf('phone-1')).toBe(450);
+    });
+
+    test('an import takes the scheduled prices of a row that started as its price', async () => {
+      const row = { id: 'tablet-1', name: 'Tablet', price: 300, scheduledPrices: [{ price: 280, effectiveFrom: '2024-03-01T00:00:00+01:00' }, { price: 250, effectiveFrom: '2024-05-01T00:00:00Z' }] };
+
+      await call(catalogAdminEvent('POST', '/product/import', { body: JSON.stringify(row), headers: { 'Content-Type': 'application/x-ndjson' } }));
+
+      expect(await productRepository.get('tablet-1')).toMatchObject({ price: 280, scheduledPrices: [{ price: 250, effectiveFrom: '2024-05-01T00:00:00.000Z' }] });
+    });
+
+    test('rejects imported scheduled prices without a time zone', async () => {
+      const row = { name: 'Tablet', price: 300, scheduledPrices: [{ price: 280, effectiveFrom: '2024-05-01' }] };
+
+      const response = await call(catalogAdminEvent('POST', '/product/import', { body: JSON.stringify(row), headers: { 'Content-Type': 'application/x-ndjson' } }));
+
+      expect(response.body.body.errors).toEqual([{ line: 1, errors: [{ field: 'scheduledPrices[0].effectiveFrom', message: 'should be an ISO 8601 date-time with a time zone, e.g. 2030-01-01T00:00:00Z' }] }]);
+    });
+
+    test('price attributes cannot be set by clients', async () => {
+      const response = await call(catalogAdminEvent('PUT', '/product/phone-1', {
+        pathParameters: { id: 'phone-1' }, body: { scheduledPrices: [{ price: 1, effectiveFrom: '2024-01-01T00:00:00.000Z' }] }
+      }));
+
+      expect(response.statusCode).toBe(400);
+      expect(response.body.error.details).toEqual([{ field: 'scheduledPrices', message: 'cannot be updated' }]);
+    });
+
+    test('returns 404 for an unknown product', async () => {
+      expect((await getPrices('missing')).statusCode).toBe(404);
+      expect((await schedule('missing', { price: 1, effectiveFrom: '2024-04-01T00:00:00Z' })).statusCode).toBe(404);
+    });
+
+    test('the history is open to admins, not to customers', async () => {
+      const asCaller = (caller: any) => call(apiEvent('GET', '/product/phone-1/prices', { pathParameters: { id: 'phone-1' }, caller }));
+
+      expect((await asCaller(ADMIN)).statusCode).toBe(200);
+      const denied = await asCaller(undefined);
+      expect(denied.statusCode).toBe(403);
+      expect(denied.body.error.message).toBe('Requires the "catalog-admin" role to read price history');
+    });
+
+    test('only supports GET and POST', async () => {
+      const response = await call(catalogAdminEvent('PUT', '/product/phone-1/prices', { pathParameters: { id: 'phone-1' }, body: { price: 1 } }));
+
+      expect(response.statusCode).toBe(405);
+      expect(response.headers.Allow).toBe('GET, POST');
+    });
+
+    test('routes on the resource, a product whose id is "prices" is still /product/{id}', async () => {
+      await productRepository.create({ id: 'prices', name: 'Price tags', price: 2 });
+      const event = (method: string, options: ApiEventOptions = {}) => catalogAdminEvent(method, '/product/prices', { pathParameters: { id: 'prices' }, ...options });
+
+      const read = await call(event('GET'));
+      const updated = await call(event('PUT', { body: { price: 3 } }));
+
+      expect(read.statusCode).toBe(200);
+      expect(read.body.body).toMatchObject({ id: 'prices', price: 2 });
+      expect(updated.statusCode).toBe(200);
+      expect((await getPrices('prices')).body.body.items.map((entry: any) => entry.price)).toEqual([3]);
+    });
+  });
+
+  describe('authorization', () => {
+    test('reads need no token', async () => {
+      const response = await call(apiEvent('GET', '/product/phone-1', { pathParameters: { id: 'phone-1' }, caller: null }));
+
+      expect(response.statusCode).toBe(200);
+    });
+
+    test.each([
+      ['POST', '/product', undefined, { name: 'Tablet', price: 300 }, 'create products'],
+      ['PUT', '/product/phone-1', { id: 'phone-1' }, { price: 1 }, 'update products'],
+      ['DELETE', '/product/phone-1', { id: 'phone-1' }, undefined, 'delete products'],
+      ['POST', '/product/import', undefined, 'name,price\nTablet,300\n', 'import products'],
+      ['GET', '/product/export', undefined, undefined, 'export products'],
+      ['POST', '/product/phone-1/prices', { id: 'phone-1' }, { price: 1, effectiveFrom: '2999-01-01T00:00:00Z' }, 'schedule prices']
+    ])('%s %s is denied without the catalog-admin role', async (method, path, pathParameters, body, action) => {
+      const response = await call(apiEvent(method as string, path as string, { pathParameters: pathParameters as any, body }));
+
+      expect(response.statusCode).toBe(403);
+      expect(response.body.error).toEqual({
+        code: 'FORBIDDEN',
+        message: `Requires the "catalog-admin" role to ${action}`,
+        details: { requiredRole: 'catalog-admin' },
+        requestId: 'test-request-id'
+      });
+      expect(await productRepository.get('phone-1')).toEqual(PHONE);
+    });
+
+    test('the admin role does not include catalog-admin', async () => {
+      const response = await call(apiEvent('DELETE', '/product/phone-1', { pathParameters: { id: 'phone-1' }, caller: ADMIN }));
+
+      expect(response.statusCode).toBe(403);
+    });
+
+    test('writes that did not go through the authorizer are rejected', async () => {
+      const response = await call(apiEvent('POST', '/product', { body: { name: 'Tablet', price: 300 }, caller: null }));
+
+      expect(response.statusCode).toBe(401);
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+    });
+  });
+
+  test('rejects unsupported methods', async () => {
+    const response = await call(apiEvent('PATCH', '/product/phone-1', { pathParameters: { id: 'phone-1' } }));
+
+    expect(response.statusCode).toBe(405);
+    expect(response.headers.Allow).toBe('GET, PUT, DELETE');
+  });
+
+  test('hides unexpected errors behind a 500', async () => {
+    productRepository.get = async () => { throw new Error('connection reset'); };
+
+    const response = await call(apiEvent('GET', '/product/phone-1', { pathParameters: { id: 'phone-1' } }));
+
+    expect(response.statusCode).toBe(500);
+    expect(response.body.error.code).toBe('INTERNAL_ERROR');
+    expect(JSON.stringify(response.body)).not.toContain('connection reset');
+  });
+});